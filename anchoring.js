@@ -0,0 +1,354 @@
+/**
+ * Anchoring - Describes text selections durably and finds them again
+ * Each anchor combines a text quote (with prefix/suffix context), a text
+ * position and an XPath range, so a selection can be re-located after reloads
+ */
+const Anchoring = {
+  CONTEXT_LENGTH: 32,
+  IGNORED_TAGS: ["SCRIPT", "STYLE", "NOSCRIPT", "TEMPLATE", "IFRAME"],
+  IGNORED_IDS: ["quick-note-root"],
+
+  /**
+   * Build an anchor selector for a DOM range
+   * @param {Range} range - Range to describe
+   * @returns {Object|null} Anchor with quote, position and range selectors
+   */
+  describeRange(range) {
+    // Marks wrapped into an editor would end up in what the user is writing
+    if (this.isIgnored(this.closestElement(range.commonAncestorContainer))) {
+      return null;
+    }
+
+    const { text, nodes } = this.collectText(document.body);
+    const start = this.boundaryToOffset(
+      nodes,
+      text.length,
+      range.startContainer,
+      range.startOffset
+    );
+    const end = this.boundaryToOffset(
+      nodes,
+      text.length,
+      range.endContainer,
+      range.endOffset
+    );
+
+    if (end <= start) return null;
+
+    const exact = text.slice(start, end);
+    if (!exact.trim()) return null;
+
+    return {
+      quote: {
+        exact,
+        prefix: text.slice(Math.max(0, start - this.CONTEXT_LENGTH), start),
+        suffix: text.slice(end, end + this.CONTEXT_LENGTH),
+      },
+      position: { start, end },
+      range: {
+        start: this.getXPath(this.closestElement(range.startContainer)),
+        startOffset: this.offsetWithin(
+          nodes,
+          this.closestElement(range.startContainer),
+          start
+        ),
+        end: this.getXPath(this.closestElement(range.endContainer)),
+        endOffset: this.offsetWithin(
+          nodes,
+          this.closestElement(range.endContainer),
+          end
+        ),
+      },
+    };
+  },
+
+  /**
+   * Find an anchor in the current document
+   * Tries the XPath range, then the text position, then a quote search
+   * @param {Object} anchor - Anchor created by describeRange
+   * @returns {Range|null} Matching range, or null if the anchor is orphaned
+   */
+  anchor(anchor) {
+    if (!anchor || !anchor.quote || !anchor.quote.exact) return null;
+
+    const { text, nodes } = this.collectText(document.body);
+    const exact = anchor.quote.exact;
+    const candidates = [
+      this.resolveRangeSelector(nodes, anchor.range),
+      anchor.position,
+    ];
+
+    for (const candidate of candidates) {
+      if (candidate && text.slice(candidate.start, candidate.end) === exact) {
+        return this.offsetsToRange(nodes, candidate.start, candidate.end);
+      }
+    }
+
+    const match = this.findQuote(text, anchor);
+    return match ? this.offsetsToRange(nodes, match.start, match.end) : null;
+  },
+
+  /**
+   * Collect the visible text nodes under a root, with their offsets
+   * @param {Node} root - Root node to walk
+   * @returns {{text: string, nodes: Array}} Concatenated text and node map
+   */
+  collectText(root) {
+    const nodes = [];
+    let text = "";
+
+    if (!root) return { text, nodes };
+
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) =>
+        this.isIgnored(node.parentElement)
+          ? NodeFilter.FILTER_REJECT
+          : NodeFilter.FILTER_ACCEPT,
+    });
+
+    let node;
+    while ((node = walker.nextNode())) {
+      nodes.push({ node, start: text.length, end: text.length + node.length });
+      text += node.data;
+    }
+
+    return { text, nodes };
+  },
+
+  /**
+   * Check whether an element belongs to markup that should not be anchored
+   * Editable regions are skipped too: the page owns their DOM
+   * @param {Element} element - Element to check
+   * @returns {boolean} True if its text must be skipped
+   */
+  isIgnored(element) {
+    if (element?.isContentEditable) return true;
+    for (let el = element; el; el = el.parentElement) {
+      if (this.IGNORED_TAGS.includes(el.tagName)) return true;
+      if (this.IGNORED_IDS.includes(el.id)) return true;
+    }
+    return false;
+  },
+
+  /**
+   * Convert a range boundary to an offset in the collected text
+   * @returns {number} Text offset
+   */
+  boundaryToOffset(nodes, length, container, offset) {
+    if (container.nodeType === Node.TEXT_NODE) {
+      const entry = nodes.find((e) => e.node === container);
+      if (entry) return entry.start + offset;
+    }
+
+    const boundary = document.createRange();
+    boundary.setStart(container, offset);
+
+    // First text node at or after the boundary
+    for (const entry of nodes) {
+      if (boundary.comparePoint(entry.node, 0) >= 0) return entry.start;
+    }
+
+    return length;
+  },
+
+  /**
+   * Convert text offsets back to a DOM range
+   * @returns {Range|null} Range covering the offsets
+   */
+  offsetsToRange(nodes, start, end) {
+    const startEntry = nodes.find((e) => start >= e.start && start < e.end);
+    const endEntry = nodes.find((e) => end > e.start && end <= e.end);
+
+    if (!startEntry || !endEntry) return null;
+
+    const range = document.createRange();
+    range.setStart(startEntry.node, start - startEntry.start);
+    range.setEnd(endEntry.node, end - endEntry.start);
+    return range;
+  },
+
+  /**
+   * Find the best match for a quote, scored by context and proximity
+   * @param {string} text - Document text
+   * @param {Object} anchor - Anchor with quote and position
+   * @returns {{start: number, end: number}|null} Best match
+   */
+  findQuote(text, anchor) {
+    const { exact, prefix = "", suffix = "" } = anchor.quote;
+    const expected = anchor.position ? anchor.position.start : 0;
+    let best = null;
+    let bestScore = -Infinity;
+
+    let index = text.indexOf(exact);
+    while (index !== -1) {
+      const end = index + exact.length;
+      let score = 0;
+
+      score += this.commonSuffixLength(
+        text.slice(Math.max(0, index - prefix.length), index),
+        prefix
+      );
+      score += this.commonPrefixLength(
+        text.slice(end, end + suffix.length),
+        suffix
+      );
+      // Prefer matches close to where the quote used to be
+      score -= Math.abs(index - expected) / Math.max(text.length, 1);
+
+      if (score > bestScore) {
+        bestScore = score;
+        best = { start: index, end };
+      }
+
+      index = text.indexOf(exact, index + 1);
+    }
+
+    return best;
+  },
+
+  commonPrefixLength(a, b) {
+    let i = 0;
+    while (i < a.length && i < b.length && a[i] === b[i]) i++;
+    return i;
+  },
+
+  commonSuffixLength(a, b) {
+    let i = 0;
+    while (
+      i < a.length &&
+      i < b.length &&
+      a[a.length - 1 - i] === b[b.length - 1 - i]
+    ) {
+      i++;
+    }
+    return i;
+  },
+
+  /**
+   * Resolve the XPath range selector to text offsets
+   * @returns {{start: number, end: number}|null} Offsets, if resolvable
+   */
+  resolveRangeSelector(nodes, selector) {
+    if (!selector) return null;
+
+    const startElement = this.evaluateXPath(selector.start);
+    const endElement = this.evaluateXPath(selector.end);
+    if (!startElement || !endElement) return null;
+
+    const startBase = this.elementTextStart(nodes, startElement);
+    const endBase = this.elementTextStart(nodes, endElement);
+    if (startBase === null || endBase === null) return null;
+
+    return {
+      start: startBase + selector.startOffset,
+      end: endBase + selector.endOffset,
+    };
+  },
+
+  /**
+   * Offset of the first text node inside an element
+   * @returns {number|null} Text offset
+   */
+  elementTextStart(nodes, element) {
+    const entry = nodes.find((e) => element.contains(e.node));
+    return entry ? entry.start : null;
+  },
+
+  /**
+   * Offset of a text position relative to an element's own text
+   * @returns {number} Relative offset
+   */
+  offsetWithin(nodes, element, offset) {
+    const base = this.elementTextStart(nodes, element);
+    return base === null ? offset : offset - base;
+  },
+
+  closestElement(node) {
+    return node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  },
+
+  /**
+   * Build an XPath for an element, e.g. /html[1]/body[1]/div[2]
+   * @param {Element} element - Element to describe
+   * @returns {string} XPath expression
+   */
+  getXPath(element) {
+    const parts = [];
+
+    for (let el = element; el && el.nodeType === Node.ELEMENT_NODE; ) {
+      let position = 1;
+      let sibling = el.previousElementSibling;
+      while (sibling) {
+        if (sibling.localName === el.localName) position++;
+        sibling = sibling.previousElementSibling;
+      }
+      parts.unshift(`${el.localName}[${position}]`);
+      el = el.parentElement;
+    }
+
+    return "/" + parts.join("/");
+  },
+
+  evaluateXPath(xpath) {
+    try {
+      return document.evaluate(
+        xpath,
+        document,
+        null,
+        XPathResult.FIRST_ORDERED_NODE_TYPE,
+        null
+      ).singleNodeValue;
+    } catch {
+      return null;
+    }
+  },
+
+  /**
+   * Wrap every text node in a range with a highlight element
+   * @param {Range} range - Range to highlight
+   * @param {string} noteId - ID of the note the highlight belongs to
+   * @returns {Array<HTMLElement>} Created highlight elements
+   */
+  highlightRange(range, noteId) {
+    const root = this.closestElement(range.commonAncestorContainer);
+    const { nodes } = this.collectText(root);
+    const highlights = [];
+
+    nodes
+      .filter((e) => range.intersectsNode(e.node))
+      .forEach(({ node }) => {
+        let target = node;
+        const start = node === range.startContainer ? range.startOffset : 0;
+        const end = node === range.endContainer ? range.endOffset : node.length;
+
+        if (start >= end || !node.data.slice(start, end).trim()) return;
+
+        if (end < target.length) target.splitText(end);
+        if (start > 0) target = target.splitText(start);
+
+        const mark = document.createElement("mark");
+        mark.className = "quick-note-highlight";
+        mark.dataset.noteId = noteId;
+        target.parentNode.insertBefore(mark, target);
+        mark.appendChild(target);
+        highlights.push(mark);
+      });
+
+    return highlights;
+  },
+
+  /**
+   * Remove a note's highlight elements, putting their text back in place
+   * @param {string} noteId - ID of the note
+   */
+  removeHighlights(noteId) {
+    document.querySelectorAll(".quick-note-highlight").forEach((mark) => {
+      if (mark.dataset.noteId !== noteId) return;
+
+      const parent = mark.parentNode;
+      while (mark.firstChild) parent.insertBefore(mark.firstChild, mark);
+      mark.remove();
+      parent.normalize();
+    });
+  },
+};
@@ -1,32 +1,210 @@
 // Import storage utilities
-importScripts("storage.js");
+importScripts(
+  "image-store.js",
+  "storage-keys.js",
+  "storage.js",
+  "review-scheduler.js",
+  "sync-providers.js",
+  "sync.js"
+);
+
+// Menu item IDs are this prefix plus the notebook ID ("" for the Inbox)
+const SAVE_MENU_PREFIX = "saveToNotes:";
+const SAVE_IMAGE_MENU_ID = "saveImageToNotes";
+const CAPTURE_REGION_MENU_ID = "captureRegionToNotes";
+let contextMenuBuild = Promise.resolve();
+
+// Coalesces badge refreshes while a batch of notes is being written
+const BADGE_DELAY_MS = 300;
+const BADGE_COLOR = "#4F7AF7";
+let badgeTimer = null;
+
+// Sync runs periodically, and shortly after notes change on either side
+const SYNC_ALARM = "sync";
+const SYNC_INTERVAL_MINUTES = 15;
+const SYNC_DELAY_MS = 5000;
+let syncTimer = null;
+
+// The trash is purged daily, outside the popup, which shouldn't wait for it
+const PURGE_ALARM = "purgeTrash";
+const PURGE_INTERVAL_MINUTES = 24 * 60;
+
+// One alarm wakes the worker when the next note comes due for review; notes
+// that came due since the last check are notified once
+const REMINDER_ALARM = "reminder";
+const REMINDER_CHECK_KEY = "remindersCheckedAt";
+const REMINDER_PREFIX = "reminder:";
+const REMINDERS_NOTIFICATION_ID = "reminders";
+const MAX_REMINDER_NOTIFICATIONS = 3;
+const REVIEW_BADGE_COLOR = "#E8590C";
+
+// Saves started from the page have no popup to show a failure in
+const SAVE_ERROR_NOTIFICATION_ID = "saveError";
 
 // Create context menu when extension is installed
-chrome.runtime.onInstalled.addListener(() => {
-  chrome.contextMenus.create({
-    id: "saveToNotes",
-    title: "Save to Notes",
-    contexts: ["selection"],
+chrome.runtime.onInstalled.addListener(async ({ reason }) => {
+  buildContextMenu();
+
+  // Upgrade stored notes before anything else reads them
+  if (reason === "update") await StorageHelper.ensureMigrated();
+  StorageHelper.purgeTrash();
+  updateBadges();
+  checkReminders();
+  chrome.alarms.create(SYNC_ALARM, { periodInMinutes: SYNC_INTERVAL_MINUTES });
+  chrome.alarms.create(PURGE_ALARM, {
+    periodInMinutes: PURGE_INTERVAL_MINUTES,
   });
+  scheduleSync(0);
 
   console.log("Quick Note Taker extension installed");
 });
 
+// Drop notes that have been in the trash longer than the retention period
+chrome.runtime.onStartup.addListener(() => {
+  StorageHelper.purgeTrash();
+  updateBadges();
+  checkReminders();
+  chrome.alarms.create(SYNC_ALARM, { periodInMinutes: SYNC_INTERVAL_MINUTES });
+  chrome.alarms.create(PURGE_ALARM, {
+    periodInMinutes: PURGE_INTERVAL_MINUTES,
+  });
+  scheduleSync(0);
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SYNC_ALARM) scheduleSync(0);
+  if (alarm.name === PURGE_ALARM) StorageHelper.purgeTrash();
+  if (alarm.name === REMINDER_ALARM) {
+    checkReminders();
+    updateBadges();
+  }
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (
+    notificationId === REMINDERS_NOTIFICATION_ID ||
+    notificationId.startsWith(REMINDER_PREFIX)
+  ) {
+    chrome.notifications.clear(notificationId);
+    openReviewInPopup();
+  }
+});
+
+// Rebuild the notebook submenu whenever notebooks change, recount the
+// badges and reschedule reminders whenever notes do, and sync both
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  // Another device pushed to Chrome sync
+  if (areaName === "sync" && SyncProviders.CHROME_MANIFEST_KEY in changes) {
+    scheduleSync();
+  }
+  if (areaName !== "local") return;
+
+  if (changes[StorageHelper.NOTEBOOKS_KEY]) {
+    buildContextMenu();
+    scheduleSync();
+  }
+  if (
+    Object.keys(changes).some((key) =>
+      key.startsWith(StorageHelper.NOTE_PREFIX)
+    )
+  ) {
+    clearTimeout(badgeTimer);
+    badgeTimer = setTimeout(() => {
+      updateBadges();
+      checkReminders();
+    }, BADGE_DELAY_MS);
+    scheduleSync();
+  }
+});
+
+// Keep each tab's badge in step with the page it shows
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.url || changeInfo.status === "complete") {
+    updateBadges([tab]);
+  }
+});
+
 // Handle context menu clicks
 chrome.contextMenus.onClicked.addListener(async (info, tab) => {
-  if (info.menuItemId === "saveToNotes" && info.selectionText) {
-    await saveNoteFromText(info.selectionText, info.pageUrl);
+  const menuId = String(info.menuItemId);
+
+  if (menuId === SAVE_IMAGE_MENU_ID && info.srcUrl) {
+    await saveImageFromUrl(info.srcUrl, tab, info.frameId);
+  } else if (menuId === CAPTURE_REGION_MENU_ID) {
+    await startRegionCapture(tab);
+  } else if (menuId.startsWith(SAVE_MENU_PREFIX) && info.selectionText) {
+    const notebookId = menuId.slice(SAVE_MENU_PREFIX.length) || null;
+    const { url, anchor, markdown, source } = await requestSelectionDetails(
+      tab,
+      info.frameId
+    );
+    try {
+      // selectionText is plain text; the page's Markdown keeps formatting
+      await saveNoteFromText(
+        markdown || info.selectionText,
+        url || info.pageUrl,
+        {
+          anchor,
+          source,
+          notebookId,
+        }
+      );
+    } catch (error) {
+      notifySaveError(error);
+    }
+  }
+});
+
+// Keyboard shortcuts; "open notes" is the built-in _execute_action
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (command === "save-selection") {
+    const { text, url, anchor, markdown, source } =
+      await requestSelectionDetails(tab);
+    if (!text) return;
+
+    try {
+      await saveNoteFromText(markdown || text, url || tab.url, {
+        anchor,
+        source,
+      });
+    } catch (error) {
+      notifySaveError(error);
+    }
+  } else if (command === "save-selection-with-note") {
+    try {
+      await chrome.tabs.sendMessage(tab.id, { action: "openQuickNote" });
+    } catch {
+      // Content script not available on this page (e.g. chrome:// URLs)
+    }
+  } else if (command === "capture-region") {
+    await startRegionCapture(tab);
+  } else if (command === "toggle-sidebar") {
+    try {
+      await chrome.tabs.sendMessage(
+        tab.id,
+        { action: "toggleSidebar" },
+        { frameId: 0 }
+      );
+    } catch {
+      // Content script not available on this page
+    }
   }
 });
 
 // Handle messages from content script
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === "saveNote" && request.text) {
+  if (request.action === "saveNote" && request.selection) {
     // Handle async operation properly
     (async () => {
       try {
-        await saveNoteFromText(request.text, request.url);
-        sendResponse({ success: true });
+        const note = await saveNoteFromText(request.selection, request.url, {
+          comment: request.comment,
+          anchor: request.anchor,
+          source: request.source,
+          tags: request.tags,
+          notebookId: request.notebookId,
+        });
+        sendResponse({ success: true, noteId: note?.id });
       } catch (error) {
         sendResponse({ success: false, error: error.message });
       }
@@ -34,14 +212,562 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
     return true; // Keep message channel open for async response
   }
+
+  if (request.action === "getNotesForUrl" && request.url) {
+    (async () => {
+      const notes = await StorageHelper.getNotesForUrl(request.url);
+      sendResponse({ success: true, notes });
+    })();
+
+    return true;
+  }
+
+  if (request.action === "getNotesForSite" && request.url) {
+    (async () => {
+      const { page, site } = await StorageHelper.getNotesForSite(request.url);
+      sendResponse({ success: true, page, site });
+    })();
+
+    return true;
+  }
+
+  if (request.action === "updateNote" && request.noteId) {
+    (async () => {
+      try {
+        await StorageHelper.updateNote(request.noteId, request.changes || {});
+        sendResponse({ success: true });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+
+    return true;
+  }
+
+  if (request.action === "deleteNote" && request.noteId) {
+    (async () => {
+      try {
+        await StorageHelper.deleteNote(request.noteId);
+        sendResponse({ success: true });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+
+    return true;
+  }
+
+  if (request.action === "getNotebooks") {
+    (async () => {
+      const notebooks = await StorageHelper.getNotebooks();
+      sendResponse({
+        success: true,
+        notebooks: StorageHelper.sortNotebooks(notebooks),
+      });
+    })();
+
+    return true;
+  }
+
+  if (request.action === "getTags") {
+    (async () => {
+      const tags = await StorageHelper.getAllTags();
+      sendResponse({ success: true, tags: tags.map((t) => t.tag) });
+    })();
+
+    return true;
+  }
+
+  if (request.action === "syncNow") {
+    (async () => {
+      try {
+        const summary = await NoteSync.sync();
+        sendResponse({ success: true, summary });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+
+    return true;
+  }
+
+  if (request.action === "getSettings") {
+    (async () => {
+      const settings = await StorageHelper.getSettings();
+      sendResponse({ success: true, settings });
+    })();
+
+    return true;
+  }
+
+  if (request.action === "setOrphanedState" && request.status) {
+    (async () => {
+      try {
+        await StorageHelper.setOrphanedState(request.status);
+        sendResponse({ success: true });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+
+    return true;
+  }
+
+  if (request.action === "openNote" && request.noteId) {
+    (async () => {
+      await openNoteInPopup(request.noteId);
+      sendResponse({ success: true });
+    })();
+
+    return true;
+  }
+
+  if (request.action === "captureRegion" && request.rect && sender.tab) {
+    (async () => {
+      try {
+        const note = await saveRegionCapture(sender.tab, request);
+        sendResponse({ success: true, noteId: note.id });
+      } catch (error) {
+        console.error("Error capturing region:", error);
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+
+    return true;
+  }
 });
 
+/**
+ * Sync soon, coalescing bursts of changes into one sync
+ * @param {number} delay - Milliseconds to wait (optional)
+ */
+function scheduleSync(delay = SYNC_DELAY_MS) {
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(() => {
+    // Failures are logged and kept in the sync state for the popup
+    NoteSync.sync().catch(() => {});
+  }, delay);
+}
+
+/**
+ * Show the number of notes saved from each tab's page on the toolbar badge
+ * While notes are due for review, the badge takes the review color and adds
+ * the due count ("3/5" for 3 notes on the page and 5 due, "5" on pages
+ * without notes), and its tooltip spells both out
+ * @param {Array} tabs - Tabs to update (optional, defaults to all tabs)
+ */
+async function updateBadges(tabs = null) {
+  try {
+    const targets = tabs || (await chrome.tabs.query({}));
+    const [counts, notes] = await Promise.all([
+      StorageHelper.countNotesByPage(),
+      StorageHelper.getAllNotes(),
+    ]);
+    const due = ReviewScheduler.getDueNotes(notes, Date.now()).length;
+    const { name } = chrome.runtime.getManifest();
+
+    await Promise.all(
+      targets.map(async (tab) => {
+        const count =
+          (tab.url && counts.get(StorageHelper.normalizeUrl(tab.url))) || 0;
+        const details = [
+          count && `${count} ${count === 1 ? "note" : "notes"} on this page`,
+          due && `${due} to review`,
+        ].filter(Boolean);
+
+        await chrome.action.setBadgeText({
+          tabId: tab.id,
+          text: [count, due].filter(Boolean).join("/"),
+        });
+        await chrome.action.setBadgeBackgroundColor({
+          tabId: tab.id,
+          color: due ? REVIEW_BADGE_COLOR : BADGE_COLOR,
+        });
+        await chrome.action.setTitle({
+          tabId: tab.id,
+          title: details.length ? `${name} (${details.join(", ")})` : name,
+        });
+      })
+    );
+  } catch (error) {
+    // Tabs can close while the badges are being counted
+    console.error("Error updating badges:", error);
+  }
+}
+
+/**
+ * Build the "Save to Notes" context menu with one entry per notebook
+ * Rebuilds are chained so overlapping calls can't create duplicate IDs
+ */
+function buildContextMenu() {
+  contextMenuBuild = contextMenuBuild
+    .then(createContextMenuItems)
+    .catch((error) => console.error("Error building context menu:", error));
+}
+
+/**
+ * Create the context menu items
+ * Without notebooks it is a single item that saves to the Inbox
+ */
+async function createContextMenuItems() {
+  await chrome.contextMenus.removeAll();
+
+  chrome.contextMenus.create({
+    id: SAVE_IMAGE_MENU_ID,
+    title: "Save image to Notes",
+    contexts: ["image"],
+  });
+  chrome.contextMenus.create({
+    id: CAPTURE_REGION_MENU_ID,
+    title: "Capture region to Notes",
+    contexts: ["page", "image"],
+  });
+
+  const notebooks = await StorageHelper.getNotebooks();
+
+  if (notebooks.length === 0) {
+    chrome.contextMenus.create({
+      id: SAVE_MENU_PREFIX,
+      title: "Save to Notes",
+      contexts: ["selection"],
+    });
+    return;
+  }
+
+  chrome.contextMenus.create({
+    id: "saveToNotes",
+    title: "Save to Notes",
+    contexts: ["selection"],
+  });
+  chrome.contextMenus.create({
+    id: SAVE_MENU_PREFIX,
+    parentId: "saveToNotes",
+    title: "Inbox",
+    contexts: ["selection"],
+  });
+  chrome.contextMenus.create({
+    id: "saveToNotesSeparator",
+    parentId: "saveToNotes",
+    type: "separator",
+    contexts: ["selection"],
+  });
+
+  // Sub-notebooks are listed under their parent, indented
+  StorageHelper.sortNotebooks(notebooks).forEach((notebook) => {
+    chrome.contextMenus.create({
+      id: SAVE_MENU_PREFIX + notebook.id,
+      parentId: "saveToNotes",
+      title: notebook.parentId ? `   ${notebook.name}` : notebook.name,
+      contexts: ["selection"],
+    });
+  });
+}
+
+/**
+ * Ask the content script to describe the current selection
+ * @param {Object} tab - Tab the selection was made in
+ * @param {number} frameId - Frame the selection was made in (optional;
+ *   without it the frame that has focus answers)
+ * @returns {Promise<Object>} { text, url, anchor, markdown, source }, null
+ *   where unavailable
+ */
+async function requestSelectionDetails(tab, frameId = null) {
+  const empty = {
+    text: null,
+    url: null,
+    anchor: null,
+    markdown: null,
+    source: null,
+  };
+  if (!tab || tab.id === undefined) return empty;
+
+  try {
+    const response =
+      frameId === null
+        ? await chrome.tabs.sendMessage(tab.id, {
+            action: "describeSelection",
+            focusedOnly: true,
+          })
+        : await chrome.tabs.sendMessage(
+            tab.id,
+            { action: "describeSelection" },
+            { frameId }
+          );
+    return {
+      text: response?.text || null,
+      url: response?.url || null,
+      anchor: response?.anchor || null,
+      markdown: response?.markdown || null,
+      source: response?.source || null,
+    };
+  } catch {
+    // Content script not available on this page (e.g. chrome:// URLs)
+    return empty;
+  }
+}
+
+/**
+ * Download an image from the page and save it as a note
+ * Must be called while handling the click, as it may ask for access to the
+ * image's site
+ * @param {string} srcUrl - Image URL
+ * @param {Object} tab - Tab the image is shown in
+ * @param {number} frameId - Frame the image is shown in
+ * @returns {Promise<Object|undefined>} Saved note
+ */
+async function saveImageFromUrl(srcUrl, tab, frameId = 0) {
+  try {
+    if (!(await requestImageAccess(srcUrl, tab.url))) {
+      throw new Error(
+        `Saving images from ${new URL(srcUrl).hostname} wasn't allowed`
+      );
+    }
+
+    const response = await fetch(srcUrl);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const blob = await response.blob();
+    if (!blob.type.startsWith("image/")) {
+      throw new Error(`Not an image: ${blob.type || "unknown type"}`);
+    }
+
+    let details = {};
+    try {
+      details = await chrome.tabs.sendMessage(
+        tab.id,
+        { action: "describeImage", srcUrl },
+        { frameId }
+      );
+    } catch {
+      // Content script not available; the note just has no alt text
+    }
+
+    return await saveImageNote(blob, details?.url || tab.url, {
+      alt: details?.alt,
+      source: details?.source,
+    });
+  } catch (error) {
+    console.error("Error saving image:", error);
+    notifySaveError(error);
+  }
+}
+
+/**
+ * Ask for access to the site an image comes from
+ * activeTab only covers the tab's own site, so images served from elsewhere,
+ * such as a CDN, need their site allowed. Chrome only asks while handling the
+ * user's click, so this has to come before anything else is awaited
+ * @param {string} srcUrl - Image URL
+ * @param {string} pageUrl - Address of the tab the image is shown in
+ * @returns {Promise<boolean>} Whether the image can be fetched
+ */
+async function requestImageAccess(srcUrl, pageUrl) {
+  const { protocol, hostname, origin } = new URL(srcUrl);
+  // data: URLs and the like need no access
+  if (protocol !== "http:" && protocol !== "https:") return true;
+  if (pageUrl && new URL(pageUrl).origin === origin) return true;
+
+  return chrome.permissions.request({
+    origins: [`${protocol}//${hostname}/*`],
+  });
+}
+
+/**
+ * Let the user drag out a region of the page to capture
+ * The content script answers with a captureRegion message once a region is
+ * picked
+ * @param {Object} tab - Tab to capture
+ */
+async function startRegionCapture(tab) {
+  try {
+    await chrome.tabs.sendMessage(
+      tab.id,
+      { action: "pickRegion" },
+      { frameId: 0 }
+    );
+  } catch {
+    // Content script not available on this page (e.g. chrome:// URLs)
+  }
+}
+
+/**
+ * Screenshot the visible tab and save the picked region as a note
+ * @param {Object} tab - Tab the region was picked in
+ * @param {Object} request - { rect, viewport, url, source }, with the rect
+ *   and viewport size in CSS pixels
+ * @returns {Promise<Object>} Saved note
+ */
+async function saveRegionCapture(tab, request) {
+  const { rect, viewport } = request;
+  const screenshot = await chrome.tabs.captureVisibleTab(tab.windowId, {
+    format: "png",
+  });
+  const bitmap = await createImageBitmap(
+    await (await fetch(screenshot)).blob()
+  );
+
+  // The screenshot is in device pixels; zoom and display scaling both count
+  const scale = bitmap.width / viewport.width;
+  const left = Math.max(0, Math.round(rect.x * scale));
+  const top = Math.max(0, Math.round(rect.y * scale));
+  const width = Math.min(bitmap.width - left, Math.round(rect.width * scale));
+  const height = Math.min(bitmap.height - top, Math.round(rect.height * scale));
+  if (width <= 0 || height <= 0) {
+    bitmap.close();
+    throw new Error("Region is outside the visible page");
+  }
+
+  const canvas = new OffscreenCanvas(width, height);
+  canvas
+    .getContext("2d")
+    .drawImage(bitmap, left, top, width, height, 0, 0, width, height);
+  bitmap.close();
+
+  const blob = await canvas.convertToBlob({ type: "image/png" });
+  return saveImageNote(blob, request.url || tab.url, {
+    source: request.source,
+  });
+}
+
+/**
+ * Store an image and save a note pointing to it
+ * @param {Blob} blob - Image data
+ * @param {string} url - Page the image came from (optional)
+ * @param {Object} details - { alt, source, notebookId } (optional)
+ * @returns {Promise<Object>} Saved note
+ */
+async function saveImageNote(blob, url = null, details = {}) {
+  const { alt = null, source = null, notebookId = null } = details;
+  const image = await ImageStore.save(blob);
+
+  const newNote = StorageHelper.createNote({
+    image: { ...image, alt: alt || null },
+    url,
+    source: url && source ? source : null,
+    notebookId,
+  });
+
+  await StorageHelper.addNote(newNote);
+  return newNote;
+}
+
+/**
+ * Open the popup focused on a note
+ * Falls back to a popup tab where the action popup can't be opened
+ * @param {string} noteId - ID of note to focus
+ */
+async function openNoteInPopup(noteId) {
+  await chrome.storage.session.set({ focusNoteId: noteId });
+
+  try {
+    await chrome.action.openPopup();
+  } catch {
+    await chrome.tabs.create({
+      url: chrome.runtime.getURL(`popup.html#note=${noteId}`),
+    });
+  }
+}
+
+/**
+ * Open the popup in review mode
+ * Falls back to a popup tab where the action popup can't be opened
+ */
+async function openReviewInPopup() {
+  await chrome.storage.session.set({ openReview: true });
+
+  try {
+    await chrome.action.openPopup();
+  } catch {
+    await chrome.tabs.create({
+      url: chrome.runtime.getURL("popup.html#review"),
+    });
+  }
+}
+
+/**
+ * Notify notes that came due since the last check, and set the alarm for
+ * the next one
+ */
+async function checkReminders() {
+  try {
+    const now = Date.now();
+    const notes = await StorageHelper.getAllNotes();
+
+    let checkedAt;
+    await StorageHelper.updateKeys([REMINDER_CHECK_KEY], (stored) => {
+      // Nothing is notified the first time, only what comes due after
+      checkedAt = stored[REMINDER_CHECK_KEY] ?? now;
+      return { [REMINDER_CHECK_KEY]: now };
+    });
+
+    const fresh = ReviewScheduler.getDueNotes(notes, now).filter(
+      (note) => note.review.dueAt > checkedAt
+    );
+    if (fresh.length) notifyReminders(fresh);
+
+    const next = ReviewScheduler.getNextDueAt(notes, now);
+    if (next) {
+      await chrome.alarms.create(REMINDER_ALARM, { when: next });
+    } else {
+      await chrome.alarms.clear(REMINDER_ALARM);
+    }
+  } catch (error) {
+    console.error("Error checking reminders:", error);
+  }
+}
+
+/**
+ * Show a notification for each note that came due, or one for all of them
+ * if there are many
+ * @param {Array} notes - Notes that came due
+ */
+function notifyReminders(notes) {
+  const options = { type: "basic", iconUrl: "icons/icon.png" };
+
+  if (notes.length > MAX_REMINDER_NOTIFICATIONS) {
+    chrome.notifications.create(REMINDERS_NOTIFICATION_ID, {
+      ...options,
+      title: `${notes.length} notes to review`,
+      message: "Open Web Note to go through them",
+    });
+    return;
+  }
+
+  notes.forEach((note) => {
+    const text =
+      StorageHelper.getNoteText(note).replace(/\s+/g, " ").trim() ||
+      note.image?.alt ||
+      "Image note";
+    chrome.notifications.create(REMINDER_PREFIX + note.id, {
+      ...options,
+      title: "Time to review a note",
+      message: text.length > 200 ? `${text.slice(0, 200)}…` : text,
+      contextMessage: (note.url && StorageHelper.getHost(note.url)) || "",
+    });
+  });
+}
+
+/**
+ * Tell the user a note they saved from the page wasn't saved
+ * @param {Error} error - Why saving failed
+ */
+function notifySaveError(error) {
+  chrome.notifications.create(SAVE_ERROR_NOTIFICATION_ID, {
+    type: "basic",
+    iconUrl: "icons/icon.png",
+    title: "Note not saved",
+    message: error?.message || "The note could not be saved",
+  });
+}
+
 /**
  * Save a note from selected text
  * @param {string} text - Selected text to save
  * @param {string} url - Page URL (optional)
+ * @param {Object} details - Optional comment, anchor, source, tags and
+ *   notebookId
+ * @returns {Promise<Object|undefined>} Saved note
  */
-async function saveNoteFromText(text, url = null) {
+async function saveNoteFromText(text, url = null, details = {}) {
   try {
     const selectedText = text.trim();
 
@@ -50,17 +776,27 @@ async function saveNoteFromText(text, url = null) {
       return;
     }
 
-    const newNote = {
-      id: crypto.randomUUID(),
-      text: selectedText,
-      url: url || null,
-      createdAt: Date.now(),
-      updatedAt: Date.now(),
-      index: 0,
-    };
+    const {
+      comment = "",
+      anchor = null,
+      source = null,
+      tags = [],
+      notebookId = null,
+    } = details;
+
+    const newNote = StorageHelper.createNote({
+      selection: selectedText,
+      comment: String(comment || "").trim(),
+      url,
+      anchor: url && anchor ? anchor : null,
+      source: url && source ? source : null,
+      tags,
+      notebookId,
+    });
 
     await StorageHelper.addNote(newNote);
     console.log("Note saved:", selectedText.substring(0, 50) + "...");
+    return newNote;
   } catch (error) {
     console.error("Error saving note:", error);
     throw error;
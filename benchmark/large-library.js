@@ -0,0 +1,165 @@
+/**
+ * Large Library - Generates a synthetic note library for checking how the
+ * popup copes with thousands of notes
+ * The output is a JSON export, so it loads through the popup's Import button.
+ * The same seed always gives the same file, making runs comparable
+ *
+ * Usage:
+ *   node benchmark/large-library.js [count] [seed] > large-library.json
+ *
+ * count defaults to 2000 notes and seed to 1
+ */
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const DAY_MS = 86400000;
+
+const SITES = [
+  "https://en.wikipedia.org/wiki/",
+  "https://developer.mozilla.org/en-US/docs/Web/",
+  "https://news.ycombinator.com/item?id=",
+  "https://www.example.com/blog/",
+  "https://github.com/example/project/issues/",
+  "https://docs.python.org/3/library/",
+  "https://www.nature.com/articles/",
+  "https://arxiv.org/abs/",
+];
+
+const WORDS = (
+  "the of and a to in is it that for on with as was by this are be at from " +
+  "note page browser storage render list window scroll event card search " +
+  "index library memory layout frame cache query result format review " +
+  "reference theory method model data system design pattern history source"
+).split(" ");
+
+const TAGS = [
+  "reading",
+  "research",
+  "todo",
+  "ideas",
+  "work",
+  "reference",
+  "quotes",
+  "later",
+];
+
+/**
+ * Seeded pseudo-random numbers in [0, 1), after mulberry32
+ * @param {number} seed - Seed
+ * @returns {Function} Next number
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Load the exporter, so the file stays in the format import expects
+ * Its clock is stopped at the given time, which the export is stamped with
+ * @param {number} now - Time the exporter sees as the current time
+ * @returns {Object} NoteExporter
+ */
+function loadExporter(now) {
+  class StoppedDate extends Date {
+    constructor(...args) {
+      super(...(args.length ? args : [now]));
+    }
+  }
+
+  const context = { Date: StoppedDate };
+  vm.runInNewContext(
+    `${fs.readFileSync(path.join(__dirname, "..", "export.js"), "utf8")}
+    this.NoteExporter = NoteExporter;`,
+    context
+  );
+  return context.NoteExporter;
+}
+
+/**
+ * Build the library
+ * @param {number} count - Number of notes
+ * @param {number} seed - Seed
+ * @returns {{notes: Array, notebooks: Array, lastEditedAt: number}} Notes,
+ *   their notebooks and the time of the latest edit
+ */
+function generate(count, seed) {
+  const random = createRandom(seed);
+  const pick = (list) => list[Math.floor(random() * list.length)];
+  const sentence = (min, max) => {
+    const length = min + Math.floor(random() * (max - min + 1));
+    const words = Array.from({ length }, () => pick(WORDS));
+    words[0] = words[0][0].toUpperCase() + words[0].slice(1);
+    return `${words.join(" ")}.`;
+  };
+  const paragraph = (sentences) =>
+    Array.from({ length: sentences }, () => sentence(6, 18)).join(" ");
+
+  const start = Date.UTC(2024, 0, 1);
+  const notebooks = ["Reading", "Work", "Research"].map((name, i) => ({
+    id: `bench-notebook-${i}`,
+    name,
+    parentId: null,
+    createdAt: start,
+  }));
+
+  const notes = [];
+  for (let i = 0; i < count; i++) {
+    const createdAt = start + Math.floor(random() * 600 * DAY_MS);
+    const edited = random() < 0.3;
+    const url =
+      random() < 0.9 ? `${pick(SITES)}${Math.floor(random() * 10000)}` : null;
+
+    // Mostly short notes, some long enough to collapse, a few in Markdown
+    const long = random() < 0.15;
+    const markdown = random() < 0.1;
+    let comment = random() < 0.7 ? paragraph(long ? 8 : 1) : "";
+    if (markdown) {
+      comment = `## ${sentence(2, 5)}\n\n- ${sentence(3, 8)}\n- **${pick(
+        WORDS
+      )}** ${sentence(3, 8)}\n\n${comment}`;
+    }
+
+    notes.push({
+      id: `bench-${seed}-${i}`,
+      selection: url && random() < 0.8 ? paragraph(long ? 4 : 1) : "",
+      comment: comment || sentence(4, 12),
+      url,
+      source: url ? { title: sentence(2, 6).slice(0, -1) } : null,
+      tags: TAGS.filter(() => random() < 0.12),
+      notebookId: random() < 0.6 ? pick(notebooks).id : null,
+      pinned: random() < 0.01,
+      favorite: random() < 0.05,
+      archived: random() < 0.05,
+      createdAt,
+      updatedAt: edited
+        ? createdAt + Math.floor(random() * 30 * DAY_MS)
+        : createdAt,
+    });
+  }
+
+  const lastEditedAt = notes.reduce(
+    (latest, note) => Math.max(latest, note.updatedAt),
+    start
+  );
+  return { notes, notebooks, lastEditedAt };
+}
+
+const count = Number(process.argv[2] || 2000);
+const seed = Number(process.argv[3] || 1);
+if (!Number.isInteger(count) || count < 0 || !Number.isInteger(seed)) {
+  console.error("Usage: node benchmark/large-library.js [count] [seed]");
+  process.exit(1);
+}
+
+// Exported as of the last edit rather than now, so the file only depends on
+// the seed
+const { notes, notebooks, lastEditedAt } = generate(count, seed);
+const NoteExporter = loadExporter(lastEditedAt);
+process.stdout.write(`${NoteExporter.toJSON(notes, notebooks)}\n`);
@@ -1,19 +1,53 @@
 /**
  * Content Script - Handles text selection UI
- * Shows a floating icon when text is selected (like Grammarly)
+ * Shows a floating icon when text is selected (like Grammarly), where the
+ * settings allow it. Runs in every frame; the UI lives in a shadow root owned
+ * by PageOverlay
  */
 
+let overlay = null;
 let selectionIcon = null;
 let selectionModal = null;
 let selectionTimeout = null;
 let currentSelection = null;
 let currentUrl = null;
+let currentAnchor = null;
+let currentMarkdown = null;
+let currentSource = null;
+let modalTagInput = null;
+let sidebar = null;
+let regionPicker = null;
+let lastNotebookId = "";
+let lastPointer = null;
+let saveToast = null;
+let toastTimeout = null;
+let settings = null;
+
+// How long the quick save confirmation stays up
+const TOAST_DURATION_MS = 2000;
 
 // Initialize
 function init() {
+  overlay = PageOverlay.create();
   createSelectionIcon();
   createSelectionModal();
+  createSaveToast();
+  // One sidebar and region picker per tab, in the top frame
+  if (window === window.top) {
+    createSidebar();
+    regionPicker = RegionPicker.create({ overlay });
+  }
   setupSelectionListeners();
+  setupHighlightListeners();
+  loadSettings();
+  watchSettings();
+
+  // Frames without an address of their own share the embedding page's
+  // notes, and painting them here would mark them orphaned up there
+  if (hasOwnAddress()) {
+    loadHighlights();
+    watchNoteChanges();
+  }
 }
 
 /**
@@ -33,7 +67,7 @@ function createSelectionIcon() {
   `;
 
   selectionIcon.title = "Save to Notes";
-  document.body.appendChild(selectionIcon);
+  overlay.root.appendChild(selectionIcon);
 
   // Click handler
   selectionIcon.addEventListener("click", handleIconClick);
@@ -45,6 +79,33 @@ function createSelectionIcon() {
   });
 }
 
+/**
+ * Create the confirmation shown when a selection is saved without the modal
+ */
+function createSaveToast() {
+  saveToast = document.createElement("div");
+  saveToast.id = "quick-note-toast";
+  saveToast.setAttribute("role", "status");
+  saveToast.hidden = true;
+  overlay.root.appendChild(saveToast);
+}
+
+/**
+ * Show a short message in the corner of the page
+ * @param {string} message - Message to show
+ * @param {boolean} isError - Style it as a failure
+ */
+function showSaveToast(message, isError = false) {
+  saveToast.textContent = message;
+  saveToast.classList.toggle("quick-note-toast-error", isError);
+  saveToast.hidden = false;
+
+  clearTimeout(toastTimeout);
+  toastTimeout = setTimeout(() => {
+    saveToast.hidden = true;
+  }, TOAST_DURATION_MS);
+}
+
 /**
  * Create the selection modal for URL option
  */
@@ -63,6 +124,20 @@ function createSelectionModal() {
           <div class="quick-note-preview-label">Selected Text:</div>
           <div class="quick-note-preview-text"></div>
         </div>
+        <div class="quick-note-comment">
+          <div class="quick-note-preview-label">Your Comment:</div>
+          <textarea id="quick-note-comment-input" class="quick-note-preview-textarea quick-note-comment-input" placeholder="Why is this worth keeping? (optional)"></textarea>
+        </div>
+        <div class="quick-note-tags">
+          <div class="quick-note-preview-label">Tags:</div>
+          <div class="quick-note-tags-slot"></div>
+        </div>
+        <div class="quick-note-notebook">
+          <div class="quick-note-preview-label">Notebook:</div>
+          <select id="quick-note-notebook-select" class="quick-note-select">
+            <option value="">Inbox</option>
+          </select>
+        </div>
         <div class="quick-note-url-option">
           <label class="quick-note-checkbox">
             <input type="checkbox" id="quick-note-include-url" checked>
@@ -78,7 +153,16 @@ function createSelectionModal() {
     </div>
   `;
 
-  document.body.appendChild(selectionModal);
+  // Tag entry with autocomplete from existing tags
+  modalTagInput = TagInput.create({
+    classPrefix: "quick-note-",
+    placeholder: "Add tags (comma separated)",
+  });
+  selectionModal
+    .querySelector(".quick-note-tags-slot")
+    .appendChild(modalTagInput.element);
+
+  overlay.root.appendChild(selectionModal);
 
   // Event listeners
   selectionModal
@@ -98,6 +182,16 @@ function createSelectionModal() {
     }
   });
 
+  // Save from the comment with Ctrl+Enter or Cmd+Enter
+  selectionModal
+    .querySelector("#quick-note-comment-input")
+    .addEventListener("keydown", (e) => {
+      if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        handleSaveFromModal();
+      }
+    });
+
   // URL checkbox toggle
   selectionModal
     .querySelector("#quick-note-include-url")
@@ -109,6 +203,102 @@ function createSelectionModal() {
     });
 }
 
+/**
+ * Create the sidebar listing notes from this page and the rest of the site
+ */
+function createSidebar() {
+  sidebar = PageSidebar.create({
+    overlay,
+    load: () =>
+      sendMessage({ action: "getNotesForSite", url: window.location.href }),
+    save: (noteId, comment) =>
+      sendMessage({ action: "updateNote", noteId, changes: { comment } }),
+    remove: (noteId) => sendMessage({ action: "deleteNote", noteId }),
+    reveal: revealHighlight,
+  });
+}
+
+/**
+ * Load the settings that decide when the selection icon shows
+ */
+async function loadSettings() {
+  try {
+    ({ settings } = await sendMessage({ action: "getSettings" }));
+  } catch (error) {
+    console.error("Error loading settings:", error);
+    return;
+  }
+
+  if (!isIconAllowed()) hideIcon();
+}
+
+/**
+ * Apply settings changed on the options page without reloading the tab
+ */
+function watchSettings() {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === "local" && StorageKeys.SETTINGS_KEY in changes) {
+      loadSettings();
+    }
+  });
+}
+
+/**
+ * Check whether the selection icon is turned on for this page
+ * @returns {boolean} True once settings are loaded and allow it here
+ */
+function isIconAllowed() {
+  return Boolean(settings) && SiteRules.isIconEnabled(settings, pageUrl());
+}
+
+/**
+ * Check whether a finished selection should bring up the icon
+ * @param {Object} selected - Selection from getSelectedText
+ * @param {MouseEvent} event - Event that ended the selection
+ * @returns {boolean} True if the icon should show
+ */
+function shouldShowIcon(selected, event) {
+  return (
+    isIconAllowed() &&
+    selected.text.length >= settings.minSelectionLength &&
+    SiteRules.hasModifier(settings, event)
+  );
+}
+
+/**
+ * Send a message to the service worker
+ * @param {Object} message - Message with an action
+ * @returns {Promise<Object>} Response, rejected if it reports a failure
+ */
+async function sendMessage(message) {
+  const response = await chrome.runtime.sendMessage(message);
+  if (!response?.success) {
+    throw new Error(response?.error || `${message.action} failed`);
+  }
+  return response;
+}
+
+/**
+ * Scroll to a note's highlight and flash it
+ * @param {string} noteId - ID of the note
+ * @returns {boolean} True if the highlight is on the page
+ */
+function revealHighlight(noteId) {
+  const marks = document.querySelectorAll(
+    `.quick-note-highlight[data-note-id="${noteId}"]`
+  );
+  if (marks.length === 0) return false;
+
+  marks[0].scrollIntoView({ behavior: "smooth", block: "center" });
+  marks.forEach((mark) => mark.classList.add("quick-note-highlight-flash"));
+  setTimeout(() => {
+    marks.forEach((mark) =>
+      mark.classList.remove("quick-note-highlight-flash")
+    );
+  }, 1500);
+  return true;
+}
+
 /**
  * Setup selection event listeners
  */
@@ -116,33 +306,31 @@ function setupSelectionListeners() {
   document.addEventListener("mouseup", handleTextSelection);
   document.addEventListener("selectionchange", handleSelectionChange);
 
-  // Hide icon when clicking elsewhere (but not on the icon itself)
+  // Hide icon when clicking elsewhere (but not on our own UI)
   document.addEventListener("mousedown", (e) => {
-    if (
-      !selectionIcon.contains(e.target) &&
-      !selectionModal.contains(e.target)
-    ) {
+    if (!overlay.contains(e.target)) {
       setTimeout(() => {
-        const selection = window.getSelection();
-        if (!selection || selection.toString().trim().length === 0) {
+        if (!getSelectedText()) {
           hideIcon();
         }
       }, 10);
     }
   });
 
-  // Hide icon when scrolling
+  // Hide icon when scrolling, and bring it back if it was showing
   let scrollTimeout;
+  let restoreIcon = false;
   document.addEventListener(
     "scroll",
     () => {
+      restoreIcon ||= isIconVisible();
       hideIcon();
       clearTimeout(scrollTimeout);
       scrollTimeout = setTimeout(() => {
-        const selection = window.getSelection();
-        if (selection && selection.toString().trim()) {
+        if (restoreIcon && getSelectedText()) {
           showIconForSelection();
         }
+        restoreIcon = false;
       }, 150);
     },
     true
@@ -158,21 +346,22 @@ function setupSelectionListeners() {
  * Handle text selection
  */
 function handleTextSelection(e) {
-  // Don't process if clicking on the icon or modal
-  if (selectionIcon.contains(e.target) || selectionModal.contains(e.target)) {
+  // Don't process if clicking on the icon, modal or sidebar
+  if (overlay.contains(e.target)) {
     return;
   }
 
+  lastPointer = { x: e.clientX, y: e.clientY };
+
   // Small delay to ensure selection is complete
   clearTimeout(selectionTimeout);
   selectionTimeout = setTimeout(() => {
-    const selection = window.getSelection();
-    const selectedText = selection.toString().trim();
+    const selected = getSelectedText();
 
-    if (selectedText && selectedText.length > 0) {
+    if (selected && shouldShowIcon(selected, e)) {
       // Store current selection text and URL
-      currentSelection = selectedText;
-      currentUrl = window.location.href;
+      currentSelection = selected.text;
+      currentUrl = pageUrl();
       showIconForSelection();
     } else {
       hideIcon();
@@ -184,56 +373,126 @@ function handleTextSelection(e) {
  * Handle selection change
  */
 function handleSelectionChange() {
-  const selection = window.getSelection();
-  const selectedText = selection.toString().trim();
-
-  if (!selectedText || selectedText.length === 0) {
+  if (!getSelectedText()) {
     setTimeout(() => {
-      const sel = window.getSelection();
-      if (!sel || sel.toString().trim().length === 0) {
+      if (!getSelectedText()) {
         hideIcon();
       }
     }, 50);
   }
 }
 
+/**
+ * Read the selected text, including text selected in form fields
+ * window.getSelection() can't see into <textarea> and <input>, so the focused
+ * field is checked first
+ * @returns {{text: string, range: Range|null, field: Element|null}|null}
+ *   Selected text with its page range or the field holding it, or null if
+ *   nothing is selected
+ */
+function getSelectedText() {
+  const field = getFocusedTextField();
+  if (field) {
+    const text = field.value
+      .slice(field.selectionStart, field.selectionEnd)
+      .trim();
+    return text ? { text, range: null, field } : null;
+  }
+
+  const selection = window.getSelection();
+  if (!selection || !selection.rangeCount || selection.isCollapsed) {
+    return null;
+  }
+
+  const text = selection.toString().trim();
+  return text ? { text, range: selection.getRangeAt(0), field: null } : null;
+}
+
+/**
+ * Find the focused text field, looking inside open shadow roots
+ * @returns {HTMLTextAreaElement|HTMLInputElement|null} Field with a text
+ *   selection API, or null
+ */
+function getFocusedTextField() {
+  let element = document.activeElement;
+  while (element?.shadowRoot?.activeElement) {
+    element = element.shadowRoot.activeElement;
+  }
+
+  if (
+    !(element instanceof HTMLTextAreaElement) &&
+    !(element instanceof HTMLInputElement)
+  ) {
+    return null;
+  }
+
+  // Inputs such as checkboxes and numbers have no text selection
+  try {
+    return typeof element.selectionStart === "number" ? element : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Where the selected text is drawn on screen
+ * Fields don't expose that for their text, so the point where the mouse was
+ * released is used when it lies over the field
+ * @param {Object} selected - Selection from getSelectedText
+ * @returns {DOMRect} Rectangle in viewport coordinates
+ */
+function getSelectionRect(selected) {
+  if (selected.range) return selected.range.getBoundingClientRect();
+
+  const rect = selected.field.getBoundingClientRect();
+  if (
+    lastPointer &&
+    lastPointer.x >= rect.left &&
+    lastPointer.x <= rect.right &&
+    lastPointer.y >= rect.top &&
+    lastPointer.y <= rect.bottom
+  ) {
+    return new DOMRect(lastPointer.x, lastPointer.y - 10, 0, 20);
+  }
+  return rect;
+}
+
 /**
  * Show icon near the selection
  */
 function showIconForSelection() {
-  const selection = window.getSelection();
-  if (!selection.rangeCount) return;
+  const selected = getSelectedText();
+  if (!selected) return;
 
-  const range = selection.getRangeAt(0);
-  const rect = range.getBoundingClientRect();
+  const rect = getSelectionRect(selected);
 
   if (rect.width === 0 && rect.height === 0) return;
 
-  // Position icon at the end of selection
+  // Position icon at the end of selection; it is fixed to the viewport
   const iconWidth = 40;
   const iconHeight = 40;
   const offset = 8;
 
-  let left = rect.right + offset + window.scrollX;
-  let top = rect.top + window.scrollY - iconHeight / 2 + rect.height / 2;
+  let left = rect.right + offset;
+  let top = rect.top - iconHeight / 2 + rect.height / 2;
 
   // Keep icon within viewport
   const viewportWidth = window.innerWidth;
   const viewportHeight = window.innerHeight;
 
   // Adjust horizontal position if too far right
-  if (left + iconWidth > viewportWidth + window.scrollX) {
-    left = rect.left + window.scrollX - iconWidth - offset;
+  if (left + iconWidth > viewportWidth) {
+    left = Math.max(offset, rect.left - iconWidth - offset);
   }
 
   // Adjust vertical position if too far down
-  if (top + iconHeight > viewportHeight + window.scrollY) {
-    top = viewportHeight + window.scrollY - iconHeight - offset;
+  if (top + iconHeight > viewportHeight) {
+    top = viewportHeight - iconHeight - offset;
   }
 
   // Adjust vertical position if too far up
-  if (top < window.scrollY) {
-    top = window.scrollY + offset;
+  if (top < 0) {
+    top = offset;
   }
 
   selectionIcon.style.left = `${left}px`;
@@ -246,6 +505,11 @@ function showIconForSelection() {
   });
 }
 
+// Whether the icon is on screen
+function isIconVisible() {
+  return selectionIcon.classList.contains("quick-note-icon-visible");
+}
+
 /**
  * Hide the icon
  */
@@ -264,6 +528,9 @@ function showModal() {
   const includeUrlCheckbox = selectionModal.querySelector(
     "#quick-note-include-url"
   );
+  const commentInput = selectionModal.querySelector(
+    "#quick-note-comment-input"
+  );
 
   // Truncate long text
   const displayText =
@@ -272,13 +539,51 @@ function showModal() {
       : currentSelection;
 
   previewText.textContent = displayText;
+  commentInput.value = "";
   urlDisplay.textContent = currentUrl;
   includeUrlCheckbox.checked = true;
   urlDisplay.style.display = "block";
 
-  // Show modal
+  // Refresh the notebook picker
+  chrome.runtime.sendMessage({ action: "getNotebooks" }, (response) => {
+    if (!chrome.runtime.lastError && response?.success) {
+      populateNotebookSelect(response.notebooks);
+    }
+  });
+
+  // Reset tags and refresh suggestions
+  modalTagInput.setTags([]);
+  chrome.runtime.sendMessage({ action: "getTags" }, (response) => {
+    if (!chrome.runtime.lastError && response?.success) {
+      modalTagInput.setSuggestions(response.tags);
+    }
+  });
+
+  // Show modal, ready for a comment
   selectionModal.classList.remove("quick-note-modal-hidden");
   selectionModal.classList.add("quick-note-modal-visible");
+  commentInput.focus();
+}
+
+/**
+ * Fill the notebook picker, keeping the last used notebook selected
+ * @param {Array} notebooks - Notebooks, parents followed by children
+ */
+function populateNotebookSelect(notebooks) {
+  const select = selectionModal.querySelector("#quick-note-notebook-select");
+  select.innerHTML = `<option value="">Inbox</option>`;
+
+  notebooks.forEach((notebook) => {
+    const option = document.createElement("option");
+    option.value = notebook.id;
+    option.textContent = notebook.parentId
+      ? `\u00a0\u00a0\u00a0${notebook.name}`
+      : notebook.name;
+    select.appendChild(option);
+  });
+
+  const exists = notebooks.some((nb) => nb.id === lastNotebookId);
+  select.value = exists ? lastNotebookId : "";
 }
 
 /**
@@ -300,6 +605,9 @@ function hideModal() {
   setTimeout(() => {
     currentSelection = null;
     currentUrl = null;
+    currentAnchor = null;
+    currentMarkdown = null;
+    currentSource = null;
   }, 100);
 }
 
@@ -316,7 +624,64 @@ function handleIconClick(e) {
     return;
   }
 
-  // Hide icon and show modal
+  // Describe the selection now, before the modal can collapse it
+  currentAnchor = describeCurrentSelection();
+  currentMarkdown = captureSelectionMarkdown();
+  currentSource = captureSourceMetadata();
+
+  hideIcon();
+  if (settings?.quickSave) {
+    quickSaveSelection();
+  } else {
+    showModal();
+  }
+}
+
+/**
+ * Save the current selection straight away, without the modal
+ */
+async function quickSaveSelection() {
+  const anchor = currentAnchor;
+
+  try {
+    const { noteId } = await sendMessage({
+      action: "saveNote",
+      selection: currentMarkdown || currentSelection,
+      comment: "",
+      url: currentUrl,
+      anchor,
+      source: currentSource,
+      tags: [],
+      notebookId: lastNotebookId || null,
+    });
+    if (anchor && noteId) paintHighlight(noteId, anchor);
+    showSaveToast("✓ Saved to Notes");
+  } catch (error) {
+    console.error("Error saving note:", error);
+    showSaveToast("Couldn't save the note", true);
+  }
+
+  window.getSelection()?.removeAllRanges();
+  currentSelection = null;
+  currentUrl = null;
+  currentAnchor = null;
+  currentMarkdown = null;
+  currentSource = null;
+}
+
+/**
+ * Open the quick note modal for the current selection from a shortcut
+ */
+function openQuickNoteForSelection() {
+  const selected = getSelectedText();
+  if (!selected) return;
+
+  currentSelection = selected.text;
+  currentUrl = pageUrl();
+  currentAnchor = describeCurrentSelection();
+  currentMarkdown = captureSelectionMarkdown();
+  currentSource = captureSourceMetadata();
+
   hideIcon();
   showModal();
 }
@@ -325,9 +690,23 @@ function handleIconClick(e) {
  * Handle save from modal
  */
 async function handleSaveFromModal() {
-  // Capture values immediately
-  const textToSave = currentSelection;
+  // A save is already on its way (Ctrl+Enter doesn't go through the button)
+  const saveBtn = selectionModal.querySelector(".quick-note-save");
+  if (saveBtn.disabled) return;
+
+  // Capture values immediately, preferring the formatted selection
+  const textToSave = currentMarkdown || currentSelection;
   const urlToSave = currentUrl;
+  const anchorToSave = currentAnchor;
+  const sourceToSave = currentSource;
+  const commentToSave = selectionModal
+    .querySelector("#quick-note-comment-input")
+    .value.trim();
+  const tagsToSave = modalTagInput.getTags();
+  const notebookId = selectionModal.querySelector(
+    "#quick-note-notebook-select"
+  ).value;
+  lastNotebookId = notebookId;
   const includeUrl = selectionModal.querySelector(
     "#quick-note-include-url"
   ).checked;
@@ -340,37 +719,315 @@ async function handleSaveFromModal() {
     return;
   }
 
+  saveBtn.disabled = true;
+
   try {
+    const { noteId } = await sendMessage({
+      action: "saveNote",
+      selection: textToSave,
+      comment: commentToSave,
+      url: finalUrl,
+      anchor: includeUrl ? anchorToSave : null,
+      source: includeUrl ? sourceToSave : null,
+      tags: tagsToSave,
+      notebookId: notebookId || null,
+    });
+    if (includeUrl && anchorToSave && noteId) {
+      paintHighlight(noteId, anchorToSave);
+    }
+
     // Add success animation to modal
-    const saveBtn = selectionModal.querySelector(".quick-note-save");
     saveBtn.textContent = "✓ Saved!";
     saveBtn.style.background =
       "linear-gradient(135deg, #10b981 0%, #059669 100%)";
 
-    // Send message to background script to save note
-    chrome.runtime.sendMessage(
-      {
-        action: "saveNote",
-        text: textToSave,
-        url: finalUrl,
-      },
-      (response) => {
-        if (chrome.runtime.lastError) {
-          console.error("Error sending message:", chrome.runtime.lastError);
-        } else {
-          console.log("Note saved successfully", response);
-        }
-      }
-    );
-
     // Hide modal after short delay
     setTimeout(() => {
       hideModal();
       saveBtn.textContent = "Save Note";
       saveBtn.style.background = "";
+      saveBtn.disabled = false;
     }, 800);
   } catch (error) {
-    console.error("Error in handleSaveFromModal:", error);
+    // The modal stays open, so the comment isn't lost
+    console.error("Error saving note:", error);
+    saveBtn.disabled = false;
+    showSaveToast("Couldn't save the note", true);
+  }
+}
+
+/**
+ * Describe the current page selection as a durable anchor
+ * @returns {Object|null} Anchor, or null if nothing is selected
+ */
+function describeCurrentSelection() {
+  const selected = getSelectedText();
+  if (!selected?.range || !hasOwnAddress()) return null;
+
+  try {
+    return Anchoring.describeRange(selected.range);
+  } catch (error) {
+    console.error("Error describing selection:", error);
+    return null;
+  }
+}
+
+/**
+ * Convert the current page selection to Markdown, keeping its formatting
+ * @returns {string|null} Markdown, or null to fall back to plain text
+ */
+function captureSelectionMarkdown() {
+  // Text in form fields is plain text already
+  const selected = getSelectedText();
+  if (!selected?.range) return null;
+
+  try {
+    return HtmlToMarkdown.fromRange(selected.range) || null;
+  } catch (error) {
+    console.error("Error converting selection:", error);
+    return null;
+  }
+}
+
+/**
+ * Describe the page the selection was clipped from
+ * @returns {Object|null} Source metadata, or null if it can't be read
+ */
+function captureSourceMetadata() {
+  const selected = getSelectedText();
+  let range = selected?.range || null;
+  if (selected?.field) {
+    range = document.createRange();
+    range.selectNode(selected.field);
+  }
+
+  try {
+    return PageMetadata.extract(document, range);
+  } catch (error) {
+    console.error("Error reading page metadata:", error);
+    return null;
+  }
+}
+
+/**
+ * Setup listeners for saved highlights and selection requests
+ */
+function setupHighlightListeners() {
+  // Open the note when a highlight is clicked (not while selecting)
+  document.addEventListener("click", (e) => {
+    const highlight = e.target.closest?.(".quick-note-highlight");
+    if (!highlight) return;
+
+    const selection = window.getSelection();
+    if (selection && !selection.isCollapsed) return;
+
+    chrome.runtime.sendMessage({
+      action: "openNote",
+      noteId: highlight.dataset.noteId,
+    });
+  });
+
+  // The context menu and shortcuts ask for the details of a selection
+  // Requests sent to every frame are only answered by the focused one
+  chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.action === "describeSelection") {
+      if (request.focusedOnly && !isFocusedFrame()) return;
+
+      const anchor = describeCurrentSelection();
+      // The highlight is painted once the note shows up in storage
+      sendResponse({
+        text: getSelectedText()?.text || null,
+        url: pageUrl(),
+        anchor,
+        markdown: captureSelectionMarkdown(),
+        source: captureSourceMetadata(),
+      });
+    } else if (request.action === "openQuickNote") {
+      if (isFocusedFrame()) openQuickNoteForSelection();
+    } else if (request.action === "toggleSidebar") {
+      sidebar?.toggle();
+    } else if (request.action === "pickRegion") {
+      if (regionPicker) captureRegion();
+    } else if (request.action === "describeImage") {
+      sendResponse(describeImage(request.srcUrl));
+    }
+  });
+}
+
+/**
+ * Let the user pick a region of the page and save a screenshot of it
+ */
+async function captureRegion() {
+  if (regionPicker.isActive()) return;
+
+  hideIcon();
+  const rect = await regionPicker.pick();
+  if (!rect) return;
+
+  try {
+    await sendMessage({
+      action: "captureRegion",
+      rect,
+      viewport: { width: window.innerWidth, height: window.innerHeight },
+      url: pageUrl(),
+      source: PageMetadata.extract(document),
+    });
+  } catch (error) {
+    console.error("Error capturing region:", error);
+  }
+}
+
+/**
+ * Describe an image the context menu was opened on
+ * @param {string} srcUrl - URL of the image
+ * @returns {Object} { alt, url, source }
+ */
+function describeImage(srcUrl) {
+  const image = Array.from(document.images).find(
+    (img) => img.currentSrc === srcUrl || img.src === srcUrl
+  );
+
+  let source = null;
+  try {
+    let range = null;
+    if (image) {
+      range = document.createRange();
+      range.selectNode(image);
+    }
+    source = PageMetadata.extract(document, range);
+  } catch (error) {
+    console.error("Error reading page metadata:", error);
+  }
+
+  return {
+    alt: image?.alt.trim() || image?.title.trim() || null,
+    url: pageUrl(),
+    source,
+  };
+}
+
+/**
+ * Load notes saved from this page and highlight their selections
+ * Anchors that can't be found anymore are reported as orphaned
+ */
+function loadHighlights() {
+  chrome.runtime.sendMessage(
+    { action: "getNotesForUrl", url: window.location.href },
+    (response) => {
+      if (chrome.runtime.lastError || !response?.success) return;
+
+      const status = {};
+      response.notes.forEach((note) => {
+        status[note.id] = !paintHighlight(note.id, note.anchor);
+      });
+
+      if (Object.keys(status).length > 0) {
+        chrome.runtime.sendMessage({ action: "setOrphanedState", status });
+      }
+    }
+  );
+}
+
+/**
+ * Keep highlights in step with notes saved, edited or deleted elsewhere
+ */
+function watchNoteChanges() {
+  const isOnPage = (note) =>
+    Boolean(note) &&
+    !note.deletedAt &&
+    Boolean(note.anchor) &&
+    StorageKeys.normalizeUrl(note.url) ===
+      StorageKeys.normalizeUrl(window.location.href);
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== "local") return;
+
+    const noteKeys = Object.keys(changes).filter((key) =>
+      key.startsWith(StorageKeys.NOTE_PREFIX)
+    );
+    if (noteKeys.length && sidebar?.isOpen()) sidebar.refresh();
+
+    Object.entries(changes).forEach(([key, { oldValue, newValue }]) => {
+      if (!key.startsWith(StorageKeys.NOTE_PREFIX)) return;
+
+      const noteId = key.slice(StorageKeys.NOTE_PREFIX.length);
+      const wasShown = isOnPage(oldValue);
+      const isShown = isOnPage(newValue);
+
+      if (
+        wasShown &&
+        (!isShown ||
+          JSON.stringify(oldValue.anchor) !== JSON.stringify(newValue.anchor))
+      ) {
+        Anchoring.removeHighlights(noteId);
+      }
+      if (isShown) paintHighlight(noteId, newValue.anchor);
+    });
+  });
+}
+
+/**
+ * Check whether the user is working in this frame rather than a frame in it
+ * @returns {boolean} True if this document has focus itself
+ */
+function isFocusedFrame() {
+  const active = document.activeElement;
+  return (
+    document.hasFocus() &&
+    !(active instanceof HTMLIFrameElement) &&
+    !(active instanceof HTMLFrameElement)
+  );
+}
+
+/**
+ * Check whether this frame has an address of its own
+ * about:blank and srcdoc frames are written by the page that embeds them
+ * @returns {boolean} True unless this is an about: frame
+ */
+function hasOwnAddress() {
+  return window.location.protocol !== "about:";
+}
+
+/**
+ * URL that notes taken in this frame are saved under
+ * @returns {string} This frame's URL, or that of the nearest embedding page
+ *   for frames without an address of their own
+ */
+function pageUrl() {
+  let frame = window;
+  try {
+    while (frame.location.protocol === "about:" && frame !== frame.parent) {
+      frame = frame.parent;
+    }
+    return frame.location.href;
+  } catch {
+    // An embedding page from another origin can't be read
+    return window.location.href;
+  }
+}
+
+/**
+ * Highlight a note's anchor on the page
+ * @param {string} noteId - ID of the note
+ * @param {Object} anchor - Anchor to locate
+ * @returns {boolean} True if the anchor was found
+ */
+function paintHighlight(noteId, anchor) {
+  // Already painted
+  const selector = `.quick-note-highlight[data-note-id="${noteId}"]`;
+  if (document.querySelector(selector)) {
+    return true;
+  }
+
+  try {
+    const range = Anchoring.anchor(anchor);
+    if (!range) return false;
+
+    Anchoring.highlightRange(range, noteId);
+    return true;
+  } catch (error) {
+    console.error("Error painting highlight:", error);
+    return false;
   }
 }
 
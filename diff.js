@@ -0,0 +1,163 @@
+/**
+ * Text Diff - Word-level differences between two versions of a note
+ * Uses Myers' O(ND) algorithm on word, whitespace and punctuation tokens
+ */
+const TextDiff = {
+  // Beyond this many edits the versions are shown as fully replaced
+  MAX_EDITS: 2000,
+
+  /**
+   * Diff two texts word by word
+   * @param {string} before - Old text
+   * @param {string} after - New text
+   * @returns {Array<{type: string, text: string}>} Runs of "equal",
+   *   "insert" and "delete" text, in order
+   */
+  diffWords(before, after) {
+    const a = this.tokenize(before);
+    const b = this.tokenize(after);
+
+    // Most edits touch a small part, so skip the common prefix and suffix
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+      start++;
+    }
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--;
+      endB--;
+    }
+
+    const runs = [];
+    const push = (type, text) => {
+      const last = runs[runs.length - 1];
+      if (last && last.type === type) {
+        last.text += text;
+      } else {
+        runs.push({ type, text });
+      }
+    };
+
+    a.slice(0, start).forEach((token) => push("equal", token));
+    this.myers(a.slice(start, endA), b.slice(start, endB)).forEach(
+      ([type, token]) => push(type, token)
+    );
+    a.slice(endA).forEach((token) => push("equal", token));
+
+    return runs;
+  },
+
+  /**
+   * Split text into words, runs of whitespace and single punctuation marks
+   * @param {string} text - Text to split
+   * @returns {Array<string>} Tokens that join back into the text
+   */
+  tokenize(text) {
+    return (
+      String(text || "").match(/\s+|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu) || []
+    );
+  },
+
+  /**
+   * Shortest edit script between two token lists
+   * @param {Array<string>} a - Old tokens
+   * @param {Array<string>} b - New tokens
+   * @returns {Array<[string, string]>} [type, token] pairs
+   */
+  myers(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const max = n + m;
+    if (max === 0) return [];
+
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    for (let d = 0; d <= max; d++) {
+      if (d > this.MAX_EDITS) {
+        return [
+          ...a.map((token) => ["delete", token]),
+          ...b.map((token) => ["insert", token]),
+        ];
+      }
+
+      // Only diagonals -d-1..d+1 are read when backtracking from this step
+      const low = Math.max(0, max - d - 1);
+      trace.push({ low, values: v.slice(low, max + d + 2) });
+
+      for (let k = -d; k <= d; k += 2) {
+        let x =
+          k === -d || (k !== d && v[max + k - 1] < v[max + k + 1])
+            ? v[max + k + 1]
+            : v[max + k - 1] + 1;
+        let y = x - k;
+
+        while (x < n && y < m && a[x] === b[y]) {
+          x++;
+          y++;
+        }
+        v[max + k] = x;
+
+        if (x >= n && y >= m) return this.backtrack(trace, a, b, max);
+      }
+    }
+
+    return [];
+  },
+
+  backtrack(trace, a, b, max) {
+    const edits = [];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = trace.length - 1; d >= 0; d--) {
+      const { low, values } = trace[d];
+      const at = (k) => values[max + k - low];
+      const k = x - y;
+
+      const prevK =
+        k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+      const prevX = d === 0 ? 0 : at(prevK);
+      const prevY = prevX - prevK;
+
+      while (x > prevX && y > prevY) {
+        edits.push(["equal", a[x - 1]]);
+        x--;
+        y--;
+      }
+
+      if (d > 0) {
+        if (x === prevX) {
+          edits.push(["insert", b[y - 1]]);
+        } else {
+          edits.push(["delete", a[x - 1]]);
+        }
+      }
+
+      x = prevX;
+      y = prevY;
+    }
+
+    return edits.reverse();
+  },
+
+  /**
+   * Render diff runs as HTML with <ins> and <del> marks
+   * @param {Array<{type: string, text: string}>} runs - Diff runs
+   * @returns {string} HTML
+   */
+  toHtml(runs) {
+    return runs
+      .map(({ type, text }) => {
+        const escaped = text
+          .replace(/&/g, "&amp;")
+          .replace(/</g, "&lt;")
+          .replace(/>/g, "&gt;");
+        if (type === "insert") return `<ins>${escaped}</ins>`;
+        if (type === "delete") return `<del>${escaped}</del>`;
+        return escaped;
+      })
+      .join("");
+  },
+};
@@ -0,0 +1,342 @@
+/**
+ * Note Exporter - Serializes notes to Markdown, JSON, CSV and HTML
+ * The JSON format is versioned and lossless so it can be imported again.
+ * Images are embedded as data URLs, except in CSV
+ */
+const NoteExporter = {
+  FORMAT_ID: "web-note-export",
+  FORMAT_VERSION: 3,
+
+  FORMATS: {
+    markdown: { extension: "md", mimeType: "text/markdown" },
+    json: { extension: "json", mimeType: "application/json" },
+    csv: { extension: "csv", mimeType: "text/csv" },
+    html: { extension: "html", mimeType: "text/html" },
+  },
+
+  CSV_COLUMNS: [
+    "id",
+    "selection",
+    "comment",
+    "url",
+    "tags",
+    "createdAt",
+    "updatedAt",
+  ],
+
+  /**
+   * Serialize notes to a format
+   * @param {Array} notes - Notes to export
+   * @param {string} format - One of markdown, json, csv, html
+   * @param {Array} notebooks - Notebooks, included in JSON exports (optional)
+   * @param {Object} images - Data URL by image ID, for image notes (optional)
+   * @returns {string} Serialized notes
+   */
+  serialize(notes, format, notebooks = [], images = {}) {
+    switch (format) {
+      case "markdown":
+        return this.toMarkdown(notes, images);
+      case "json":
+        return this.toJSON(notes, notebooks, images);
+      case "csv":
+        return this.toCSV(notes);
+      case "html":
+        return this.toHTML(notes, images);
+      default:
+        throw new Error(`Unknown export format: ${format}`);
+    }
+  },
+
+  /**
+   * Lossless, versioned JSON export
+   * Includes the notebooks the notes live in (and their parents), and the
+   * images of image notes
+   * @param {Array} notes - Notes to export
+   * @param {Array} notebooks - All notebooks (optional)
+   * @param {Object} images - Data URL by image ID (optional)
+   * @returns {string} JSON document
+   */
+  toJSON(notes, notebooks = [], images = {}) {
+    const used = new Set(notes.map((n) => n.notebookId).filter(Boolean));
+    notebooks.forEach((nb) => {
+      if (used.has(nb.id) && nb.parentId) used.add(nb.parentId);
+    });
+
+    return JSON.stringify(
+      {
+        format: this.FORMAT_ID,
+        version: this.FORMAT_VERSION,
+        exportedAt: new Date().toISOString(),
+        notebooks: notebooks.filter((nb) => used.has(nb.id)),
+        notes,
+        images: this.usedImages(notes, images),
+      },
+      null,
+      2
+    );
+  },
+
+  /**
+   * Markdown grouped by source page, with links
+   * The clipped selection is a quote block and the comment follows it as
+   * plain text
+   * @param {Array} notes - Notes to export
+   * @param {Object} images - Data URL by image ID (optional)
+   * @returns {string} Markdown document
+   */
+  toMarkdown(notes, images = {}) {
+    const lines = [
+      "# Web Notes",
+      "",
+      `_Exported ${this.formatDate(Date.now())}_`,
+    ];
+
+    this.groupBySource(notes).forEach(({ url, title, notes: group }) => {
+      lines.push("");
+      lines.push(this.markdownHeading(url, title));
+
+      group.forEach((note) => {
+        if (note.image && images[note.image.id]) {
+          const alt = (note.image.alt || "Image").replace(/[[\]]/g, "");
+          lines.push("");
+          lines.push(`![${alt}](${images[note.image.id]})`);
+        }
+        if (note.selection) {
+          lines.push("");
+          note.selection.split("\n").forEach((line) => {
+            lines.push(line ? `> ${line}` : ">");
+          });
+        }
+        if (note.comment) {
+          lines.push("");
+          lines.push(note.comment);
+        }
+        lines.push("");
+
+        const meta = [this.formatDate(note.createdAt)];
+        if ((note.tags || []).length) {
+          meta.push(note.tags.map((t) => `#${t}`).join(" "));
+        }
+        lines.push(`— ${meta.join(" · ")}`);
+      });
+    });
+
+    return lines.join("\n") + "\n";
+  },
+
+  /**
+   * CSV with one row per note (RFC 4180 quoting)
+   * @param {Array} notes - Notes to export
+   * @returns {string} CSV document
+   */
+  toCSV(notes) {
+    const rows = [this.CSV_COLUMNS];
+
+    notes.forEach((note) => {
+      rows.push([
+        note.id,
+        note.selection,
+        note.comment,
+        note.url || "",
+        (note.tags || []).join(", "),
+        new Date(note.createdAt).toISOString(),
+        new Date(note.updatedAt).toISOString(),
+      ]);
+    });
+
+    return rows
+      .map((row) => row.map((value) => this.csvCell(value)).join(","))
+      .join("\r\n");
+  },
+
+  /**
+   * Standalone HTML page with inline styles
+   * @param {Array} notes - Notes to export
+   * @param {Object} images - Data URL by image ID (optional)
+   * @returns {string} HTML document
+   */
+  toHTML(notes, images = {}) {
+    const sections = this.groupBySource(notes)
+      .map(({ url, title, notes: group }) => {
+        let heading = "Other notes";
+        if (url && this.isWebUrl(url)) {
+          heading = `<a href="${this.escapeHtml(url)}">${this.escapeHtml(
+            title || this.getHost(url)
+          )}</a>`;
+        } else if (url) {
+          heading = this.escapeHtml(url);
+        }
+
+        const items = group
+          .map((note) => {
+            const tags = (note.tags || [])
+              .map((t) => `<span class="tag">#${this.escapeHtml(t)}</span>`)
+              .join(" ");
+
+            const figure =
+              note.image && images[note.image.id]
+                ? `
+        <figure><img src="${images[note.image.id]}" alt="${this.escapeHtml(
+                    note.image.alt || ""
+                  )}"></figure>`
+                : "";
+            const quote = note.selection
+              ? `
+        <blockquote>${MarkdownRenderer.render(note.selection)}</blockquote>`
+              : "";
+            const comment = note.comment
+              ? `
+        <div class="comment">${MarkdownRenderer.render(note.comment)}</div>`
+              : "";
+
+            return `
+      <article>${figure}${quote}${comment}
+        <p class="meta">${this.formatDate(note.createdAt)} ${tags}</p>
+      </article>`;
+          })
+          .join("");
+
+        return `
+    <section>
+      <h2>${heading}</h2>${items}
+    </section>`;
+      })
+      .join("");
+
+    return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>Web Notes</title>
+    <style>
+      body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 760px; margin: 40px auto; padding: 0 20px; color: #1a1a1a; }
+      h2 { font-size: 18px; border-bottom: 1px solid #e9ecef; padding-bottom: 6px; margin-top: 32px; }
+      a { color: #4F7AF7; }
+      blockquote { margin: 0; padding: 8px 14px; border-left: 3px solid #4F7AF7; background: #f8f9fa; }
+      blockquote > :first-child { margin-top: 0; }
+      blockquote > :last-child { margin-bottom: 0; }
+      .comment { margin-top: 8px; }
+      .comment > :first-child { margin-top: 0; }
+      .comment > :last-child { margin-bottom: 0; }
+      figure { margin: 0 0 8px; }
+      figure img { max-width: 100%; height: auto; border: 1px solid #e9ecef; border-radius: 6px; }
+      pre { background: #fff; padding: 8px; overflow-x: auto; }
+      table { border-collapse: collapse; }
+      th, td { border: 1px solid #e9ecef; padding: 4px 8px; }
+      .meta { font-size: 12px; color: #6c757d; margin: 6px 0 18px; }
+      .tag { color: #4F7AF7; }
+    </style>
+  </head>
+  <body>
+    <h1>Web Notes</h1>
+    <p class="meta">Exported ${this.formatDate(Date.now())}</p>${sections}
+  </body>
+</html>
+`;
+  },
+
+  /**
+   * Serialize notes and download them as a file
+   * @param {Array} notes - Notes to export
+   * @param {string} format - One of markdown, json, csv, html
+   * @param {Array} notebooks - Notebooks, included in JSON exports (optional)
+   * @param {Object} images - Data URL by image ID (optional)
+   */
+  download(notes, format, notebooks = [], images = {}) {
+    const { extension, mimeType } = this.FORMATS[format];
+    const content = this.serialize(notes, format, notebooks, images);
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const date = new Date().toISOString().slice(0, 10);
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `web-notes-${date}.${extension}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the download a moment to start before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  },
+
+  /**
+   * Pick the images the notes refer to
+   * @param {Array} notes - Notes being exported
+   * @param {Object} images - Data URL by image ID
+   * @returns {Object} Data URL by image ID, for these notes only
+   */
+  usedImages(notes, images) {
+    const used = {};
+    notes.forEach((note) => {
+      const id = note.image?.id;
+      if (id && images[id]) used[id] = images[id];
+    });
+    return used;
+  },
+
+  /**
+   * Group notes by source URL, keeping the first-seen order
+   * @param {Array} notes - Notes to group
+   * @returns {Array<{url: string|null, title: string|null, notes: Array}>}
+   *   Groups, titled by the first captured page title
+   */
+  groupBySource(notes) {
+    const groups = new Map();
+
+    notes.forEach((note) => {
+      const key = note.url || null;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(note);
+    });
+
+    // Notes without a source go last
+    return Array.from(groups, ([url, group]) => ({
+      url,
+      title: group.find((note) => note.source?.title)?.source.title || null,
+      notes: group,
+    })).sort((a, b) => (a.url === null) - (b.url === null));
+  },
+
+  markdownHeading(url, title = null) {
+    if (!url) return "## Other notes";
+    if (!this.isWebUrl(url)) return `## ${url}`;
+    const label = (title || this.getHost(url)).replace(/[[\]]/g, "");
+    return `## [${label}](<${url}>)`;
+  },
+
+  // Only link http(s) sources; anything else is written out as text
+  isWebUrl(url) {
+    return /^https?:\/\//i.test(url);
+  },
+
+  csvCell(value) {
+    const text = String(value ?? "");
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  },
+
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  },
+
+  formatDate(timestamp) {
+    return new Date(timestamp).toLocaleDateString("en-US", {
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+    });
+  },
+
+  getHost(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, "");
+    } catch {
+      return url;
+    }
+  },
+};
@@ -0,0 +1,486 @@
+/**
+ * HTML to Markdown - Converts a page selection into Markdown for storage
+ * The selected range is cloned, sanitized and then walked node by node, so
+ * code blocks, lists, tables and links keep their structure
+ */
+const HtmlToMarkdown = {
+  // Dropped together with their content
+  REMOVED_SELECTOR: [
+    "script",
+    "style",
+    "noscript",
+    "template",
+    "iframe",
+    "object",
+    "embed",
+    "link",
+    "meta",
+    "svg",
+    "canvas",
+    "video",
+    "audio",
+    "button",
+    "select",
+    "textarea",
+    'input:not([type="checkbox"])',
+    "[hidden]",
+    '[aria-hidden="true"]',
+    "#quick-note-root",
+  ].join(", "),
+
+  // Everything else (event handlers, styles, data-* and tracking
+  // attributes such as ping) is stripped
+  KEPT_ATTRIBUTES: {
+    A: ["href"],
+    IMG: ["alt"],
+    INPUT: ["type", "checked"],
+    OL: ["start"],
+  },
+
+  LINK_PROTOCOLS: ["http:", "https:", "mailto:"],
+  IMAGE_PROTOCOLS: ["http:", "https:"],
+
+  // Ancestors cloned around a selection that lies entirely inside them
+  CONTEXT_TAGS: new Set(["TABLE", "THEAD", "TBODY", "TFOOT", "TR", "UL", "OL"]),
+
+  BLOCK_TAGS: new Set([
+    "ADDRESS",
+    "ARTICLE",
+    "ASIDE",
+    "DETAILS",
+    "DIV",
+    "DL",
+    "DT",
+    "DD",
+    "FIGCAPTION",
+    "FIGURE",
+    "FOOTER",
+    "FORM",
+    "HEADER",
+    "MAIN",
+    "NAV",
+    "SECTION",
+    "SUMMARY",
+  ]),
+
+  /**
+   * Convert a DOM range to Markdown
+   * @param {Range} range - Selected range
+   * @param {string} baseUrl - URL relative links resolve against (optional)
+   * @returns {string} Markdown, empty if the range has no content
+   */
+  fromRange(range, baseUrl = document.baseURI) {
+    const fragment = this.withContext(
+      range.cloneContents(),
+      range.commonAncestorContainer
+    );
+    this.sanitize(fragment, baseUrl);
+    return this.convert(fragment);
+  },
+
+  /**
+   * Wrap a cloned fragment in the structural elements it was cut out of
+   * Selecting a few lines of a code block or some rows of a table otherwise
+   * loses the <pre> or <table> that gives them meaning
+   * @param {DocumentFragment} fragment - Cloned range contents
+   * @param {Node} ancestor - Common ancestor of the range
+   * @returns {DocumentFragment} Fragment with its context restored
+   */
+  withContext(fragment, ancestor) {
+    let root = fragment;
+    let node =
+      ancestor.nodeType === Node.ELEMENT_NODE
+        ? ancestor
+        : ancestor.parentElement;
+    let insideItem = false;
+
+    while (node && node !== document.body) {
+      const tag = node.tagName;
+      // Part of a single cell or list item is just text
+      if (tag === "TD" || tag === "TH" || tag === "LI") insideItem = true;
+
+      if (
+        tag === "PRE" ||
+        tag === "CODE" ||
+        (!insideItem && this.CONTEXT_TAGS.has(tag))
+      ) {
+        const wrapper = node.cloneNode(false);
+        if (tag === "PRE") {
+          // The language often lives on a wrapper that isn't cloned
+          const language = this.detectLanguage(node);
+          if (language) wrapper.setAttribute("data-lang", language);
+        }
+        wrapper.appendChild(root);
+        root = wrapper;
+      }
+      node = node.parentElement;
+    }
+
+    if (root === fragment) return fragment;
+
+    const wrapped = document.createDocumentFragment();
+    wrapped.appendChild(root);
+    return wrapped;
+  },
+
+  /**
+   * Remove unsafe elements and attributes in place
+   * Links and images are resolved against the page so they keep working
+   * @param {DocumentFragment} root - Fragment to sanitize
+   * @param {string} baseUrl - URL relative links resolve against
+   */
+  sanitize(root, baseUrl) {
+    root.querySelectorAll(this.REMOVED_SELECTOR).forEach((el) => el.remove());
+
+    // Read languages first: they may come from a parent's class
+    const languages = new Map();
+    root.querySelectorAll("pre, code").forEach((el) => {
+      languages.set(el, this.detectLanguage(el));
+    });
+
+    root.querySelectorAll("*").forEach((el) => {
+      const tag = el.tagName.toUpperCase();
+      const kept = {};
+
+      (this.KEPT_ATTRIBUTES[tag] || []).forEach((name) => {
+        if (el.hasAttribute(name)) kept[name] = el.getAttribute(name);
+      });
+
+      if (tag === "A") {
+        kept.href = this.resolveUrl(
+          el.getAttribute("href"),
+          baseUrl,
+          this.LINK_PROTOCOLS
+        );
+      } else if (tag === "IMG") {
+        // Lazy-loaded images keep the real URL in data-src or srcset
+        const src =
+          el.getAttribute("src") ||
+          el.getAttribute("data-src") ||
+          (el.getAttribute("srcset") || "").trim().split(/\s+/)[0];
+        kept.src = this.resolveUrl(src, baseUrl, this.IMAGE_PROTOCOLS);
+      } else if (tag === "PRE" || tag === "CODE") {
+        const language = languages.get(el);
+        if (language) kept.class = `language-${language}`;
+      } else if (tag === "TD" || tag === "TH") {
+        const align = (
+          el.getAttribute("align") ||
+          el.style.textAlign ||
+          ""
+        ).toLowerCase();
+        if (["left", "center", "right"].includes(align)) kept.align = align;
+      }
+
+      Array.from(el.attributes).forEach((attr) => {
+        el.removeAttribute(attr.name);
+      });
+      Object.entries(kept).forEach(([name, value]) => {
+        if (value !== null && value !== undefined) el.setAttribute(name, value);
+      });
+    });
+  },
+
+  /**
+   * Find the language of a code block from common highlighter conventions
+   * (language-x, lang-x, highlight-source-x, brush: x, data-lang)
+   * @param {Element} el - <pre> or <code> element
+   * @returns {string|null} Lowercase language name
+   */
+  detectLanguage(el) {
+    const candidates = [el, el.querySelector("code"), el.parentElement];
+
+    for (const candidate of candidates) {
+      if (!candidate || !candidate.getAttribute) continue;
+
+      const data =
+        candidate.getAttribute("data-lang") ||
+        candidate.getAttribute("data-language");
+      const match = data
+        ? [null, data]
+        : (candidate.getAttribute("class") || "").match(
+            /(?:^|\s)(?:lang(?:uage)?-|highlight-source-|brush:\s*)([\w+#.-]+)/i
+          );
+
+      if (match) return match[1].toLowerCase();
+    }
+
+    return null;
+  },
+
+  resolveUrl(value, baseUrl, protocols) {
+    if (!value) return null;
+    try {
+      const url = new URL(value.trim(), baseUrl);
+      return protocols.includes(url.protocol) ? url.href : null;
+    } catch {
+      return null;
+    }
+  },
+
+  /**
+   * Convert a sanitized fragment to Markdown
+   * @param {Node} root - Fragment or element
+   * @returns {string} Markdown
+   */
+  convert(root) {
+    return this.convertChildren(root, { listDepth: 0, inTable: false })
+      .replace(/^[ \t]+$/gm, "")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim();
+  },
+
+  convertChildren(node, ctx) {
+    return Array.from(node.childNodes)
+      .map((child) => this.convertNode(child, ctx))
+      .join("");
+  },
+
+  /**
+   * Convert a single node
+   * Block elements are surrounded by blank lines that convert() collapses
+   * @param {Node} node - Node to convert
+   * @param {Object} ctx - { listDepth, inTable }
+   * @returns {string} Markdown
+   */
+  convertNode(node, ctx) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return this.escapeText(node.nodeValue.replace(/\s+/g, " "));
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return "";
+
+    const tag = node.tagName.toUpperCase();
+    const content = () => this.convertChildren(node, ctx);
+
+    switch (tag) {
+      case "H1":
+      case "H2":
+      case "H3":
+      case "H4":
+      case "H5":
+      case "H6": {
+        const text = this.singleLine(content());
+        if (!text) return "";
+        if (ctx.inTable) return text;
+        return `\n\n${"#".repeat(Number(tag[1]))} ${text}\n\n`;
+      }
+      case "BR":
+        return ctx.inTable ? " " : "\n";
+      case "HR":
+        return ctx.inTable ? "" : "\n\n---\n\n";
+      case "STRONG":
+      case "B":
+        return this.wrapInline(content(), "**");
+      case "EM":
+      case "I":
+        return this.wrapInline(content(), "_");
+      case "DEL":
+      case "S":
+      case "STRIKE":
+        return this.wrapInline(content(), "~~");
+      case "CODE":
+        return this.inlineCode(node.textContent);
+      case "PRE":
+        return this.codeBlock(node, ctx);
+      case "A":
+        return this.link(node, content());
+      case "IMG":
+        return this.image(node);
+      case "INPUT":
+        return node.hasAttribute("checked") ? "[x] " : "[ ] ";
+      case "UL":
+      case "OL":
+        return this.list(node, ctx);
+      case "BLOCKQUOTE":
+        return this.blockquote(content(), ctx);
+      case "TABLE":
+        return this.table(node, ctx);
+      case "P": {
+        const text = content()
+          .split("\n")
+          .map((line) => line.trim())
+          .join("\n")
+          .trim();
+        return ctx.inTable ? text : `\n\n${text}\n\n`;
+      }
+      default:
+        if (this.BLOCK_TAGS.has(tag) && !ctx.inTable) {
+          return `\n\n${content()}\n\n`;
+        }
+        return content();
+    }
+  },
+
+  wrapInline(text, marker) {
+    if (!text.trim()) return text;
+    // Emphasis markers must hug the text, so move spaces outside them
+    const [, before, inner, after] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return `${before}${marker}${inner}${marker}${after}`;
+  },
+
+  inlineCode(text) {
+    const code = text.replace(/\s+/g, " ");
+    if (!code.trim()) return code;
+
+    // Use a fence longer than any run of backticks inside
+    const longest = Math.max(
+      0,
+      ...(code.match(/`+/g) || []).map((run) => run.length)
+    );
+    const ticks = "`".repeat(longest + 1);
+    const pad = /^`|`$/.test(code) ? " " : "";
+    return `${ticks}${pad}${code}${pad}${ticks}`;
+  },
+
+  codeBlock(node, ctx) {
+    const code = node.textContent.replace(/\n$/, "");
+    if (ctx.inTable) return this.inlineCode(code);
+
+    const language = this.detectLanguage(node) || "";
+    const fence = /^\s*```/m.test(code) ? "~~~" : "```";
+    const block = `${fence}${language}\n${code}\n${fence}`;
+    return `\n\n${block}\n\n`;
+  },
+
+  link(node, label) {
+    const href = node.getAttribute("href");
+    const text = label.trim();
+    if (!href) return label;
+    if (!text) return "";
+
+    // Parentheses would end the Markdown link early
+    const url = href.replace(/\(/g, "%28").replace(/\)/g, "%29");
+    if (text === this.escapeText(href)) return `<${url}>`;
+    return `[${this.singleLine(text)}](${url})`;
+  },
+
+  image(node) {
+    const src = node.getAttribute("src");
+    const alt = (node.getAttribute("alt") || "").replace(/[[\]]/g, "");
+    if (!src) return this.escapeText(alt);
+    return `![${alt}](${src.replace(/\(/g, "%28").replace(/\)/g, "%29")})`;
+  },
+
+  list(node, ctx) {
+    const ordered = node.tagName.toUpperCase() === "OL";
+    let number = parseInt(node.getAttribute("start"), 10);
+    if (Number.isNaN(number)) number = 1;
+
+    const itemCtx = { ...ctx, listDepth: ctx.listDepth + 1 };
+    const items = Array.from(node.children)
+      .filter((child) => child.tagName.toUpperCase() === "LI")
+      .map((li) => {
+        const marker = ordered ? `${number++}. ` : "- ";
+        const body = this.convertChildren(li, itemCtx)
+          .replace(/\n{3,}/g, "\n\n")
+          .trim()
+          .replace(/^(\[[ x]\]) +/, "$1 ");
+        if (ctx.inTable) return `${marker}${this.singleLine(body)}`;
+
+        // Continuation lines are indented under the marker
+        const indent = " ".repeat(marker.length);
+        return (
+          marker +
+          body
+            .split("\n")
+            .map((line, i) => (i === 0 || !line ? line : indent + line))
+            .join("\n")
+        );
+      });
+
+    if (items.length === 0) return "";
+    if (ctx.inTable) return `${items.join("; ")} `;
+    // Nested lists stay tight against their parent item
+    return ctx.listDepth > 0
+      ? `\n${items.join("\n")}\n`
+      : `\n\n${items.join("\n")}\n\n`;
+  },
+
+  blockquote(text, ctx) {
+    const body = text.replace(/\n{3,}/g, "\n\n").trim();
+    if (!body) return "";
+    if (ctx.inTable) return this.singleLine(body);
+
+    const quoted = body
+      .split("\n")
+      .map((line) => (line.trim() ? `> ${line}` : ">"))
+      .join("\n");
+    return `\n\n${quoted}\n\n`;
+  },
+
+  /**
+   * Convert a table to a Markdown table
+   * The first row becomes the header, since Markdown tables require one
+   * @param {HTMLTableElement} node - Table element
+   * @param {Object} ctx - Conversion context
+   * @returns {string} Markdown
+   */
+  table(node, ctx) {
+    const cellCtx = { ...ctx, inTable: true };
+    const rows = Array.from(node.querySelectorAll("tr"))
+      .filter((tr) => tr.closest("table") === node)
+      .map((tr) =>
+        Array.from(tr.children)
+          .filter((cell) => /^T[DH]$/i.test(cell.tagName))
+          .map((cell) => ({
+            text: this.singleLine(this.convertChildren(cell, cellCtx)).replace(
+              /(?<!\\)\|/g,
+              "\\|"
+            ),
+            align: cell.getAttribute("align"),
+          }))
+      )
+      .filter((row) => row.length > 0);
+
+    if (rows.length === 0) return "";
+    if (ctx.inTable) {
+      return rows.map((row) => row.map((c) => c.text).join(" ")).join(" ");
+    }
+
+    const columns = Math.max(...rows.map((row) => row.length));
+    const line = (cells) => `| ${cells.join(" | ")} |`;
+    const pad = (row) =>
+      Array.from({ length: columns }, (_, i) => (row[i] ? row[i].text : ""));
+
+    const separator = Array.from({ length: columns }, (_, i) => {
+      const align = rows[0][i]?.align || rows[1]?.[i]?.align;
+      if (align === "center") return ":---:";
+      if (align === "right") return "---:";
+      if (align === "left") return ":---";
+      return "---";
+    });
+
+    const [header, ...body] = rows;
+    const lines = [line(pad(header)), line(separator)];
+    body.forEach((row) => lines.push(line(pad(row))));
+
+    const caption = node.querySelector("caption");
+    const title = caption
+      ? `${this.singleLine(this.convertChildren(caption, cellCtx))}\n\n`
+      : "";
+    return `\n\n${title}${lines.join("\n")}\n\n`;
+  },
+
+  singleLine(text) {
+    return text.replace(/\s*\n+\s*/g, " ").trim();
+  },
+
+  /**
+   * Escape characters Markdown would read as formatting
+   * @param {string} text - Plain text
+   * @returns {string} Escaped text
+   */
+  escapeText(text) {
+    return (
+      text
+        .replace(/[\\`*[\]]/g, "\\$&")
+        .replace(/~~/g, "\\~\\~")
+        // Underscores inside words never start emphasis
+        .replace(/(^|\W)_|_(?=\W|$)/g, (match, before) =>
+          before === undefined ? "\\_" : `${before}\\_`
+        )
+        // Text that would start a heading, quote or list item
+        .replace(/^(\s*)([#>+-])(?=\s)/, "$1\\$2")
+        .replace(/^(\s*\d+)([.)])(?=\s)/, "$1\\$2")
+    );
+  },
+};
@@ -0,0 +1,233 @@
+/**
+ * Image Store - Image blobs for image notes, kept in IndexedDB
+ * Notes only carry a small { id, type, width, height, alt } reference, so
+ * chrome.storage stays small and fast. Each image is stored with a thumbnail
+ * for the popup list. Shared by the service worker and the popup
+ */
+const ImageStore = {
+  DB_NAME: "web-notes-images",
+  DB_VERSION: 2,
+  STORE: "images",
+  // Index of when images were stored, which lists them without their blobs
+  CREATED_INDEX: "createdAt",
+
+  // Longest side of thumbnails, in pixels
+  THUMBNAIL_SIZE: 480,
+  THUMBNAIL_TYPE: "image/webp",
+  THUMBNAIL_QUALITY: 0.8,
+
+  // Database connection, opened on first use
+  connection: null,
+
+  /**
+   * Open the database, creating the object store and its index on first use
+   * @returns {Promise<IDBDatabase>} Database
+   */
+  open() {
+    if (!this.connection) {
+      this.connection = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+        request.onupgradeneeded = ({ oldVersion }) => {
+          const store =
+            oldVersion < 1
+              ? request.result.createObjectStore(this.STORE, { keyPath: "id" })
+              : request.transaction.objectStore(this.STORE);
+          if (oldVersion < 2) {
+            store.createIndex(this.CREATED_INDEX, "createdAt");
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch((error) => {
+        this.connection = null;
+        throw error;
+      });
+    }
+    return this.connection;
+  },
+
+  /**
+   * Run a request against the image store
+   * @param {string} mode - "readonly" or "readwrite"
+   * @param {Function} makeRequest - Receives the object store and returns
+   *   the request to run
+   * @returns {Promise<*>} Result of the request, once its transaction commits
+   */
+  async run(mode, makeRequest) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.STORE, mode);
+      const request = makeRequest(transaction.objectStore(this.STORE));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  },
+
+  /**
+   * Store an image and its thumbnail
+   * @param {Blob} blob - Image data
+   * @param {string} id - ID to store it under (optional)
+   * @returns {Promise<Object>} Reference for the note: { id, type, width,
+   *   height }
+   */
+  async save(blob, id = crypto.randomUUID()) {
+    const bitmap = await createImageBitmap(blob);
+    const { width, height } = bitmap;
+    const thumbnail = await this.makeThumbnail(bitmap);
+    bitmap.close();
+
+    await this.run("readwrite", (store) =>
+      store.put({
+        id,
+        blob,
+        thumbnail,
+        type: blob.type,
+        width,
+        height,
+        createdAt: Date.now(),
+      })
+    );
+
+    return { id, type: blob.type, width, height };
+  },
+
+  /**
+   * Scale an image down to thumbnail size
+   * @param {ImageBitmap} bitmap - Decoded image
+   * @returns {Promise<Blob|null>} Thumbnail, or null if the image is small
+   *   enough to be shown as it is
+   */
+  async makeThumbnail(bitmap) {
+    const scale = this.THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height);
+    if (scale >= 1) return null;
+
+    const canvas = new OffscreenCanvas(
+      Math.max(1, Math.round(bitmap.width * scale)),
+      Math.max(1, Math.round(bitmap.height * scale))
+    );
+    canvas
+      .getContext("2d")
+      .drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    return canvas.convertToBlob({
+      type: this.THUMBNAIL_TYPE,
+      quality: this.THUMBNAIL_QUALITY,
+    });
+  },
+
+  /**
+   * Get a stored image
+   * @param {string} id - Image ID
+   * @returns {Promise<Object|null>} Record with blob, thumbnail, type, width
+   *   and height, or null if it isn't stored
+   */
+  async get(id) {
+    return (await this.run("readonly", (store) => store.get(id))) || null;
+  },
+
+  /**
+   * Get the image to show in lists
+   * @param {string} id - Image ID
+   * @returns {Promise<Blob|null>} Thumbnail, or the image itself if it is
+   *   small; null if it isn't stored
+   */
+  async getThumbnail(id) {
+    const record = await this.get(id);
+    return record ? record.thumbnail || record.blob : null;
+  },
+
+  /**
+   * List stored images
+   * @returns {Promise<Array<{id: string, createdAt: number}>>} Images
+   */
+  async list() {
+    const images = [];
+    // A key cursor reads the index alone, leaving the blobs on disk
+    await this.run("readonly", (store) => {
+      const request = store.index(this.CREATED_INDEX).openKeyCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        images.push({ id: cursor.primaryKey, createdAt: cursor.key });
+        cursor.continue();
+      };
+      return request;
+    });
+    return images;
+  },
+
+  /**
+   * Delete images
+   * @param {Array<string>} ids - Image IDs
+   * @returns {Promise<void>}
+   */
+  async remove(ids) {
+    if (ids.length === 0) return;
+
+    const db = await this.open();
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.STORE, "readwrite");
+      const store = transaction.objectStore(this.STORE);
+      ids.forEach((id) => store.delete(id));
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  },
+
+  /**
+   * Read images as data URLs, for exports
+   * @param {Array<string>} ids - Image IDs
+   * @returns {Promise<Object>} Data URL by image ID; missing images are left
+   *   out
+   */
+  async toDataUrls(ids) {
+    const urls = {};
+    for (const id of new Set(ids)) {
+      const record = await this.get(id);
+      if (record) urls[id] = await this.blobToDataUrl(record.blob);
+    }
+    return urls;
+  },
+
+  /**
+   * Store images from data URLs, for imports
+   * One image failing doesn't stop the others
+   * @param {Object} urls - Data URL by image ID
+   * @returns {Promise<{stored: Array<string>, failed: Array<string>}>} IDs of
+   *   the images that were stored and of those that couldn't be
+   */
+  async fromDataUrls(urls) {
+    const stored = [];
+    const failed = [];
+    for (const [id, url] of Object.entries(urls)) {
+      try {
+        await this.save(await this.dataUrlToBlob(url), id);
+        stored.push(id);
+      } catch (error) {
+        console.error(`Error importing image ${id}:`, error);
+        failed.push(id);
+      }
+    }
+    return { stored, failed };
+  },
+
+  async blobToDataUrl(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = "";
+    // Chunked, as spreading a large array overflows the call stack
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return `data:${blob.type || "application/octet-stream"};base64,${btoa(
+      binary
+    )}`;
+  },
+
+  async dataUrlToBlob(url) {
+    if (typeof url !== "string" || !url.startsWith("data:image/")) {
+      throw new Error("Not an image data URL");
+    }
+    return (await fetch(url)).blob();
+  },
+};
@@ -0,0 +1,540 @@
+/**
+ * Note Importer - Parses JSON, Markdown and CSV into validated notes
+ * Detects duplicates against the existing library and merges them according
+ * to a per-note decision (skip, overwrite or keep both)
+ */
+const NoteImporter = {
+  // Foreign field names mapped onto the note schema
+  FIELD_ALIASES: {
+    id: ["id", "uuid", "noteid"],
+    selection: ["selection", "quote", "highlight", "excerpt", "clip"],
+    comment: ["comment", "annotation", "note", "notes"],
+    text: ["text", "content", "body"],
+    url: ["url", "link", "source", "href", "pageurl", "sourceurl"],
+    tags: ["tags", "labels", "tag", "keywords"],
+    createdAt: ["createdat", "created", "created_at", "date", "timestamp"],
+    updatedAt: ["updatedat", "updated", "updated_at", "modified"],
+  },
+
+  /**
+   * Parse file content into validated notes and rejected records
+   * @param {string} content - File content
+   * @param {string} filename - File name, used to detect the format
+   * @returns {{notes: Array, notebooks: Array, images: Object, invalid:
+   *   Array}} Valid notes, notebooks and images (data URL by image ID) from a
+   *   JSON export, and failures
+   */
+  parse(content, filename = "") {
+    const format = this.detectFormat(content, filename);
+    let records;
+    let notebooks = [];
+    let images = {};
+
+    switch (format) {
+      case "json":
+        ({ records, notebooks, images } = this.parseJSON(content));
+        break;
+      case "csv":
+        records = this.parseCSV(content);
+        break;
+      default:
+        records = this.parseMarkdown(content);
+    }
+
+    const notes = [];
+    const invalid = [];
+
+    records.forEach((record, i) => {
+      const result = this.validate(this.mapFields(record));
+      if (result.error) {
+        invalid.push({ position: i + 1, record, reason: result.error });
+      } else {
+        notes.push(result.note);
+      }
+    });
+
+    return { format, notes, notebooks, images, invalid };
+  },
+
+  /**
+   * Detect the format from the extension, falling back to the content
+   * @returns {string} json, csv or markdown
+   */
+  detectFormat(content, filename) {
+    const extension = filename.split(".").pop().toLowerCase();
+    if (extension === "json") return "json";
+    if (extension === "csv") return "csv";
+    if (["md", "markdown", "txt"].includes(extension)) return "markdown";
+
+    return /^\s*[[{]/.test(content) ? "json" : "markdown";
+  },
+
+  /**
+   * Parse the extension's own export, or a plain array of note-like objects
+   * @param {string} content - JSON text
+   * @returns {{records: Array<Object>, notebooks: Array, images: Object}}
+   *   Raw records
+   */
+  parseJSON(content) {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    if (Array.isArray(data))
+      return { records: data, notebooks: [], images: {} };
+
+    if (data && data.format === NoteExporter.FORMAT_ID) {
+      if (data.version > NoteExporter.FORMAT_VERSION) {
+        throw new Error(
+          `Export version ${data.version} is newer than this extension supports`
+        );
+      }
+      return {
+        records: Array.isArray(data.notes) ? data.notes : [],
+        notebooks: Array.isArray(data.notebooks) ? data.notebooks : [],
+        images: this.isPlainObject(data.images) ? data.images : {},
+      };
+    }
+
+    if (data && Array.isArray(data.notes)) {
+      return { records: data.notes, notebooks: [], images: {} };
+    }
+
+    throw new Error("JSON file does not contain a list of notes");
+  },
+
+  /**
+   * Parse CSV with a header row (RFC 4180 quoting)
+   * @param {string} content - CSV text
+   * @returns {Array<Object>} Raw records keyed by header
+   */
+  parseCSV(content) {
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+
+      if (quoted) {
+        if (char === '"' && content[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ",") {
+        row.push(cell);
+        cell = "";
+      } else if (char === "\n" || char === "\r") {
+        if (char === "\r" && content[i + 1] === "\n") i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = "";
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell || row.length) {
+      row.push(cell);
+      rows.push(row);
+    }
+
+    const [header, ...body] = rows.filter((r) => r.some((c) => c.trim()));
+    if (!header) return [];
+
+    return body.map((cells) =>
+      Object.fromEntries(header.map((name, i) => [name.trim(), cells[i]]))
+    );
+  },
+
+  /**
+   * Parse Markdown: blockquotes, list items and paragraphs become notes
+   * A blockquote is a clipped selection, and the paragraphs right after it
+   * are its comment. A heading containing a link sets the source URL for the
+   * notes below it, and an "— date · #tags" line (as written by the
+   * exporter) annotates the note before it
+   * @param {string} content - Markdown text
+   * @returns {Array<Object>} Raw records
+   */
+  parseMarkdown(content) {
+    const records = [];
+    let url = null;
+    let block = [];
+    let blockType = null;
+    // Quoted record still taking comment paragraphs
+    let quoted = null;
+
+    const flush = () => {
+      const text = block.join("\n").trim();
+      if (text && blockType === "quote") {
+        quoted = { selection: text, url };
+        records.push(quoted);
+      } else if (text && quoted) {
+        quoted.comment = quoted.comment ? `${quoted.comment}\n\n${text}` : text;
+      } else if (text) {
+        records.push({ text, url });
+      }
+      block = [];
+      blockType = null;
+    };
+
+    content.split(/\r?\n/).forEach((line) => {
+      const heading = line.match(/^#{1,6}\s+(.*)$/);
+      const quote = line.match(/^>\s?(.*)$/);
+      const item = line.match(/^\s*(?:[-*+]|\d+\.)\s+(.*)$/);
+      const meta = line.match(/^— (.*)$/);
+
+      if (heading) {
+        flush();
+        quoted = null;
+        const link = heading[1].match(/\]\(<?([^)>\s]+)>?\)/);
+        url = link ? link[1] : null;
+      } else if (meta && records.length) {
+        flush();
+        quoted = null;
+        this.applyMarkdownMeta(records[records.length - 1], meta[1]);
+      } else if (quote) {
+        if (blockType !== "quote") flush();
+        blockType = "quote";
+        block.push(quote[1]);
+      } else if (item) {
+        flush();
+        blockType = "item";
+        block.push(item[1]);
+      } else if (!line.trim()) {
+        flush();
+      } else {
+        if (blockType === "quote") flush();
+        blockType = blockType || "paragraph";
+        block.push(line);
+      }
+    });
+
+    flush();
+
+    // The exporter's "_Exported ..._" line is not a note
+    return records.filter((r) => !/^_Exported .*_$/.test(r.text));
+  },
+
+  applyMarkdownMeta(record, meta) {
+    meta.split(" · ").forEach((part) => {
+      const tags = part.match(/#[^\s#]+/g);
+      if (tags) {
+        record.tags = tags.map((t) => t.slice(1));
+      } else if (!Number.isNaN(Date.parse(part))) {
+        record.createdAt = part;
+      }
+    });
+  },
+
+  /**
+   * Map foreign field names onto the note schema
+   * @param {Object} record - Raw record
+   * @returns {Object} Record with schema field names
+   */
+  mapFields(record) {
+    if (!this.isPlainObject(record)) {
+      return record;
+    }
+
+    const lookup = new Map(
+      Object.keys(record).map((key) => [key.toLowerCase(), key])
+    );
+    const mapped = { ...record };
+
+    Object.entries(this.FIELD_ALIASES).forEach(([field, aliases]) => {
+      if (record[field] !== undefined) return;
+
+      const alias = aliases.find((a) => lookup.has(a));
+      if (alias) {
+        mapped[field] = record[lookup.get(alias)];
+        delete mapped[lookup.get(alias)];
+      }
+    });
+
+    return mapped;
+  },
+
+  /**
+   * Validate a record and coerce it into a note
+   * @param {Object} record - Mapped record
+   * @returns {{note: Object}|{error: string}} Note or failure reason
+   */
+  validate(record) {
+    if (!this.isPlainObject(record)) {
+      return { error: "Record is not an object" };
+    }
+
+    // Older exports and other tools have a single text field
+    if (record.selection === undefined && record.comment === undefined) {
+      record = StorageHelper.splitText(record);
+    }
+
+    const selection = record.selection ?? "";
+    const comment = record.comment ?? "";
+    if (typeof selection !== "string" || typeof comment !== "string") {
+      return { error: "Note text is not a string" };
+    }
+
+    let image = null;
+    if (record.image !== undefined && record.image !== null) {
+      if (
+        !this.isPlainObject(record.image) ||
+        typeof record.image.id !== "string"
+      ) {
+        return { error: "Invalid image" };
+      }
+      image = record.image;
+    }
+
+    if (!selection.trim() && !comment.trim() && !image) {
+      return { error: "Missing note text" };
+    }
+
+    let url = null;
+    if (record.url !== undefined && record.url !== null && record.url !== "") {
+      if (typeof record.url !== "string") {
+        return { error: "URL is not a string" };
+      }
+      try {
+        url = new URL(record.url.trim()).href;
+      } catch {
+        return { error: `Invalid URL: ${record.url}` };
+      }
+    }
+
+    let tags = record.tags || [];
+    if (typeof tags === "string") tags = tags.split(/[,;]/);
+    if (!Array.isArray(tags) || tags.some((t) => typeof t !== "string")) {
+      return { error: "Tags must be a list of strings" };
+    }
+
+    const now = Date.now();
+    const createdAt = this.parseTimestamp(record.createdAt, now);
+    const updatedAt = this.parseTimestamp(record.updatedAt, createdAt);
+    if (createdAt === null || updatedAt === null) {
+      return { error: "Invalid date" };
+    }
+
+    const id =
+      typeof record.id === "string" && record.id.trim()
+        ? record.id.trim()
+        : crypto.randomUUID();
+
+    // Position and trash state come from where the note lands, not the file
+    const { index, rank, deletedAt, text, ...fields } = record;
+
+    return {
+      note: {
+        ...fields,
+        id,
+        selection: selection.trim(),
+        comment: comment.trim(),
+        url,
+        tags: StorageHelper.normalizeTags(tags),
+        source: this.isPlainObject(record.source) ? record.source : null,
+        image,
+        review:
+          this.isPlainObject(record.review) &&
+          Number.isFinite(record.review.dueAt)
+            ? record.review
+            : null,
+        pinned: record.pinned === true,
+        favorite: record.favorite === true,
+        archived: record.archived === true,
+        createdAt,
+        updatedAt,
+      },
+    };
+  },
+
+  isPlainObject(value) {
+    return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+  },
+
+  /**
+   * Parse a timestamp given as milliseconds, a numeric string or a date string
+   * @returns {number|null} Milliseconds, the fallback if empty, or null
+   */
+  parseTimestamp(value, fallback) {
+    if (value === undefined || value === null || value === "") return fallback;
+    if (typeof value === "number") return Number.isFinite(value) ? value : null;
+
+    const text = String(value).trim();
+    const time = /^\d+$/.test(text) ? Number(text) : Date.parse(text);
+    return Number.isNaN(time) ? null : time;
+  },
+
+  /**
+   * Find duplicates of incoming notes in the existing library
+   * @param {Array} incoming - Validated notes to import
+   * @param {Array} existing - Notes already in storage
+   * @returns {Array<{note: Object, duplicateOf: Object|null, reason: string|null}>}
+   */
+  findDuplicates(incoming, existing) {
+    const byId = new Map(existing.map((n) => [n.id, n]));
+    const byContent = new Map(existing.map((n) => [this.contentKey(n), n]));
+    const seen = new Map();
+
+    return incoming.map((note) => {
+      const key = this.contentKey(note);
+      let duplicateOf = null;
+      let reason = null;
+
+      if (byId.has(note.id)) {
+        duplicateOf = byId.get(note.id);
+        reason = "id";
+      } else if (byContent.has(key)) {
+        duplicateOf = byContent.get(key);
+        reason = "content";
+      } else if (seen.has(key)) {
+        // Repeated within the file itself
+        duplicateOf = seen.get(key);
+        reason = "file";
+      }
+
+      seen.set(key, note);
+      return { note, duplicateOf, reason };
+    });
+  },
+
+  /**
+   * Key for duplicate detection: normalized selection and comment,
+   * normalized URL and the image, if any
+   * @param {Object} note - Note
+   * @returns {string} Comparison key
+   */
+  contentKey(note) {
+    const text = StorageHelper.getNoteText(note)
+      .replace(/\s+/g, " ")
+      .trim()
+      .toLowerCase();
+    const url = note.url ? StorageHelper.normalizeUrl(note.url) : "";
+    return `${text}\n${url}\n${note.image?.id || ""}`;
+  },
+
+  /**
+   * Merge the previewed import into the existing notes
+   * @param {Array} existing - Notes currently in storage
+   * @param {Array} items - Items from findDuplicates
+   * @param {Array<string>} decisions - Per item: skip, overwrite or keep-both
+   * @returns {{notes: Array, added: number, replaced: number, skipped: number}}
+   */
+  merge(existing, items, decisions) {
+    const notes = existing.slice();
+    const positions = new Map(notes.map((n, i) => [n.id, i]));
+    const usedIds = new Set(notes.map((n) => n.id));
+    let added = 0;
+    let replaced = 0;
+    let skipped = 0;
+
+    items.forEach((item, i) => {
+      const decision = item.duplicateOf ? decisions[i] : "keep-both";
+      const target = item.duplicateOf && positions.get(item.duplicateOf.id);
+
+      if (decision === "skip") {
+        skipped++;
+      } else if (decision === "overwrite" && target !== undefined) {
+        notes[target] = { ...item.note, id: item.duplicateOf.id };
+        replaced++;
+      } else {
+        const note = { ...item.note };
+        if (usedIds.has(note.id)) note.id = crypto.randomUUID();
+        usedIds.add(note.id);
+        positions.set(note.id, notes.length);
+        notes.push(note);
+        added++;
+      }
+    });
+
+    return { notes, added, replaced, skipped };
+  },
+
+  /**
+   * Drop references to images that couldn't be stored
+   * Notes with text are kept without their image; notes that are only the
+   * image are left out, as validate() would leave out an empty note
+   * @param {Array} items - Items from findDuplicates
+   * @param {Array<string>} decisions - Per item: skip, overwrite or keep-both
+   * @param {Set<string>} missing - IDs of the images that aren't stored
+   * @returns {{items: Array, decisions: Array<string>, stripped: number,
+   *   dropped: number}} Items and decisions still to import, and how many
+   *   lost their image or were left out
+   */
+  dropMissingImages(items, decisions, missing) {
+    const kept = { items: [], decisions: [], stripped: 0, dropped: 0 };
+
+    items.forEach((item, i) => {
+      const { note } = item;
+      const skipped = item.duplicateOf && decisions[i] === "skip";
+      if (!skipped && note.image && missing.has(note.image.id)) {
+        if (!note.selection.trim() && !note.comment.trim()) {
+          kept.dropped++;
+          return;
+        }
+        item = { ...item, note: { ...note, image: null } };
+        kept.stripped++;
+      }
+      kept.items.push(item);
+      kept.decisions.push(decisions[i]);
+    });
+    return kept;
+  },
+
+  /**
+   * Apply the previewed import to the state of a storage transaction
+   * Merging against the state the transaction read keeps notes saved while
+   * the preview was open, and is redone whenever the transaction retries
+   * @param {Object} state - State passed to StorageHelper.transact, changed
+   *   in place
+   * @param {Array} items - Items from findDuplicates
+   * @param {Array<string>} decisions - Per item: skip, overwrite or keep-both
+   * @param {Array} notebooks - Notebooks from the export (optional)
+   * @returns {{notes: Array, added: number, replaced: number, skipped: number}}
+   */
+  apply(state, items, decisions, notebooks = []) {
+    const result = this.merge(state.notes, items, decisions);
+    state.notebooks = this.mergeNotebooks(state.notebooks, notebooks);
+    this.resolveNotebooks(result.notes, state.notebooks);
+    state.notes = result.notes;
+    return result;
+  },
+  /**
+   * Add imported notebooks that don't exist yet, matching by ID
+   * @param {Array} existing - Notebooks currently in storage
+   * @param {Array} imported - Notebooks from the export
+   * @returns {Array} Combined notebooks
+   */
+  mergeNotebooks(existing, imported) {
+    const ids = new Set(existing.map((nb) => nb.id));
+    const added = imported.filter(
+      (nb) => nb && typeof nb.id === "string" && nb.name && !ids.has(nb.id)
+    );
+    return [...existing, ...added];
+  },
+
+  /**
+   * Move notes whose notebook doesn't exist into the Inbox
+   * @param {Array} notes - Notes to check
+   * @param {Array} notebooks - Known notebooks
+   */
+  resolveNotebooks(notes, notebooks) {
+    const ids = new Set(notebooks.map((nb) => nb.id));
+    notes.forEach((note) => {
+      if (note.notebookId && !ids.has(note.notebookId)) {
+        note.notebookId = null;
+      }
+    });
+  },
+};
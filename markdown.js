@@ -0,0 +1,393 @@
+/**
+ * Markdown Renderer - Safe Markdown to HTML for note bodies
+ * All text is escaped before formatting is applied, so the output can only
+ * contain the whitelisted tags this renderer emits itself
+ */
+const MarkdownRenderer = {
+  SAFE_PROTOCOLS: ["http:", "https:", "mailto:"],
+
+  /**
+   * Render Markdown to sanitized HTML
+   * @param {string} markdown - Markdown source
+   * @returns {string} HTML
+   */
+  render(markdown) {
+    const lines = String(markdown || "")
+      .replace(/\r\n?/g, "\n")
+      .split("\n");
+    return this.renderBlocks(lines);
+  },
+
+  /**
+   * Render a list of lines as block elements
+   * @param {Array<string>} lines - Source lines
+   * @returns {string} HTML
+   */
+  renderBlocks(lines) {
+    const html = [];
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      // Blank line
+      if (!line.trim()) {
+        i++;
+        continue;
+      }
+
+      // Fenced code block
+      const fence = line.match(/^\s*(```|~~~)\s*([\w+#.-]*)\s*$/);
+      if (fence) {
+        const code = [];
+        i++;
+        while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+          code.push(lines[i]);
+          i++;
+        }
+        i++; // closing fence
+
+        const lang = fence[2]
+          ? ` class="language-${this.escape(fence[2].toLowerCase())}"`
+          : "";
+        html.push(
+          `<pre><code${lang}>${this.escape(code.join("\n"))}</code></pre>`
+        );
+        continue;
+      }
+
+      // Heading
+      const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+      if (heading) {
+        const level = heading[1].length;
+        html.push(`<h${level}>${this.renderInline(heading[2])}</h${level}>`);
+        i++;
+        continue;
+      }
+
+      // Horizontal rule
+      if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+        html.push("<hr>");
+        i++;
+        continue;
+      }
+
+      // Blockquote
+      if (/^\s*>/.test(line)) {
+        const quote = [];
+        while (i < lines.length && /^\s*>/.test(lines[i])) {
+          quote.push(lines[i].replace(/^\s*>\s?/, ""));
+          i++;
+        }
+        html.push(`<blockquote>${this.renderBlocks(quote)}</blockquote>`);
+        continue;
+      }
+
+      // Table: header row followed by a |---| separator
+      if (this.isTableRow(line) && this.isTableSeparator(lines[i + 1])) {
+        const rows = [];
+        const alignments = this.parseAlignments(lines[i + 1]);
+        rows.push(line);
+        i += 2;
+        while (i < lines.length && this.isTableRow(lines[i])) {
+          rows.push(lines[i]);
+          i++;
+        }
+        html.push(this.renderTable(rows, alignments));
+        continue;
+      }
+
+      // List
+      const marker = this.listMarker(line);
+      if (marker) {
+        const items = [];
+        while (i < lines.length) {
+          const next = this.listMarker(lines[i]);
+          if (
+            next &&
+            next.indent <= marker.indent &&
+            next.ordered !== marker.ordered
+          ) {
+            // Switching between bullets and numbers starts a new list
+            break;
+          } else if (next) {
+            items.push(lines[i]);
+          } else if (lines[i].trim() && /^\s{2,}/.test(lines[i])) {
+            items.push(lines[i]);
+          } else if (
+            !lines[i].trim() &&
+            i + 1 < lines.length &&
+            (this.listMarker(lines[i + 1]) || /^\s{2,}\S/.test(lines[i + 1]))
+          ) {
+            // Blank line inside a list
+          } else {
+            break;
+          }
+          i++;
+        }
+        html.push(this.renderList(items));
+        continue;
+      }
+
+      // Paragraph: runs until a blank line or another block starts
+      const paragraph = [];
+      while (
+        i < lines.length &&
+        lines[i].trim() &&
+        !(paragraph.length && this.startsBlock(lines[i], lines[i + 1]))
+      ) {
+        paragraph.push(lines[i]);
+        i++;
+      }
+      const inline = paragraph.map((l) => this.renderInline(l.trim()));
+      html.push(`<p>${inline.join("<br>")}</p>`);
+    }
+
+    return html.join("");
+  },
+
+  /**
+   * Check whether a line begins a non-paragraph block
+   * @returns {boolean} True if the paragraph should end
+   */
+  startsBlock(line, nextLine) {
+    return (
+      /^\s*(```|~~~)/.test(line) ||
+      /^#{1,6}\s/.test(line) ||
+      /^\s*>/.test(line) ||
+      Boolean(this.listMarker(line)) ||
+      (this.isTableRow(line) && this.isTableSeparator(nextLine))
+    );
+  },
+
+  /**
+   * Match a list item marker
+   * @param {string} line - Source line
+   * @returns {Object|null} { indent, ordered, start, width, content }
+   */
+  listMarker(line) {
+    const match = line.match(/^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/);
+    if (!match) return null;
+
+    return {
+      indent: match[1].length,
+      ordered: /\d/.test(match[2]),
+      start: parseInt(match[2], 10),
+      width: match[0].length - match[3].length,
+      content: match[3],
+    };
+  },
+
+  /**
+   * Render list lines, nesting items that are indented further
+   * @param {Array<string>} lines - List lines
+   * @returns {string} HTML
+   */
+  renderList(lines) {
+    const first = this.listMarker(lines[0]);
+    const tag = first.ordered ? "ol" : "ul";
+    const start =
+      first.ordered && first.start !== 1 ? ` start="${first.start}"` : "";
+    const items = [];
+    let current = null;
+
+    lines.forEach((line) => {
+      const marker = this.listMarker(line);
+      if (marker && marker.indent <= first.indent) {
+        current = {
+          content: [marker.content],
+          width: marker.width,
+          children: [],
+        };
+        items.push(current);
+      } else if (current) {
+        // Strip the parent's indentation so nested blocks parse normally
+        const indent = Math.min(current.width, line.search(/\S/));
+        current.children.push(line.slice(Math.max(indent, 0)));
+      }
+    });
+
+    const body = items
+      .map((item) => {
+        // Task list items render as ballot boxes
+        const task = item.content[0].match(/^\[([ xX])\]\s+(.*)$/);
+        const text = task
+          ? `${task[1] === " " ? "☐" : "☑"} ${this.renderInline(task[2])}`
+          : this.renderInline(item.content[0]);
+        const nested = item.children.length
+          ? this.renderBlocks(item.children)
+          : "";
+        return `<li>${text}${nested}</li>`;
+      })
+      .join("");
+
+    return `<${tag}${start}>${body}</${tag}>`;
+  },
+
+  isTableRow(line) {
+    return typeof line === "string" && /^\s*\|.*\|\s*$/.test(line);
+  },
+
+  isTableSeparator(line) {
+    return (
+      typeof line === "string" &&
+      /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(line) &&
+      line.includes("-")
+    );
+  },
+
+  parseAlignments(line) {
+    return this.splitRow(line).map((cell) => {
+      const left = cell.startsWith(":");
+      const right = cell.endsWith(":");
+      if (left && right) return "center";
+      if (right) return "right";
+      if (left) return "left";
+      return null;
+    });
+  },
+
+  /**
+   * Split a table row into trimmed cells, honouring escaped pipes
+   * @param {string} line - Table row
+   * @returns {Array<string>} Cells
+   */
+  splitRow(line) {
+    return line
+      .trim()
+      .replace(/^\||\|$/g, "")
+      .split(/(?<!\\)\|/)
+      .map((cell) => cell.trim().replace(/\\\|/g, "|"));
+  },
+
+  renderTable(rows, alignments) {
+    const renderRow = (row, cellTag) =>
+      `<tr>${this.splitRow(row)
+        .map((cell, i) => {
+          const align = alignments[i] ? ` align="${alignments[i]}"` : "";
+          return `<${cellTag}${align}>${this.renderInline(cell)}</${cellTag}>`;
+        })
+        .join("")}</tr>`;
+
+    const [header, ...body] = rows;
+    return `<table><thead>${renderRow(header, "th")}</thead><tbody>${body
+      .map((row) => renderRow(row, "td"))
+      .join("")}</tbody></table>`;
+  },
+
+  /**
+   * Render inline formatting: code, escapes, images, links, emphasis and
+   * strikethrough
+   * @param {string} text - Source text
+   * @returns {string} HTML
+   */
+  renderInline(text) {
+    const placeholders = [];
+    const hold = (html) => {
+      placeholders.push(html);
+      return `\u0000${placeholders.length - 1}\u0000`;
+    };
+
+    // Code spans first, so their content is never formatted
+    let out = text.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) =>
+      hold(`<code>${this.escape(code.trim())}</code>`)
+    );
+
+    // Backslash escapes render the character literally
+    out = out.replace(/\\([\\`*_{}[\]()#+\-.!|>~<])/g, (match, char) =>
+      hold(this.escape(char))
+    );
+
+    // Images: ![alt](url), web URLs only
+    out = out.replace(
+      /!\[([^\]]*)\]\(\s*<?((?:[^()\s<>]|\([^()\s]*\))+)>?(?:\s+"[^"]*")?\s*\)/g,
+      (match, alt, url) => {
+        const src = this.sanitizeUrl(url);
+        return src && /^https?:/.test(src)
+          ? hold(
+              `<img src="${this.escape(src)}" alt="${this.escape(
+                alt
+              )}" loading="lazy">`
+            )
+          : alt;
+      }
+    );
+
+    // Links: [label](url "title"); the label is formatted with the rest
+    out = out.replace(
+      /\[([^\]]+)\]\(\s*<?((?:[^()\s<>]|\([^()\s]*\))+)>?(?:\s+"[^"]*")?\s*\)/g,
+      (match, label, url) => {
+        const href = this.sanitizeUrl(url);
+        if (!href) return label;
+        const [open, close] = this.link(href, "\u0000").split("\u0000");
+        return `${hold(open)}${label}${hold(close)}`;
+      }
+    );
+
+    // Autolinks and bare URLs
+    out = out.replace(
+      /<(https?:\/\/[^>\s]+)>|(https?:\/\/[^\s<\u0000]+[^\s<\u0000.,:;"')\]])/g,
+      (match, bracketed, bare) => {
+        const url = bracketed || bare;
+        const href = this.sanitizeUrl(url);
+        return href ? hold(this.link(href, this.escape(url))) : match;
+      }
+    );
+
+    out = this.escape(out);
+
+    out = out
+      .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, "<strong>$2</strong>")
+      .replace(/(^|[^\w*])\*(?=\S)([^*]*?\S)\*(?!\*)/g, "$1<em>$2</em>")
+      .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, "$1<em>$2</em>")
+      .replace(/~~(?=\S)([\s\S]*?\S)~~/g, "<del>$1</del>");
+
+    return out.replace(/\u0000(\d+)\u0000/g, (match, i) => placeholders[i]);
+  },
+
+  link(href, inner) {
+    return `<a href="${this.escape(
+      href
+    )}" target="_blank" rel="noopener noreferrer">${inner}</a>`;
+  },
+
+  /**
+   * Allow only http(s) and mailto links
+   * @param {string} url - Raw URL
+   * @returns {string|null} Normalized URL, or null if unsafe
+   */
+  sanitizeUrl(url) {
+    try {
+      const parsed = new URL(url);
+      return this.SAFE_PROTOCOLS.includes(parsed.protocol) ? parsed.href : null;
+    } catch {
+      return null;
+    }
+  },
+
+  /**
+   * Strip Markdown syntax, leaving readable plain text
+   * @param {string} markdown - Markdown source
+   * @returns {string} Plain text
+   */
+  toPlainText(markdown) {
+    return String(markdown || "")
+      .replace(/^\s*(```|~~~).*$/gm, "")
+      .replace(/^#{1,6}\s+/gm, "")
+      .replace(/^\s*>\s?/gm, "")
+      .replace(/^\s*([-*+]|\d+[.)])\s+/gm, "")
+      .replace(/!?\[([^\]]*)\]\([^)]*\)/g, "$1")
+      .replace(/(\*\*|__|~~|`)/g, "")
+      .replace(/\\([\\`*_{}[\]()#+\-.!|>~<])/g, "$1")
+      .trim();
+  },
+
+  escape(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  },
+};
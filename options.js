@@ -0,0 +1,274 @@
+/**
+ * Options Page Controller
+ * Settings for the selection icon on web pages and for sync. Every change is
+ * saved as it is made; open tabs pick it up from storage without reloading
+ */
+
+// DOM Elements
+const iconEnabled = document.getElementById("iconEnabled");
+const iconOptions = document.getElementById("iconOptions");
+const minSelectionLength = document.getElementById("minSelectionLength");
+const modifierKey = document.getElementById("modifierKey");
+const siteModeInputs = document.querySelectorAll('input[name="siteMode"]');
+const sitePatterns = document.getElementById("sitePatterns");
+const quickSave = document.getElementById("quickSave");
+const saveStatus = document.getElementById("saveStatus");
+const syncProvider = document.getElementById("syncProvider");
+const webdavOptions = document.getElementById("webdavOptions");
+const syncUrl = document.getElementById("syncUrl");
+const syncUsername = document.getElementById("syncUsername");
+const syncPassword = document.getElementById("syncPassword");
+const syncNowBtn = document.getElementById("syncNowBtn");
+const syncStatus = document.getElementById("syncStatus");
+
+// Longest selection length the icon can be made to wait for
+const MAX_SELECTION_LENGTH = 1000;
+
+// How long the "Saved" status stays up
+const STATUS_DURATION_MS = 1500;
+
+let statusTimeout = null;
+
+// Initialize options page
+document.addEventListener("DOMContentLoaded", async () => {
+  const settings = await StorageHelper.getSettings();
+  document.documentElement.dataset.theme =
+    settings.theme === "dark" ? "dark" : "light";
+  renderSettings(settings);
+  renderSyncConfig(await NoteSync.getConfig());
+  renderSyncStatus(await NoteSync.getState());
+  NoteSync.watchState(renderSyncStatus);
+  setupEventListeners();
+});
+
+/**
+ * Fill the form from settings
+ * @param {Object} settings - Settings from StorageHelper.getSettings
+ */
+function renderSettings(settings) {
+  iconEnabled.checked = settings.iconEnabled;
+  minSelectionLength.value = settings.minSelectionLength;
+  modifierKey.value = settings.modifierKey;
+  siteModeInputs.forEach((input) => {
+    input.checked = input.value === settings.siteMode;
+  });
+  sitePatterns.value = settings.sitePatterns.join("\n");
+  quickSave.checked = settings.quickSave;
+  updateIconOptions();
+}
+
+/**
+ * Setup all event listeners
+ */
+function setupEventListeners() {
+  iconEnabled.addEventListener("change", () => {
+    updateIconOptions();
+    save({ iconEnabled: iconEnabled.checked });
+  });
+
+  minSelectionLength.addEventListener("change", handleMinLengthChange);
+
+  modifierKey.addEventListener("change", () => {
+    save({ modifierKey: modifierKey.value });
+  });
+
+  siteModeInputs.forEach((input) => {
+    input.addEventListener("change", () => {
+      if (input.checked) save({ siteMode: input.value });
+    });
+  });
+
+  // Saved when the list is left, so half-typed patterns don't apply
+  sitePatterns.addEventListener("change", () => {
+    const patterns = SiteRules.parsePatterns(sitePatterns.value);
+    sitePatterns.value = patterns.join("\n");
+    save({ sitePatterns: patterns });
+  });
+
+  quickSave.addEventListener("change", () => {
+    save({ quickSave: quickSave.checked });
+  });
+
+  syncProvider.addEventListener("change", () => {
+    webdavOptions.hidden = syncProvider.value !== "webdav";
+    saveSyncConfig({ provider: syncProvider.value });
+  });
+  syncUrl.addEventListener("change", () => {
+    saveSyncConfig({ url: syncUrl.value.trim() });
+  });
+  syncUsername.addEventListener("change", () => {
+    saveSyncConfig({ username: syncUsername.value.trim() });
+  });
+  syncPassword.addEventListener("change", () => {
+    saveSyncConfig({ password: syncPassword.value });
+  });
+  syncNowBtn.addEventListener("click", async () => {
+    if (await requestSyncAccess()) {
+      syncNow();
+    } else {
+      showSyncAccessError();
+    }
+  });
+}
+
+/**
+ * Fill the sync form from its configuration
+ * @param {Object} config - Configuration from NoteSync.getConfig
+ */
+function renderSyncConfig(config) {
+  Object.entries(SyncProviders.PROVIDERS).forEach(([value, { label }]) => {
+    syncProvider.add(new Option(label, value));
+  });
+  syncProvider.value = config.provider;
+  syncUrl.value = config.url;
+  syncUsername.value = config.username;
+  syncPassword.value = config.password;
+  webdavOptions.hidden = config.provider !== "webdav";
+}
+
+/**
+ * Describe the outcome of the last sync
+ * @param {Object} state - State from NoteSync.getState
+ */
+function renderSyncStatus(state) {
+  syncNowBtn.disabled = !syncProvider.value;
+  syncStatus.classList.toggle("error", Boolean(state.lastError));
+
+  if (!syncProvider.value) {
+    syncStatus.textContent = "Sync is off";
+  } else if (state.lastError) {
+    syncStatus.textContent = `Last sync failed: ${state.lastError}`;
+  } else if (state.lastSyncedAt) {
+    const count = state.conflicts.length;
+    syncStatus.textContent =
+      `Last synced ${new Date(state.lastSyncedAt).toLocaleString()}` +
+      (count ? ` · ${count} to review in the popup` : "");
+  } else {
+    syncStatus.textContent = "Not synced yet";
+  }
+}
+
+/**
+ * Save some sync settings, then sync with them if they are complete
+ * @param {Object} changes - Configuration to change
+ */
+async function saveSyncConfig(changes) {
+  const allowed = await requestSyncAccess();
+  let config;
+  try {
+    config = await NoteSync.saveConfig(changes);
+    showStatus("Saved");
+  } catch (error) {
+    console.error("Error saving sync settings:", error);
+    showStatus("Couldn't save settings", true);
+    return;
+  }
+
+  renderSyncStatus(await NoteSync.getState());
+  if (!allowed) {
+    showSyncAccessError();
+  } else if (config.provider === "chrome" || (config.provider && config.url)) {
+    syncNow();
+  }
+}
+
+/**
+ * Ask for access to the WebDAV server, as the extension can only reach sites
+ * it was allowed to. Chrome only asks while handling the user's input, so
+ * this has to come before anything else is awaited
+ * @returns {Promise<boolean>} Whether sync can reach its server
+ */
+async function requestSyncAccess() {
+  const url = syncUrl.value.trim();
+  if (syncProvider.value !== "webdav" || !url) return true;
+
+  try {
+    const { protocol, hostname } = new URL(url);
+    return await chrome.permissions.request({
+      origins: [`${protocol}//${hostname}/*`],
+    });
+  } catch (error) {
+    console.error("Error requesting access to the sync server:", error);
+    return false;
+  }
+}
+
+/**
+ * Explain that sync can't run without access to its server
+ */
+function showSyncAccessError() {
+  syncStatus.classList.add("error");
+  syncStatus.textContent = "Sync needs access to the server's address";
+}
+
+/**
+ * Ask the background to sync; the status follows from the saved state
+ */
+async function syncNow() {
+  syncNowBtn.disabled = true;
+  syncStatus.classList.remove("error");
+  syncStatus.textContent = "Syncing…";
+
+  try {
+    await chrome.runtime.sendMessage({ action: "syncNow" });
+  } catch (error) {
+    console.error("Error syncing notes:", error);
+  }
+  renderSyncStatus(await NoteSync.getState());
+}
+
+/**
+ * Dim the icon options while the icon is turned off
+ */
+function updateIconOptions() {
+  iconOptions.classList.toggle("disabled", !iconEnabled.checked);
+  iconOptions
+    .querySelectorAll("input, select")
+    .forEach((control) => (control.disabled = !iconEnabled.checked));
+}
+
+/**
+ * Save the minimum selection length, putting back the saved value if the
+ * new one is out of range
+ */
+async function handleMinLengthChange() {
+  const length = Math.round(Number(minSelectionLength.value));
+  if (!Number.isFinite(length) || length < 1 || length > MAX_SELECTION_LENGTH) {
+    const settings = await StorageHelper.getSettings();
+    minSelectionLength.value = settings.minSelectionLength;
+    return;
+  }
+
+  minSelectionLength.value = length;
+  save({ minSelectionLength: length });
+}
+
+/**
+ * Save some settings and confirm it
+ * @param {Object} changes - Settings to change
+ */
+async function save(changes) {
+  try {
+    await StorageHelper.saveSettings(changes);
+    showStatus("Saved");
+  } catch (error) {
+    console.error("Error saving settings:", error);
+    showStatus("Couldn't save settings", true);
+  }
+}
+
+/**
+ * Show a short status next to the title
+ * @param {string} message - Message to show
+ * @param {boolean} isError - Style it as a failure
+ */
+function showStatus(message, isError = false) {
+  saveStatus.textContent = message;
+  saveStatus.classList.toggle("error", isError);
+  saveStatus.classList.add("visible");
+
+  clearTimeout(statusTimeout);
+  statusTimeout = setTimeout(() => {
+    saveStatus.classList.remove("visible");
+  }, STATUS_DURATION_MS);
+}
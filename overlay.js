@@ -0,0 +1,687 @@
+/**
+ * Page Overlay - Shadow DOM host for everything the content script shows
+ * The selection icon, save modal and sidebar share one closed shadow root, so
+ * page styles can't reach in and our class names can't leak out. Styles are
+ * adopted as constructed stylesheets, which a page's CSP doesn't block, and
+ * the host puts itself back if the page removes it or replaces the document
+ */
+const PageOverlay = {
+  HOST_ID: "quick-note-root",
+
+  // Keeps the host out of page layout and above page content, whatever the
+  // page's own rules say about it
+  HOST_STYLES: `
+    :host {
+      all: initial !important;
+      display: block !important;
+      position: fixed !important;
+      top: 0 !important;
+      left: 0 !important;
+      width: 0 !important;
+      height: 0 !important;
+      overflow: visible !important;
+      z-index: 2147483647 !important;
+    }
+
+    * {
+      box-sizing: border-box;
+    }
+
+    [hidden] {
+      display: none !important;
+    }
+  `,
+
+  // Selection icon, quick save confirmation and save modal
+  STYLES: `
+    #quick-note-selection-icon {
+      position: fixed;
+      width: 44px;
+      height: 44px;
+      background: #3b82f6;
+      border-radius: 50%;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      cursor: pointer;
+      z-index: 2147483647;
+      box-shadow:
+        0 4px 16px rgba(59, 130, 246, 0.4),
+        0 2px 8px rgba(0, 0, 0, 0.3);
+      transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+      pointer-events: auto;
+      color: white;
+      user-select: none;
+      border: 2px solid rgba(255, 255, 255, 0.2);
+    }
+
+    #quick-note-selection-icon:hover {
+      transform: scale(1.12);
+      background: #2563eb;
+      box-shadow:
+        0 6px 24px rgba(59, 130, 246, 0.5),
+        0 4px 12px rgba(0, 0, 0, 0.35);
+      border-color: rgba(255, 255, 255, 0.3);
+    }
+
+    #quick-note-selection-icon:active {
+      transform: scale(1.05);
+    }
+
+    /* Hidden state */
+    .quick-note-icon-hidden {
+      opacity: 0;
+      transform: scale(0.5);
+      pointer-events: none;
+    }
+
+    /* Visible state */
+    .quick-note-icon-visible {
+      opacity: 1;
+      transform: scale(1);
+      animation: iconAppear 0.35s cubic-bezier(0.4, 0, 0.2, 1);
+    }
+
+    /* Animations */
+    @keyframes iconAppear {
+      0% {
+        opacity: 0;
+        transform: scale(0.3) translateY(15px);
+      }
+      60% {
+        transform: scale(1.1) translateY(-3px);
+      }
+      100% {
+        opacity: 1;
+        transform: scale(1) translateY(0);
+      }
+    }
+
+    /* SVG icon styling */
+    #quick-note-selection-icon svg {
+      filter: drop-shadow(0 1px 2px rgba(0, 0, 0, 0.3));
+      position: relative;
+      z-index: 1;
+    }
+
+    /* Quick save confirmation */
+    #quick-note-toast {
+      position: fixed;
+      right: 20px;
+      bottom: 20px;
+      padding: 10px 16px;
+      background: #1f2937;
+      color: #f9fafb;
+      border: 1px solid #374151;
+      border-left: 3px solid #10b981;
+      border-radius: 10px;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 13px;
+      box-shadow: 0 8px 24px rgba(0, 0, 0, 0.3);
+      z-index: 2147483647;
+      animation: toastAppear 0.2s ease;
+    }
+
+    #quick-note-toast.quick-note-toast-error {
+      border-left-color: #ef4444;
+    }
+
+    @keyframes toastAppear {
+      from {
+        opacity: 0;
+        transform: translateY(8px);
+      }
+      to {
+        opacity: 1;
+        transform: translateY(0);
+      }
+    }
+
+    /* Modal Styles */
+    #quick-note-modal {
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0, 0, 0, 0.75);
+      backdrop-filter: blur(8px);
+      z-index: 2147483646;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 20px;
+      transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+    }
+
+    .quick-note-modal-hidden {
+      opacity: 0;
+      pointer-events: none;
+    }
+
+    .quick-note-modal-visible {
+      opacity: 1;
+      pointer-events: auto;
+    }
+
+    .quick-note-modal-content {
+      background: #1f2937;
+      border-radius: 16px;
+      width: 100%;
+      max-width: 600px;
+      max-height: 90vh;
+      display: flex;
+      flex-direction: column;
+      box-shadow:
+        0 24px 48px rgba(0, 0, 0, 0.5),
+        0 0 0 1px rgba(255, 255, 255, 0.05);
+      animation: modalAppear 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+      overflow: hidden;
+    }
+
+    @keyframes modalAppear {
+      from {
+        opacity: 0;
+        transform: scale(0.95) translateY(-20px);
+      }
+      to {
+        opacity: 1;
+        transform: scale(1) translateY(0);
+      }
+    }
+
+    .quick-note-modal-header {
+      background: #111827;
+      color: white;
+      padding: 18px 24px;
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      border-bottom: 1px solid #374151;
+      flex-shrink: 0;
+    }
+
+    .quick-note-modal-header h3 {
+      margin: 0;
+      font-size: 18px;
+      font-weight: 600;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      color: #f9fafb;
+      display: flex;
+      align-items: center;
+      gap: 8px;
+    }
+
+    .quick-note-modal-close {
+      background: none;
+      border: none;
+      color: #9ca3af;
+      font-size: 24px;
+      cursor: pointer;
+      width: 32px;
+      height: 32px;
+      border-radius: 6px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      transition: all 0.2s;
+      flex-shrink: 0;
+    }
+
+    .quick-note-modal-close:hover {
+      background: rgba(255, 255, 255, 0.1);
+      color: #e5e7eb;
+    }
+
+    .quick-note-modal-body {
+      padding: 24px;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      overflow-y: auto;
+      flex: 1;
+    }
+
+    .quick-note-modal-body::-webkit-scrollbar {
+      width: 8px;
+    }
+
+    .quick-note-modal-body::-webkit-scrollbar-track {
+      background: transparent;
+    }
+
+    .quick-note-modal-body::-webkit-scrollbar-thumb {
+      background: #374151;
+      border-radius: 4px;
+    }
+
+    .quick-note-modal-body::-webkit-scrollbar-thumb:hover {
+      background: #4b5563;
+    }
+
+    .quick-note-preview {
+      margin-bottom: 20px;
+    }
+
+    .quick-note-preview-label {
+      font-size: 11px;
+      font-weight: 600;
+      color: #9ca3af;
+      margin-bottom: 10px;
+      text-transform: uppercase;
+      letter-spacing: 0.08em;
+    }
+
+    .quick-note-preview-textarea {
+      width: 100%;
+      background: #111827;
+      padding: 14px 16px;
+      border-radius: 10px;
+      color: #e5e7eb;
+      line-height: 1.6;
+      font-size: 15px;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      border: 2px solid #374151;
+      resize: vertical;
+      min-height: 140px;
+      max-height: 320px;
+      transition: all 0.2s ease;
+      box-sizing: border-box;
+    }
+
+    .quick-note-preview-textarea:focus {
+      outline: none;
+      border-color: #3b82f6;
+      box-shadow: 0 0 0 3px rgba(59, 130, 246, 0.15);
+      background: #0f172a;
+    }
+
+    .quick-note-preview-textarea::-webkit-scrollbar {
+      width: 8px;
+    }
+
+    .quick-note-preview-textarea::-webkit-scrollbar-track {
+      background: transparent;
+      border-radius: 4px;
+    }
+
+    .quick-note-preview-textarea::-webkit-scrollbar-thumb {
+      background: #374151;
+      border-radius: 4px;
+    }
+
+    .quick-note-preview-textarea::-webkit-scrollbar-thumb:hover {
+      background: #4b5563;
+    }
+
+    .quick-note-comment {
+      margin-bottom: 20px;
+    }
+
+    .quick-note-comment-input {
+      min-height: 80px;
+      font-size: 14px;
+    }
+
+    .quick-note-tags {
+      margin-bottom: 20px;
+    }
+
+    .quick-note-tag-input {
+      position: relative;
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 6px;
+      background: #111827;
+      border: 2px solid #374151;
+      border-radius: 10px;
+      padding: 8px 10px;
+      cursor: text;
+      transition: all 0.2s ease;
+    }
+
+    .quick-note-tag-input:focus-within {
+      border-color: #3b82f6;
+      box-shadow: 0 0 0 3px rgba(59, 130, 246, 0.15);
+    }
+
+    .quick-note-tag-chips {
+      display: contents;
+    }
+
+    .quick-note-tag-chip {
+      display: inline-flex;
+      align-items: center;
+      gap: 4px;
+      background: rgba(59, 130, 246, 0.15);
+      color: #93c5fd;
+      border-radius: 6px;
+      padding: 3px 4px 3px 8px;
+      font-size: 12px;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    }
+
+    .quick-note-tag-chip-remove {
+      background: none;
+      border: none;
+      color: inherit;
+      cursor: pointer;
+      font-size: 14px;
+      line-height: 1;
+      padding: 0 2px;
+    }
+
+    .quick-note-tag-field {
+      flex: 1;
+      min-width: 120px;
+      background: transparent;
+      border: none;
+      outline: none;
+      color: #e5e7eb;
+      font-size: 14px;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      padding: 4px 0;
+    }
+
+    .quick-note-tag-suggestions {
+      position: absolute;
+      top: 100%;
+      left: 0;
+      right: 0;
+      margin: 4px 0 0;
+      padding: 4px;
+      list-style: none;
+      background: #1f2937;
+      border: 1px solid #374151;
+      border-radius: 8px;
+      box-shadow: 0 8px 24px rgba(0, 0, 0, 0.4);
+      z-index: 1;
+    }
+
+    .quick-note-tag-suggestions[hidden] {
+      display: none;
+    }
+
+    .quick-note-tag-suggestion {
+      padding: 6px 10px;
+      border-radius: 6px;
+      color: #e5e7eb;
+      font-size: 13px;
+      cursor: pointer;
+    }
+
+    .quick-note-tag-suggestion:hover,
+    .quick-note-tag-suggestion.quick-note-active {
+      background: rgba(59, 130, 246, 0.2);
+    }
+
+    .quick-note-notebook {
+      margin-bottom: 20px;
+    }
+
+    .quick-note-select {
+      width: 100%;
+      background: #111827;
+      color: #e5e7eb;
+      border: 2px solid #374151;
+      border-radius: 10px;
+      padding: 10px 12px;
+      font-size: 14px;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      cursor: pointer;
+      transition: all 0.2s ease;
+    }
+
+    .quick-note-select:focus {
+      outline: none;
+      border-color: #3b82f6;
+      box-shadow: 0 0 0 3px rgba(59, 130, 246, 0.15);
+    }
+
+    .quick-note-url-option {
+      border-top: 1px solid #374151;
+      padding-top: 18px;
+    }
+
+    .quick-note-checkbox {
+      display: flex;
+      align-items: center;
+      cursor: pointer;
+      user-select: none;
+      margin-bottom: 12px;
+      padding: 10px;
+      border-radius: 8px;
+      transition: background 0.2s;
+    }
+
+    .quick-note-checkbox:hover {
+      background: rgba(59, 130, 246, 0.08);
+    }
+
+    .quick-note-checkbox input[type="checkbox"] {
+      width: 18px;
+      height: 18px;
+      margin-right: 10px;
+      cursor: pointer;
+      accent-color: #3b82f6;
+      flex-shrink: 0;
+    }
+
+    .quick-note-checkbox span {
+      font-size: 14px;
+      font-weight: 500;
+      color: #e5e7eb;
+    }
+
+    .quick-note-url-display {
+      background: rgba(59, 130, 246, 0.08);
+      border: 1px solid rgba(59, 130, 246, 0.25);
+      padding: 12px 14px;
+      border-radius: 8px;
+      font-size: 12px;
+      color: #60a5fa;
+      word-break: break-all;
+      line-height: 1.6;
+      font-family: 'SF Mono', Monaco, 'Cascadia Code', 'Courier New', monospace;
+      max-height: 120px;
+      overflow-y: auto;
+    }
+
+    .quick-note-url-display::-webkit-scrollbar {
+      width: 6px;
+    }
+
+    .quick-note-url-display::-webkit-scrollbar-track {
+      background: transparent;
+    }
+
+    .quick-note-url-display::-webkit-scrollbar-thumb {
+      background: rgba(59, 130, 246, 0.3);
+      border-radius: 3px;
+    }
+
+    .quick-note-modal-footer {
+      padding: 16px 24px;
+      background: #111827;
+      display: flex;
+      gap: 12px;
+      justify-content: flex-end;
+      border-top: 1px solid #374151;
+      flex-shrink: 0;
+    }
+
+    .quick-note-btn {
+      padding: 12px 24px;
+      border: none;
+      border-radius: 8px;
+      font-size: 14px;
+      font-weight: 500;
+      cursor: pointer;
+      transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      position: relative;
+      overflow: hidden;
+      white-space: nowrap;
+    }
+
+    .quick-note-btn:disabled {
+      cursor: not-allowed;
+      opacity: 0.7;
+    }
+
+    .quick-note-btn .btn-content {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      justify-content: center;
+    }
+
+    .quick-note-btn-primary {
+      background: #3b82f6;
+      color: white;
+      box-shadow: 0 2px 8px rgba(59, 130, 246, 0.3);
+    }
+
+    .quick-note-btn-primary:not(:disabled):hover {
+      background: #2563eb;
+      box-shadow: 0 4px 12px rgba(59, 130, 246, 0.4);
+      transform: translateY(-1px);
+    }
+
+    .quick-note-btn-primary.saving {
+      background: #6366f1;
+      pointer-events: none;
+    }
+
+    .quick-note-btn-primary.saved {
+      background: #10b981;
+      box-shadow: 0 4px 12px rgba(16, 185, 129, 0.4);
+    }
+
+    .quick-note-btn-secondary {
+      background: #374151;
+      color: #e5e7eb;
+      border: 1px solid #4b5563;
+    }
+
+    .quick-note-btn-secondary:hover {
+      background: #4b5563;
+      transform: translateY(-1px);
+    }
+
+    /* Spinner animation for saving state */
+    @keyframes spin {
+      to {
+        transform: rotate(360deg);
+      }
+    }
+
+    .spinner {
+      animation: spin 0.8s linear infinite;
+    }
+
+    /* Shake animation for validation */
+    @keyframes shake {
+      0%, 100% { transform: translateX(0); }
+      25% { transform: translateX(-8px); }
+      75% { transform: translateX(8px); }
+    }
+
+    .shake {
+      animation: shake 0.3s ease;
+    }
+
+    /* Mobile responsive adjustments */
+    @media (max-width: 640px) {
+      #quick-note-modal {
+        padding: 12px;
+      }
+
+      .quick-note-modal-content {
+        max-height: 95vh;
+      }
+
+      .quick-note-modal-header {
+        padding: 16px 20px;
+      }
+
+      .quick-note-modal-header h3 {
+        font-size: 16px;
+      }
+
+      .quick-note-modal-body {
+        padding: 20px;
+      }
+
+      .quick-note-preview-textarea {
+        font-size: 14px;
+        min-height: 120px;
+      }
+
+      .quick-note-modal-footer {
+        padding: 14px 20px;
+        flex-direction: column;
+      }
+
+      .quick-note-btn {
+        width: 100%;
+        padding: 12px 20px;
+      }
+    }
+  `,
+
+  /**
+   * Create the overlay host and attach it to the document
+   * @returns {Object} Control with host, root, addStyles(css) and
+   *   contains(node), true for the host and anything inside it
+   */
+  create() {
+    const host = document.createElement("div");
+    host.id = this.HOST_ID;
+    const root = host.attachShadow({ mode: "closed" });
+
+    const addStyles = (css) => {
+      if ("adoptedStyleSheets" in root) {
+        const sheet = new CSSStyleSheet();
+        sheet.replaceSync(css);
+        root.adoptedStyleSheets = [...root.adoptedStyleSheets, sheet];
+      } else {
+        const style = document.createElement("style");
+        style.textContent = css;
+        root.appendChild(style);
+      }
+    };
+
+    addStyles(this.HOST_STYLES);
+    addStyles(this.STYLES);
+
+    // Pages that rebuild <body> or the whole document take the host with
+    // them; it hangs off <html> and is re-attached whenever it goes missing
+    const attach = () => {
+      const parent = document.documentElement;
+      if (parent && host.parentNode !== parent) parent.appendChild(host);
+      return parent;
+    };
+
+    let watched = attach();
+    const observer = new MutationObserver(() => {
+      if (host.isConnected && host.parentNode === watched) return;
+
+      const parent = attach();
+      if (parent !== watched) {
+        observer.disconnect();
+        observer.observe(document, { childList: true });
+        if (parent) observer.observe(parent, { childList: true });
+        watched = parent;
+      }
+    });
+    observer.observe(document, { childList: true });
+    if (watched) observer.observe(watched, { childList: true });
+
+    return {
+      host,
+      root,
+      addStyles,
+      contains: (node) => host.contains(node),
+    };
+  },
+};
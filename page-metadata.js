@@ -0,0 +1,203 @@
+/**
+ * Page Metadata - Source details captured with each clip
+ * Reads meta tags, OpenGraph and JSON-LD from a document. It only depends on
+ * the document it is given, so it works on parsed HTML fixtures as well
+ */
+const PageMetadata = {
+  MAX_LENGTH: 300,
+
+  HEADING_SELECTOR: "h1, h2, h3, h4, h5, h6",
+
+  // Our own UI, which must never be mistaken for page content
+  IGNORED_SELECTOR: "#quick-note-root",
+
+  /**
+   * Extract source metadata from a document
+   * @param {Document} doc - Page document
+   * @param {Range} range - Selected range, used for the heading (optional)
+   * @returns {Object} { title, canonicalUrl, siteName, author, publishedAt,
+   *   favicon, heading }, with null for anything not found
+   */
+  extract(doc, range = null) {
+    const ld = this.readJsonLd(doc);
+    const article =
+      ld.find((item) => /Article|BlogPosting|Report/i.test(item["@type"])) ||
+      ld.find((item) => item.headline || item.datePublished) ||
+      {};
+    const website = ld.find((item) => /WebSite/i.test(item["@type"])) || {};
+
+    return {
+      title: this.clean(
+        this.meta(doc, ["og:title", "twitter:title"]) ||
+          article.headline ||
+          article.name ||
+          doc.title
+      ),
+      canonicalUrl: this.resolveUrl(
+        doc.querySelector('link[rel="canonical"]')?.getAttribute("href") ||
+          this.meta(doc, ["og:url"]),
+        doc
+      ),
+      siteName: this.clean(
+        this.meta(doc, ["og:site_name", "application-name"]) ||
+          this.personName(article.publisher) ||
+          website.name
+      ),
+      author: this.clean(
+        this.meta(doc, ["author", "article:author", "twitter:creator"], true) ||
+          this.personName(article.author)
+      ),
+      publishedAt: this.parseDate(
+        this.meta(doc, [
+          "article:published_time",
+          "og:published_time",
+          "datePublished",
+          "date",
+          "dc.date",
+        ]) ||
+          article.datePublished ||
+          doc.querySelector("time[datetime]")?.getAttribute("datetime")
+      ),
+      favicon: this.findFavicon(doc),
+      heading: range ? this.findHeading(doc, range) : null,
+    };
+  },
+
+  /**
+   * Read a meta tag by name or property
+   * @param {Document} doc - Page document
+   * @param {Array<string>} keys - Names to try, in order
+   * @param {boolean} skipUrls - Ignore values that are URLs (e.g. profile
+   *   links in article:author)
+   * @returns {string|null} Content of the first match
+   */
+  meta(doc, keys, skipUrls = false) {
+    const metas = Array.from(doc.querySelectorAll("meta[content]"));
+
+    for (const key of keys) {
+      const match = metas.find((meta) => {
+        const name = meta.getAttribute("name") || meta.getAttribute("property");
+        const content = meta.getAttribute("content").trim();
+        return (
+          name &&
+          name.toLowerCase() === key.toLowerCase() &&
+          content &&
+          !(skipUrls && /^https?:\/\//i.test(content))
+        );
+      });
+      if (match) return match.getAttribute("content");
+    }
+
+    return null;
+  },
+
+  /**
+   * Parse all JSON-LD blocks into a flat list of objects
+   * Malformed blocks are skipped; @graph containers are expanded
+   * @param {Document} doc - Page document
+   * @returns {Array<Object>} JSON-LD items
+   */
+  readJsonLd(doc) {
+    const items = [];
+    const collect = (value) => {
+      if (Array.isArray(value)) {
+        value.forEach(collect);
+      } else if (value && typeof value === "object") {
+        items.push(value);
+        if (value["@graph"]) collect(value["@graph"]);
+      }
+    };
+
+    doc
+      .querySelectorAll('script[type="application/ld+json"]')
+      .forEach((script) => {
+        try {
+          collect(JSON.parse(script.textContent));
+        } catch {
+          // Sites ship broken JSON-LD surprisingly often
+        }
+      });
+
+    // @type may be a list, e.g. ["NewsArticle", "Article"]
+    return items.map((item) => ({
+      ...item,
+      "@type": [].concat(item["@type"] || []).join(" "),
+    }));
+  },
+
+  /**
+   * Name of a JSON-LD person or organization
+   * @param {*} value - String, object with a name, or a list of them
+   * @returns {string|null} Names joined with commas
+   */
+  personName(value) {
+    const names = []
+      .concat(value || [])
+      .map((person) => (typeof person === "string" ? person : person?.name))
+      .filter((name) => typeof name === "string" && name.trim());
+    return names.length ? names.join(", ") : null;
+  },
+
+  findFavicon(doc) {
+    const link = doc.querySelector(
+      'link[rel~="icon"][href], link[rel="apple-touch-icon"][href]'
+    );
+    if (link) return this.resolveUrl(link.getAttribute("href"), doc);
+
+    // Browsers fall back to /favicon.ico, so do the same
+    return this.resolveUrl("/favicon.ico", doc);
+  },
+
+  /**
+   * Find the nearest heading before the start of a range
+   * @param {Document} doc - Page document
+   * @param {Range} range - Selected range
+   * @returns {string|null} Heading text
+   */
+  findHeading(doc, range) {
+    const start = range.startContainer;
+    const headings = Array.from(doc.querySelectorAll(this.HEADING_SELECTOR));
+
+    for (let i = headings.length - 1; i >= 0; i--) {
+      const heading = headings[i];
+      if (heading.closest(this.IGNORED_SELECTOR)) continue;
+
+      // The start lies after the heading, or inside it
+      const position = heading.compareDocumentPosition(start);
+      if (heading === start || position & Node.DOCUMENT_POSITION_FOLLOWING) {
+        return this.clean(heading.textContent);
+      }
+    }
+
+    return null;
+  },
+
+  resolveUrl(value, doc) {
+    if (!value) return null;
+    try {
+      const url = new URL(value.trim(), doc.baseURI);
+      return /^https?:$/.test(url.protocol) ? url.href : null;
+    } catch {
+      return null;
+    }
+  },
+
+  parseDate(value) {
+    if (!value) return null;
+    const time = Date.parse(String(value).trim());
+    return Number.isNaN(time) ? null : time;
+  },
+
+  /**
+   * Collapse whitespace and cap the length of a text value
+   * @returns {string|null} Cleaned text, or null if empty
+   */
+  clean(value) {
+    if (typeof value !== "string") return null;
+    const text = value.replace(/\s+/g, " ").trim();
+    if (!text) return null;
+    return text.length > this.MAX_LENGTH
+      ? `${text.slice(0, this.MAX_LENGTH - 1)}…`
+      : text;
+  },
+};
@@ -8,14 +8,222 @@ const newNoteInput = document.getElementById("newNoteInput");
 const newNoteUrl = document.getElementById("newNoteUrl");
 const addNoteBtn = document.getElementById("addNoteBtn");
 const notesList = document.getElementById("notesList");
+const listStatus = document.getElementById("listStatus");
+const bulkBar = document.getElementById("bulkBar");
+const bulkCount = document.getElementById("bulkCount");
+const bulkNotebook = document.getElementById("bulkNotebook");
 const emptyState = document.getElementById("emptyState");
+const searchInput = document.getElementById("searchInput");
+const noResults = document.getElementById("noResults");
+const tagBar = document.getElementById("tagBar");
+const viewFilters = document.getElementById("viewFilters");
+const sortSelect = document.getElementById("sortSelect");
+const exportBtn = document.getElementById("exportBtn");
+const exportMenu = document.getElementById("exportMenu");
+const exportFilteredOnly = document.getElementById("exportFilteredOnly");
+const exportScopeLabel = document.getElementById("exportScopeLabel");
+const importBtn = document.getElementById("importBtn");
+const importPanel = document.getElementById("importPanel");
+const importFile = document.getElementById("importFile");
+const importPreview = document.getElementById("importPreview");
+const importConfirmBtn = document.getElementById("importConfirmBtn");
+const notebookSelect = document.getElementById("notebookSelect");
+const notebookMenuBtn = document.getElementById("notebookMenuBtn");
+const notebookMenu = document.getElementById("notebookMenu");
+const newNotePreview = document.getElementById("newNotePreview");
+const composePreviewBtn = document.getElementById("composePreviewBtn");
+const trashBtn = document.getElementById("trashBtn");
+const sidebarBtn = document.getElementById("sidebarBtn");
+const trashPanel = document.getElementById("trashPanel");
+const trashList = document.getElementById("trashList");
+const trashRetention = document.getElementById("trashRetention");
+const emptyTrashBtn = document.getElementById("emptyTrashBtn");
+const historyPanel = document.getElementById("historyPanel");
+const historyFrom = document.getElementById("historyFrom");
+const historyTo = document.getElementById("historyTo");
+const historyDiff = document.getElementById("historyDiff");
+const historyDepth = document.getElementById("historyDepth");
+const historyRestoreBtn = document.getElementById("historyRestoreBtn");
+const commandPalette = document.getElementById("commandPalette");
+const paletteInput = document.getElementById("paletteInput");
+const paletteList = document.getElementById("paletteList");
+const lightbox = document.getElementById("lightbox");
+const lightboxImage = document.getElementById("lightboxImage");
+const lightboxDownload = document.getElementById("lightboxDownload");
+const toast = document.getElementById("toast");
+const toastMessage = document.getElementById("toastMessage");
+const toastAction = document.getElementById("toastAction");
+const syncBanner = document.getElementById("syncBanner");
+const syncBannerText = document.getElementById("syncBannerText");
+const conflictPanel = document.getElementById("conflictPanel");
+const conflictList = document.getElementById("conflictList");
+const reviewBtn = document.getElementById("reviewBtn");
+const reviewCount = document.getElementById("reviewCount");
+const reviewPanel = document.getElementById("reviewPanel");
+const reviewTitle = document.getElementById("reviewTitle");
+const reviewCard = document.getElementById("reviewCard");
+const reviewDone = document.getElementById("reviewDone");
+const reviewGrades = document.getElementById("reviewGrades");
+const composeTagInput = TagInput.create({ placeholder: "# Add tags" });
+document.getElementById("newNoteTags").appendChild(composeTagInput.element);
+
+// All notes from the last load, and the current search
+let allNotes = [];
+// Whether notes were loaded once, and the latest load, which supersedes any
+// still running
+let notesLoaded = false;
+let notesLoad = 0;
+let searchQuery = "";
+let searchTerms = [];
+let searchScope = null;
+let searchTimeout = null;
+let activeTags = new Set();
+let importItems = [];
+let importNotebooks = [];
+let importImages = {};
+let toastTimeout = null;
+
+// Thumbnail object URLs by image ID, kept while the popup is open
+const thumbnailUrls = new Map();
+
+// Render key of each card, so unchanged cards are kept when re-rendering
+const renderedCards = new WeakMap();
+
+// Notes in the list as last rendered, and the one reached with Tab. Only
+// the cards near the viewport exist, so both are tracked by note
+let listedNotes = [];
+let rovingNoteId = null;
+const noteList = VirtualList.create({
+  container: notesList,
+  getKey: (note) => note.id,
+  renderRow: renderNoteCard,
+  // An open edit form survives being scrolled away
+  retain: (card) => Boolean(card.querySelector(".note-edit-form")),
+  onRender: keepTabStop,
+});
+
+// Note whose history is open, and its stored revisions
+let historyNote = null;
+let historyRevisions = [];
+const CURRENT_VERSION = "__current__";
+
+// Command palette entries, and the one chosen with the arrow keys
+let paletteItems = [];
+let paletteIndex = 0;
+const PALETTE_LIMIT = 50;
+
+// Notebooks, and the one being viewed (undefined: all notes, null: Inbox)
+let notebooks = [];
+let currentNotebookId = undefined;
+const ALL_NOTEBOOKS = "__all__";
+const INBOX = "__inbox__";
+
+// How the list is sorted and which notes it shows, kept in the settings
+let sortMode = NoteSort.DEFAULT_MODE;
+let noteFilter = "all";
+const NOTE_FILTERS = {
+  all: { matches: (note) => !note.archived, empty: "No notes yet" },
+  favorites: {
+    matches: (note) => note.favorite && !note.archived,
+    empty: "No favorites yet",
+  },
+  archived: { matches: (note) => note.archived, empty: "No archived notes" },
+};
+
+// Notes two devices changed differently, from the last sync
+let syncConflicts = [];
+const CONFLICT_LABELS = {
+  selection: "Clipped text",
+  comment: "Comment",
+  url: "Link",
+};
+
+// IDs of the notes left to review in this session, current one first
+let reviewQueue = [];
+
+// Notes selected for bulk actions, and where a Shift+click range starts
+const selectedIds = new Set();
+let selectionAnchor = null;
+
+// Note being dragged by its handle, and the note being moved with the
+// keyboard as { noteId, to }, to being its place among the notes it moves
+// between
+let dragNoteId = null;
+let keyboardMove = null;
 
 // Initialize popup
 document.addEventListener("DOMContentLoaded", async () => {
+  const settings = await StorageHelper.getSettings();
+  applyTheme(settings.theme);
+  restoreView(settings);
   await loadAndRenderNotes();
   setupEventListeners();
+  StorageHelper.watchChanges(handleStorageChange);
+  renderSyncState(await NoteSync.getState());
+  NoteSync.watchState(renderSyncState);
+  await focusRequestedNote();
+  await openRequestedReview();
+
+  if (new URLSearchParams(location.hash.slice(1)).has("import")) {
+    openImportPanel();
+  }
 });
 
+/**
+ * Scroll to and flash the note requested by a clicked page highlight
+ */
+async function focusRequestedNote() {
+  let noteId = new URLSearchParams(location.hash.slice(1)).get("note");
+
+  try {
+    const result = await chrome.storage.session.get("focusNoteId");
+    if (result.focusNoteId) {
+      noteId = result.focusNoteId;
+      await chrome.storage.session.remove("focusNoteId");
+    }
+  } catch (error) {
+    console.error("Error reading focused note:", error);
+  }
+
+  if (noteId) jumpToNote(noteId);
+}
+
+/**
+ * Start reviewing if the popup was opened from a reminder
+ */
+async function openRequestedReview() {
+  let requested = new URLSearchParams(location.hash.slice(1)).has("review");
+
+  try {
+    const result = await chrome.storage.session.get("openReview");
+    if (result.openReview) {
+      requested = true;
+      await chrome.storage.session.remove("openReview");
+    }
+  } catch (error) {
+    console.error("Error reading review request:", error);
+  }
+
+  if (requested) openReviewPanel();
+}
+
+/**
+ * Scroll to a note's card and flash it
+ * @param {string} noteId - ID of the note
+ */
+function revealNote(noteId) {
+  const noteElement = noteList.scrollToIndex(
+    listedNotes.findIndex((note) => note.id === noteId),
+    "center"
+  );
+  if (!noteElement) return;
+
+  noteElement.classList.add("focused");
+  setTimeout(() => {
+    noteElement.classList.remove("focused");
+  }, 2000);
+}
+
 /**
  * Set up event listeners
  */
@@ -36,106 +244,893 @@ function setupEventListeners() {
     e.target.style.height = "auto";
     e.target.style.height = e.target.scrollHeight + "px";
   });
+
+  // Markdown preview
+  setupPreviewToggle(composePreviewBtn, newNoteInput, newNotePreview);
+
+  // Enter on an empty tag field adds the note
+  composeTagInput.field.addEventListener("keydown", (e) => {
+    if (e.key === "Enter" && !composeTagInput.field.value.trim()) {
+      e.preventDefault();
+      handleAddNote();
+    }
+  });
+
+  // Export menu
+  exportBtn.addEventListener("click", (e) => {
+    e.stopPropagation();
+    notebookMenu.hidden = true;
+    toggleExportMenu();
+  });
+  exportMenu.addEventListener("click", (e) => {
+    e.stopPropagation();
+    const item = e.target.closest("[data-format]");
+    if (item) handleExport(item.dataset.format);
+  });
+  document.addEventListener("click", () => {
+    exportMenu.hidden = true;
+    notebookMenu.hidden = true;
+  });
+
+  // Notebook switcher
+  notebookSelect.addEventListener("change", () => {
+    switchNotebook(selectValueToNotebookId(notebookSelect.value));
+  });
+  sortSelect.addEventListener("change", () => setSortMode(sortSelect.value));
+  viewFilters.addEventListener("click", (e) => {
+    const button = e.target.closest("[data-filter]");
+    if (button) setNoteFilter(button.dataset.filter);
+  });
+  notebookMenuBtn.addEventListener("click", (e) => {
+    e.stopPropagation();
+    exportMenu.hidden = true;
+    notebookMenu.hidden = !notebookMenu.hidden;
+  });
+  notebookMenu.addEventListener("click", (e) => {
+    e.stopPropagation();
+    const item = e.target.closest("[data-notebook-action]");
+    if (item) {
+      notebookMenu.hidden = true;
+      handleNotebookAction(item.dataset.notebookAction);
+    }
+  });
+
+  // Import
+  importBtn.addEventListener("click", handleImportClick);
+  document.getElementById("importChooseBtn").addEventListener("click", () => {
+    importFile.click();
+  });
+  importFile.addEventListener("change", handleImportFile);
+  importConfirmBtn.addEventListener("click", handleImportConfirm);
+  importPanel
+    .querySelectorAll('[data-action="close-import"]')
+    .forEach((btn) => {
+      btn.addEventListener("click", closeImportPanel);
+    });
+
+  // Trash
+  trashBtn.addEventListener("click", openTrashPanel);
+  sidebarBtn.addEventListener("click", openPageSidebar);
+  trashPanel.querySelectorAll('[data-action="close-trash"]').forEach((btn) => {
+    btn.addEventListener("click", closeTrashPanel);
+  });
+  emptyTrashBtn.addEventListener("click", handleEmptyTrash);
+  trashRetention.addEventListener("change", handleRetentionChange);
+
+  // History
+  historyPanel
+    .querySelectorAll('[data-action="close-history"]')
+    .forEach((btn) => {
+      btn.addEventListener("click", closeHistoryPanel);
+    });
+  historyFrom.addEventListener("change", renderHistoryDiff);
+  historyTo.addEventListener("change", renderHistoryDiff);
+  historyRestoreBtn.addEventListener("click", handleRestoreRevision);
+  historyDepth.addEventListener("change", handleRevisionDepthChange);
+
+  // Review
+  reviewBtn.addEventListener("click", openReviewPanel);
+  reviewPanel
+    .querySelector('[data-action="close-review"]')
+    .addEventListener("click", closeReviewPanel);
+  reviewGrades.addEventListener("click", (e) => {
+    const button = e.target.closest("[data-grade]");
+    if (button) handleGrade(button.dataset.grade);
+  });
+  reviewCard.addEventListener("click", (e) => {
+    if (e.target.closest('[data-action="stop-review"]')) handleStopReview();
+  });
+  // 1-4 grade the note, as on the buttons from left to right
+  reviewPanel.addEventListener("keydown", (e) => {
+    const grade =
+      reviewGrades.querySelectorAll("[data-grade]")[Number(e.key) - 1];
+    if (grade && !reviewGrades.hidden && !isEditableTarget(e.target)) {
+      e.preventDefault();
+      handleGrade(grade.dataset.grade);
+    } else if (e.key === "Escape") {
+      e.stopPropagation();
+      closeReviewPanel();
+    }
+  });
+
+  // Sync conflicts
+  document
+    .getElementById("syncReviewBtn")
+    .addEventListener("click", openConflictPanel);
+  conflictPanel
+    .querySelectorAll('[data-action="close-conflicts"]')
+    .forEach((btn) => {
+      btn.addEventListener("click", closeConflictPanel);
+    });
+
+  // Undo and redo, unless a text field should handle the keys itself
+  document.addEventListener("keydown", (e) => {
+    if (!(e.ctrlKey || e.metaKey) || isEditableTarget(e.target)) return;
+
+    const key = e.key.toLowerCase();
+    if (key === "z" && !e.shiftKey) {
+      e.preventDefault();
+      handleUndo();
+    } else if ((key === "z" && e.shiftKey) || key === "y") {
+      e.preventDefault();
+      handleRedo();
+    }
+  });
+
+  // Command palette, also from text fields
+  document.addEventListener("keydown", (e) => {
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "k") {
+      e.preventDefault();
+      if (commandPalette.hidden) {
+        openCommandPalette();
+      } else {
+        closeCommandPalette();
+      }
+    }
+  });
+  paletteInput.addEventListener("input", () => {
+    paletteIndex = 0;
+    renderPalette();
+  });
+  paletteInput.addEventListener("keydown", handlePaletteKeydown);
+  paletteList.addEventListener("click", (e) => {
+    const item = e.target.closest("[data-index]");
+    if (item) runPaletteItem(Number(item.dataset.index));
+  });
+  commandPalette.addEventListener("click", (e) => {
+    if (e.target === commandPalette) closeCommandPalette();
+  });
+
+  // Image viewer
+  lightbox.addEventListener("click", (e) => {
+    if (e.target === lightbox) closeLightbox();
+  });
+  lightbox
+    .querySelector('[data-action="close-lightbox"]')
+    .addEventListener("click", closeLightbox);
+  lightbox.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") {
+      e.stopPropagation();
+      closeLightbox();
+    }
+  });
+
+  // Arrow keys move between cards; shortcuts act on the focused one
+  notesList.addEventListener("keydown", handleCardKeydown);
+  notesList.addEventListener("focusin", (e) => {
+    if (e.target.classList.contains("note-card")) setRovingCard(e.target);
+  });
+  // A keyboard move ends when focus or the mouse goes elsewhere
+  document.addEventListener("focusin", (e) => {
+    if (keyboardMove && e.target.dataset?.noteId !== keyboardMove.noteId) {
+      cancelKeyboardMove();
+    }
+  });
+  document.addEventListener("mousedown", (e) => {
+    if (keyboardMove && !e.target.closest?.(".grabbed")) cancelKeyboardMove();
+  });
+
+  // Card buttons, and Ctrl/Cmd+click and Shift+click to select notes for
+  // bulk actions, handled for all cards at once
+  notesList.addEventListener("mousedown", (e) => {
+    // Keep Shift+click from selecting text
+    if (e.shiftKey && e.target.closest(".note-card")) e.preventDefault();
+  });
+  notesList.addEventListener("click", handleCardClick);
+  // Hide favicons that fail to load instead of showing a broken image
+  notesList.addEventListener(
+    "error",
+    (e) => {
+      if (e.target.classList?.contains("citation-favicon")) e.target.remove();
+    },
+    true
+  );
+  bulkBar.addEventListener("click", (e) => {
+    e.stopPropagation();
+    const button = e.target.closest("[data-bulk]");
+    if (button) handleBulkAction(button.dataset.bulk);
+  });
+  bulkNotebook.addEventListener("change", () => {
+    if (bulkNotebook.value) handleBulkAction("move");
+  });
+
+  // Dragging notes by their handle
+  notesList.addEventListener("dragstart", handleDragStart);
+  notesList.addEventListener("dragover", handleDragOver);
+  notesList.addEventListener("drop", handleDrop);
+
+  // Incremental search
+  searchInput.addEventListener("input", () => {
+    clearTimeout(searchTimeout);
+    searchTimeout = setTimeout(() => {
+      searchQuery = searchInput.value;
+      renderNotes(getVisibleNotes());
+    }, 60);
+  });
+
+  searchInput.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && searchInput.value) {
+      e.preventDefault();
+      searchInput.value = "";
+      searchQuery = "";
+      renderNotes(getVisibleNotes());
+    } else if (e.key === "ArrowDown" && listedNotes.length) {
+      e.preventDefault();
+      focusNoteCard(listedNotes[0].id);
+    }
+  });
 }
 
 /**
  * Load notes from storage and render them
+ * The first load shows notes batch by batch as they are read; later loads
+ * replace the list once it is complete, so it doesn't shrink meanwhile
  */
 async function loadAndRenderNotes() {
+  const load = ++notesLoad;
+  const isCurrent = () => load === notesLoad;
+
+  // Batches come in rank order, so each is added below the last. Changes
+  // seen while loading are at least as new as the batch, so notes already
+  // listed are kept. Only the list is redrawn until the last batch is in
+  const showBatch = (batch) => {
+    if (!isCurrent()) return;
+    const listed = new Set(allNotes.map((note) => note.id));
+    allNotes.push(...batch.filter((note) => !listed.has(note.id)));
+    renderNotes(getVisibleNotes());
+  };
+
   try {
-    const notes = await StorageHelper.getAllNotes();
-    renderNotes(notes);
+    notebooks = await StorageHelper.getNotebooks();
+    renderNotebookSelect();
+
+    const notes = await StorageHelper.getAllNotes(
+      notesLoaded ? null : showBatch
+    );
+    if (!isCurrent()) return;
+    if (notesLoaded) allNotes = notes;
+    else allNotes.sort((a, b) => StorageHelper.compareRanks(a, b));
+    notesLoaded = true;
+    renderLoadedNotes();
   } catch (error) {
     console.error("Error loading notes:", error);
   }
 }
 
+/**
+ * Render everything that depends on the loaded notes
+ */
+function renderLoadedNotes() {
+  NoteSearch.sync(allNotes);
+  renderTagBar();
+  renderReviewCount();
+  renderNotes(getVisibleNotes());
+}
+
+/**
+ * Apply changes made elsewhere: another window, the page or the context menu
+ * Only the affected cards are re-rendered, so an open edit form stays intact
+ * @param {Object} changes - Changed notes, trash and notebooks
+ */
+async function handleStorageChange({ notes, trash, notebooks: changed }) {
+  try {
+    if (notes.size) {
+      allNotes = allNotes.filter((note) => !notes.has(note.id));
+      notes.forEach((note) => {
+        if (note) allNotes.push(note);
+      });
+      allNotes.sort((a, b) => StorageHelper.compareRanks(a, b));
+      NoteSearch.sync(allNotes);
+    }
+
+    if (changed) {
+      notebooks = await StorageHelper.getNotebooks();
+      renderNotebookSelect();
+    }
+
+    renderTagBar();
+    renderReviewCount();
+    renderNotes(getVisibleNotes());
+    if (trash && !trashPanel.hidden) await renderTrash();
+  } catch (error) {
+    console.error("Error applying storage changes:", error);
+  }
+}
+
+/**
+ * Get the notes in the current notebook and view matching the search and tag
+ * filters
+ * @returns {Array} Notes to display, in the chosen sort order
+ */
+function getVisibleNotes() {
+  const parsed = NoteSearch.parseQuery(searchQuery);
+  searchTerms = parsed.terms;
+  searchScope = parsed.scope;
+  const searching = NoteSearch.isActive(parsed);
+
+  const ids = searching ? NoteSearch.search(searchQuery) : null;
+  const inView = NOTE_FILTERS[noteFilter].matches;
+
+  const notes = allNotes.filter(
+    (note) =>
+      inView(note) &&
+      StorageHelper.isInNotebook(note, currentNotebookId) &&
+      (!ids || ids.has(note.id)) &&
+      [...activeTags].every((tag) => (note.tags || []).includes(tag))
+  );
+  return NoteSort.sort(notes, sortMode);
+}
+
+/**
+ * Check whether a search or tag filter hides some notes of the notebook
+ * @returns {boolean} True while filtering
+ */
+function isFiltering() {
+  return (
+    NoteSearch.isActive(NoteSearch.parseQuery(searchQuery)) ||
+    activeTags.size > 0
+  );
+}
+
+/**
+ * Check whether the list shows notes in their manual order with none of
+ * the notebook's hidden in between, so they can be moved
+ * @returns {boolean} True if notes can be reordered
+ */
+function canReorder() {
+  return !isFiltering() && sortMode === "manual" && noteFilter !== "favorites";
+}
+
+/**
+ * Apply the sort mode and view remembered in the settings
+ * @param {Object} settings - Settings
+ */
+function restoreView(settings) {
+  sortSelect.innerHTML = Object.entries(NoteSort.MODES)
+    .map(
+      ([mode, { label }]) =>
+        `<option value="${mode}">${escapeHtml(label)}</option>`
+    )
+    .join("");
+
+  if (settings.sortMode in NoteSort.MODES) sortMode = settings.sortMode;
+  if (settings.noteFilter in NOTE_FILTERS) noteFilter = settings.noteFilter;
+  sortSelect.value = sortMode;
+  renderViewFilters();
+}
+
+function renderViewFilters() {
+  viewFilters.querySelectorAll("[data-filter]").forEach((button) => {
+    const active = button.dataset.filter === noteFilter;
+    button.classList.toggle("active", active);
+    button.setAttribute("aria-pressed", active);
+  });
+}
+
+/**
+ * Sort the list and remember the choice
+ * If the choice can't be saved, the previous sort order comes back
+ * @param {string} mode - One of the NoteSort.MODES keys
+ */
+async function setSortMode(mode) {
+  const previous = sortMode;
+  sortMode = mode;
+  sortSelect.value = mode;
+  renderNotes(getVisibleNotes());
+
+  try {
+    await StorageHelper.saveSettings({ sortMode });
+  } catch (error) {
+    console.error("Error saving sort order:", error);
+    // A later choice is left alone
+    if (sortMode !== mode) return;
+    sortMode = previous;
+    sortSelect.value = previous;
+    renderNotes(getVisibleNotes());
+    showToast("Failed to save the sort order. Please try again.");
+  }
+}
+
+/**
+ * Show all notes, favorites or the archive, and remember the choice
+ * If the choice can't be saved, the previous view comes back
+ * @param {string} filter - One of the NOTE_FILTERS keys
+ */
+async function setNoteFilter(filter) {
+  const previous = noteFilter;
+  noteFilter = filter;
+  renderViewFilters();
+  renderNotes(getVisibleNotes());
+
+  try {
+    await StorageHelper.saveSettings({ noteFilter });
+  } catch (error) {
+    console.error("Error saving note filter:", error);
+    if (noteFilter !== filter) return;
+    noteFilter = previous;
+    renderViewFilters();
+    renderNotes(getVisibleNotes());
+    showToast("Failed to save the view. Please try again.");
+  }
+}
+
+/**
+ * Show the notes of a notebook
+ * @param {string|null|undefined} notebookId - Notebook ID, null for the
+ *   Inbox, undefined for all notes
+ */
+function switchNotebook(notebookId) {
+  currentNotebookId = notebookId;
+  notebookSelect.value = notebookIdToSelectValue(notebookId);
+  renderNotebookMenu();
+  renderNotes(getVisibleNotes());
+}
+
+function selectValueToNotebookId(value) {
+  if (value === ALL_NOTEBOOKS) return undefined;
+  if (value === INBOX) return null;
+  return value;
+}
+
+function notebookIdToSelectValue(notebookId) {
+  if (notebookId === undefined) return ALL_NOTEBOOKS;
+  if (notebookId === null) return INBOX;
+  return notebookId;
+}
+
+/**
+ * Get a notebook's display name
+ * @param {string|null} notebookId - Notebook ID, null for the Inbox
+ * @returns {string} Name
+ */
+function getNotebookName(notebookId) {
+  const notebook = notebooks.find((nb) => nb.id === notebookId);
+  return notebook ? notebook.name : "Inbox";
+}
+
+/**
+ * Render the notebook switcher
+ */
+function renderNotebookSelect() {
+  // Fall back to all notes if the viewed notebook was deleted
+  if (
+    currentNotebookId &&
+    !notebooks.some((nb) => nb.id === currentNotebookId)
+  ) {
+    currentNotebookId = undefined;
+  }
+
+  notebookSelect.innerHTML = `
+    <option value="${ALL_NOTEBOOKS}">All notes</option>
+    <option value="${INBOX}">Inbox</option>
+  `;
+  appendNotebookOptions(notebookSelect);
+  notebookSelect.value = notebookIdToSelectValue(currentNotebookId);
+  renderNotebookMenu();
+}
+
+/**
+ * Append one option per notebook, children indented under their parent
+ * @param {HTMLSelectElement} select - Select to fill
+ */
+function appendNotebookOptions(select) {
+  StorageHelper.sortNotebooks(notebooks).forEach((notebook) => {
+    const option = document.createElement("option");
+    option.value = notebook.id;
+    option.textContent = notebook.parentId
+      ? `\u00a0\u00a0\u00a0${notebook.name}`
+      : notebook.name;
+    select.appendChild(option);
+  });
+}
+
+/**
+ * Show only the notebook actions that apply to the current view
+ */
+function renderNotebookMenu() {
+  const notebook = notebooks.find((nb) => nb.id === currentNotebookId);
+  const show = {
+    create: true,
+    "create-sub": Boolean(notebook && !notebook.parentId),
+    rename: Boolean(notebook),
+    delete: Boolean(notebook),
+  };
+
+  notebookMenu.querySelectorAll("[data-notebook-action]").forEach((item) => {
+    item.hidden = !show[item.dataset.notebookAction];
+  });
+}
+
+/**
+ * Create, rename or delete notebooks
+ * @param {string} action - create, create-sub, rename or delete
+ */
+async function handleNotebookAction(action) {
+  const notebook = notebooks.find((nb) => nb.id === currentNotebookId);
+
+  try {
+    if (action === "create" || action === "create-sub") {
+      const name = prompt(
+        action === "create-sub"
+          ? `New notebook inside "${notebook.name}":`
+          : "New notebook name:"
+      );
+      if (!name) return;
+
+      const parentId = action === "create-sub" ? notebook.id : null;
+      const created = await StorageHelper.createNotebook(name, parentId);
+      currentNotebookId = created.id;
+    } else if (action === "rename" && notebook) {
+      const name = prompt("Rename notebook:", notebook.name);
+      if (!name || name === notebook.name) return;
+
+      await StorageHelper.renameNotebook(notebook.id, name);
+    } else if (action === "delete" && notebook) {
+      const target = notebook.parentId
+        ? `"${getNotebookName(notebook.parentId)}"`
+        : "the Inbox";
+      if (!confirm(`Delete "${notebook.name}"? Its notes move to ${target}.`)) {
+        return;
+      }
+
+      await StorageHelper.deleteNotebook(notebook.id);
+      currentNotebookId = notebook.parentId || undefined;
+      showUndoToast();
+    }
+
+    await loadAndRenderNotes();
+  } catch (error) {
+    console.error("Error updating notebook:", error);
+    alert(error.message || "Failed to update notebook. Please try again.");
+  }
+}
+
+/**
+ * Collect the tags used by the loaded notes
+ * @returns {Array<string>} Sorted tags
+ */
+function getKnownTags() {
+  const tags = new Set();
+  allNotes.forEach((note) => (note.tags || []).forEach((t) => tags.add(t)));
+  return [...tags].sort();
+}
+
+/**
+ * Render the tag filter bar
+ */
+function renderTagBar() {
+  const tags = getKnownTags();
+
+  // Drop filters for tags that no longer exist
+  activeTags = new Set([...activeTags].filter((t) => tags.includes(t)));
+  composeTagInput.setSuggestions(tags);
+
+  tagBar.innerHTML = "";
+  tagBar.style.display = tags.length ? "flex" : "none";
+
+  tags.forEach((tag) => {
+    const chip = document.createElement("button");
+    chip.className = "tag-filter";
+    chip.classList.toggle("active", activeTags.has(tag));
+    chip.textContent = `#${tag}`;
+    chip.title = "Click to filter, double-click to rename or merge";
+    chip.addEventListener("click", () => toggleTagFilter(tag));
+    chip.addEventListener("dblclick", () => handleRenameTag(tag));
+    tagBar.appendChild(chip);
+  });
+}
+
+/**
+ * Toggle a tag in the active filter
+ * @param {string} tag - Tag to toggle
+ */
+function toggleTagFilter(tag) {
+  if (activeTags.has(tag)) {
+    activeTags.delete(tag);
+  } else {
+    activeTags.add(tag);
+  }
+  renderTagBar();
+  renderNotes(getVisibleNotes());
+}
+
+/**
+ * Rename, merge or remove a tag across all notes
+ * @param {string} tag - Tag to manage
+ */
+async function handleRenameTag(tag) {
+  const newName = prompt(
+    `Rename tag "${tag}" to (use an existing tag to merge, leave empty to remove it from all notes):`,
+    tag
+  );
+
+  if (newName === null || newName.trim() === tag) return;
+
+  try {
+    if (!newName.trim()) {
+      if (!confirm(`Remove tag "${tag}" from all notes?`)) return;
+      await StorageHelper.removeTag(tag);
+    } else {
+      await StorageHelper.renameTag(tag, newName);
+      if (activeTags.delete(tag)) {
+        activeTags.add(StorageHelper.normalizeTag(newName));
+      }
+    }
+    await loadAndRenderNotes();
+    showUndoToast();
+  } catch (error) {
+    console.error("Error renaming tag:", error);
+    alert("Failed to update tag. Please try again.");
+  }
+}
+
 /**
  * Render all notes in the UI
+ * Only the cards near the viewport are built. Cards whose note, position
+ * and search terms are unchanged are kept, and cards being edited are never
+ * replaced
  * @param {Array} notes - Array of note objects
  */
 function renderNotes(notes) {
-  // Clear current notes
-  notesList.innerHTML = "";
+  // Reordering a filtered or sorted list would swap with hidden notes
+  const filtering = isFiltering();
+  notesList.classList.toggle("filtering", !canReorder());
+
+  // A note being moved with the keyboard shows in the place chosen so far
+  if (keyboardMove && !canReorder()) endKeyboardMove();
+  if (keyboardMove) notes = previewKeyboardMove(notes);
+
+  // Bulk actions only apply to notes in view
+  const shown = new Set(notes.map((note) => note.id));
+  selectedIds.forEach((id) => {
+    if (!shown.has(id)) selectedIds.delete(id);
+  });
+  renderBulkBar();
+
+  listedNotes = notes;
 
   // Show empty state if no notes
   if (notes.length === 0) {
-    emptyState.style.display = "flex";
+    noteList.setItems([]);
+    emptyState.querySelector(".empty-title").textContent =
+      currentNotebookId === undefined || noteFilter !== "all"
+        ? NOTE_FILTERS[noteFilter].empty
+        : `No notes in ${getNotebookName(currentNotebookId)}`;
+    emptyState.style.display = filtering ? "none" : "flex";
+    noResults.style.display = filtering ? "flex" : "none";
     notesList.style.display = "none";
     return;
   }
 
   emptyState.style.display = "none";
+  noResults.style.display = "none";
   notesList.style.display = "block";
+  noteList.setItems(notes);
+}
 
-  // Render each note with staggered animation
-  notes.forEach((note, index) => {
-    const noteElement = createNoteElement(note, index, notes.length);
-    noteElement.style.animationDelay = `${index * 0.03}s`;
-    notesList.appendChild(noteElement);
-  });
+/**
+ * Build or update the card of a listed note
+ * @param {Object} note - Note
+ * @param {number} index - Position in the list
+ * @param {HTMLElement|null} card - Current card, null if not rendered
+ * @param {boolean} isNew - Whether the note just joined the list
+ * @returns {HTMLElement} Card to show
+ */
+function renderNoteCard(note, index, card, isNew) {
+  // Pinned notes only move among themselves, and so do the others
+  const notes = listedNotes;
+  const first = index === 0 || notes[index - 1].pinned !== note.pinned;
+  const last =
+    index === notes.length - 1 || notes[index + 1].pinned !== note.pinned;
+  const key = JSON.stringify([
+    note,
+    first,
+    last,
+    currentNotebookId === undefined && getNotebookName(note.notebookId),
+    searchTerms,
+    searchScope,
+  ]);
+
+  const editing = card?.querySelector(".note-edit-form");
+  if (!card || (!editing && renderedCards.get(card) !== key)) {
+    const fresh = createNoteElement(note, first, last);
+    renderedCards.set(fresh, key);
+
+    // Only notes new to the list slide in, staggered when the list appears,
+    // rather than every card scrolled into view
+    if (isNew) {
+      fresh.style.animationDelay = `${Math.min(index, 10) * 0.03}s`;
+    } else {
+      fresh.style.animation = "none";
+    }
+    card = fresh;
+  }
+
+  card.classList.toggle("selected", selectedIds.has(note.id));
+  card.classList.toggle("grabbed", keyboardMove?.noteId === note.id);
+  card.classList.toggle("dragging", dragNoteId === note.id);
+  card.tabIndex = note.id === rovingNoteId ? 0 : -1;
+  return card;
+}
+
+/**
+ * Keep one card reachable with Tab, even once the one that was has been
+ * scrolled away
+ */
+function keepTabStop() {
+  if (!notesList.querySelector('.note-card[tabindex="0"]')) {
+    if (notesList.firstElementChild) notesList.firstElementChild.tabIndex = 0;
+  }
+
+  // Cards are rebuilt as a keyboard move goes, so focus follows the note
+  if (keyboardMove) {
+    const card = notesList.querySelector(
+      `[data-note-id="${keyboardMove.noteId}"]`
+    );
+    if (card && document.activeElement !== card) card.focus();
+  }
 }
 
 /**
  * Create a note element
  * @param {Object} note - Note object
- * @param {number} index - Current index in list
- * @param {number} totalNotes - Total number of notes
+ * @param {boolean} first - Whether it can't move up
+ * @param {boolean} last - Whether it can't move down
  * @returns {HTMLElement} Note element
  */
-function createNoteElement(note, index, totalNotes) {
+function createNoteElement(note, first, last) {
   const noteCard = document.createElement("div");
   noteCard.className = "note-card";
+  noteCard.classList.toggle("pinned", note.pinned);
+  noteCard.classList.toggle("archived", note.archived);
   noteCard.dataset.noteId = note.id;
+  noteCard.tabIndex = -1;
 
-  // Truncate text to 150 characters
-  const displayText =
-    note.text.length > 150 ? note.text.substring(0, 150) + "..." : note.text;
+  // Long notes start collapsed behind a "Show more" toggle
+  const collapsible = isLongNote(StorageHelper.getNoteText(note));
+  const expandToggle = collapsible
+    ? `<button class="note-expand-btn" data-action="expand">Show more</button>`
+    : "";
 
   // Format date
   const dateStr = formatDate(note.createdAt);
 
-  // URL section
-  const urlSection = note.url
-    ? `
-    <a href="${escapeHtml(
-      note.url
-    )}" target="_blank" class="note-link-badge" title="${escapeHtml(note.url)}">
-      <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-        <path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"></path>
-        <path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"></path>
-      </svg>
-      Open link
-    </a>
-  `
+  // Show where the note lives when viewing all notebooks
+  const notebookLabel =
+    currentNotebookId === undefined && note.notebookId
+      ? `<span class="note-notebook">${escapeHtml(
+          getNotebookName(note.notebookId)
+        )}</span>`
+      : "";
+
+  // Flag notes whose highlight can no longer be found on the page
+  const orphanedBadge = note.orphaned
+    ? `<span class="note-orphaned-badge" title="The clipped text was not found the last time this page was visited">Orphaned</span>`
+    : "";
+
+  // When a note in review comes up next
+  const reviewBadge = note.review
+    ? `<span class="note-review-badge" title="Next review ${escapeHtml(
+        new Date(note.review.dueAt).toLocaleString()
+      )}">${escapeHtml(formatDueDate(note.review.dueAt))}</span>`
+    : "";
+
+  // Citation line with the page the note was clipped from
+  const urlSection = note.url ? renderCitation(note) : "";
+
+  // Image notes show a thumbnail that opens the full image
+  const imageSection = note.image
+    ? `<button class="note-image" data-action="view-image" title="View image" style="aspect-ratio: ${
+        note.image.width || 4
+      } / ${note.image.height || 3}">
+        <img alt="${escapeHtml(note.image.alt || "")}">
+      </button>`
+    : "";
+
+  // Tags section
+  const tagsSection = (note.tags || []).length
+    ? `<div class="note-tags">${note.tags
+        .map(
+          (tag) =>
+            `<button class="note-tag" data-tag="${escapeHtml(
+              tag
+            )}">#${escapeHtml(tag)}</button>`
+        )
+        .join("")}</div>`
     : "";
 
   noteCard.innerHTML = `
     <div class="note-header">
-      <div class="note-meta">${dateStr}</div>
+      <div class="note-meta">${dateStr}${notebookLabel}${orphanedBadge}${reviewBadge}</div>
       <div class="note-actions">
         <div class="note-reorder">
+          <button class="reorder-btn drag-handle" title="Drag to move, or press and use the arrow keys" data-action="drag" draggable="true" ${
+            first && last ? "disabled" : ""
+          }>
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor">
+              <circle cx="9" cy="6" r="1.5"></circle>
+              <circle cx="15" cy="6" r="1.5"></circle>
+              <circle cx="9" cy="12" r="1.5"></circle>
+              <circle cx="15" cy="12" r="1.5"></circle>
+              <circle cx="9" cy="18" r="1.5"></circle>
+              <circle cx="15" cy="18" r="1.5"></circle>
+            </svg>
+          </button>
           <button class="reorder-btn btn-up" title="Move up" data-action="up" ${
-            index === 0 ? "disabled" : ""
+            first ? "disabled" : ""
           }>
             <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round">
               <polyline points="18 15 12 9 6 15"></polyline>
             </svg>
           </button>
           <button class="reorder-btn btn-down" title="Move down" data-action="down" ${
-            index === totalNotes - 1 ? "disabled" : ""
+            last ? "disabled" : ""
           }>
             <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round">
               <polyline points="6 9 12 15 18 9"></polyline>
             </svg>
           </button>
         </div>
+        <button class="note-action-btn${note.pinned ? " active" : ""}" title="${
+    note.pinned ? "Unpin" : "Pin to top"
+  }" data-flag="pinned" aria-pressed="${note.pinned}">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <line x1="12" y1="17" x2="12" y2="22"></line>
+            <path d="M5 17h14v-1.76a2 2 0 0 0-1.11-1.79l-1.78-.9A2 2 0 0 1 15 10.76V6h1a2 2 0 0 0 0-4H8a2 2 0 0 0 0 4h1v4.76a2 2 0 0 1-1.11 1.79l-1.78.9A2 2 0 0 0 5 15.24z"></path>
+          </svg>
+        </button>
+        <button class="note-action-btn${
+          note.favorite ? " active" : ""
+        }" title="${
+    note.favorite ? "Remove from favorites" : "Add to favorites"
+  }" data-flag="favorite" aria-pressed="${note.favorite}">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"></polygon>
+          </svg>
+        </button>
+        <button class="note-action-btn${
+          note.archived ? " active" : ""
+        }" title="${
+    note.archived ? "Unarchive" : "Archive"
+  }" data-flag="archived" aria-pressed="${note.archived}">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <polyline points="21 8 21 21 3 21 3 8"></polyline>
+            <rect x="1" y="3" width="22" height="5"></rect>
+            <line x1="10" y1="12" x2="14" y2="12"></line>
+          </svg>
+        </button>
         <button class="note-action-btn" title="Edit" data-action="edit">
           <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
             <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
             <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
           </svg>
         </button>
+        <button class="note-action-btn" title="History" data-action="history">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <circle cx="12" cy="12" r="10"></circle>
+            <polyline points="12 6 12 12 16 14"></polyline>
+          </svg>
+        </button>
         <button class="note-action-btn delete" title="Delete" data-action="delete">
           <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
             <polyline points="3 6 5 6 21 6"></polyline>
@@ -144,296 +1139,2162 @@ function createNoteElement(note, index, totalNotes) {
         </button>
       </div>
     </div>
-    <div class="note-text">${escapeHtml(displayText)}</div>
+    ${imageSection}
+    <div class="note-text markdown-body${
+      collapsible ? " collapsible collapsed" : ""
+    }">${renderNoteBody(note)}</div>
+    ${expandToggle}
+    ${tagsSection}
     ${urlSection}
   `;
 
-  // Add event listeners
-  noteCard
-    .querySelector('[data-action="edit"]')
-    .addEventListener("click", (e) => {
-      e.stopPropagation();
-      handleEdit(note);
-    });
-  noteCard
-    .querySelector('[data-action="delete"]')
-    .addEventListener("click", (e) => {
-      e.stopPropagation();
-      handleDelete(note.id);
+  // in: searches only mark matches in that part of the note
+  highlightMatches(
+    noteCard.querySelector(
+      { selection: ".note-quote", comment: ".note-comment" }[searchScope] ||
+        ".note-text"
+    )
+  );
+
+  if (note.image) loadThumbnail(noteCard.querySelector(".note-image"), note);
+
+  return noteCard;
+}
+
+/**
+ * Fill in an image note's thumbnail once it has been read from the store
+ * @param {HTMLElement} container - The card's .note-image button
+ * @param {Object} note - Image note
+ */
+async function loadThumbnail(container, note) {
+  const id = note.image.id;
+  if (!thumbnailUrls.has(id)) {
+    thumbnailUrls.set(
+      id,
+      ImageStore.getThumbnail(id)
+        .then((blob) => (blob ? URL.createObjectURL(blob) : null))
+        .catch((error) => {
+          console.error("Error loading thumbnail:", error);
+          return null;
+        })
+    );
+  }
+
+  const url = await thumbnailUrls.get(id);
+  if (url) {
+    container.querySelector("img").src = url;
+  } else {
+    container.classList.add("missing");
+    container.disabled = true;
+    container.textContent = "Image not available";
+  }
+}
+
+/**
+ * Show an image note's full image over the popup
+ * @param {Object} note - Image note
+ */
+async function openLightbox(note) {
+  try {
+    const record = await ImageStore.get(note.image.id);
+    if (!record) {
+      showToast("Image not available");
+      return;
+    }
+
+    closeLightbox();
+    const url = URL.createObjectURL(record.blob);
+    const extension = (record.type.split("/")[1] || "png").replace("+xml", "");
+    lightboxImage.src = url;
+    lightboxImage.alt = note.image.alt || "";
+    lightboxDownload.href = url;
+    lightboxDownload.download = `note-image-${note.id}.${extension}`;
+    lightbox.hidden = false;
+    lightbox.querySelector('[data-action="close-lightbox"]').focus();
+  } catch (error) {
+    console.error("Error opening image:", error);
+    showToast("Image not available");
+  }
+}
+
+function closeLightbox() {
+  if (lightboxImage.src) URL.revokeObjectURL(lightboxImage.src);
+  lightboxImage.removeAttribute("src");
+  lightboxDownload.removeAttribute("href");
+  lightbox.hidden = true;
+}
+
+/**
+ * Plain text standing in for a note in lists
+ * Image notes without text are described by their image
+ * @param {Object} note - Note
+ * @returns {string} Text
+ */
+function getNoteSummary(note) {
+  const text = StorageHelper.getNoteText(note);
+  if (text || !note.image) return text;
+  return note.image.alt ? `Image: ${note.image.alt}` : "Image";
+}
+
+/**
+ * Render the clipped selection as a quote, followed by the user's comment
+ * @param {Object} note - Note
+ * @returns {string} HTML
+ */
+function renderNoteBody(note) {
+  const quote = note.selection
+    ? `<blockquote class="note-quote">${MarkdownRenderer.render(
+        note.selection
+      )}</blockquote>`
+    : "";
+  const comment = note.comment
+    ? `<div class="note-comment">${MarkdownRenderer.render(note.comment)}</div>`
+    : "";
+  return quote + comment;
+}
+
+/**
+ * Show or hide the export menu
+ */
+function toggleExportMenu() {
+  const selected = selectedIds.size;
+  const filtered =
+    selected > 0 ||
+    isFiltering() ||
+    currentNotebookId !== undefined ||
+    noteFilter !== "all";
+
+  // "Current view" only makes sense while some notes are hidden; with a
+  // selection, it means the selected notes
+  exportScopeLabel.textContent = selected
+    ? `Only the ${selected} selected ${selected === 1 ? "note" : "notes"}`
+    : "Only notes in current view";
+  exportFilteredOnly.checked = filtered;
+  exportFilteredOnly.disabled = !filtered;
+  exportMenu.hidden = !exportMenu.hidden;
+}
+
+/**
+ * Export notes in the chosen format
+ * Images are read from the image store for every format but CSV
+ * @param {string} format - One of markdown, json, csv, html
+ */
+async function handleExport(format) {
+  const notes = !exportFilteredOnly.checked
+    ? allNotes
+    : selectedIds.size
+    ? getSelectedNotes()
+    : getVisibleNotes();
+  exportMenu.hidden = true;
+
+  if (notes.length === 0) {
+    alert("There are no notes to export.");
+    return;
+  }
+
+  try {
+    const imageIds = notes.filter((n) => n.image).map((n) => n.image.id);
+    const images =
+      format === "csv" ? {} : await ImageStore.toDataUrls(imageIds);
+    NoteExporter.download(notes, format, notebooks, images);
+  } catch (error) {
+    console.error("Error exporting notes:", error);
+    alert("Failed to export notes. Please try again.");
+  }
+}
+
+/**
+ * Open the import flow
+ * The action popup closes when a file chooser takes focus, so the import
+ * runs in a tab instead
+ */
+function handleImportClick() {
+  const inActionPopup = chrome.extension
+    .getViews({ type: "popup" })
+    .includes(window);
+
+  if (inActionPopup) {
+    chrome.tabs.create({ url: chrome.runtime.getURL("popup.html#import") });
+    window.close();
+    return;
+  }
+
+  openImportPanel();
+}
+
+function openImportPanel() {
+  importItems = [];
+  importFile.value = "";
+  importPreview.innerHTML = "";
+  importConfirmBtn.disabled = true;
+  importPanel.hidden = false;
+}
+
+function closeImportPanel() {
+  importPanel.hidden = true;
+  importItems = [];
+  importNotebooks = [];
+  importImages = {};
+}
+
+/**
+ * Parse the chosen file and show the import preview
+ */
+async function handleImportFile() {
+  const file = importFile.files[0];
+  if (!file) return;
+
+  try {
+    const content = await file.text();
+    const parsed = NoteImporter.parse(content, file.name);
+    const { notes, invalid } = parsed;
+    const existing = await StorageHelper.getAllNotes();
+
+    importNotebooks = parsed.notebooks;
+    importImages = parsed.images;
+    importItems = NoteImporter.findDuplicates(notes, existing);
+    renderImportPreview(invalid);
+  } catch (error) {
+    console.error("Error reading import file:", error);
+    importItems = [];
+    importPreview.innerHTML = `<p class="import-error">${escapeHtml(
+      error.message
+    )}</p>`;
+    importConfirmBtn.disabled = true;
+  }
+}
+
+/**
+ * Render the preview: new notes, duplicates with a decision each, and
+ * records that failed validation with the reason
+ * @param {Array} invalid - Rejected records
+ */
+function renderImportPreview(invalid) {
+  const duplicates = importItems.filter((item) => item.duplicateOf);
+  const fresh = importItems.length - duplicates.length;
+  const reasons = {
+    id: "same ID",
+    content: "same text and link",
+    file: "repeated in file",
+  };
+
+  const duplicateRows = importItems
+    .map((item, i) => {
+      if (!item.duplicateOf) return "";
+
+      // Overwriting only makes sense against a note already in storage
+      const overwrite =
+        item.reason === "file"
+          ? ""
+          : `<option value="overwrite">Overwrite</option>`;
+
+      return `
+        <li class="import-item">
+          <div class="import-item-text">${escapeHtml(
+            truncate(getNoteSummary(item.note), 80)
+          )}</div>
+          <div class="import-item-meta">
+            <span>Duplicate: ${reasons[item.reason]}</span>
+            <select class="import-decision" data-index="${i}">
+              <option value="skip">Skip</option>
+              ${overwrite}
+              <option value="keep-both">Keep both</option>
+            </select>
+          </div>
+        </li>`;
+    })
+    .join("");
+
+  const invalidRows = invalid
+    .map(
+      (entry) => `
+        <li class="import-item invalid">
+          Record ${entry.position}: ${escapeHtml(entry.reason)}
+        </li>`
+    )
+    .join("");
+
+  importPreview.innerHTML = `
+    <p class="import-summary">
+      ${fresh} new · ${duplicates.length} duplicate · ${invalid.length} invalid
+    </p>
+    ${
+      duplicates.length
+        ? `<div class="import-section-header">
+            <span>Duplicates</span>
+            <select id="importDecisionAll">
+              <option value="">Apply to all…</option>
+              <option value="skip">Skip all</option>
+              <option value="overwrite">Overwrite all</option>
+              <option value="keep-both">Keep both for all</option>
+            </select>
+          </div>
+          <ul class="import-list">${duplicateRows}</ul>`
+        : ""
+    }
+    ${
+      invalid.length
+        ? `<div class="import-section-header"><span>Not imported</span></div>
+          <ul class="import-list">${invalidRows}</ul>`
+        : ""
+    }
+  `;
+
+  importPreview
+    .querySelector("#importDecisionAll")
+    ?.addEventListener("change", (e) => {
+      if (!e.target.value) return;
+      importPreview.querySelectorAll(".import-decision").forEach((select) => {
+        const option = select.querySelector(`[value="${e.target.value}"]`);
+        if (option) select.value = e.target.value;
+      });
     });
-  noteCard
-    .querySelector('[data-action="up"]')
-    .addEventListener("click", (e) => {
-      e.stopPropagation();
-      handleMoveUp(note.id);
+
+  importConfirmBtn.disabled = importItems.length === 0;
+}
+
+/**
+ * Merge the previewed notes into storage
+ */
+async function handleImportConfirm() {
+  const decisions = importItems.map(() => "skip");
+  importPreview.querySelectorAll(".import-decision").forEach((select) => {
+    decisions[Number(select.dataset.index)] = select.value;
+  });
+
+  try {
+    // Images go in first; notes whose image couldn't be stored, and isn't
+    // already, lose it, so no imported note points at a missing one
+    const imageIds = new Set(
+      importItems.map((item) => item.note.image?.id).filter(Boolean)
+    );
+    const { stored } = await ImageStore.fromDataUrls(
+      Object.fromEntries(
+        Object.entries(importImages).filter(([id]) => imageIds.has(id))
+      )
+    );
+    const missing = new Set();
+    for (const id of imageIds) {
+      if (!stored.includes(id) && !(await ImageStore.get(id))) missing.add(id);
+    }
+    const {
+      items,
+      decisions: kept,
+      stripped,
+      dropped,
+    } = NoteImporter.dropMissingImages(importItems, decisions, missing);
+
+    // Merged inside the transaction, so notes saved while the preview was
+    // open are kept
+    let result;
+    await StorageHelper.transact("Notes imported", (state) => {
+      result = NoteImporter.apply(state, items, kept, importNotebooks);
     });
-  noteCard
-    .querySelector('[data-action="down"]')
-    .addEventListener("click", (e) => {
-      e.stopPropagation();
-      handleMoveDown(note.id);
+
+    closeImportPanel();
+    await loadAndRenderNotes();
+    showUndoToast();
+
+    let summary = `Imported ${result.added} new, replaced ${result.replaced}, skipped ${result.skipped}.`;
+    if (stripped || dropped) {
+      summary += `\n\n${missing.size} images couldn't be imported: ${stripped} notes were imported without theirs and ${dropped} image-only notes were left out.`;
+    }
+    alert(summary);
+  } catch (error) {
+    console.error("Error importing notes:", error);
+    alert("Failed to import notes. Please try again.");
+  }
+}
+
+/**
+ * Truncate text with an ellipsis
+ * @param {string} text - Text to truncate
+ * @param {number} length - Maximum length
+ * @returns {string} Truncated text
+ */
+function truncate(text, length) {
+  return text.length > length ? text.substring(0, length) + "..." : text;
+}
+
+/**
+ * Render the citation line linking a note to its source
+ * Notes saved before source metadata was captured fall back to the host
+ * @param {Object} note - Note with a URL
+ * @returns {string} HTML
+ */
+function renderCitation(note) {
+  const source = note.source || {};
+  const host = NoteSearch.getHost(note.url) || note.url;
+  const title = source.title || host;
+
+  const details = [];
+  if (source.siteName || source.title) details.push(source.siteName || host);
+  if (source.author) details.push(source.author);
+  if (source.publishedAt) {
+    details.push(
+      new Date(source.publishedAt).toLocaleDateString("en-US", {
+        year: "numeric",
+        month: "short",
+        day: "numeric",
+      })
+    );
+  }
+
+  const favicon = source.favicon
+    ? `<img class="citation-favicon" src="${escapeHtml(
+        source.favicon
+      )}" alt="" width="14" height="14">`
+    : "";
+  const heading = source.heading
+    ? `<span class="citation-heading">§ ${escapeHtml(source.heading)}</span>`
+    : "";
+
+  return `
+    <a href="${escapeHtml(
+      note.url
+    )}" target="_blank" class="note-citation" title="${escapeHtml(note.url)}">
+      ${favicon}
+      <span class="citation-title">${escapeHtml(title)}</span>
+      ${
+        details.length
+          ? `<span class="citation-details">${escapeHtml(
+              details.join(" · ")
+            )}</span>`
+          : ""
+      }
+      ${heading}
+    </a>
+  `;
+}
+
+/**
+ * Handle adding a new note
+ */
+async function handleAddNote() {
+  const text = newNoteInput.value.trim();
+  const url = newNoteUrl.value.trim();
+
+  if (!text) {
+    // Add shake animation to input
+    newNoteInput.classList.add("shake");
+    setTimeout(() => {
+      newNoteInput.classList.remove("shake");
+    }, 300);
+    newNoteInput.focus();
+    return;
+  }
+
+  // Validate URL if provided
+  if (url && !isValidUrl(url)) {
+    newNoteUrl.classList.add("shake");
+    newNoteUrl.style.borderColor = "#dc3545";
+    setTimeout(() => {
+      newNoteUrl.classList.remove("shake");
+      newNoteUrl.style.borderColor = "";
+    }, 300);
+    return;
+  }
+
+  try {
+    const newNote = StorageHelper.createNote({
+      comment: text,
+      url,
+      tags: composeTagInput.getTags(),
+      notebookId: currentNotebookId,
     });
 
-  return noteCard;
+    await StorageHelper.addNote(newNote);
+
+    // Add success feedback
+    const originalText = addNoteBtn.innerHTML;
+    addNoteBtn.innerHTML = `
+      <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <polyline points="20 6 9 17 4 12"></polyline>
+      </svg>
+      <span>Added!</span>
+    `;
+    addNoteBtn.style.background = "#10b981";
+
+    setTimeout(() => {
+      addNoteBtn.innerHTML = originalText;
+      addNoteBtn.style.background = "";
+    }, 1200);
+
+    newNoteInput.value = "";
+    newNoteUrl.value = "";
+    composeTagInput.setTags([]);
+    if (!newNotePreview.hidden) composePreviewBtn.click();
+    newNoteInput.style.height = "auto";
+    await loadAndRenderNotes();
+    newNoteInput.focus();
+  } catch (error) {
+    console.error("Error adding note:", error);
+    alert("Failed to add note. Please try again.");
+  }
+}
+
+/**
+ * Validate URL
+ * @param {string} url - URL to validate
+ * @returns {boolean} True if valid
+ */
+function isValidUrl(url) {
+  try {
+    new URL(url);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Handle editing a note
+ * @param {Object} note - Note to edit
+ */
+async function handleEdit(note) {
+  const noteElement = document.querySelector(`[data-note-id="${note.id}"]`);
+
+  // Store original content
+  const originalContent = noteElement.innerHTML;
+
+  // Create edit form
+  const editForm = document.createElement("div");
+  editForm.className = "note-edit-form";
+  // Notes written by hand have no clipped text to edit
+  const selectionField = note.selection
+    ? `<label class="edit-label">Clipped text</label>
+    <textarea class="edit-textarea edit-selection">${escapeHtml(
+      note.selection
+    )}</textarea>
+    <label class="edit-label">Comment</label>`
+    : "";
+  editForm.innerHTML = `
+    ${selectionField}
+    <textarea class="edit-textarea edit-comment" placeholder="Add a comment">${escapeHtml(
+      note.comment
+    )}</textarea>
+    <div class="edit-preview markdown-body note-text" hidden></div>
+    <input type="url" class="edit-url-input" placeholder="🔗 Add or edit link" value="${escapeHtml(
+      note.url || ""
+    )}">
+    <div class="edit-tags-slot"></div>
+    <select class="edit-notebook-select" title="Notebook">
+      <option value="${INBOX}">Inbox</option>
+    </select>
+    <label class="edit-reminder">
+      <span>Remind me on</span>
+      <input type="date" class="edit-reminder-input" value="${
+        note.review ? ReviewScheduler.formatDay(note.review.dueAt) : ""
+      }">
+    </label>
+    <div class="edit-actions">
+      <button class="btn-preview">Preview</button>
+      <button class="btn-cancel">Cancel</button>
+      <button class="btn-save">
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <polyline points="20 6 9 17 4 12"></polyline>
+        </svg>
+        Save
+      </button>
+    </div>
+  `;
+
+  // Replace content with edit form
+  noteElement.innerHTML = "";
+  noteElement.appendChild(editForm);
+
+  const selectionInput = editForm.querySelector(".edit-selection");
+  const textarea = editForm.querySelector(".edit-comment");
+  const urlInput = editForm.querySelector(".edit-url-input");
+  const reminderInput = editForm.querySelector(".edit-reminder-input");
+  const reminderDay = reminderInput.value;
+  const saveBtn = editForm.querySelector(".btn-save");
+  const cancelBtn = editForm.querySelector(".btn-cancel");
+
+  setupPreviewToggle(
+    editForm.querySelector(".btn-preview"),
+    textarea,
+    editForm.querySelector(".edit-preview")
+  );
+
+  const tagInput = TagInput.create({
+    placeholder: "# Add tags",
+    suggestions: getKnownTags(),
+  });
+  tagInput.setTags(note.tags);
+  editForm.querySelector(".edit-tags-slot").appendChild(tagInput.element);
+
+  const notebookInput = editForm.querySelector(".edit-notebook-select");
+  appendNotebookOptions(notebookInput);
+  notebookInput.value = notebookIdToSelectValue(note.notebookId || null);
+
+  // Focus textarea and select all
+  textarea.focus();
+  textarea.select();
+
+  // Auto-resize textareas
+  const textareas = editForm.querySelectorAll(".edit-textarea");
+  textareas.forEach((input) => {
+    input.style.height = "auto";
+    input.style.height = input.scrollHeight + "px";
+    input.addEventListener("input", (e) => {
+      e.target.style.height = "auto";
+      e.target.style.height = e.target.scrollHeight + "px";
+    });
+  });
+
+  // Save handler
+  saveBtn.addEventListener("click", async () => {
+    const newSelection = selectionInput ? selectionInput.value.trim() : "";
+    const newComment = textarea.value.trim();
+    const newUrl = urlInput.value.trim();
+
+    if (!newSelection && !newComment && !note.image) {
+      textareas.forEach((input) => input.classList.add("shake"));
+      setTimeout(() => {
+        textareas.forEach((input) => input.classList.remove("shake"));
+      }, 300);
+      return;
+    }
+
+    // Validate URL if provided
+    if (newUrl && !isValidUrl(newUrl)) {
+      urlInput.classList.add("shake");
+      urlInput.style.borderColor = "#dc3545";
+      setTimeout(() => {
+        urlInput.classList.remove("shake");
+        urlInput.style.borderColor = "";
+      }, 300);
+      return;
+    }
+
+    // A new reminder day moves the next review; clearing it stops reviewing
+    let review;
+    if (reminderInput.value !== reminderDay) {
+      const dueAt = ReviewScheduler.parseDay(reminderInput.value);
+      review = dueAt ? ReviewScheduler.remindAt(note.review, dueAt) : null;
+    }
+
+    try {
+      // Text and notebook changes undo as a single step
+      await StorageHelper.transact(
+        "Note edited",
+        async (state, transaction) => {
+          await StorageHelper.updateNote(
+            note.id,
+            {
+              selection: newSelection,
+              comment: newComment,
+              url: newUrl || null,
+              tags: tagInput.getTags(),
+              review,
+            },
+            transaction
+          );
+
+          const notebookId = selectValueToNotebookId(notebookInput.value);
+          if (notebookId !== (note.notebookId || null)) {
+            await StorageHelper.moveNotesToNotebook(
+              [note.id],
+              notebookId,
+              transaction
+            );
+          }
+        }
+      );
+
+      // Cards being edited are left alone by renderNotes, so close the form
+      // and have the card rebuilt from the saved note
+      editForm.remove();
+      renderedCards.delete(noteElement);
+      await loadAndRenderNotes();
+      showUndoToast();
+    } catch (error) {
+      console.error("Error updating note:", error);
+      alert("Failed to update note. Please try again.");
+    }
+  });
+
+  // Cancel handler
+  cancelBtn.addEventListener("click", () => {
+    noteElement.innerHTML = originalContent;
+    // Pick up changes made elsewhere while the form was open
+    renderNotes(getVisibleNotes());
+  });
+
+  // Save on Ctrl+Enter or Cmd+Enter
+  textareas.forEach((input) => {
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+        saveBtn.click();
+      }
+      if (e.key === "Escape") {
+        cancelBtn.click();
+      }
+    });
+  });
+}
+
+/**
+ * Handle a click on a card's buttons or tags
+ * The list has one listener for all cards, which come and go as it scrolls
+ * @param {MouseEvent} e - Click event
+ * @returns {boolean} True if the click was on one of them
+ */
+function handleCardAction(e) {
+  const control = e.target.closest("[data-action], [data-flag], .note-tag");
+  const card = control?.closest(".note-card");
+  const note = card && allNotes.find((n) => n.id === card.dataset.noteId);
+  if (!note) return false;
+
+  e.stopPropagation();
+  if (control.dataset.flag) {
+    handleToggleFlag(note, control.dataset.flag);
+    return true;
+  }
+  if (control.classList.contains("note-tag")) {
+    if (!activeTags.has(control.dataset.tag)) {
+      toggleTagFilter(control.dataset.tag);
+    }
+    return true;
+  }
+
+  switch (control.dataset.action) {
+    case "edit":
+      handleEdit(note);
+      break;
+    case "history":
+      openHistoryPanel(note);
+      break;
+    case "delete":
+      handleDelete(note.id);
+      break;
+    case "drag":
+      startKeyboardMove(card);
+      break;
+    case "up":
+      handleMoveUp(note.id);
+      break;
+    case "down":
+      handleMoveDown(note.id);
+      break;
+    case "view-image":
+      openLightbox(note);
+      break;
+    case "expand": {
+      const noteText = card.querySelector(".note-text");
+      const collapsed = noteText.classList.toggle("collapsed");
+      control.textContent = collapsed ? "Show more" : "Show less";
+      break;
+    }
+    default:
+      return false;
+  }
+  return true;
+}
+
+/**
+ * Handle deleting a note
+ * @param {string} noteId - ID of note to delete
+ */
+async function handleDelete(noteId) {
+  const noteElement = document.querySelector(`[data-note-id="${noteId}"]`);
+
+  // Add remove animation
+  noteElement.classList.add("removing");
+
+  // Wait for animation before deleting
+  await new Promise((resolve) => setTimeout(resolve, 300));
+
+  try {
+    await StorageHelper.deleteNote(noteId);
+    await loadAndRenderNotes();
+    showUndoToast();
+  } catch (error) {
+    console.error("Error deleting note:", error);
+    noteElement.classList.remove("removing");
+    alert("Failed to delete note. Please try again.");
+  }
+}
+
+/**
+ * Pin, favorite or archive a note, or take that back
+ * @param {Object} note - Note to change
+ * @param {string} flag - pinned, favorite or archived
+ */
+async function handleToggleFlag(note, flag) {
+  try {
+    await StorageHelper.setNoteFlag([note.id], flag, !note[flag]);
+    await loadAndRenderNotes();
+    showUndoToast();
+  } catch (error) {
+    console.error(`Error updating ${flag} state:`, error);
+  }
+}
+
+/**
+ * Offer to undo the operation that was just recorded
+ */
+async function showUndoToast() {
+  const { undo } = await StorageHelper.peekHistory();
+  if (undo) showToast(undo, "Undo", handleUndo);
+}
+
+/**
+ * Show a toast with an action button
+ * @param {string} message - Message to show
+ * @param {string} actionLabel - Button label (optional)
+ * @param {Function} action - Called when the button is clicked (optional)
+ */
+function showToast(message, actionLabel = "", action = null) {
+  clearTimeout(toastTimeout);
+  toastMessage.textContent = message;
+  toastAction.textContent = actionLabel;
+  toastAction.hidden = !actionLabel;
+  toastAction.onclick = () => {
+    hideToast();
+    action();
+  };
+  toast.hidden = false;
+  toastTimeout = setTimeout(hideToast, 6000);
+}
+
+function hideToast() {
+  clearTimeout(toastTimeout);
+  toast.hidden = true;
+}
+
+/**
+ * Undo the last operation and offer to redo it
+ */
+async function handleUndo() {
+  try {
+    const operation = await StorageHelper.undo();
+    if (!operation) {
+      showToast("Nothing to undo");
+      return;
+    }
+
+    await refreshAfterHistoryStep();
+    showToast(`Undone: ${operation.label}`, "Redo", handleRedo);
+  } catch (error) {
+    console.error("Error undoing:", error);
+    alert("Failed to undo. Please try again.");
+  }
+}
+
+/**
+ * Redo the last undone operation and offer to undo it again
+ */
+async function handleRedo() {
+  try {
+    const operation = await StorageHelper.redo();
+    if (!operation) {
+      showToast("Nothing to redo");
+      return;
+    }
+
+    await refreshAfterHistoryStep();
+    showToast(`Redone: ${operation.label}`, "Undo", handleUndo);
+  } catch (error) {
+    console.error("Error redoing:", error);
+    alert("Failed to redo. Please try again.");
+  }
+}
+
+async function refreshAfterHistoryStep() {
+  await loadAndRenderNotes();
+  if (!trashPanel.hidden) await renderTrash();
+}
+
+/**
+ * Check whether a key event belongs to a text field
+ * @param {EventTarget} target - Event target
+ * @returns {boolean} True for inputs, textareas and editable content
+ */
+function isEditableTarget(target) {
+  return (
+    target instanceof HTMLElement &&
+    (target.isContentEditable ||
+      ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName))
+  );
+}
+
+/**
+ * Open the in-page sidebar on the active tab and get out of its way
+ */
+function openPageSidebar() {
+  sendToActivePage("toggleSidebar", "Notes can't be shown on this page");
+}
+
+/**
+ * Let the user drag out a region of the active tab to save as an image
+ */
+function startRegionCapture() {
+  sendToActivePage("pickRegion", "This page can't be captured");
+}
+
+/**
+ * Send an action to the top frame of the active tab and close the popup
+ * @param {string} action - Message action
+ * @param {string} failMessage - Shown if the page can't be reached
+ */
+async function sendToActivePage(action, failMessage) {
+  try {
+    const [tab] = await chrome.tabs.query({
+      active: true,
+      currentWindow: true,
+    });
+    await chrome.tabs.sendMessage(tab.id, { action }, { frameId: 0 });
+    window.close();
+  } catch {
+    // No content script on this page (e.g. chrome:// URLs)
+    showToast(failMessage);
+  }
+}
+
+/**
+ * Open the trash panel
+ */
+async function openTrashPanel() {
+  const { trashRetentionDays } = await StorageHelper.getSettings();
+  trashRetention.value = trashRetentionDays;
+  await renderTrash();
+  trashPanel.hidden = false;
+}
+
+function closeTrashPanel() {
+  trashPanel.hidden = true;
+}
+
+/**
+ * Render the notes in the trash with restore and delete actions
+ */
+async function renderTrash() {
+  const [trash, settings] = await Promise.all([
+    StorageHelper.getTrash(),
+    StorageHelper.getSettings(),
+  ]);
+
+  trashList.innerHTML = "";
+  emptyTrashBtn.disabled = trash.length === 0;
+
+  if (trash.length === 0) {
+    trashList.innerHTML = `<p class="trash-empty">The trash is empty</p>`;
+    return;
+  }
+
+  trash.forEach((note) => {
+    const purgeAt = note.deletedAt + settings.trashRetentionDays * 86400000;
+    const daysLeft = Math.max(0, Math.ceil((purgeAt - Date.now()) / 86400000));
+
+    const item = document.createElement("div");
+    item.className = "trash-item";
+    item.innerHTML = `
+      <div class="trash-item-text">${escapeHtml(
+        truncate(MarkdownRenderer.toPlainText(getNoteSummary(note)), 160)
+      )}</div>
+      <div class="trash-item-footer">
+        <span class="trash-item-meta">Deleted ${formatDate(note.deletedAt)} · ${
+      daysLeft === 1 ? "1 day" : `${daysLeft} days`
+    } left</span>
+        <button class="trash-item-btn" data-action="restore">Restore</button>
+        <button class="trash-item-btn danger" data-action="delete-forever">Delete forever</button>
+      </div>
+    `;
+
+    item
+      .querySelector('[data-action="restore"]')
+      .addEventListener("click", () => handleRestore(note.id));
+    item
+      .querySelector('[data-action="delete-forever"]')
+      .addEventListener("click", () => handleDeleteForever(note.id));
+    trashList.appendChild(item);
+  });
+}
+
+/**
+ * Restore a note from the trash
+ * @param {string} noteId - ID of trashed note
+ */
+async function handleRestore(noteId) {
+  try {
+    await StorageHelper.restoreNotes([noteId]);
+    await Promise.all([renderTrash(), loadAndRenderNotes()]);
+    showUndoToast();
+  } catch (error) {
+    console.error("Error restoring note:", error);
+    alert("Failed to restore note. Please try again.");
+  }
+}
+
+/**
+ * Permanently delete a note from the trash
+ * @param {string} noteId - ID of trashed note
+ */
+async function handleDeleteForever(noteId) {
+  try {
+    await StorageHelper.deleteForever([noteId]);
+    await renderTrash();
+    showUndoToast();
+  } catch (error) {
+    console.error("Error deleting note forever:", error);
+    alert("Failed to delete note. Please try again.");
+  }
+}
+
+async function handleEmptyTrash() {
+  if (!confirm("Permanently delete all notes in the trash?")) return;
+
+  try {
+    await StorageHelper.emptyTrash();
+    await renderTrash();
+    showUndoToast();
+  } catch (error) {
+    console.error("Error emptying trash:", error);
+    alert("Failed to empty the trash. Please try again.");
+  }
+}
+
+/**
+ * Save the trash retention period and purge anything now past it
+ */
+async function handleRetentionChange() {
+  const days = Math.round(Number(trashRetention.value));
+  if (!Number.isFinite(days) || days < 1 || days > 365) {
+    const { trashRetentionDays } = await StorageHelper.getSettings();
+    trashRetention.value = trashRetentionDays;
+    return;
+  }
+
+  try {
+    await StorageHelper.saveSettings({ trashRetentionDays: days });
+    await StorageHelper.purgeTrash();
+    await renderTrash();
+  } catch (error) {
+    console.error("Error saving trash settings:", error);
+  }
+}
+
+/**
+ * Open the revision history of a note
+ * @param {Object} note - Note to show
+ */
+async function openHistoryPanel(note) {
+  const [revisions, { revisionDepth }] = await Promise.all([
+    StorageHelper.getRevisions(note.id),
+    StorageHelper.getSettings(),
+  ]);
+
+  historyNote = note;
+  historyRevisions = revisions;
+  historyDepth.value = revisionDepth;
+  renderHistoryVersions();
+  historyPanel.hidden = false;
+}
+
+function closeHistoryPanel() {
+  historyPanel.hidden = true;
+  historyNote = null;
+  historyRevisions = [];
+}
+
+/**
+ * Fill the version pickers, comparing the latest revision with the note
+ */
+function renderHistoryVersions() {
+  const options = [
+    `<option value="${CURRENT_VERSION}">Current version</option>`,
+    ...historyRevisions
+      .slice()
+      .reverse()
+      .map(
+        (revision) =>
+          `<option value="${escapeHtml(revision.id)}">${escapeHtml(
+            new Date(revision.savedAt).toLocaleString()
+          )}</option>`
+      ),
+  ].join("");
+
+  historyFrom.innerHTML = options;
+  historyTo.innerHTML = options;
+  historyFrom.selectedIndex = historyRevisions.length ? 1 : 0;
+  historyTo.value = CURRENT_VERSION;
+  renderHistoryDiff();
+}
+
+function getHistoryVersion(value) {
+  return value === CURRENT_VERSION
+    ? historyNote
+    : historyRevisions.find((revision) => revision.id === value);
+}
+
+/**
+ * Show a word-level diff between the two selected versions
+ */
+function renderHistoryDiff() {
+  historyRestoreBtn.disabled = historyFrom.value === CURRENT_VERSION;
+
+  if (historyRevisions.length === 0) {
+    historyDiff.innerHTML = `<p class="trash-empty">No earlier versions yet</p>`;
+    return;
+  }
+
+  const from = getHistoryVersion(historyFrom.value);
+  const to = getHistoryVersion(historyTo.value);
+
+  // Diff the selection and the comment separately, labelled when both exist
+  const parts = [
+    ["Clipped text", "selection"],
+    ["Comment", "comment"],
+  ].filter(([, field]) => from[field] || to[field]);
+  let html = parts
+    .map(([label, field]) => {
+      const diff = TextDiff.toHtml(TextDiff.diffWords(from[field], to[field]));
+      return parts.length > 1
+        ? `<div class="history-field">${label}</div>${diff}`
+        : diff;
+    })
+    .join("");
+
+  if ((from.url || "") !== (to.url || "")) {
+    html = `<div class="history-url">${TextDiff.toHtml([
+      { type: "delete", text: from.url || "No URL" },
+      { type: "insert", text: to.url || "No URL" },
+    ])}</div>${html}`;
+  }
+
+  historyDiff.innerHTML = html;
+}
+
+/**
+ * Restore the selected old version as a new revision of the note
+ */
+async function handleRestoreRevision() {
+  try {
+    await StorageHelper.restoreRevision(historyNote.id, historyFrom.value);
+    closeHistoryPanel();
+    await loadAndRenderNotes();
+    showUndoToast();
+  } catch (error) {
+    console.error("Error restoring revision:", error);
+    alert("Failed to restore this version. Please try again.");
+  }
+}
+
+/**
+ * Save how many revisions are kept and compact existing histories
+ */
+async function handleRevisionDepthChange() {
+  const depth = Math.round(Number(historyDepth.value));
+  if (!Number.isFinite(depth) || depth < 1 || depth > 100) {
+    const { revisionDepth } = await StorageHelper.getSettings();
+    historyDepth.value = revisionDepth;
+    return;
+  }
+
+  try {
+    await StorageHelper.saveSettings({ revisionDepth: depth });
+    await StorageHelper.compactAllRevisions();
+    historyRevisions = await StorageHelper.getRevisions(historyNote.id);
+    renderHistoryVersions();
+  } catch (error) {
+    console.error("Error saving history settings:", error);
+  }
+}
+
+/**
+ * Show how many notes are due on the review button
+ */
+function renderReviewCount() {
+  const due = ReviewScheduler.getDueNotes(allNotes, Date.now()).length;
+  reviewCount.hidden = due === 0;
+  reviewCount.textContent = due > 99 ? "99+" : String(due);
+  reviewBtn.title = due === 1 ? "Review (1 note due)" : `Review (${due} due)`;
+}
+
+/**
+ * Open review mode with the notes due now
+ */
+function openReviewPanel() {
+  exportMenu.hidden = true;
+  notebookMenu.hidden = true;
+  reviewQueue = ReviewScheduler.getDueNotes(allNotes, Date.now()).map(
+    (note) => note.id
+  );
+  renderReviewCard();
+  reviewPanel.hidden = false;
+  reviewPanel.querySelector(".panel").focus();
+}
+
+function closeReviewPanel() {
+  reviewPanel.hidden = true;
+  reviewQueue = [];
+}
+
+/**
+ * Show the next note to review, or what comes up later once none are left
+ */
+function renderReviewCard() {
+  // Notes deleted or rescheduled elsewhere meanwhile drop out
+  const now = Date.now();
+  reviewQueue = reviewQueue.filter((id) => {
+    const note = allNotes.find((n) => n.id === id);
+    return note && ReviewScheduler.isDue(note, now);
+  });
+  const note = allNotes.find((n) => n.id === reviewQueue[0]);
+
+  reviewTitle.textContent = note
+    ? `Review · ${reviewQueue.length} left`
+    : "Review";
+  reviewGrades.hidden = !note;
+  reviewCard.hidden = !note;
+  reviewDone.hidden = Boolean(note);
+
+  if (!note) {
+    reviewCard.innerHTML = "";
+    const next = ReviewScheduler.getNextDueAt(allNotes, now);
+    reviewDone.textContent = next
+      ? `All caught up. The next note comes up in ${ReviewScheduler.formatInterval(
+          next - now
+        )}.`
+      : "Nothing to review. Set a reminder on a note to start reviewing it.";
+    return;
+  }
+
+  const intervals = ReviewScheduler.previewIntervals(note.review, now);
+  reviewGrades.querySelectorAll("[data-grade]").forEach((button) => {
+    button.querySelector(".review-interval").textContent =
+      ReviewScheduler.formatInterval(intervals[button.dataset.grade]);
+  });
+
+  const repetitions = note.review.repetitions;
+  reviewCard.innerHTML = `
+    <div class="note-meta">${formatDate(note.createdAt)}${
+    note.notebookId
+      ? `<span class="note-notebook">${escapeHtml(
+          getNotebookName(note.notebookId)
+        )}</span>`
+      : ""
+  }</div>
+    <div class="note-text markdown-body review-text">${renderNoteBody(
+      note
+    )}</div>
+    ${note.url ? renderCitation(note) : ""}
+    <div class="trash-item-footer">
+      <span class="trash-item-meta">${
+        repetitions === 0
+          ? "First review"
+          : `Reviewed ${repetitions === 1 ? "once" : `${repetitions} times`}`
+      }</span>
+      <button class="trash-item-btn" data-action="stop-review">Stop reviewing</button>
+    </div>
+  `;
+}
+
+/**
+ * Grade the current note and move on to the next
+ * @param {string} grade - One of again, hard, good, easy
+ */
+async function handleGrade(grade) {
+  const note = allNotes.find((n) => n.id === reviewQueue[0]);
+  if (!note) return;
+
+  try {
+    const review = ReviewScheduler.grade(note.review, grade, Date.now());
+    await StorageHelper.setReview(note.id, review);
+    note.review = review;
+    renderReviewCard();
+  } catch (error) {
+    console.error("Error grading note:", error);
+    alert("Failed to save the review. Please try again.");
+  }
+}
+
+/**
+ * Take the current note out of review
+ */
+async function handleStopReview() {
+  const note = allNotes.find((n) => n.id === reviewQueue[0]);
+  if (!note) return;
+
+  try {
+    await StorageHelper.setReview(note.id, null);
+    note.review = null;
+    renderReviewCard();
+    renderReviewCount();
+  } catch (error) {
+    console.error("Error removing note from review:", error);
+    alert("Failed to stop reviewing this note. Please try again.");
+  }
+}
+
+/**
+ * Show the conflicts left by the last sync
+ * @param {Object} state - State from NoteSync.getState
+ */
+function renderSyncState(state) {
+  syncConflicts = state.conflicts;
+
+  const count = syncConflicts.length;
+  syncBanner.hidden = count === 0;
+  syncBannerText.textContent =
+    count === 1
+      ? "1 note was changed differently on another device"
+      : `${count} notes were changed differently on another device`;
+
+  if (!conflictPanel.hidden) {
+    if (count === 0) {
+      closeConflictPanel();
+    } else {
+      renderConflicts();
+    }
+  }
+}
+
+function openConflictPanel() {
+  renderConflicts();
+  conflictPanel.hidden = false;
+}
+
+function closeConflictPanel() {
+  conflictPanel.hidden = true;
+}
+
+/**
+ * List conflicted notes with a diff of each conflicting field, from the
+ * other device's version to this device's
+ */
+function renderConflicts() {
+  conflictList.innerHTML = "";
+
+  syncConflicts.forEach((conflict) => {
+    const { local, remote } = conflict;
+    const fields = conflict.fields
+      .map((field) => {
+        const diff = TextDiff.toHtml(
+          TextDiff.diffWords(remote[field] || "", local[field] || "")
+        );
+        return `<div class="history-field">${
+          CONFLICT_LABELS[field] || escapeHtml(field)
+        }</div><div class="history-diff conflict-diff">${diff}</div>`;
+      })
+      .join("");
+
+    const item = document.createElement("div");
+    item.className = "trash-item conflict-item";
+    item.innerHTML = `
+      <div class="trash-item-text">${escapeHtml(
+        truncate(MarkdownRenderer.toPlainText(getNoteSummary(local)), 80)
+      )}</div>
+      ${fields}
+      <div class="trash-item-footer">
+        <span class="trash-item-meta">Edited ${formatDate(
+          local.updatedAt
+        )} here · ${formatDate(remote.updatedAt)} there</span>
+        <button class="trash-item-btn" data-side="local">Keep this device's</button>
+        <button class="trash-item-btn" data-side="remote">Keep other device's</button>
+      </div>
+    `;
+
+    item.querySelectorAll("[data-side]").forEach((btn) => {
+      btn.addEventListener("click", () =>
+        handleResolveConflict(conflict.id, btn.dataset.side)
+      );
+    });
+    conflictList.appendChild(item);
+  });
+}
+
+/**
+ * Keep one device's version of a conflicted note and sync it to the others
+ * @param {string} noteId - ID of the conflicted note
+ * @param {string} side - "local" or "remote"
+ */
+async function handleResolveConflict(noteId, side) {
+  try {
+    await NoteSync.resolveConflict(noteId, side);
+    await loadAndRenderNotes();
+    chrome.runtime.sendMessage({ action: "syncNow" }).catch(() => {});
+  } catch (error) {
+    console.error("Error resolving sync conflict:", error);
+    alert("Failed to keep this version. Please try again.");
+  }
+}
+
+/**
+ * Sync now and report how it went
+ */
+async function handleSyncNow() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: "syncNow" });
+    if (!response.success) {
+      showToast(`Sync failed: ${response.error}`);
+    } else if (!response.summary) {
+      showToast("Sync is off", "Settings", () =>
+        chrome.runtime.openOptionsPage()
+      );
+    } else {
+      showToast("Notes synced");
+    }
+  } catch (error) {
+    console.error("Error syncing notes:", error);
+    showToast("Sync failed");
+  }
+}
+
+/**
+ * Handle moving note up
+ * @param {string} noteId - ID of note to move
+ */
+async function handleMoveUp(noteId) {
+  try {
+    await StorageHelper.moveNoteUp(noteId, currentNotebookId);
+    await loadAndRenderNotes();
+  } catch (error) {
+    console.error("Error moving note up:", error);
+  }
+}
+
+/**
+ * Handle moving note down
+ * @param {string} noteId - ID of note to move
+ */
+async function handleMoveDown(noteId) {
+  try {
+    await StorageHelper.moveNoteDown(noteId, currentNotebookId);
+    await loadAndRenderNotes();
+  } catch (error) {
+    console.error("Error moving note down:", error);
+  }
+}
+
+/**
+ * Move a note to a position among the notes listed with it
+ * @param {string} noteId - ID of note to move
+ * @param {number} toIndex - New position (see StorageHelper.moveNote)
+ */
+async function handleMoveNote(noteId, toIndex) {
+  try {
+    await StorageHelper.moveNote(noteId, toIndex, currentNotebookId);
+    await loadAndRenderNotes();
+  } catch (error) {
+    console.error("Error moving note:", error);
+  }
+}
+
+/**
+ * Listed notes a note can move among: pinned notes stay above the others
+ * @param {string} noteId - ID of the note
+ * @returns {Array<string>} Their IDs in list order, the note's included
+ */
+function getMoveGroup(noteId) {
+  const note = listedNotes.find((n) => n.id === noteId);
+  if (!note) return [];
+
+  return listedNotes
+    .filter((other) => other.pinned === note.pinned)
+    .map((other) => other.id);
+}
+
+function handleDragStart(e) {
+  // Links and text inside cards drag as usual
+  const handle = e.target.closest?.(".drag-handle");
+  if (!handle) return;
+  if (!canReorder()) {
+    e.preventDefault();
+    return;
+  }
+
+  const card = handle.closest(".note-card");
+  dragNoteId = card.dataset.noteId;
+  e.dataTransfer.effectAllowed = "move";
+  e.dataTransfer.setData("text/plain", dragNoteId);
+  e.dataTransfer.setDragImage(card, 24, 24);
+  card.classList.add("dragging");
+  // The card may have left the list by the time the drag ends, so the
+  // handle is listened to rather than the list
+  handle.addEventListener("dragend", clearDrag, { once: true });
+}
+
+/**
+ * Mark where the dragged note would land, above or below the card under the
+ * pointer; only cards it can move among accept it
+ * @param {DragEvent} e - Drag event
+ */
+function handleDragOver(e) {
+  if (!dragNoteId) return;
+
+  const target = e.target.closest(".note-card");
+  clearDropMarker();
+  if (!target || !getMoveGroup(dragNoteId).includes(target.dataset.noteId)) {
+    return;
+  }
+
+  e.preventDefault();
+  e.dataTransfer.dropEffect = "move";
+  const { top, height } = target.getBoundingClientRect();
+  target.classList.add(
+    e.clientY < top + height / 2 ? "drop-before" : "drop-after"
+  );
+}
+
+function handleDrop(e) {
+  const target = notesList.querySelector(".drop-before, .drop-after");
+  if (!target || !dragNoteId) {
+    clearDrag();
+    return;
+  }
+
+  e.preventDefault();
+  const group = getMoveGroup(dragNoteId);
+  const from = group.indexOf(dragNoteId);
+  let to =
+    group.indexOf(target.dataset.noteId) +
+    (target.classList.contains("drop-after") ? 1 : 0);
+  // Taking the note out from above shifts the places below it up by one
+  if (to > from) to--;
+
+  const noteId = dragNoteId;
+  clearDrag();
+  handleMoveNote(noteId, to);
+}
+
+function clearDrag() {
+  dragNoteId = null;
+  notesList.querySelector(".dragging")?.classList.remove("dragging");
+  clearDropMarker();
+}
+
+function clearDropMarker() {
+  notesList
+    .querySelectorAll(".drop-before, .drop-after")
+    .forEach((card) => card.classList.remove("drop-before", "drop-after"));
+}
+
+/**
+ * Pick up a note to move it with the keyboard: the arrow keys, Home and End
+ * choose its place, Enter or Space drops it there and Escape puts it back
+ * @param {HTMLElement} card - Note card
+ * @returns {boolean} True if the note was picked up
+ */
+function startKeyboardMove(card) {
+  const noteId = card.dataset.noteId;
+  const group = getMoveGroup(noteId);
+  if (!canReorder() || group.length < 2) return false;
+
+  const to = group.indexOf(noteId);
+  keyboardMove = { noteId, to };
+  card.classList.add("grabbed");
+  card.focus();
+  announce(
+    `Moving note, position ${to + 1} of ${group.length}. Use the arrow ` +
+      "keys to choose a place, Enter to drop it or Escape to cancel."
+  );
+  return true;
+}
+
+/**
+ * Handle a key pressed while a note is picked up
+ * @param {KeyboardEvent} e - Key event
+ */
+function handleKeyboardMoveKey(e) {
+  const { noteId, to } = keyboardMove;
+  const count = getMoveGroup(noteId).length;
+  let next;
+
+  switch (e.key) {
+    case "ArrowUp":
+      next = to - 1;
+      break;
+    case "ArrowDown":
+      next = to + 1;
+      break;
+    case "Home":
+      next = 0;
+      break;
+    case "End":
+      next = count - 1;
+      break;
+    case "Enter":
+    case " ":
+      e.preventDefault();
+      endKeyboardMove();
+      handleMoveNote(noteId, to).then(() => {
+        focusNoteCard(noteId);
+        announce(`Note moved to position ${to + 1} of ${count}`);
+      });
+      return;
+    case "Escape":
+      e.preventDefault();
+      cancelKeyboardMove();
+      focusNoteCard(noteId);
+      return;
+    case "Tab":
+      return;
+    default:
+      // Other shortcuts wait until the note is dropped
+      e.preventDefault();
+      return;
+  }
+
+  e.preventDefault();
+  next = Math.max(0, Math.min(next, count - 1));
+  if (next === to) return;
+
+  keyboardMove.to = next;
+  renderNotes(getVisibleNotes());
+  focusNoteCard(noteId);
+  announce(`Position ${next + 1} of ${count}`);
+}
+
+/**
+ * List notes with the one being moved at the place chosen for it so far
+ * @param {Array} notes - Notes in list order
+ * @returns {Array} Notes in the order to show
+ */
+function previewKeyboardMove(notes) {
+  const moving = notes.find((note) => note.id === keyboardMove.noteId);
+  if (!moving) {
+    // The note left the view, say after a change from another window
+    endKeyboardMove();
+    return notes;
+  }
+
+  const inGroup = (note) => note.pinned === moving.pinned;
+  const group = notes.filter((note) => inGroup(note) && note !== moving);
+  group.splice(keyboardMove.to, 0, moving);
+
+  let i = 0;
+  return notes.map((note) => (inGroup(note) ? group[i++] : note));
+}
+
+function endKeyboardMove() {
+  notesList.querySelector(".grabbed")?.classList.remove("grabbed");
+  keyboardMove = null;
+}
+
+/**
+ * Put a picked up note back where it was
+ */
+function cancelKeyboardMove() {
+  endKeyboardMove();
+  renderNotes(getVisibleNotes());
+  announce("Move cancelled");
+}
+
+/**
+ * Tell screen reader users about a change in the list
+ * @param {string} message - Message to read out
+ */
+function announce(message) {
+  listStatus.textContent = message;
+}
+
+/**
+ * Select notes for bulk actions: Ctrl/Cmd+click adds or removes one and
+ * Shift+click a range. While some are selected, a plain click does too
+ * @param {MouseEvent} e - Click event
+ */
+function handleCardClick(e) {
+  if (handleCardAction(e)) return;
+
+  const card = e.target.closest(".note-card");
+  if (
+    !card ||
+    e.target.closest("button, a, input, textarea, select, .note-edit-form")
+  ) {
+    return;
+  }
+
+  const noteId = card.dataset.noteId;
+  if (e.shiftKey && selectionAnchor) {
+    selectRange(selectionAnchor, noteId);
+  } else if (e.ctrlKey || e.metaKey || e.shiftKey || selectedIds.size) {
+    toggleSelected(noteId);
+  } else {
+    return;
+  }
+  renderSelection();
+}
+
+function toggleSelected(noteId) {
+  if (!selectedIds.delete(noteId)) selectedIds.add(noteId);
+  selectionAnchor = noteId;
 }
 
 /**
- * Handle adding a new note
+ * Select the notes listed between two notes, both included
+ * @param {string} fromId - Note the range starts at
+ * @param {string} toId - Note the range ends at
  */
-async function handleAddNote() {
-  const text = newNoteInput.value.trim();
-  const url = newNoteUrl.value.trim();
-
-  if (!text) {
-    // Add shake animation to input
-    newNoteInput.classList.add("shake");
-    setTimeout(() => {
-      newNoteInput.classList.remove("shake");
-    }, 300);
-    newNoteInput.focus();
+function selectRange(fromId, toId) {
+  const ids = listedNotes.map((note) => note.id);
+  const [start, end] = [ids.indexOf(fromId), ids.indexOf(toId)].sort(
+    (a, b) => a - b
+  );
+  if (start === -1) {
+    toggleSelected(toId);
     return;
   }
 
-  // Validate URL if provided
-  if (url && !isValidUrl(url)) {
-    newNoteUrl.classList.add("shake");
-    newNoteUrl.style.borderColor = "#dc3545";
-    setTimeout(() => {
-      newNoteUrl.classList.remove("shake");
-      newNoteUrl.style.borderColor = "";
-    }, 300);
-    return;
-  }
+  ids.slice(start, end + 1).forEach((id) => selectedIds.add(id));
+}
 
-  try {
-    const newNote = {
-      id: crypto.randomUUID(),
-      text: text,
-      url: url || null,
-      createdAt: Date.now(),
-      updatedAt: Date.now(),
-      index: 0,
-    };
+function clearSelection() {
+  selectedIds.clear();
+  selectionAnchor = null;
+  renderSelection();
+}
 
-    await StorageHelper.addNote(newNote);
+function renderSelection() {
+  notesList.querySelectorAll(".note-card").forEach((card) => {
+    card.classList.toggle("selected", selectedIds.has(card.dataset.noteId));
+  });
+  renderBulkBar();
+}
 
-    // Add success feedback
-    const originalText = addNoteBtn.innerHTML;
-    addNoteBtn.innerHTML = `
-      <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-        <polyline points="20 6 9 17 4 12"></polyline>
-      </svg>
-      <span>Added!</span>
-    `;
-    addNoteBtn.style.background = "#10b981";
+/**
+ * Show the bulk action bar while notes are selected
+ */
+function renderBulkBar() {
+  const count = selectedIds.size;
+  bulkBar.hidden = count === 0;
+  bulkCount.textContent = `${count} selected`;
+  bulkBar.querySelector('[data-bulk="merge"]').disabled = count < 2;
 
-    setTimeout(() => {
-      addNoteBtn.innerHTML = originalText;
-      addNoteBtn.style.background = "";
-    }, 1200);
+  bulkNotebook.innerHTML = `
+    <option value="">Move to…</option>
+    <option value="${INBOX}">Inbox</option>
+  `;
+  appendNotebookOptions(bulkNotebook);
+}
+
+/**
+ * Selected notes, in list order
+ * @returns {Array} Notes
+ */
+function getSelectedNotes() {
+  return getVisibleNotes().filter((note) => selectedIds.has(note.id));
+}
+
+/**
+ * Apply an action to every selected note, as one undoable step
+ * @param {string} action - tag, move, export, merge, delete or clear
+ */
+async function handleBulkAction(action) {
+  const noteIds = getSelectedNotes().map((note) => note.id);
+  const count = noteIds.length;
+  if (count === 0) return;
+
+  try {
+    switch (action) {
+      case "tag": {
+        const tag = prompt(
+          `Add a tag to ${count} ${count === 1 ? "note" : "notes"}:`
+        );
+        if (!tag) return;
+        await StorageHelper.addTag(noteIds, tag);
+        break;
+      }
+      case "move":
+        await StorageHelper.moveNotesToNotebook(
+          noteIds,
+          selectValueToNotebookId(bulkNotebook.value)
+        );
+        break;
+      case "export":
+        notebookMenu.hidden = true;
+        exportMenu.hidden = true;
+        toggleExportMenu();
+        return;
+      case "merge":
+        if (
+          count < 2 ||
+          !confirm(
+            `Merge ${count} notes into one? The others move to the trash.`
+          )
+        ) {
+          return;
+        }
+        selectedIds.clear();
+        await StorageHelper.mergeNotes(noteIds);
+        break;
+      case "delete":
+        selectedIds.clear();
+        await StorageHelper.deleteNotes(noteIds);
+        break;
+      case "clear":
+        clearSelection();
+        return;
+      default:
+        return;
+    }
 
-    newNoteInput.value = "";
-    newNoteUrl.value = "";
-    newNoteInput.style.height = "auto";
     await loadAndRenderNotes();
-    newNoteInput.focus();
+    showUndoToast();
   } catch (error) {
-    console.error("Error adding note:", error);
-    alert("Failed to add note. Please try again.");
+    console.error(`Error applying bulk action (${action}):`, error);
+    alert(error.message || "Failed to update notes. Please try again.");
+    renderBulkBar();
   }
 }
 
 /**
- * Validate URL
- * @param {string} url - URL to validate
- * @returns {boolean} True if valid
+ * Make a card the one reached with Tab, as the list has a single tab stop
+ * @param {HTMLElement} card - Note card
  */
-function isValidUrl(url) {
-  try {
-    new URL(url);
-    return true;
-  } catch {
-    return false;
-  }
+function setRovingCard(card) {
+  rovingNoteId = card.dataset.noteId;
+  notesList.querySelectorAll(".note-card").forEach((other) => {
+    other.tabIndex = other === card ? 0 : -1;
+  });
 }
 
 /**
- * Handle editing a note
- * @param {Object} note - Note to edit
+ * Focus a listed note's card, rendering it if it is scrolled away
+ * @param {string} noteId - ID of the note
  */
-async function handleEdit(note) {
-  const noteElement = document.querySelector(`[data-note-id="${note.id}"]`);
+function focusNoteCard(noteId) {
+  const card = noteList.scrollToIndex(
+    listedNotes.findIndex((note) => note.id === noteId)
+  );
+  if (!card) return;
 
-  // Store original content
-  const originalContent = noteElement.innerHTML;
+  setRovingCard(card);
+  card.focus();
+}
 
-  // Create edit form
-  const editForm = document.createElement("div");
-  editForm.className = "note-edit-form";
-  editForm.innerHTML = `
-    <textarea class="edit-textarea">${escapeHtml(note.text)}</textarea>
-    <input type="url" class="edit-url-input" placeholder="🔗 Add or edit link" value="${escapeHtml(
-      note.url || ""
-    )}">
-    <div class="edit-actions">
-      <button class="btn-cancel">Cancel</button>
-      <button class="btn-save">
-        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-          <polyline points="20 6 9 17 4 12"></polyline>
-        </svg>
-        Save
-      </button>
-    </div>
-  `;
+/**
+ * Keyboard navigation of the note list
+ * Up/Down/Home/End move focus, Enter or E edits, Delete removes, P pins,
+ * F favorites, A archives, X selects, Space picks the note up to move it
+ * and Alt+Up/Down moves it one place
+ * @param {KeyboardEvent} e - Key event
+ */
+function handleCardKeydown(e) {
+  const card = e.target;
+  if (!card.classList.contains("note-card")) return;
 
-  // Replace content with edit form
-  noteElement.innerHTML = "";
-  noteElement.appendChild(editForm);
+  const ids = listedNotes.map((note) => note.id);
+  const noteId = card.dataset.noteId;
+  const position = ids.indexOf(noteId);
 
-  const textarea = editForm.querySelector(".edit-textarea");
-  const urlInput = editForm.querySelector(".edit-url-input");
-  const saveBtn = editForm.querySelector(".btn-save");
-  const cancelBtn = editForm.querySelector(".btn-cancel");
+  if (keyboardMove) {
+    if (noteId === keyboardMove.noteId) handleKeyboardMoveKey(e);
+    return;
+  }
 
-  // Focus textarea and select all
-  textarea.focus();
-  textarea.select();
+  if (e.altKey && (e.key === "ArrowUp" || e.key === "ArrowDown")) {
+    e.preventDefault();
+    // Reordering a filtered or sorted list would swap with hidden notes
+    if (!canReorder()) return;
 
-  // Auto-resize textarea
-  textarea.style.height = "auto";
-  textarea.style.height = textarea.scrollHeight + "px";
-  textarea.addEventListener("input", (e) => {
-    e.target.style.height = "auto";
-    e.target.style.height = e.target.scrollHeight + "px";
-  });
+    const move = e.key === "ArrowUp" ? handleMoveUp : handleMoveDown;
+    move(noteId).then(() => focusNoteCard(noteId));
+    return;
+  }
 
-  // Save handler
-  saveBtn.addEventListener("click", async () => {
-    const newText = textarea.value.trim();
-    const newUrl = urlInput.value.trim();
+  if (e.ctrlKey || e.metaKey || e.altKey) return;
 
-    if (!newText) {
-      textarea.classList.add("shake");
-      setTimeout(() => {
-        textarea.classList.remove("shake");
-      }, 300);
-      return;
+  switch (e.key) {
+    case "ArrowDown":
+      if (position < ids.length - 1) focusNoteCard(ids[position + 1]);
+      break;
+    case "ArrowUp":
+      if (position <= 0) {
+        searchInput.focus();
+      } else {
+        focusNoteCard(ids[position - 1]);
+      }
+      break;
+    case "Home":
+      focusNoteCard(ids[0]);
+      break;
+    case "End":
+      focusNoteCard(ids[ids.length - 1]);
+      break;
+    case "Enter":
+    case "e":
+    case "E": {
+      const note = allNotes.find((n) => n.id === noteId);
+      if (note) handleEdit(note);
+      break;
     }
-
-    // Validate URL if provided
-    if (newUrl && !isValidUrl(newUrl)) {
-      urlInput.classList.add("shake");
-      urlInput.style.borderColor = "#dc3545";
-      setTimeout(() => {
-        urlInput.classList.remove("shake");
-        urlInput.style.borderColor = "";
-      }, 300);
-      return;
+    case "p":
+    case "f":
+    case "a": {
+      const note = allNotes.find((n) => n.id === noteId);
+      const flag = { p: "pinned", f: "favorite", a: "archived" }[e.key];
+      // The card moves, or leaves the view, so focus follows the note or
+      // falls on the card that takes its place
+      const next = ids[position + 1] || ids[position - 1];
+      if (note) {
+        handleToggleFlag(note, flag).then(() => {
+          if (listedNotes.some((n) => n.id === noteId)) {
+            focusNoteCard(noteId);
+          } else if (next) {
+            focusNoteCard(next);
+          }
+        });
+      }
+      break;
     }
-
-    try {
-      await StorageHelper.updateNote(note.id, newText, newUrl || null);
-      await loadAndRenderNotes();
-    } catch (error) {
-      console.error("Error updating note:", error);
-      alert("Failed to update note. Please try again.");
+    case " ":
+      if (!startKeyboardMove(card)) return;
+      break;
+    case "x":
+      toggleSelected(noteId);
+      renderSelection();
+      break;
+    case "Escape":
+      if (selectedIds.size === 0) return;
+      clearSelection();
+      break;
+    case "Delete":
+    case "Backspace": {
+      // Keep focus in the list, on the card that takes this one's place
+      const next = ids[position + 1] || ids[position - 1];
+      handleDelete(noteId).then(() => {
+        if (next) focusNoteCard(next);
+      });
+      break;
     }
-  });
+    default:
+      return;
+  }
 
-  // Cancel handler
-  cancelBtn.addEventListener("click", () => {
-    noteElement.innerHTML = originalContent;
-    // Re-attach event listeners
-    setupNoteEventListeners(noteElement, note);
-  });
+  e.preventDefault();
+}
 
-  // Save on Ctrl+Enter or Cmd+Enter
-  textarea.addEventListener("keydown", (e) => {
-    if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
-      saveBtn.click();
-    }
-    if (e.key === "Escape") {
-      cancelBtn.click();
-    }
-  });
+/**
+ * Open the command palette
+ */
+function openCommandPalette() {
+  exportMenu.hidden = true;
+  notebookMenu.hidden = true;
+  paletteInput.value = "";
+  paletteIndex = 0;
+  renderPalette();
+  commandPalette.hidden = false;
+  paletteInput.focus();
+}
+
+function closeCommandPalette() {
+  commandPalette.hidden = true;
 }
 
 /**
- * Setup event listeners for a note element
+ * Actions offered by the palette besides jumping to notes
+ * @returns {Array<{label: string, hint: string, run: Function}>} Commands
  */
-function setupNoteEventListeners(noteElement, note) {
-  noteElement
-    .querySelector('[data-action="edit"]')
-    ?.addEventListener("click", (e) => {
-      e.stopPropagation();
-      handleEdit(note);
+function getPaletteCommands() {
+  const commands = [
+    { label: "New note", hint: "Command", run: () => newNoteInput.focus() },
+  ];
+
+  exportMenu.querySelectorAll("[data-format]").forEach((item) => {
+    commands.push({
+      label: `Export as ${item.textContent.trim()}`,
+      hint: "Command",
+      run: () => {
+        exportFilteredOnly.checked = false;
+        handleExport(item.dataset.format);
+      },
     });
-  noteElement
-    .querySelector('[data-action="delete"]')
-    ?.addEventListener("click", (e) => {
-      e.stopPropagation();
-      handleDelete(note.id);
+  });
+
+  Array.from(notebookSelect.options).forEach((option) => {
+    const notebookId = selectValueToNotebookId(option.value);
+    if (notebookId === currentNotebookId) return;
+
+    commands.push({
+      label: `Switch to ${option.textContent.trim()}`,
+      hint: "Notebook",
+      run: () => switchNotebook(notebookId),
     });
-  noteElement
-    .querySelector('[data-action="up"]')
-    ?.addEventListener("click", (e) => {
-      e.stopPropagation();
-      handleMoveUp(note.id);
+  });
+
+  viewFilters.querySelectorAll("[data-filter]").forEach((button) => {
+    if (button.dataset.filter === noteFilter) return;
+
+    commands.push({
+      label: `Show ${button.textContent.trim().toLowerCase()}`,
+      hint: "View",
+      run: () => setNoteFilter(button.dataset.filter),
     });
-  noteElement
-    .querySelector('[data-action="down"]')
-    ?.addEventListener("click", (e) => {
-      e.stopPropagation();
-      handleMoveDown(note.id);
+  });
+
+  Object.entries(NoteSort.MODES).forEach(([mode, { label }]) => {
+    if (mode === sortMode) return;
+
+    commands.push({
+      label: `Sort: ${label}`,
+      hint: "View",
+      run: () => setSortMode(mode),
     });
+  });
+
+  commands.push({
+    label: "Show notes for this site",
+    hint: "Command",
+    run: openPageSidebar,
+  });
+
+  commands.push({
+    label: "Capture a region of the page",
+    hint: "Command",
+    run: startRegionCapture,
+  });
+
+  commands.push({
+    label: "Toggle theme",
+    hint: "Command",
+    run: toggleTheme,
+  });
+
+  commands.push({
+    label: "Review due notes",
+    hint: "Command",
+    run: openReviewPanel,
+  });
+
+  commands.push({
+    label: "Sync now",
+    hint: "Command",
+    run: handleSyncNow,
+  });
+
+  commands.push({
+    label: "Open settings",
+    hint: "Command",
+    run: () => chrome.runtime.openOptionsPage(),
+  });
+
+  return commands;
 }
 
 /**
- * Handle deleting a note
- * @param {string} noteId - ID of note to delete
+ * List the palette entries matching the typed query, best first
+ * With no query, commands come first and notes keep their list order
  */
-async function handleDelete(noteId) {
-  const noteElement = document.querySelector(`[data-note-id="${noteId}"]`);
+function renderPalette() {
+  const query = paletteInput.value;
+  const notes = allNotes.map((note) => ({
+    label: truncate(
+      MarkdownRenderer.toPlainText(getNoteSummary(note)).split("\n")[0] ||
+        "Untitled",
+      80
+    ),
+    hint: note.notebookId ? getNotebookName(note.notebookId) : "Note",
+    run: () => jumpToNote(note.id),
+  }));
 
-  // Add remove animation
-  noteElement.classList.add("removing");
+  paletteItems = [...getPaletteCommands(), ...notes]
+    .map((item, order) => ({
+      ...item,
+      order,
+      score: NoteSearch.fuzzyScore(query, item.label),
+    }))
+    .filter((item) => item.score >= 0)
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .slice(0, PALETTE_LIMIT);
 
-  // Wait for animation before deleting
-  setTimeout(async () => {
-    try {
-      await StorageHelper.deleteNote(noteId);
-      await loadAndRenderNotes();
-    } catch (error) {
-      console.error("Error deleting note:", error);
-      noteElement.classList.remove("removing");
-      alert("Failed to delete note. Please try again.");
-    }
-  }, 300);
+  paletteIndex = Math.min(paletteIndex, Math.max(paletteItems.length - 1, 0));
+
+  paletteList.innerHTML = paletteItems.length
+    ? paletteItems
+        .map(
+          (item, index) => `
+      <div class="palette-item${
+        index === paletteIndex ? " selected" : ""
+      }" role="option" data-index="${index}" aria-selected="${
+            index === paletteIndex
+          }">
+        <span class="palette-label">${escapeHtml(item.label)}</span>
+        <span class="palette-item-hint">${escapeHtml(item.hint)}</span>
+      </div>`
+        )
+        .join("")
+    : `<div class="palette-empty">No matches</div>`;
+
+  paletteList
+    .querySelector(".palette-item.selected")
+    ?.scrollIntoView({ block: "nearest" });
 }
 
 /**
- * Handle moving note up
- * @param {string} noteId - ID of note to move
+ * Arrow keys choose an entry, Enter runs it and Escape closes the palette
+ * @param {KeyboardEvent} e - Key event
  */
-async function handleMoveUp(noteId) {
-  try {
-    await StorageHelper.moveNoteUp(noteId);
-    await loadAndRenderNotes();
-  } catch (error) {
-    console.error("Error moving note up:", error);
+function handlePaletteKeydown(e) {
+  if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+    e.preventDefault();
+    if (!paletteItems.length) return;
+
+    const step = e.key === "ArrowDown" ? 1 : -1;
+    paletteIndex =
+      (paletteIndex + step + paletteItems.length) % paletteItems.length;
+    renderPalette();
+  } else if (e.key === "Enter") {
+    e.preventDefault();
+    runPaletteItem(paletteIndex);
+  } else if (e.key === "Escape") {
+    e.preventDefault();
+    closeCommandPalette();
   }
 }
 
+function runPaletteItem(index) {
+  const item = paletteItems[index];
+  if (!item) return;
+
+  closeCommandPalette();
+  item.run();
+}
+
 /**
- * Handle moving note down
- * @param {string} noteId - ID of note to move
+ * Show a note, clearing any notebook, view, search or tag filter that hides
+ * it
+ * @param {string} noteId - ID of the note
  */
-async function handleMoveDown(noteId) {
+function jumpToNote(noteId) {
+  if (!getVisibleNotes().some((note) => note.id === noteId)) {
+    const note = allNotes.find((n) => n.id === noteId);
+    if (note && !NOTE_FILTERS[noteFilter].matches(note)) {
+      setNoteFilter(note.archived ? "archived" : "all");
+    }
+    searchInput.value = "";
+    searchQuery = "";
+    activeTags.clear();
+    renderTagBar();
+    switchNotebook(undefined);
+  }
+
+  focusNoteCard(noteId);
+  revealNote(noteId);
+}
+
+/**
+ * Apply a color theme to the popup
+ * @param {string} theme - "light" or "dark"
+ */
+function applyTheme(theme) {
+  document.documentElement.dataset.theme = theme === "dark" ? "dark" : "light";
+}
+
+/**
+ * Switch between the light and dark theme and remember the choice
+ */
+async function toggleTheme() {
+  const theme =
+    document.documentElement.dataset.theme === "dark" ? "light" : "dark";
+  applyTheme(theme);
+
   try {
-    await StorageHelper.moveNoteDown(noteId);
-    await loadAndRenderNotes();
+    await StorageHelper.saveSettings({ theme });
   } catch (error) {
-    console.error("Error moving note down:", error);
+    console.error("Error saving theme:", error);
   }
 }
 
@@ -463,6 +3324,83 @@ function formatDate(timestamp) {
   });
 }
 
+/**
+ * Label for when a note comes up for review
+ * @param {number} dueAt - Due time
+ * @returns {string} "Due now", or when it will be due
+ */
+function formatDueDate(dueAt) {
+  const now = Date.now();
+  if (dueAt <= now) return "Due now";
+  return `Review in ${ReviewScheduler.formatInterval(dueAt - now)}`;
+}
+
+/**
+ * Check whether a note is long enough to start collapsed
+ * @param {string} text - Note text
+ * @returns {boolean} True if the card should be collapsible
+ */
+function isLongNote(text) {
+  return text.length > 300 || text.split("\n").length > 6;
+}
+
+/**
+ * Mark the parts of rendered text that match the current search
+ * @param {HTMLElement} element - Element with rendered note content
+ */
+function highlightMatches(element) {
+  if (searchTerms.length === 0) return;
+
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+  while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+  textNodes.forEach((node) => {
+    const ranges = NoteSearch.findMatches(node.data, searchTerms);
+    if (ranges.length === 0) return;
+
+    const fragment = document.createDocumentFragment();
+    let last = 0;
+    ranges.forEach(({ start, end }) => {
+      fragment.append(node.data.slice(last, start));
+      const mark = document.createElement("mark");
+      mark.className = "search-match";
+      mark.textContent = node.data.slice(start, end);
+      fragment.append(mark);
+      last = end;
+    });
+    fragment.append(node.data.slice(last));
+    node.replaceWith(fragment);
+  });
+}
+
+/**
+ * Toggle a Markdown editor between writing and a rendered preview
+ * @param {HTMLButtonElement} toggle - Button that switches modes
+ * @param {HTMLTextAreaElement} textarea - Markdown source
+ * @param {HTMLElement} preview - Element that shows the rendered preview
+ */
+function setupPreviewToggle(toggle, textarea, preview) {
+  toggle.addEventListener("click", (e) => {
+    e.preventDefault();
+    const showPreview = preview.hidden;
+
+    if (showPreview) {
+      preview.innerHTML =
+        MarkdownRenderer.render(textarea.value) ||
+        `<p class="preview-empty">Nothing to preview</p>`;
+      preview.style.minHeight = textarea.offsetHeight + "px";
+    }
+
+    preview.hidden = !showPreview;
+    textarea.hidden = showPreview;
+    toggle.classList.toggle("active", showPreview);
+    toggle.textContent = showPreview ? "Edit" : "Preview";
+
+    if (!showPreview) textarea.focus();
+  });
+}
+
 /**
  * Escape HTML to prevent XSS
  * @param {string} text - Text to escape
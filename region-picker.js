@@ -0,0 +1,149 @@
+/**
+ * Region Picker - Drag out a rectangle of the page to capture as an image
+ * Covers the viewport inside the page overlay; the page underneath gets no
+ * pointer events until the pick is done
+ */
+const RegionPicker = {
+  // Smaller drags are treated as stray clicks
+  MIN_SIZE: 8,
+
+  STYLES: `
+    .region-picker {
+      position: fixed;
+      inset: 0;
+      cursor: crosshair;
+      background: rgba(0, 0, 0, 0.35);
+      z-index: 2147483647;
+      user-select: none;
+    }
+
+    .region-picker.dragging {
+      background: transparent;
+    }
+
+    .region-box {
+      position: fixed;
+      border: 2px dashed #3b82f6;
+      box-shadow: 0 0 0 100vmax rgba(0, 0, 0, 0.35);
+      pointer-events: none;
+    }
+
+    .region-hint {
+      position: fixed;
+      top: 16px;
+      left: 50%;
+      transform: translateX(-50%);
+      padding: 8px 14px;
+      background: #1f2937;
+      color: #f9fafb;
+      border-radius: 8px;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 13px;
+      box-shadow: 0 8px 24px rgba(0, 0, 0, 0.3);
+      pointer-events: none;
+    }
+  `,
+
+  /**
+   * Create the picker
+   * @param {Object} options - overlay (from PageOverlay.create) to show in
+   * @returns {Object} Control with pick() and isActive()
+   */
+  create(options) {
+    const { overlay } = options;
+    overlay.addStyles(this.STYLES);
+
+    let active = null;
+
+    /**
+     * Let the user drag out a region
+     * @returns {Promise<{x: number, y: number, width: number, height:
+     *   number}|null>} Region in viewport CSS pixels, or null if cancelled.
+     *   The picker is gone from the screen by the time this resolves
+     */
+    const pick = () => {
+      if (active) return active;
+
+      active = new Promise((resolve) => {
+        const layer = document.createElement("div");
+        layer.className = "region-picker";
+        layer.innerHTML = `
+          <div class="region-hint">Drag to capture a region · Esc to cancel</div>
+          <div class="region-box" hidden></div>
+        `;
+        const box = layer.querySelector(".region-box");
+        overlay.root.appendChild(layer);
+
+        let start = null;
+        let region = null;
+
+        const finish = (result) => {
+          window.removeEventListener("keydown", handleKeydown, true);
+          layer.remove();
+          active = null;
+          // Wait for the next paint so the picker isn't in the screenshot
+          requestAnimationFrame(() =>
+            requestAnimationFrame(() => resolve(result))
+          );
+        };
+
+        const handleKeydown = (e) => {
+          if (e.key !== "Escape") return;
+          e.preventDefault();
+          e.stopPropagation();
+          finish(null);
+        };
+
+        layer.addEventListener("pointerdown", (e) => {
+          if (e.button !== 0) return;
+          e.preventDefault();
+          layer.setPointerCapture(e.pointerId);
+          start = { x: e.clientX, y: e.clientY };
+        });
+
+        layer.addEventListener("pointermove", (e) => {
+          if (!start) return;
+          region = {
+            x: Math.min(start.x, e.clientX),
+            y: Math.min(start.y, e.clientY),
+            width: Math.abs(e.clientX - start.x),
+            height: Math.abs(e.clientY - start.y),
+          };
+          layer.classList.add("dragging");
+          box.hidden = false;
+          box.style.left = `${region.x}px`;
+          box.style.top = `${region.y}px`;
+          box.style.width = `${region.width}px`;
+          box.style.height = `${region.height}px`;
+        });
+
+        layer.addEventListener("pointerup", () => {
+          if (!start) return;
+          const picked =
+            region &&
+            region.width >= this.MIN_SIZE &&
+            region.height >= this.MIN_SIZE;
+
+          if (picked) {
+            finish(region);
+          } else {
+            // Start over rather than capture a sliver
+            start = null;
+            region = null;
+            box.hidden = true;
+            layer.classList.remove("dragging");
+          }
+        });
+
+        window.addEventListener("keydown", handleKeydown, true);
+      });
+
+      return active;
+    };
+
+    return {
+      pick,
+      isActive: () => Boolean(active),
+    };
+  },
+};
@@ -0,0 +1,213 @@
+/**
+ * Review Scheduler - Spaced repetition for notes, after SM-2
+ * A note in review carries { dueAt, interval, repetitions, ease, reviewedAt }.
+ * Setting a reminder puts a note in review; each grade schedules the next
+ * time it comes up. Pure: every function takes the current time instead of
+ * reading the clock, so the same inputs always give the same schedule
+ */
+const ReviewScheduler = {
+  // SM-2 response quality for each grade; below 3 counts as forgotten
+  GRADES: { again: 0, hard: 3, good: 4, easy: 5 },
+
+  DAY_MS: 86400000,
+
+  // A forgotten note comes back in the same session
+  AGAIN_DELAY_MS: 10 * 60000,
+
+  INITIAL_EASE: 2.5,
+  MIN_EASE: 1.3,
+
+  // Days until the first and second repetitions, and the first after "easy"
+  FIRST_INTERVAL: 1,
+  SECOND_INTERVAL: 6,
+  EASY_FIRST_INTERVAL: 4,
+
+  // "Hard" grows the interval slowly; "easy" stretches it further
+  HARD_FACTOR: 1.2,
+  EASY_BONUS: 1.3,
+
+  // Reminders set for a day come due at this local hour
+  REMINDER_HOUR: 9,
+
+  /**
+   * Start reviewing a note
+   * @param {number} dueAt - When it first comes due
+   * @returns {Object} Review state
+   */
+  create(dueAt) {
+    return {
+      dueAt,
+      interval: 0,
+      repetitions: 0,
+      ease: this.INITIAL_EASE,
+      reviewedAt: null,
+    };
+  },
+
+  /**
+   * Move a note's next review to a chosen time, keeping its progress
+   * @param {Object|null} review - Current review state, null if none
+   * @param {number} dueAt - When it should come due
+   * @returns {Object} Review state
+   */
+  remindAt(review, dueAt) {
+    return review ? { ...review, dueAt } : this.create(dueAt);
+  },
+
+  /**
+   * Schedule the next review after grading a note
+   * @param {Object|null} review - Current review state, null if none
+   * @param {string} grade - One of again, hard, good, easy
+   * @param {number} now - Current time
+   * @returns {Object} New review state
+   * @throws {Error} If the grade is unknown
+   */
+  grade(review, grade, now) {
+    const quality = this.GRADES[grade];
+    if (quality === undefined) throw new Error(`Unknown grade: ${grade}`);
+
+    const current = review || this.create(now);
+    const previous = current.interval;
+
+    if (quality < 3) {
+      return {
+        dueAt: now + this.AGAIN_DELAY_MS,
+        interval: 0,
+        repetitions: 0,
+        ease: Math.max(this.MIN_EASE, this.round(current.ease - 0.2)),
+        reviewedAt: now,
+      };
+    }
+
+    const ease = Math.max(
+      this.MIN_EASE,
+      this.round(
+        current.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)
+      )
+    );
+
+    let interval;
+    if (current.repetitions === 0) {
+      interval =
+        grade === "easy" ? this.EASY_FIRST_INTERVAL : this.FIRST_INTERVAL;
+    } else if (grade === "hard") {
+      interval = Math.max(
+        previous + 1,
+        Math.round(previous * this.HARD_FACTOR)
+      );
+    } else {
+      const base =
+        current.repetitions === 1 ? this.SECOND_INTERVAL : previous * ease;
+      interval = Math.round(grade === "easy" ? base * this.EASY_BONUS : base);
+    }
+
+    return {
+      dueAt: now + interval * this.DAY_MS,
+      interval,
+      repetitions: current.repetitions + 1,
+      ease,
+      reviewedAt: now,
+    };
+  },
+
+  /**
+   * Time until the next review for each grade, for labelling the buttons
+   * @param {Object|null} review - Current review state
+   * @param {number} now - Current time
+   * @returns {Object} Milliseconds by grade
+   */
+  previewIntervals(review, now) {
+    return Object.fromEntries(
+      Object.keys(this.GRADES).map((grade) => [
+        grade,
+        this.grade(review, grade, now).dueAt - now,
+      ])
+    );
+  },
+
+  /**
+   * Whether a note is due for review
+   * @param {Object} note - Note
+   * @param {number} now - Current time
+   * @returns {boolean} True if it is in review and its time has come
+   */
+  isDue(note, now) {
+    return Boolean(note.review && note.review.dueAt <= now);
+  },
+
+  /**
+   * Notes due for review, longest overdue first
+   * @param {Array} notes - Notes
+   * @param {number} now - Current time
+   * @returns {Array} Due notes
+   */
+  getDueNotes(notes, now) {
+    return notes
+      .filter((note) => this.isDue(note, now))
+      .sort((a, b) => a.review.dueAt - b.review.dueAt);
+  },
+
+  /**
+   * When the next note not yet due comes due
+   * @param {Array} notes - Notes
+   * @param {number} now - Current time
+   * @returns {number|null} Time, or null if nothing is scheduled
+   */
+  getNextDueAt(notes, now) {
+    let next = null;
+    notes.forEach((note) => {
+      const dueAt = note.review?.dueAt;
+      if (dueAt > now && (next === null || dueAt < next)) next = dueAt;
+    });
+    return next;
+  },
+
+  /**
+   * Time a reminder set for a calendar day comes due
+   * @param {string} value - Day as YYYY-MM-DD, as a date input gives it
+   * @returns {number|null} Time at the reminder hour, local time, or null
+   *   if the value isn't a date
+   */
+  parseDay(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || "");
+    if (!match) return null;
+
+    const [, year, month, day] = match.map(Number);
+    return new Date(year, month - 1, day, this.REMINDER_HOUR).getTime();
+  },
+
+  /**
+   * Calendar day of a time, for a date input
+   * @param {number} time - Time
+   * @returns {string} Day as YYYY-MM-DD, local time
+   */
+  formatDay(time) {
+    const date = new Date(time);
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+      date.getDate()
+    )}`;
+  },
+
+  /**
+   * Short label for a span of time, such as "10m", "6d" or "2mo"
+   * @param {number} ms - Milliseconds
+   * @returns {string} Label
+   */
+  formatInterval(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return `${Math.max(1, minutes)}m`;
+    const hours = Math.round(ms / 3600000);
+    if (hours < 24) return `${hours}h`;
+    const days = Math.round(ms / this.DAY_MS);
+    if (days < 30) return `${days}d`;
+    if (days < 365) return `${Math.round(days / 30)}mo`;
+    return `${this.round(days / 365, 1)}y`;
+  },
+
+  // Keeps eases from drifting with floating point error
+  round(value, digits = 2) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+  },
+};
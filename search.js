@@ -0,0 +1,414 @@
+/**
+ * Note Search - Incremental full-text search over notes
+ * Keeps a trigram index that is updated per note, so queries only verify
+ * a small candidate set instead of re-scanning every note on each keystroke
+ */
+const NoteSearch = {
+  // in: filter values, mapped to the part of a note they search
+  SCOPES: {
+    selection: "selection",
+    quote: "selection",
+    comment: "comment",
+    note: "comment",
+  },
+
+  // Normalized search entries by note ID
+  entries: new Map(),
+
+  // Trigram -> Set of note IDs
+  trigrams: new Map(),
+
+  // Previous query, reused when the user keeps typing
+  lastQuery: null,
+
+  /**
+   * Bring the index in line with a list of notes
+   * Only notes that are new or changed since the last sync are re-indexed
+   * @param {Array} notes - All notes
+   */
+  sync(notes) {
+    const seen = new Set();
+
+    notes.forEach((note) => {
+      seen.add(note.id);
+      const entry = this.entries.get(note.id);
+      if (!entry || entry.updatedAt !== note.updatedAt) {
+        this.upsert(note);
+      }
+    });
+
+    Array.from(this.entries.keys())
+      .filter((id) => !seen.has(id))
+      .forEach((id) => this.remove(id));
+  },
+
+  /**
+   * Add or re-index a single note
+   * @param {Object} note - Note object
+   */
+  upsert(note) {
+    this.remove(note.id);
+
+    const source = note.source || {};
+    const haystack = this.normalize(
+      [
+        note.selection,
+        note.comment,
+        note.image?.alt,
+        note.url,
+        source.title,
+        source.siteName,
+        source.author,
+        source.heading,
+      ]
+        .filter(Boolean)
+        .join("\n")
+    );
+    const entry = {
+      id: note.id,
+      haystack,
+      // Each part of the note on its own, for in: filters
+      fields: {
+        selection: this.normalize(note.selection || ""),
+        comment: this.normalize(note.comment || ""),
+      },
+      host: this.getHost(note.url),
+      hasLink:
+        Boolean(note.url) ||
+        /https?:\/\//i.test(StorageHelper.getNoteText(note)),
+      hasImage: Boolean(note.image),
+      tags: note.tags || [],
+      createdAt: note.createdAt,
+      updatedAt: note.updatedAt,
+      grams: this.toTrigrams(haystack),
+    };
+
+    entry.grams.forEach((gram) => {
+      if (!this.trigrams.has(gram)) this.trigrams.set(gram, new Set());
+      this.trigrams.get(gram).add(note.id);
+    });
+
+    this.entries.set(note.id, entry);
+    this.lastQuery = null;
+  },
+
+  /**
+   * Remove a note from the index
+   * @param {string} noteId - ID of note to remove
+   */
+  remove(noteId) {
+    const entry = this.entries.get(noteId);
+    if (!entry) return;
+
+    entry.grams.forEach((gram) => {
+      const ids = this.trigrams.get(gram);
+      if (!ids) return;
+      ids.delete(noteId);
+      if (ids.size === 0) this.trigrams.delete(gram);
+    });
+
+    this.entries.delete(noteId);
+    this.lastQuery = null;
+  },
+
+  /**
+   * Parse a query string into search terms and filter tokens
+   * Supports "quoted phrases", site:, tag:, before:, after:, has:link,
+   * has:image and in:selection / in:comment, which limit the terms to one part of a note
+   * @param {string} query - Raw query
+   * @returns {Object} Parsed query
+   */
+  parseQuery(query) {
+    const parsed = {
+      raw: query.trim(),
+      terms: [],
+      site: null,
+      tags: [],
+      before: null,
+      after: null,
+      hasLink: false,
+      hasImage: false,
+      scope: null,
+    };
+
+    const tokens = query.match(/"[^"]*"?|\S+/g) || [];
+
+    tokens.forEach((token) => {
+      const filter = token.match(/^(site|tag|before|after|has|in):(.+)$/i);
+
+      if (filter) {
+        const [, key, value] = filter;
+        switch (key.toLowerCase()) {
+          case "site":
+            parsed.site = value.toLowerCase().replace(/^www\./, "");
+            return;
+          case "tag":
+            parsed.tags.push(value.toLowerCase());
+            return;
+          case "before":
+          case "after": {
+            const time = Date.parse(value);
+            if (!Number.isNaN(time)) {
+              parsed[key.toLowerCase()] = time;
+              return;
+            }
+            break;
+          }
+          case "has":
+            if (value.toLowerCase() === "link") {
+              parsed.hasLink = true;
+              return;
+            }
+            if (value.toLowerCase() === "image") {
+              parsed.hasImage = true;
+              return;
+            }
+            break;
+          case "in": {
+            const scope = this.SCOPES[value.toLowerCase()];
+            if (scope) {
+              parsed.scope = scope;
+              return;
+            }
+            break;
+          }
+        }
+      }
+
+      const term = this.normalize(token.replace(/^"|"$/g, "")).trim();
+      if (term) parsed.terms.push(term);
+    });
+
+    return parsed;
+  },
+
+  /**
+   * Check whether a query has anything to filter on
+   * @param {Object} parsed - Parsed query
+   * @returns {boolean} True if the query filters the list
+   */
+  isActive(parsed) {
+    return (
+      parsed.terms.length > 0 ||
+      parsed.site !== null ||
+      parsed.tags.length > 0 ||
+      parsed.before !== null ||
+      parsed.after !== null ||
+      parsed.hasLink ||
+      parsed.hasImage ||
+      parsed.scope !== null
+    );
+  },
+
+  /**
+   * Find the IDs of notes matching a query
+   * @param {string} query - Raw query
+   * @returns {Set<string>} Matching note IDs
+   */
+  search(query) {
+    const parsed = this.parseQuery(query);
+    let candidates = null;
+
+    // Typing more characters can only narrow the previous result
+    if (
+      this.lastQuery &&
+      parsed.raw.startsWith(this.lastQuery.raw) &&
+      this.lastQuery.filterKey === this.filterKey(parsed)
+    ) {
+      candidates = this.lastQuery.ids;
+    }
+
+    parsed.terms.forEach((term) => {
+      const ids = this.candidatesForTerm(term);
+      if (ids) {
+        candidates = candidates
+          ? new Set([...candidates].filter((id) => ids.has(id)))
+          : ids;
+      }
+    });
+
+    const pool = candidates || new Set(this.entries.keys());
+    const ids = new Set();
+
+    pool.forEach((id) => {
+      const entry = this.entries.get(id);
+      if (entry && this.matches(entry, parsed)) ids.add(id);
+    });
+
+    this.lastQuery = {
+      raw: parsed.raw,
+      filterKey: this.filterKey(parsed),
+      ids,
+    };
+    return ids;
+  },
+
+  /**
+   * Candidate IDs for a term from the trigram index
+   * @param {string} term - Normalized term
+   * @returns {Set<string>|null} Candidates, or null if the term is too short
+   */
+  candidatesForTerm(term) {
+    if (term.length < 3) return null;
+
+    let result = null;
+    for (const gram of this.toTrigrams(term)) {
+      const ids = this.trigrams.get(gram);
+      if (!ids) return new Set();
+
+      result = result
+        ? new Set([...result].filter((id) => ids.has(id)))
+        : new Set(ids);
+      if (result.size === 0) break;
+    }
+
+    return result;
+  },
+
+  /**
+   * Verify an index entry against a parsed query
+   * @returns {boolean} True if every term and filter matches
+   */
+  matches(entry, parsed) {
+    if (parsed.site && !this.hostMatches(entry.host, parsed.site)) {
+      return false;
+    }
+    if (parsed.before !== null && !(entry.createdAt < parsed.before)) {
+      return false;
+    }
+    if (parsed.after !== null && !(entry.createdAt >= parsed.after)) {
+      return false;
+    }
+    if (parsed.hasLink && !entry.hasLink) return false;
+    if (parsed.hasImage && !entry.hasImage) return false;
+    if (!parsed.tags.every((tag) => entry.tags.includes(tag))) return false;
+
+    // On its own, in: keeps the notes that have that part at all
+    const text = parsed.scope ? entry.fields[parsed.scope] : entry.haystack;
+    if (parsed.scope && !text) return false;
+
+    return parsed.terms.every((term) => text.includes(term));
+  },
+
+  hostMatches(host, site) {
+    return Boolean(host) && (host === site || host.endsWith(`.${site}`));
+  },
+
+  filterKey(parsed) {
+    return [
+      parsed.site,
+      parsed.tags.join(","),
+      parsed.before,
+      parsed.after,
+      parsed.hasLink,
+      parsed.hasImage,
+      parsed.scope,
+    ].join("|");
+  },
+
+  /**
+   * Find the ranges of a text that match the given terms
+   * Matching is case- and diacritic-insensitive, ranges refer to the original
+   * @param {string} text - Original text
+   * @param {Array<string>} terms - Normalized terms
+   * @returns {Array<{start: number, end: number}>} Sorted, merged ranges
+   */
+  findMatches(text, terms) {
+    if (!text || terms.length === 0) return [];
+
+    // Map every normalized character back to its original position
+    let normalized = "";
+    const positions = [];
+    let offset = 0;
+    for (const char of text) {
+      const folded = this.normalize(char);
+      for (let i = 0; i < folded.length; i++) {
+        positions.push({ start: offset, end: offset + char.length });
+      }
+      normalized += folded;
+      offset += char.length;
+    }
+
+    const ranges = [];
+    terms.forEach((term) => {
+      let index = normalized.indexOf(term);
+      while (index !== -1) {
+        ranges.push({
+          start: positions[index].start,
+          end: positions[index + term.length - 1].end,
+        });
+        index = normalized.indexOf(term, index + term.length);
+      }
+    });
+
+    ranges.sort((a, b) => a.start - b.start);
+
+    return ranges.reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range.start <= last.end) {
+        last.end = Math.max(last.end, range.end);
+      } else {
+        merged.push({ ...range });
+      }
+      return merged;
+    }, []);
+  },
+
+  /**
+   * Score text against a query typed as a fuzzy subsequence
+   * Runs of consecutive characters and matches at word starts score higher
+   * @param {string} query - Typed query
+   * @param {string} text - Candidate text
+   * @returns {number} Score, or -1 if the query doesn't match
+   */
+  fuzzyScore(query, text) {
+    const needle = this.normalize(query).replace(/\s+/g, "");
+    const haystack = this.normalize(text || "");
+    if (!needle) return 0;
+
+    let score = 0;
+    let run = 0;
+    let from = 0;
+    for (const char of needle) {
+      const index = haystack.indexOf(char, from);
+      if (index === -1) return -1;
+
+      run = index === from ? run + 1 : 1;
+      score += run;
+      if (index === 0 || /[\s\p{P}]/u.test(haystack[index - 1])) score += 3;
+      from = index + 1;
+    }
+
+    // Prefer shorter candidates among equal matches
+    return score - haystack.length / 100;
+  },
+
+  /**
+   * Fold case and strip diacritics
+   * @param {string} text - Text to normalize
+   * @returns {string} Normalized text
+   */
+  normalize(text) {
+    return text
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase();
+  },
+
+  toTrigrams(text) {
+    const grams = new Set();
+    for (let i = 0; i + 3 <= text.length; i++) {
+      grams.add(text.slice(i, i + 3));
+    }
+    return grams;
+  },
+
+  getHost(url) {
+    if (!url) return null;
+    try {
+      return new URL(url).hostname.toLowerCase().replace(/^www\./, "");
+    } catch {
+      return null;
+    }
+  },
+};
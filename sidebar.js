@@ -0,0 +1,435 @@
+/**
+ * Page Sidebar - Notes saved from the current page and the rest of its site
+ * Mounted in the page overlay's shadow root, so page styles can't reach it
+ * and it never shows up in page text
+ */
+const PageSidebar = {
+  // Longest clipped text shown before it is cut off
+  MAX_QUOTE_LENGTH: 280,
+
+  STYLES: `
+    .sidebar {
+      position: fixed;
+      top: 0;
+      right: 0;
+      bottom: 0;
+      width: 340px;
+      max-width: 100vw;
+      display: flex;
+      flex-direction: column;
+      background: #1f2937;
+      color: #e5e7eb;
+      border-left: 1px solid #374151;
+      box-shadow: -8px 0 24px rgba(0, 0, 0, 0.3);
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 13px;
+      line-height: 1.5;
+      z-index: 2147483647;
+      transform: translateX(100%);
+      transition: transform 0.2s ease;
+      box-sizing: border-box;
+    }
+
+    .sidebar.open {
+      transform: translateX(0);
+    }
+
+    .header {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      padding: 14px 16px;
+      border-bottom: 1px solid #374151;
+    }
+
+    .title {
+      margin: 0;
+      font-size: 15px;
+      font-weight: 600;
+      color: #f9fafb;
+    }
+
+    .host {
+      flex: 1;
+      min-width: 0;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+      color: #9ca3af;
+    }
+
+    .close {
+      border: none;
+      background: none;
+      color: #9ca3af;
+      font-size: 16px;
+      cursor: pointer;
+      padding: 2px 6px;
+      border-radius: 6px;
+    }
+
+    .close:hover {
+      background: #374151;
+      color: #f9fafb;
+    }
+
+    .body {
+      flex: 1;
+      overflow-y: auto;
+      padding: 8px 16px 16px;
+    }
+
+    .section-title {
+      margin: 12px 0 8px;
+      font-size: 11px;
+      font-weight: 600;
+      text-transform: uppercase;
+      letter-spacing: 0.08em;
+      color: #9ca3af;
+    }
+
+    .list {
+      list-style: none;
+      margin: 0;
+      padding: 0;
+    }
+
+    .note {
+      padding: 10px 12px;
+      margin-bottom: 8px;
+      background: #111827;
+      border: 1px solid #374151;
+      border-radius: 10px;
+    }
+
+    .quote {
+      margin: 0 0 6px;
+      padding-left: 10px;
+      border-left: 3px solid #3b82f6;
+      color: #d1d5db;
+      white-space: pre-wrap;
+      word-break: break-word;
+    }
+
+    .comment {
+      margin: 0 0 6px;
+      color: #f9fafb;
+      white-space: pre-wrap;
+      word-break: break-word;
+    }
+
+    .meta {
+      font-size: 11px;
+      color: #6b7280;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+
+    .actions {
+      display: flex;
+      gap: 4px;
+      margin-top: 8px;
+    }
+
+    .action {
+      border: 1px solid #374151;
+      background: none;
+      color: #d1d5db;
+      font: inherit;
+      font-size: 12px;
+      padding: 3px 8px;
+      border-radius: 6px;
+      cursor: pointer;
+      text-decoration: none;
+    }
+
+    .action:hover {
+      background: #374151;
+      color: #f9fafb;
+    }
+
+    .action.danger:hover {
+      background: #7f1d1d;
+      border-color: #7f1d1d;
+    }
+
+    .action.primary {
+      background: #3b82f6;
+      border-color: #3b82f6;
+      color: white;
+    }
+
+    .action.primary:hover {
+      background: #2563eb;
+    }
+
+    .action:disabled {
+      opacity: 0.5;
+      cursor: default;
+    }
+
+    .edit {
+      width: 100%;
+      min-height: 72px;
+      padding: 8px 10px;
+      background: #0f172a;
+      color: #e5e7eb;
+      border: 2px solid #3b82f6;
+      border-radius: 8px;
+      font: inherit;
+      resize: vertical;
+      outline: none;
+    }
+
+    .empty {
+      margin: 24px 0;
+      text-align: center;
+      color: #9ca3af;
+    }
+  `,
+
+  /**
+   * Create the sidebar; it stays hidden until opened
+   * @param {Object} options - overlay (from PageOverlay.create) to mount in,
+   *   and callbacks: load() resolving to { page, site } note lists,
+   *   save(noteId, comment), remove(noteId) and reveal(noteId), which returns
+   *   false if the note isn't highlighted on the page
+   * @returns {Object} Control with element, open, close, toggle, isOpen and
+   *   refresh
+   */
+  create(options) {
+    const { overlay, load, save, remove, reveal } = options;
+
+    const sidebar = document.createElement("aside");
+    sidebar.className = "sidebar";
+    sidebar.setAttribute("aria-label", "Notes for this site");
+    sidebar.innerHTML = `
+      <div class="header">
+        <h2 class="title">Notes</h2>
+        <span class="host"></span>
+        <button class="close" title="Close">✕</button>
+      </div>
+      <div class="body"></div>
+    `;
+    overlay.addStyles(this.STYLES);
+    overlay.root.appendChild(sidebar);
+
+    const body = sidebar.querySelector(".body");
+    const host = location.hostname.replace(/^www\./, "");
+    sidebar.querySelector(".host").textContent = host;
+
+    // Notes from the last load, and whether a reload waits for an edit
+    let notes = { page: [], site: [] };
+    let stale = false;
+
+    const isOpen = () => sidebar.classList.contains("open");
+    const isEditing = () => Boolean(body.querySelector(".edit"));
+
+    const render = () => {
+      body.innerHTML = "";
+
+      if (notes.page.length === 0 && notes.site.length === 0) {
+        body.innerHTML = `<p class="empty">No notes from this site yet</p>`;
+        return;
+      }
+
+      [
+        ["This page", notes.page, true],
+        [`Elsewhere on ${host}`, notes.site, false],
+      ].forEach(([title, list, onPage]) => {
+        if (list.length === 0) return;
+
+        const heading = document.createElement("h3");
+        heading.className = "section-title";
+        heading.textContent = `${title} (${list.length})`;
+
+        const items = document.createElement("ul");
+        items.className = "list";
+        list.forEach((note) => items.appendChild(renderNote(note, onPage)));
+
+        body.append(heading, items);
+      });
+    };
+
+    const renderNote = (note, onPage) => {
+      const item = document.createElement("li");
+      item.className = "note";
+      item.dataset.noteId = note.id;
+
+      if (note.selection) {
+        const quote = document.createElement("blockquote");
+        quote.className = "quote";
+        quote.textContent =
+          note.selection.length > this.MAX_QUOTE_LENGTH
+            ? `${note.selection.slice(0, this.MAX_QUOTE_LENGTH - 1)}…`
+            : note.selection;
+        item.appendChild(quote);
+      }
+
+      const comment = document.createElement("p");
+      comment.className = "comment";
+      comment.textContent = note.comment;
+      comment.hidden = !note.comment;
+      item.appendChild(comment);
+
+      const meta = document.createElement("div");
+      meta.className = "meta";
+      meta.textContent = [
+        new Date(note.createdAt).toLocaleDateString(),
+        onPage ? null : note.source?.title || note.url,
+      ]
+        .filter(Boolean)
+        .join(" · ");
+      item.appendChild(meta);
+
+      const actions = document.createElement("div");
+      actions.className = "actions";
+      item.appendChild(actions);
+
+      // Notes from this page scroll to their highlight; others open the page
+      if (onPage) {
+        const show = button("Show on page");
+        show.disabled = !note.anchor || note.orphaned;
+        show.addEventListener("click", () => {
+          if (!reveal(note.id)) {
+            show.textContent = "Not found";
+            show.disabled = true;
+          }
+        });
+        actions.appendChild(show);
+      } else {
+        const link = document.createElement("a");
+        link.className = "action";
+        link.href = note.url;
+        link.target = "_blank";
+        link.rel = "noopener";
+        link.textContent = "Open page";
+        actions.appendChild(link);
+      }
+
+      const edit = button(note.comment ? "Edit comment" : "Add comment");
+      edit.addEventListener("click", () => startEdit(item, note));
+      actions.appendChild(edit);
+
+      const del = button("Delete", "danger");
+      del.addEventListener("click", async () => {
+        del.disabled = true;
+        try {
+          await remove(note.id);
+        } catch (error) {
+          console.error("Error deleting note:", error);
+          del.disabled = false;
+        }
+      });
+      actions.appendChild(del);
+
+      return item;
+    };
+
+    const button = (label, variant = "") => {
+      const control = document.createElement("button");
+      control.className = `action ${variant}`.trim();
+      control.textContent = label;
+      return control;
+    };
+
+    /**
+     * Swap a note's comment for a text field until it is saved or cancelled
+     */
+    const startEdit = (item, note) => {
+      const comment = item.querySelector(".comment");
+      const actions = item.querySelector(".actions");
+
+      const input = document.createElement("textarea");
+      input.className = "edit";
+      input.value = note.comment;
+      input.placeholder = "Add a comment";
+
+      const saveButton = button("Save", "primary");
+      const cancelButton = button("Cancel");
+      const editActions = document.createElement("div");
+      editActions.className = "actions";
+      editActions.append(saveButton, cancelButton);
+
+      comment.hidden = true;
+      actions.hidden = true;
+      comment.after(input, editActions);
+      input.focus();
+
+      const finish = () => {
+        input.remove();
+        editActions.remove();
+        comment.hidden = !note.comment;
+        actions.hidden = false;
+        if (stale) refresh();
+      };
+
+      const commit = async () => {
+        saveButton.disabled = true;
+        try {
+          await save(note.id, input.value.trim());
+          finish();
+        } catch (error) {
+          console.error("Error saving comment:", error);
+          saveButton.disabled = false;
+        }
+      };
+
+      saveButton.addEventListener("click", commit);
+      cancelButton.addEventListener("click", finish);
+      input.addEventListener("keydown", (e) => {
+        // Keep the page's own shortcuts out of the text field
+        e.stopPropagation();
+        if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+          e.preventDefault();
+          commit();
+        } else if (e.key === "Escape") {
+          e.preventDefault();
+          finish();
+        }
+      });
+    };
+
+    /**
+     * Reload the notes; an open edit is kept until it is finished
+     */
+    const refresh = async () => {
+      if (isEditing()) {
+        stale = true;
+        return;
+      }
+
+      stale = false;
+      try {
+        notes = await load();
+      } catch (error) {
+        console.error("Error loading notes for this site:", error);
+      }
+      if (!isEditing()) render();
+    };
+
+    const open = () => {
+      sidebar.classList.add("open");
+      refresh();
+    };
+
+    const close = () => {
+      sidebar.classList.remove("open");
+    };
+
+    sidebar.querySelector(".close").addEventListener("click", close);
+    sidebar.addEventListener("keydown", (e) => {
+      if (e.key === "Escape" && !isEditing()) close();
+    });
+
+    return {
+      element: sidebar,
+      open,
+      close,
+      isOpen,
+      refresh,
+      toggle: () => (isOpen() ? close() : open()),
+    };
+  },
+};
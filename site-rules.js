@@ -0,0 +1,108 @@
+/**
+ * Site Rules - Decides where the floating selection icon shows
+ * Sites are listed as patterns such as "docs.google.com", "*.example.com" or
+ * "example.com/app/*". A pattern without a path matches the host and its
+ * subdomains; one with a path matches pages whose address starts with it.
+ * Shared by the content script and the options page
+ */
+const SiteRules = {
+  // Modifier keys the icon can be made to wait for, by KeyboardEvent.key
+  MODIFIER_KEYS: ["Alt", "Control", "Shift", "Meta"],
+
+  /**
+   * Turn the text of a site list into patterns
+   * @param {string} text - One pattern per line or comma separated
+   * @returns {Array<string>} Normalized, de-duplicated patterns
+   */
+  parsePatterns(text) {
+    const patterns = String(text || "")
+      .split(/[\n,]/)
+      .map((line) => this.normalizePattern(line))
+      .filter(Boolean);
+    return [...new Set(patterns)];
+  },
+
+  /**
+   * Normalize a pattern: lowercase, without scheme, "www." or a leading "*.",
+   * as subdomains are covered anyway
+   * @param {string} pattern - Raw pattern
+   * @returns {string} Pattern (empty if invalid)
+   */
+  normalizePattern(pattern) {
+    return String(pattern || "")
+      .trim()
+      .toLowerCase()
+      .replace(/^[a-z*]+:\/\//, "")
+      .replace(/^(?:\*\.|www\.)+/, "")
+      .replace(/\*{2,}/g, "*");
+  },
+
+  /**
+   * Check whether a page matches a pattern
+   * @param {string} pattern - Normalized pattern
+   * @param {string} url - Page URL
+   * @returns {boolean} True if it matches
+   */
+  matches(pattern, url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return false;
+    }
+
+    const slash = pattern.indexOf("/");
+    const hostPattern = slash === -1 ? pattern : pattern.slice(0, slash);
+    const pathPattern = slash === -1 ? "" : pattern.slice(slash);
+    // Ports only count when the pattern names one
+    const host = (
+      hostPattern.includes(":") ? parsed.host : parsed.hostname
+    ).replace(/^www\./, "");
+
+    // Subdomains of a listed host are covered too
+    const hostMatch = new RegExp(
+      `^(?:[^.]+\\.)*${this.toRegExpSource(hostPattern)}$`
+    ).test(host);
+    if (!hostMatch) return false;
+    if (!pathPattern) return true;
+
+    return new RegExp(`^${this.toRegExpSource(pathPattern)}`).test(
+      parsed.pathname + parsed.search
+    );
+  },
+
+  /**
+   * Check whether the icon is turned on for a page
+   * @param {Object} settings - Settings from StorageHelper.getSettings
+   * @param {string} url - Page URL
+   * @returns {boolean} True if the icon may show
+   */
+  isIconEnabled(settings, url) {
+    if (!settings.iconEnabled) return false;
+
+    const listed = settings.sitePatterns.some((pattern) =>
+      this.matches(pattern, url)
+    );
+    return settings.siteMode === "allow" ? listed : !listed;
+  },
+
+  /**
+   * Check whether the modifier key the icon waits for was held
+   * @param {Object} settings - Settings from StorageHelper.getSettings
+   * @param {MouseEvent} event - Event that ended the selection
+   * @returns {boolean} True if no key is required or it was held
+   */
+  hasModifier(settings, event) {
+    const key = settings.modifierKey;
+    if (!this.MODIFIER_KEYS.includes(key)) return true;
+    return Boolean(event?.getModifierState?.(key));
+  },
+
+  // Wildcards match any run of characters; everything else is literal
+  toRegExpSource(pattern) {
+    return pattern
+      .split("*")
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+      .join(".*");
+  },
+};
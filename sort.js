@@ -0,0 +1,85 @@
+/**
+ * Note Sort - Orders notes for the popup's views
+ * Sorting works on a copy, so the manual order kept in the notes' ranks is
+ * never touched and comes back when switching to manual again. Pinned notes
+ * stay on top in every mode
+ */
+const NoteSort = {
+  MODES: {
+    manual: { label: "Manual order" },
+    newest: { label: "Newest first" },
+    oldest: { label: "Oldest first" },
+    edited: { label: "Recently edited" },
+    site: { label: "By site" },
+    title: { label: "Alphabetical" },
+  },
+
+  DEFAULT_MODE: "manual",
+
+  collator: new Intl.Collator(undefined, {
+    sensitivity: "base",
+    numeric: true,
+  }),
+
+  /**
+   * Sort notes for a view
+   * Ties keep the order the notes came in, as Array.prototype.sort is stable
+   * @param {Array} notes - Notes in manual order
+   * @param {string} mode - One of the MODES keys
+   * @returns {Array} Sorted copy
+   */
+  sort(notes, mode) {
+    return notes
+      .slice()
+      .sort(
+        (a, b) =>
+          Boolean(b.pinned) - Boolean(a.pinned) || this.compare(mode, a, b)
+      );
+  },
+
+  compare(mode, a, b) {
+    switch (mode) {
+      case "newest":
+        return b.createdAt - a.createdAt;
+      case "oldest":
+        return a.createdAt - b.createdAt;
+      case "edited":
+        return b.updatedAt - a.updatedAt;
+      case "site":
+        // Notes of a site together, newest first; notes without one last
+        return (
+          this.compareText(
+            StorageHelper.getHost(a.url),
+            StorageHelper.getHost(b.url)
+          ) || b.createdAt - a.createdAt
+        );
+      case "title":
+        return this.compareText(this.titleOf(a), this.titleOf(b));
+      default:
+        return 0;
+    }
+  },
+
+  /**
+   * Compare text for sorting, putting empty values last
+   * @returns {number} Comparison result
+   */
+  compareText(a, b) {
+    if (!a || !b) return Boolean(b) - Boolean(a);
+    return this.collator.compare(a, b);
+  },
+
+  /**
+   * Text a note is sorted by alphabetically: its first line, without
+   * Markdown punctuation in front
+   * @param {Object} note - Note
+   * @returns {string} Title
+   */
+  titleOf(note) {
+    const text = StorageHelper.getNoteText(note) || note.image?.alt || "";
+    return text
+      .trim()
+      .split("\n")[0]
+      .replace(/^[\s#>*_`~[\]()!-]+/, "");
+  },
+};
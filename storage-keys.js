@@ -0,0 +1,25 @@
+/**
+ * Storage Keys - The stored keys and page addresses the content script
+ * shares with the rest of the extension
+ * Kept apart from storage.js so the content script, which runs in every
+ * frame, doesn't load the whole storage layer to watch for changes
+ */
+const StorageKeys = {
+  NOTE_PREFIX: "note:",
+  SETTINGS_KEY: "settings",
+
+  /**
+   * Normalize a page URL for comparison (drops the fragment)
+   * @param {string} url - URL to normalize
+   * @returns {string|null} Normalized URL, or null if invalid
+   */
+  normalizeUrl(url) {
+    try {
+      const parsed = new URL(url);
+      parsed.hash = "";
+      return parsed.href;
+    } catch {
+      return null;
+    }
+  },
+};
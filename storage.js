@@ -1,18 +1,334 @@
 /**
  * Storage Helper - Manages all Chrome storage operations for notes
  * Uses chrome.storage.local API with async/await pattern
+ *
+ * Each note is stored under its own key ("note:<id>"), ordered by a
+ * lexicographic rank, so inserting or moving a note only writes that note.
+ * Trashed notes keep their key and rank and carry a deletedAt timestamp.
+ * All writes go through commit(), which checks that nothing changed since the
+ * values were read and retries the operation if something did. Every write
+ * moves the changed notes' updatedAt on, and notes deleted for good leave a
+ * tombstone, so sync can tell what changed on this device.
+ *
+ * The stored data carries a schema version. Before the first read in each
+ * context, pending migrations bring it up to date
+ *
+ * Needs storage-keys.js loaded first
  */
 const StorageHelper = {
+  // Note lists in an operation's state, and the single-array keys they
+  // were stored under before each note got its own key
   STORAGE_KEY: "notes",
+  TRASH_KEY: "trash",
+
+  NOTE_PREFIX: StorageKeys.NOTE_PREFIX,
+  REVISIONS_PREFIX: "revisions:",
+  NOTEBOOKS_KEY: "notebooks",
+  HISTORY_KEY: "history",
+  SETTINGS_KEY: StorageKeys.SETTINGS_KEY,
+  TOMBSTONES_KEY: "tombstones",
+  // IDs of the notes outside the trash, in rank order, so they can be read
+  // from the top without reading them all first
+  ORDER_KEY: "noteOrder",
+  SCHEMA_KEY: "schemaVersion",
+  BACKUP_KEY: "schemaBackup",
+
+  // Version of the last migration below
+  SCHEMA_VERSION: 6,
+
+  /**
+   * Schema migrations, oldest first
+   * Each one edits a copy of everything in storage in place. They only change
+   * data that is still in the old shape, so running one twice is harmless
+   */
+  MIGRATIONS: [
+    {
+      version: 1,
+      description: "One key per note, ordered by rank",
+      up(data, helper) {
+        const notes = data[helper.STORAGE_KEY] || [];
+        const trash = data[helper.TRASH_KEY] || [];
+        const ranks = helper.ranksBetween("", null, notes.length);
+
+        notes.forEach(({ index, ...note }, i) => {
+          data[helper.NOTE_PREFIX + note.id] = { ...note, rank: ranks[i] };
+        });
+        // Trashed notes rank next to the position they were deleted from
+        trash.forEach(({ index, ...note }) => {
+          const i = Math.min(index || 0, notes.length);
+          data[helper.NOTE_PREFIX + note.id] = {
+            ...note,
+            rank: helper.rankBetween(ranks[i - 1] || "", ranks[i] || null),
+          };
+        });
+        delete data[helper.STORAGE_KEY];
+        delete data[helper.TRASH_KEY];
+
+        // Revisions were one map of note ID to revisions
+        Object.entries(data.revisions || {}).forEach(([noteId, list]) => {
+          data[helper.REVISIONS_PREFIX + noteId] = list;
+        });
+        delete data.revisions;
+      },
+    },
+    {
+      version: 2,
+      description: "Fill in defaults for every note field",
+      up(data, helper) {
+        Object.keys(data)
+          .filter((key) => key.startsWith(helper.NOTE_PREFIX))
+          .forEach((key) => {
+            data[key] = helper.createNote({
+              id: key.slice(helper.NOTE_PREFIX.length),
+              ...data[key],
+            });
+          });
+      },
+    },
+    {
+      version: 3,
+      description: "Split note text into the clipped selection and a comment",
+      up(data, helper) {
+        const clipped = new Map();
+        Object.keys(data)
+          .filter((key) => key.startsWith(helper.NOTE_PREFIX))
+          .forEach((key) => {
+            const note = data[key];
+            clipped.set(note.id, helper.isClipped(note));
+            data[key] = helper.createNote(helper.splitText(note));
+          });
+
+        // Revisions and the undo log hold copies of notes in the old shape
+        Object.keys(data)
+          .filter((key) => key.startsWith(helper.REVISIONS_PREFIX))
+          .forEach((key) => {
+            const noteId = key.slice(helper.REVISIONS_PREFIX.length);
+            data[key] = data[key].map((revision) =>
+              helper.splitText(revision, clipped.get(noteId))
+            );
+          });
+
+        const history = data[helper.HISTORY_KEY];
+        [...(history?.undo || []), ...(history?.redo || [])].forEach(
+          (operation) => {
+            Object.values(operation.changes || {}).forEach(({ items }) => {
+              (items || []).forEach((item) => {
+                if (item.before) item.before = helper.splitText(item.before);
+                if (item.after) item.after = helper.splitText(item.after);
+              });
+            });
+          }
+        );
+      },
+    },
+    {
+      version: 4,
+      description: "Give every note a review schedule, or none",
+      up(data, helper) {
+        // Anything without a due date can't be scheduled, so it starts unset
+        helper.updateNoteCopies(data, (note) => ({
+          ...note,
+          review: Number.isFinite(note.review?.dueAt) ? note.review : null,
+        }));
+      },
+    },
+    {
+      version: 5,
+      description: "Make the pinned, favorite and archived flags booleans",
+      up(data, helper) {
+        // Views compare the flags between notes, so they can't be left unset
+        helper.updateNoteCopies(data, (note) => ({
+          ...note,
+          pinned: note.pinned === true,
+          favorite: note.favorite === true,
+          archived: note.archived === true,
+        }));
+      },
+    },
+    {
+      version: 6,
+      description: "Store the order of the notes",
+      up(data, helper) {
+        data[helper.ORDER_KEY] = Object.keys(data)
+          .filter((key) => key.startsWith(helper.NOTE_PREFIX))
+          .map((key) => data[key])
+          .filter((note) => !note.deletedAt)
+          .sort((a, b) => helper.compareRanks(a, b))
+          .map((note) => note.id);
+      },
+    },
+  ],
+
+  // Undo steps kept in the operation log
+  MAX_HISTORY: 50,
+
+  // Note keys read per call when loading every note
+  NOTE_BATCH_SIZE: 250,
+
+  // Attempts before an operation that keeps conflicting gives up
+  MAX_RETRIES: 5,
+
+  // Shared by the popup and the service worker to order their commits
+  LOCK_NAME: "web-notes-storage",
+
+  // Rank digits, in code unit order
+  RANK_DIGITS: "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz",
+
+  // Revisions older than this are thinned out to one per day
+  REVISION_COMPACT_AGE: 7 * 86400000,
+
+  // Unreferenced images younger than this may belong to a note being saved
+  IMAGE_GRACE_PERIOD: 3600000,
+
+  // Tombstones are forgotten after this; devices that haven't synced for
+  // longer may bring such notes back
+  TOMBSTONE_MAX_AGE: 90 * 86400000,
+
+  // Note fields that only describe this device, so changing them isn't an
+  // edit and sync leaves them alone
+  LOCAL_FIELDS: ["orphaned"],
+
+  DEFAULT_SETTINGS: {
+    trashRetentionDays: 30,
+    revisionDepth: 20,
+    theme: "light",
+    // Floating selection icon on web pages (see SiteRules)
+    iconEnabled: true,
+    siteMode: "block",
+    sitePatterns: [],
+    minSelectionLength: 1,
+    modifierKey: "",
+    quickSave: false,
+    // Popup view (see NoteSort)
+    sortMode: "manual",
+    noteFilter: "all",
+  },
+
+  // Flags a note can be marked with, and the undo labels for setting and
+  // clearing each
+  NOTE_FLAGS: {
+    pinned: ["Pinned", "Unpinned"],
+    favorite: ["Added to favorites", "Removed from favorites"],
+    archived: ["Archived", "Unarchived"],
+  },
+
+  // Serializes operations so concurrent calls don't overwrite each other
+  queue: Promise.resolve(),
+
+  // Migration run by this context, and whether it failed
+  migration: null,
+  migrationFailed: false,
+
+  /**
+   * Build a note in the current schema, filling in defaults
+   * This is the one definition of the note shape: new notes and migrations
+   * both go through it
+   * @param {Object} fields - Note fields; anything missing gets a default
+   * @returns {Object} Note
+   */
+  createNote(fields) {
+    const createdAt = fields.createdAt ?? fields.updatedAt ?? Date.now();
+
+    return {
+      ...fields,
+      id: fields.id || crypto.randomUUID(),
+      selection: String(fields.selection ?? ""),
+      comment: String(fields.comment ?? ""),
+      url: fields.url || null,
+      anchor: fields.anchor || null,
+      source: fields.source || null,
+      image: fields.image || null,
+      orphaned: Boolean(fields.orphaned),
+      tags: this.normalizeTags(Array.isArray(fields.tags) ? fields.tags : []),
+      notebookId: fields.notebookId || null,
+      review: fields.review || null,
+      pinned: Boolean(fields.pinned),
+      favorite: Boolean(fields.favorite),
+      archived: Boolean(fields.archived),
+      createdAt,
+      updatedAt: fields.updatedAt ?? createdAt,
+    };
+  },
+
+  /**
+   * Whether a note's text was clipped from a page rather than written
+   * @param {Object} note - Note
+   * @returns {boolean} True if the note has an anchor or source metadata
+   */
+  isClipped(note) {
+    return Boolean(note.anchor || note.source);
+  },
+
+  /**
+   * Split the single text field of older notes and exports
+   * Clipped text becomes the selection; anything else was the user's own
+   * @param {Object} fields - Note or revision fields with a text field
+   * @param {boolean} clipped - Whether the text was clipped (optional)
+   * @returns {Object} Fields with selection and comment instead of text
+   */
+  splitText(fields, clipped = this.isClipped(fields)) {
+    if (typeof fields.text !== "string") return fields;
+
+    const { text, ...rest } = fields;
+    return clipped
+      ? { ...rest, selection: text, comment: rest.comment ?? "" }
+      : { ...rest, selection: rest.selection ?? "", comment: text };
+  },
+
+  /**
+   * Full text of a note, for uses that don't tell the two fields apart
+   * @param {Object} note - Note with a selection and comment
+   * @returns {string} Selection and comment, separated by a blank line
+   */
+  getNoteText(note) {
+    return [note.selection, note.comment].filter(Boolean).join("\n\n");
+  },
 
   /**
    * Get all notes from storage
-   * @returns {Promise<Array>} Array of note objects
+   * Only the note records are read, leaving out revisions, the operation log
+   * and any backup, which grow with the library. They are read a batch of
+   * keys at a time from the top of the stored order, so a large library can
+   * be shown as it arrives; notes missing from the order, and the trash, come
+   * last. Without getKeys() (before Chrome 130), or when the upgrade failed,
+   * everything is read at once instead
+   * @param {Function} onBatch - Called with the notes of each batch as it is
+   *   read, in rank order (optional)
+   * @returns {Promise<Array>} Array of note objects, in rank order
    */
-  async getAllNotes() {
+  async getAllNotes(onBatch = null) {
     try {
-      const result = await chrome.storage.local.get(this.STORAGE_KEY);
-      return result[this.STORAGE_KEY] || [];
+      await this.ensureMigrated();
+      if (this.migrationFailed || !chrome.storage.local.getKeys) {
+        const { state } = await this.readState();
+        onBatch?.(state.notes);
+        return state.notes;
+      }
+
+      const [{ [this.ORDER_KEY]: order = [] }, allKeys] = await Promise.all([
+        this.read(this.ORDER_KEY),
+        chrome.storage.local.getKeys(),
+      ]);
+      const unordered = new Set(
+        allKeys.filter((key) => key.startsWith(this.NOTE_PREFIX))
+      );
+      const keys = order
+        .map((id) => this.NOTE_PREFIX + id)
+        .filter((key) => unordered.delete(key));
+      keys.push(...unordered);
+
+      const notes = [];
+      for (let i = 0; i < keys.length; i += this.NOTE_BATCH_SIZE) {
+        const batchKeys = keys.slice(i, i + this.NOTE_BATCH_SIZE);
+        const stored = await this.read(batchKeys);
+        const batch = batchKeys
+          .map((key) => stored[key])
+          .filter((note) => note && !note.deletedAt);
+        if (batch.length) onBatch?.(batch);
+        notes.push(...batch);
+      }
+      // The order is only a hint, and may be behind what was read
+      return notes.sort((a, b) => this.compareRanks(a, b));
     } catch (error) {
       console.error("Error getting notes:", error);
       return [];
@@ -20,149 +336,1952 @@ const StorageHelper = {
   },
 
   /**
-   * Save all notes to storage
-   * @param {Array} notes - Array of note objects
+   * Add a new note at the top of the list
+   * Only the new note is written; the rest keep their ranks
+   * @param {Object} note - Note fields: selection, comment, url, tags, ...
    * @returns {Promise<void>}
    */
-  async saveAllNotes(notes) {
+  async addNote(note) {
     try {
-      await chrome.storage.local.set({ [this.STORAGE_KEY]: notes });
+      await this.transact(null, ({ notes }) => {
+        notes.unshift(this.createNote(note));
+      });
     } catch (error) {
-      console.error("Error saving notes:", error);
+      console.error("Error adding note:", error);
       throw error;
     }
   },
 
   /**
-   * Add a new note
-   * @param {Object} note - Note object with id, text, url, createdAt, updatedAt
+   * Update an existing note
+   * The replaced selection, comment and URL are kept as a revision
+   * @param {string} noteId - ID of note to update
+   * @param {Object} changes - New selection, comment, url, tags and review
+   *   schedule (null to stop reviewing); fields left out are unchanged
+   * @param {Object|null} within - Operation to join (optional)
    * @returns {Promise<void>}
    */
-  async addNote(note) {
+  async updateNote(noteId, changes, within = null) {
     try {
-      const notes = await this.getAllNotes();
+      await this.transact(
+        "Note edited",
+        ({ notes }, transaction) => {
+          const note = notes.find((n) => n.id === noteId);
+          if (!note) return;
 
-      // Increment index for all existing notes
-      notes.forEach((n) => n.index++);
+          const { selection, comment, url, tags, updatedAt } = note;
+          if (changes.selection !== undefined) {
+            note.selection = String(changes.selection);
+          }
+          if (changes.comment !== undefined) {
+            note.comment = String(changes.comment);
+          }
+          if (changes.url !== undefined) {
+            // Source metadata describes the old page
+            if ((changes.url || null) !== note.url) {
+              note.source = null;
+            }
+            note.url = changes.url || null;
+          }
+          if (changes.tags !== undefined) {
+            note.tags = this.normalizeTags(changes.tags);
+          }
+          if (changes.review !== undefined) {
+            note.review = changes.review || null;
+          }
+          note.updatedAt = Date.now();
 
-      // Add new note at index 0 (top of list)
-      note.index = 0;
-      notes.unshift(note);
-
-      await this.saveAllNotes(notes);
+          if (
+            note.selection !== selection ||
+            note.comment !== comment ||
+            note.url !== url
+          ) {
+            this.recordRevision(transaction, noteId, {
+              selection,
+              comment,
+              url,
+              tags,
+              savedAt: updatedAt,
+            });
+          }
+        },
+        within
+      );
     } catch (error) {
-      console.error("Error adding note:", error);
+      console.error("Error updating note:", error);
       throw error;
     }
   },
 
   /**
-   * Update an existing note
-   * @param {string} noteId - ID of note to update
-   * @param {string} newText - Updated text content
-   * @param {string} newUrl - Updated URL (optional)
+   * Delete a note
+   * The note moves to the trash, where it can be restored until purged
+   * @param {string} noteId - ID of note to delete
    * @returns {Promise<void>}
    */
-  async updateNote(noteId, newText, newUrl = undefined) {
+  async deleteNote(noteId) {
+    await this.deleteNotes([noteId]);
+  },
+
+  /**
+   * Merge notes into one
+   * They merge into the first in list order, or into the image note among
+   * them, which keeps its clipped text. The others' text is added under a
+   * rule, with a link to their page when it differs, and they move to the
+   * trash. Tags are combined
+   * @param {Array<string>} noteIds - IDs of the notes to merge
+   * @returns {Promise<string|null>} ID of the merged note, or null if fewer
+   *   than two were found
+   * @throws {Error} If more than one of them is an image note
+   */
+  async mergeNotes(noteIds) {
     try {
-      const notes = await this.getAllNotes();
-      const noteIndex = notes.findIndex((n) => n.id === noteId);
+      return await this.transact(
+        `${noteIds.length} notes merged`,
+        (state, transaction) => {
+          const merging = state.notes.filter((n) => noteIds.includes(n.id));
+          if (merging.length < 2) return null;
+          if (merging.filter((n) => n.image).length > 1) {
+            throw new Error("Only one image note can be merged at a time");
+          }
 
-      if (noteIndex !== -1) {
-        notes[noteIndex].text = newText;
-        if (newUrl !== undefined) {
-          notes[noteIndex].url = newUrl || null;
+          const target = merging.find((n) => n.image) || merging[0];
+          const others = merging.filter((n) => n !== target);
+          const { selection, comment, url, tags, updatedAt } = target;
+          this.recordRevision(transaction, target.id, {
+            selection,
+            comment,
+            url,
+            tags,
+            savedAt: updatedAt,
+          });
+
+          const sections = others.map((note) => {
+            const link =
+              note.url && note.url !== target.url
+                ? `[${this.getHost(note.url) || note.url}](${note.url})`
+                : "";
+            const quote = note.selection.replace(/^/gm, "> ");
+            return [note.selection && quote, note.comment, link]
+              .filter(Boolean)
+              .join("\n\n");
+          });
+          target.comment = [target.comment, ...sections]
+            .filter(Boolean)
+            .join("\n\n---\n\n");
+          target.tags = this.normalizeTags(merging.flatMap((n) => n.tags));
+          target.pinned = merging.some((n) => n.pinned);
+          target.favorite = merging.some((n) => n.favorite);
+
+          const deletedAt = Date.now();
+          state.notes = state.notes.filter((n) => !others.includes(n));
+          state.trash = [
+            ...others.map((note) => ({ ...note, deletedAt })),
+            ...state.trash,
+          ];
+          return target.id;
         }
-        notes[noteIndex].updatedAt = Date.now();
-        await this.saveAllNotes(notes);
-      }
+      );
     } catch (error) {
-      console.error("Error updating note:", error);
+      console.error("Error merging notes:", error);
       throw error;
     }
   },
 
   /**
-   * Delete a note
-   * @param {string} noteId - ID of note to delete
+   * Move several notes to the trash in one undoable step
+   * @param {Array<string>} noteIds - IDs of notes to delete
    * @returns {Promise<void>}
    */
-  async deleteNote(noteId) {
+  async deleteNotes(noteIds) {
+    const label =
+      noteIds.length === 1 ? "Note deleted" : `${noteIds.length} notes deleted`;
+
     try {
-      let notes = await this.getAllNotes();
-      notes = notes.filter((n) => n.id !== noteId);
+      await this.transact(label, (state) => {
+        const deletedAt = Date.now();
+        const deleted = state.notes.filter((n) => noteIds.includes(n.id));
+        if (deleted.length === 0) return;
 
-      // Re-index remaining notes
-      notes.forEach((note, index) => {
-        note.index = index;
+        state.notes = state.notes.filter((n) => !noteIds.includes(n.id));
+        state.trash = [
+          ...deleted.map((note) => ({ ...note, deletedAt })),
+          ...state.trash,
+        ];
       });
+    } catch (error) {
+      console.error("Error deleting notes:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get notes in the trash, most recently deleted first
+   * @returns {Promise<Array>} Trashed notes with a deletedAt timestamp
+   */
+  async getTrash() {
+    try {
+      const { state } = await this.readState();
+      return state.trash;
+    } catch (error) {
+      console.error("Error getting trash:", error);
+      return [];
+    }
+  },
+
+  /**
+   * Restore notes from the trash to their previous position
+   * Trashed notes keep their rank, so they slot back in where they were.
+   * Notes whose notebook was deleted in the meantime go to the Inbox
+   * @param {Array<string>} noteIds - IDs of trashed notes
+   * @returns {Promise<void>}
+   */
+  async restoreNotes(noteIds) {
+    const label =
+      noteIds.length === 1
+        ? "Note restored"
+        : `${noteIds.length} notes restored`;
 
-      await this.saveAllNotes(notes);
+    try {
+      await this.transact(label, (state) => {
+        const restored = state.trash.filter((n) => noteIds.includes(n.id));
+        if (restored.length === 0) return;
+
+        state.trash = state.trash.filter((n) => !noteIds.includes(n.id));
+        restored.forEach(({ deletedAt, ...note }) => {
+          if (
+            note.notebookId &&
+            !state.notebooks.some((nb) => nb.id === note.notebookId)
+          ) {
+            note.notebookId = null;
+          }
+          const position = state.notes.findIndex(
+            (n) => this.compareRanks(n, note) > 0
+          );
+          state.notes.splice(
+            position === -1 ? state.notes.length : position,
+            0,
+            note
+          );
+        });
+      });
     } catch (error) {
-      console.error("Error deleting note:", error);
+      console.error("Error restoring notes:", error);
       throw error;
     }
   },
 
   /**
-   * Move a note up in the list (decrease index)
-   * @param {string} noteId - ID of note to move
+   * Permanently delete notes from the trash
+   * @param {Array<string>} noteIds - IDs of trashed notes
    * @returns {Promise<void>}
    */
-  async moveNoteUp(noteId) {
+  async deleteForever(noteIds) {
+    const label =
+      noteIds.length === 1
+        ? "Note deleted forever"
+        : `${noteIds.length} notes deleted forever`;
+
     try {
-      const notes = await this.getAllNotes();
-      const currentIndex = notes.findIndex((n) => n.id === noteId);
+      await this.transact(label, (state) => {
+        state.trash = state.trash.filter((n) => !noteIds.includes(n.id));
+      });
+      await this.dropRevisions(noteIds);
+    } catch (error) {
+      console.error("Error deleting notes forever:", error);
+      throw error;
+    }
+  },
 
-      // Can't move up if already at top
-      if (currentIndex <= 0) return;
+  /**
+   * Permanently delete everything in the trash
+   * @returns {Promise<void>}
+   */
+  async emptyTrash() {
+    try {
+      const noteIds = await this.transact("Trash emptied", (state) => {
+        const ids = state.trash.map((note) => note.id);
+        state.trash = [];
+        return ids;
+      });
+      await this.dropRevisions(noteIds);
+    } catch (error) {
+      console.error("Error emptying trash:", error);
+      throw error;
+    }
+  },
 
-      // Swap with previous note
-      [notes[currentIndex], notes[currentIndex - 1]] = [
-        notes[currentIndex - 1],
-        notes[currentIndex],
-      ];
+  /**
+   * Drop trashed notes older than the configured retention period
+   * Housekeeping, so it isn't recorded in the operation log
+   * @returns {Promise<number>} Number of purged notes
+   */
+  async purgeTrash() {
+    try {
+      const { trashRetentionDays } = await this.getSettings();
+      const cutoff = Date.now() - trashRetentionDays * 86400000;
 
-      // Update indices
-      notes.forEach((note, index) => {
-        note.index = index;
+      const purged = await this.transact(null, (state) => {
+        const expired = state.trash.filter((note) => note.deletedAt <= cutoff);
+        state.trash = state.trash.filter((note) => note.deletedAt > cutoff);
+        return expired.map((note) => note.id);
       });
+      await this.dropRevisions(purged);
+      await this.collectImages();
+      return purged.length;
+    } catch (error) {
+      console.error("Error purging trash:", error);
+      return 0;
+    }
+  },
+
+  /**
+   * Delete stored images that nothing refers to anymore
+   * Notes in the trash, the undo history and the migration backup all count,
+   * so undoing a permanent delete brings the image back too
+   * @returns {Promise<number>} Number of deleted images
+   */
+  async collectImages() {
+    const referenced = new Set();
+    const collect = (value) => {
+      if (Array.isArray(value)) {
+        value.forEach(collect);
+      } else if (value && typeof value === "object") {
+        if (typeof value.image?.id === "string") referenced.add(value.image.id);
+        Object.values(value).forEach(collect);
+      }
+    };
+    collect(await this.read(null));
+
+    const cutoff = Date.now() - this.IMAGE_GRACE_PERIOD;
+    const unused = (await ImageStore.list())
+      .filter((image) => !referenced.has(image.id) && image.createdAt < cutoff)
+      .map((image) => image.id);
+    await ImageStore.remove(unused);
+    return unused.length;
+  },
 
-      await this.saveAllNotes(notes);
+  /**
+   * Get the revision history of a note
+   * @param {string} noteId - ID of the note
+   * @returns {Promise<Array>} Revisions { id, selection, comment, url, tags,
+   *   savedAt }, oldest first; the note itself is the current version
+   */
+  async getRevisions(noteId) {
+    const key = this.REVISIONS_PREFIX + noteId;
+    try {
+      const result = await this.read(key);
+      return result[key] || [];
     } catch (error) {
-      console.error("Error moving note up:", error);
+      console.error("Error getting revisions:", error);
+      return [];
+    }
+  },
+
+  /**
+   * Keep a replaced version of a note with the running operation
+   * It is stored in the same commit as the change that replaced it, so a
+   * retried operation records it once and a failed one not at all
+   * @param {Object} transaction - Operation, as passed to its mutation
+   * @param {string} noteId - ID of the note
+   * @param {Object} revision - { selection, comment, url, tags, savedAt }
+   */
+  recordRevision(transaction, noteId, revision) {
+    transaction.revisions.push({ noteId, revision });
+  },
+
+  /**
+   * Add the revisions an operation recorded to its commit, compacting each
+   * note's history
+   * @param {Object} stored - Values read for the operation; the revision
+   *   lists are added, so the commit checks them as well
+   * @param {Array} revisions - { noteId, revision }, in the order recorded
+   * @returns {Promise<Object>} New revision lists by key
+   */
+  async prepareRevisions(stored, revisions) {
+    if (revisions.length === 0) return {};
+
+    const keys = [
+      ...new Set(revisions.map(({ noteId }) => this.REVISIONS_PREFIX + noteId)),
+    ];
+    const [current, { revisionDepth }] = await Promise.all([
+      this.read(keys),
+      this.getSettings(),
+    ]);
+
+    const writes = {};
+    revisions.forEach(({ noteId, revision }) => {
+      const key = this.REVISIONS_PREFIX + noteId;
+      writes[key] = this.compactRevisions(
+        [
+          ...(writes[key] || current[key] || []),
+          { id: crypto.randomUUID(), ...revision },
+        ],
+        revisionDepth
+      );
+    });
+    keys.forEach((key) => {
+      stored[key] = current[key];
+    });
+    return writes;
+  },
+
+  /**
+   * Restore an old version of a note as a new revision
+   * The current version is kept in the history like any other edit
+   * @param {string} noteId - ID of the note
+   * @param {string} revisionId - ID of the revision to restore
+   * @returns {Promise<void>}
+   */
+  async restoreRevision(noteId, revisionId) {
+    const revisions = await this.getRevisions(noteId);
+    const revision = revisions.find((r) => r.id === revisionId);
+    if (!revision) throw new Error("Revision not found");
+
+    const { selection, comment, url, tags } = revision;
+    await this.transact("Revision restored", (state, transaction) =>
+      this.updateNote(noteId, { selection, comment, url, tags }, transaction)
+    );
+  },
+
+  /**
+   * Thin out a note's revisions
+   * The original version is always kept. Revisions older than a week are
+   * reduced to the last one of each day, then the oldest are dropped until
+   * the history fits the configured depth
+   * @param {Array} revisions - Revisions, oldest first
+   * @param {number} depth - Maximum number of revisions
+   * @param {number} now - Current time (optional)
+   * @returns {Array} Compacted revisions
+   */
+  compactRevisions(revisions, depth, now = Date.now()) {
+    if (revisions.length <= 1) return revisions;
+
+    const [original, ...rest] = revisions;
+    const cutoff = now - this.REVISION_COMPACT_AGE;
+    const day = (time) => new Date(time).toDateString();
+
+    const compacted = rest.filter((revision, i) => {
+      if (revision.savedAt >= cutoff) return true;
+      const next = rest[i + 1];
+      return !next || day(next.savedAt) !== day(revision.savedAt);
+    });
+
+    return [original, ...(depth > 1 ? compacted.slice(1 - depth) : [])];
+  },
+
+  /**
+   * Compact every note's revisions, e.g. after the depth setting changes
+   * @returns {Promise<void>}
+   */
+  async compactAllRevisions() {
+    const { revisionDepth } = await this.getSettings();
+
+    await this.withRetry(async () => {
+      const stored = await this.read(null);
+      const writes = {};
+      Object.keys(stored)
+        .filter((key) => key.startsWith(this.REVISIONS_PREFIX))
+        .forEach((key) => {
+          const compacted = this.compactRevisions(stored[key], revisionDepth);
+          if (compacted.length !== stored[key].length) writes[key] = compacted;
+        });
+      await this.commit(stored, writes);
+    });
+  },
+
+  /**
+   * Forget the revisions of permanently deleted notes
+   * @param {Array<string>} noteIds - IDs of deleted notes
+   * @returns {Promise<void>}
+   */
+  async dropRevisions(noteIds) {
+    const keys = noteIds.map((id) => this.REVISIONS_PREFIX + id);
+    if (keys.length === 0) return;
+
+    await this.updateKeys(keys, () =>
+      Object.fromEntries(keys.map((key) => [key, undefined]))
+    );
+  },
+
+  /**
+   * Get settings merged over their defaults
+   * @returns {Promise<Object>} Settings
+   */
+  async getSettings() {
+    try {
+      const result = await this.read(this.SETTINGS_KEY);
+      return { ...this.DEFAULT_SETTINGS, ...result[this.SETTINGS_KEY] };
+    } catch (error) {
+      console.error("Error getting settings:", error);
+      return { ...this.DEFAULT_SETTINGS };
+    }
+  },
+
+  /**
+   * Update some settings, keeping the rest
+   * @param {Object} changes - Settings to change
+   * @returns {Promise<Object>} All settings after the change
+   */
+  async saveSettings(changes) {
+    try {
+      let settings;
+      await this.updateKeys([this.SETTINGS_KEY], (stored) => {
+        settings = {
+          ...this.DEFAULT_SETTINGS,
+          ...stored[this.SETTINGS_KEY],
+          ...changes,
+        };
+        return { [this.SETTINGS_KEY]: settings };
+      });
+      return settings;
+    } catch (error) {
+      console.error("Error saving settings:", error);
       throw error;
     }
   },
 
   /**
-   * Move a note down in the list (increase index)
-   * @param {string} noteId - ID of note to move
+   * Normalize a tag: trimmed, lowercase, spaces become dashes
+   * @param {string} tag - Raw tag
+   * @returns {string} Normalized tag (empty if invalid)
+   */
+  normalizeTag(tag) {
+    return String(tag || "")
+      .trim()
+      .toLowerCase()
+      .replace(/\s+/g, "-");
+  },
+
+  /**
+   * Normalize and de-duplicate a list of tags
+   * @param {Array<string>} tags - Raw tags
+   * @returns {Array<string>} Clean tags
+   */
+  normalizeTags(tags) {
+    return [...new Set((tags || []).map((t) => this.normalizeTag(t)))].filter(
+      Boolean
+    );
+  },
+
+  /**
+   * Get every tag in use with its note count
+   * @returns {Promise<Array<{tag: string, count: number}>>} Sorted by name
+   */
+  async getAllTags() {
+    const notes = await this.getAllNotes();
+    const counts = new Map();
+
+    notes.forEach((note) => {
+      (note.tags || []).forEach((tag) => {
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+      });
+    });
+
+    return Array.from(counts, ([tag, count]) => ({ tag, count })).sort((a, b) =>
+      a.tag.localeCompare(b.tag)
+    );
+  },
+
+  /**
+   * Replace the tags of a single note
+   * @param {string} noteId - ID of note to update
+   * @param {Array<string>} tags - New tags
+   * @returns {Promise<void>}
+   */
+  async setNoteTags(noteId, tags) {
+    await this.updateTags("Tags updated", (note) =>
+      note.id === noteId ? this.normalizeTags(tags) : null
+    );
+  },
+
+  /**
+   * Add a tag to several notes
+   * @param {Array<string>} noteIds - IDs of notes to tag
+   * @param {string} tag - Tag to add
+   * @returns {Promise<void>}
+   */
+  async addTag(noteIds, tag) {
+    const clean = this.normalizeTag(tag);
+    if (!clean) return;
+
+    await this.updateTags("Tag added", (note) =>
+      noteIds.includes(note.id) && !(note.tags || []).includes(clean)
+        ? [...(note.tags || []), clean]
+        : null
+    );
+  },
+
+  /**
+   * Remove a tag, from the given notes or from every note
+   * @param {string} tag - Tag to remove
+   * @param {Array<string>} noteIds - IDs of notes (optional, defaults to all)
+   * @returns {Promise<void>}
+   */
+  async removeTag(tag, noteIds = null) {
+    const clean = this.normalizeTag(tag);
+
+    await this.updateTags("Tag removed", (note) =>
+      (!noteIds || noteIds.includes(note.id)) &&
+      (note.tags || []).includes(clean)
+        ? note.tags.filter((t) => t !== clean)
+        : null
+    );
+  },
+
+  /**
+   * Rename a tag on every note
+   * Renaming to a tag that already exists merges the two
+   * @param {string} oldTag - Current tag
+   * @param {string} newTag - New tag
+   * @returns {Promise<void>}
+   */
+  async renameTag(oldTag, newTag) {
+    await this.mergeTags([oldTag], newTag, "Tag renamed");
+  },
+
+  /**
+   * Merge several tags into one on every note
+   * @param {Array<string>} sourceTags - Tags to merge away
+   * @param {string} targetTag - Tag they become
+   * @param {string} label - Operation name (optional)
+   * @returns {Promise<void>}
+   */
+  async mergeTags(sourceTags, targetTag, label = "Tags merged") {
+    const sources = this.normalizeTags(sourceTags);
+    const target = this.normalizeTag(targetTag);
+    if (!target || sources.length === 0) return;
+
+    await this.updateTags(label, (note) => {
+      const tags = note.tags || [];
+      if (!tags.some((t) => sources.includes(t))) return null;
+
+      return this.normalizeTags(
+        tags.map((t) => (sources.includes(t) ? target : t))
+      );
+    });
+  },
+
+  /**
+   * Apply a tag change to all notes as one undoable operation
+   * @param {string} label - Operation name
+   * @param {Function} getTags - Returns the note's new tags, or null to skip
    * @returns {Promise<void>}
    */
-  async moveNoteDown(noteId) {
+  async updateTags(label, getTags) {
     try {
-      const notes = await this.getAllNotes();
-      const currentIndex = notes.findIndex((n) => n.id === noteId);
+      await this.transact(label, ({ notes }) => {
+        notes.forEach((note) => {
+          const tags = getTags(note);
+          if (tags) {
+            note.tags = tags;
+            note.updatedAt = Date.now();
+          }
+        });
+      });
+    } catch (error) {
+      console.error(`Error updating tags (${label}):`, error);
+      throw error;
+    }
+  },
 
-      // Can't move down if already at bottom
-      if (currentIndex === -1 || currentIndex >= notes.length - 1) return;
+  /**
+   * Listen for changes made to notes and notebooks by any context
+   * @param {Function} callback - Receives { notes, trash, notebooks }: notes
+   *   maps each changed note ID to the note, or to null if it was deleted or
+   *   moved to the trash; trash and notebooks tell whether those changed
+   * @returns {Function} Stops listening
+   */
+  watchChanges(callback) {
+    const listener = (changes, areaName) => {
+      if (areaName !== "local") return;
 
-      // Swap with next note
-      [notes[currentIndex], notes[currentIndex + 1]] = [
-        notes[currentIndex + 1],
-        notes[currentIndex],
-      ];
+      const notes = new Map();
+      let trash = false;
+      Object.entries(changes).forEach(([key, { oldValue, newValue }]) => {
+        if (!key.startsWith(this.NOTE_PREFIX)) return;
 
-      // Update indices
-      notes.forEach((note, index) => {
-        note.index = index;
+        const active = newValue && !newValue.deletedAt ? newValue : null;
+        notes.set(key.slice(this.NOTE_PREFIX.length), active);
+        if (oldValue?.deletedAt || newValue?.deletedAt) trash = true;
       });
 
-      await this.saveAllNotes(notes);
+      const notebooks = this.NOTEBOOKS_KEY in changes;
+      if (notes.size || notebooks) callback({ notes, trash, notebooks });
+    };
+
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+  },
+
+  /**
+   * Get notes saved from a page that carry a selection anchor
+   * @param {string} url - Page URL (fragment is ignored)
+   * @returns {Promise<Array>} Matching notes
+   */
+  async getNotesForUrl(url) {
+    const pageUrl = this.normalizeUrl(url);
+    if (!pageUrl) return [];
+
+    const notes = await this.getAllNotes();
+    return notes.filter(
+      (n) => n.anchor && n.url && this.normalizeUrl(n.url) === pageUrl
+    );
+  },
+
+  /**
+   * Get the notes saved from a page and from the rest of its site
+   * @param {string} url - Page URL
+   * @returns {Promise<{page: Array, site: Array}>} Notes from the page itself
+   *   and from other pages on the same host, in list order
+   */
+  async getNotesForSite(url) {
+    const pageUrl = this.normalizeUrl(url);
+    const host = this.getHost(url);
+    const result = { page: [], site: [] };
+    if (!pageUrl || !host) return result;
+
+    const notes = await this.getAllNotes();
+    notes.forEach((note) => {
+      if (!note.url) return;
+      if (this.normalizeUrl(note.url) === pageUrl) {
+        result.page.push(note);
+      } else if (this.getHost(note.url) === host) {
+        result.site.push(note);
+      }
+    });
+    return result;
+  },
+
+  /**
+   * Count notes per page
+   * @returns {Promise<Map<string, number>>} Note count by normalized URL
+   */
+  async countNotesByPage() {
+    const counts = new Map();
+    const notes = await this.getAllNotes();
+    notes.forEach((note) => {
+      const pageUrl = note.url && this.normalizeUrl(note.url);
+      if (pageUrl) counts.set(pageUrl, (counts.get(pageUrl) || 0) + 1);
+    });
+    return counts;
+  },
+
+  /**
+   * Flag or unflag notes whose anchors can no longer be found on the page
+   * @param {Object} statusById - Map of note ID to orphaned state (boolean)
+   * @returns {Promise<void>}
+   */
+  async setOrphanedState(statusById) {
+    try {
+      // Only notes whose flag changes are written back
+      await this.transact(null, ({ notes }) => {
+        notes.forEach((note) => {
+          if (!(note.id in statusById)) return;
+
+          const orphaned = Boolean(statusById[note.id]);
+          if (Boolean(note.orphaned) !== orphaned) {
+            note.orphaned = orphaned;
+          }
+        });
+      });
     } catch (error) {
-      console.error("Error moving note down:", error);
+      console.error("Error updating orphaned state:", error);
       throw error;
     }
   },
+
+  /**
+   * Pin, favorite or archive notes, or take that back
+   * Pinned notes stay on top of the list; archived ones only show in the
+   * archive. Neither changes the manual order
+   * @param {Array<string>} noteIds - IDs of notes to change
+   * @param {string} flag - One of the NOTE_FLAGS keys
+   * @param {boolean} value - New state of the flag
+   * @returns {Promise<void>}
+   */
+  async setNoteFlag(noteIds, flag, value) {
+    if (!(flag in this.NOTE_FLAGS)) {
+      throw new Error(`Unknown note flag: ${flag}`);
+    }
+
+    try {
+      const [setLabel, clearLabel] = this.NOTE_FLAGS[flag];
+      await this.transact(value ? setLabel : clearLabel, ({ notes }) => {
+        notes.forEach((note) => {
+          if (noteIds.includes(note.id)) note[flag] = Boolean(value);
+        });
+      });
+    } catch (error) {
+      console.error(`Error updating ${flag} state:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Save a note's review schedule after it was graded
+   * Housekeeping like the orphaned flag: reviewing isn't an undoable edit
+   * @param {string} noteId - ID of the note
+   * @param {Object|null} review - Schedule from ReviewScheduler, or null to
+   *   stop reviewing
+   * @returns {Promise<void>}
+   */
+  async setReview(noteId, review) {
+    try {
+      await this.transact(null, ({ notes }) => {
+        const note = notes.find((n) => n.id === noteId);
+        if (note) note.review = review || null;
+      });
+    } catch (error) {
+      console.error("Error saving review schedule:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Host of a URL without a leading "www."
+   * @param {string} url - URL
+   * @returns {string|null} Host, or null if the URL has none
+   */
+  getHost(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, "") || null;
+    } catch {
+      return null;
+    }
+  },
+
+  /**
+   * Normalize a page URL for comparison (drops the fragment)
+   * @param {string} url - URL to normalize
+   * @returns {string|null} Normalized URL, or null if invalid
+   */
+  normalizeUrl(url) {
+    return StorageKeys.normalizeUrl(url);
+  },
+
+  /**
+   * Move a note to a position among the notes listed with it
+   * Only the moved note gets a new rank, so however far it goes this is one
+   * small write
+   * @param {string} noteId - ID of note to move
+   * @param {number} toIndex - New position among the notes in the same view
+   *   (see isInSameView), clamped to that list
+   * @param {string|null} notebookId - Notebook being viewed (optional)
+   * @returns {Promise<void>}
+   */
+  async moveNote(noteId, toIndex, notebookId = undefined) {
+    try {
+      await this.transact("Note moved", ({ notes }) => {
+        const note = notes.find((n) => n.id === noteId);
+        if (!note) return;
+
+        const view = notes.filter((n) =>
+          this.isInSameView(n, note, notebookId)
+        );
+        const from = view.indexOf(note);
+        const to = Math.max(0, Math.min(toIndex, view.length - 1));
+        if (from === to) return;
+
+        // Take the place of the note now at the target position, ending up
+        // after it when moving down and before it when moving up
+        const target = view[to];
+        notes.splice(notes.indexOf(note), 1);
+        const at = notes.indexOf(target);
+        notes.splice(to > from ? at + 1 : at, 0, note);
+      });
+    } catch (error) {
+      console.error("Error moving note:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Move a note up in the list (decrease index)
+   * @param {string} noteId - ID of note to move
+   * @param {string|null} notebookId - Only swap within this notebook (optional)
+   * @returns {Promise<void>}
+   */
+  async moveNoteUp(noteId, notebookId = undefined) {
+    try {
+      await this.transact("Note moved", ({ notes }) => {
+        const currentIndex = notes.findIndex((n) => n.id === noteId);
+
+        // Find the previous note in the same view
+        let targetIndex = currentIndex - 1;
+        while (
+          targetIndex >= 0 &&
+          !this.isInSameView(
+            notes[targetIndex],
+            notes[currentIndex],
+            notebookId
+          )
+        ) {
+          targetIndex--;
+        }
+
+        // Can't move up if already at top
+        if (currentIndex <= 0 || targetIndex < 0) return;
+
+        // Swap with previous note
+        [notes[currentIndex], notes[targetIndex]] = [
+          notes[targetIndex],
+          notes[currentIndex],
+        ];
+      });
+    } catch (error) {
+      console.error("Error moving note up:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Move a note down in the list (increase index)
+   * @param {string} noteId - ID of note to move
+   * @param {string|null} notebookId - Only swap within this notebook (optional)
+   * @returns {Promise<void>}
+   */
+  async moveNoteDown(noteId, notebookId = undefined) {
+    try {
+      await this.transact("Note moved", ({ notes }) => {
+        const currentIndex = notes.findIndex((n) => n.id === noteId);
+
+        // Find the next note in the same view
+        let targetIndex = currentIndex + 1;
+        while (
+          targetIndex < notes.length &&
+          !this.isInSameView(
+            notes[targetIndex],
+            notes[currentIndex],
+            notebookId
+          )
+        ) {
+          targetIndex++;
+        }
+
+        // Can't move down if already at bottom
+        if (currentIndex === -1 || targetIndex >= notes.length) return;
+
+        // Swap with next note
+        [notes[currentIndex], notes[targetIndex]] = [
+          notes[targetIndex],
+          notes[currentIndex],
+        ];
+      });
+    } catch (error) {
+      console.error("Error moving note down:", error);
+      throw error;
+    }
+  },
+  /**
+   * Get all notebooks
+   * Notebooks are { id, name, parentId, createdAt }; notes without a
+   * notebookId live in the Inbox
+   * @returns {Promise<Array>} Array of notebook objects
+   */
+  async getNotebooks() {
+    try {
+      const result = await this.read(this.NOTEBOOKS_KEY);
+      return result[this.NOTEBOOKS_KEY] || [];
+    } catch (error) {
+      console.error("Error getting notebooks:", error);
+      return [];
+    }
+  },
+
+  /**
+   * Create a notebook, optionally nested one level under another
+   * @param {string} name - Notebook name
+   * @param {string|null} parentId - Parent notebook ID (optional)
+   * @returns {Promise<Object>} Created notebook
+   */
+  async createNotebook(name, parentId = null) {
+    return this.transact("Notebook created", ({ notebooks }) => {
+      const cleanName = this.validateNotebookName(notebooks, name, parentId);
+
+      if (parentId) {
+        const parent = notebooks.find((nb) => nb.id === parentId);
+        if (!parent) throw new Error("Parent notebook not found");
+        if (parent.parentId) {
+          throw new Error("Notebooks can only be nested one level deep");
+        }
+      }
+
+      const notebook = {
+        id: crypto.randomUUID(),
+        name: cleanName,
+        parentId: parentId || null,
+        createdAt: Date.now(),
+      };
+
+      notebooks.push(notebook);
+      return notebook;
+    });
+  },
+
+  /**
+   * Rename a notebook
+   * @param {string} notebookId - ID of notebook to rename
+   * @param {string} name - New name
+   * @returns {Promise<void>}
+   */
+  async renameNotebook(notebookId, name) {
+    await this.transact("Notebook renamed", ({ notebooks }) => {
+      const notebook = notebooks.find((nb) => nb.id === notebookId);
+      if (!notebook) throw new Error("Notebook not found");
+
+      notebook.name = this.validateNotebookName(
+        notebooks.filter((nb) => nb.id !== notebookId),
+        name,
+        notebook.parentId
+      );
+    });
+  },
+
+  /**
+   * Delete a notebook without losing notes
+   * Its notes move to the parent notebook (or the Inbox) and its
+   * sub-notebooks become top-level notebooks
+   * @param {string} notebookId - ID of notebook to delete
+   * @returns {Promise<void>}
+   */
+  async deleteNotebook(notebookId) {
+    try {
+      await this.transact("Notebook deleted", (state) => {
+        const notebook = state.notebooks.find((nb) => nb.id === notebookId);
+        if (!notebook) return;
+
+        state.notebooks = state.notebooks.filter((nb) => nb.id !== notebookId);
+        state.notebooks.forEach((nb) => {
+          if (nb.parentId === notebookId) nb.parentId = null;
+        });
+
+        state.notes.forEach((note) => {
+          if (note.notebookId === notebookId) {
+            note.notebookId = notebook.parentId;
+            note.updatedAt = Date.now();
+          }
+        });
+      });
+    } catch (error) {
+      console.error("Error deleting notebook:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Move notes into a notebook
+   * Moved notes go to the top of the target notebook
+   * @param {Array<string>} noteIds - IDs of notes to move
+   * @param {string|null} notebookId - Target notebook (null for the Inbox)
+   * @param {Object|null} within - Operation to join (optional)
+   * @returns {Promise<void>}
+   */
+  async moveNotesToNotebook(noteIds, notebookId, within = null) {
+    try {
+      await this.transact(
+        "Moved to notebook",
+        (state) => {
+          const moved = state.notes.filter(
+            (n) => noteIds.includes(n.id) && !this.isInNotebook(n, notebookId)
+          );
+          if (moved.length === 0) return;
+
+          moved.forEach((note) => {
+            note.notebookId = notebookId || null;
+            note.updatedAt = Date.now();
+          });
+
+          state.notes = [
+            ...moved,
+            ...state.notes.filter((n) => !moved.includes(n)),
+          ];
+        },
+        within
+      );
+    } catch (error) {
+      console.error("Error moving notes to notebook:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Check whether a note belongs to a notebook view
+   * @param {Object} note - Note object
+   * @param {string|null|undefined} notebookId - Notebook ID, null for the
+   *   Inbox, undefined for all notes
+   * @returns {boolean} True if the note is in the view
+   */
+  isInNotebook(note, notebookId) {
+    if (notebookId === undefined) return true;
+    return (note.notebookId || null) === notebookId;
+  },
+
+  /**
+   * Whether a note is listed next to another one in the popup: in the same
+   * notebook, both pinned or not, and both archived or not
+   * @param {Object} note - Note to check
+   * @param {Object} other - Note it is compared with
+   * @param {string|null|undefined} notebookId - Notebook being viewed
+   * @returns {boolean} True if they share the view
+   */
+  isInSameView(note, other, notebookId) {
+    return (
+      this.isInNotebook(note, notebookId) &&
+      Boolean(note.pinned) === Boolean(other.pinned) &&
+      Boolean(note.archived) === Boolean(other.archived)
+    );
+  },
+
+  /**
+   * Sort notebooks by name, each parent followed by its children
+   * @param {Array} notebooks - Notebooks to sort
+   * @returns {Array} Sorted notebooks
+   */
+  sortNotebooks(notebooks) {
+    const byName = (a, b) => a.name.localeCompare(b.name);
+    const parents = notebooks.filter((nb) => !nb.parentId).sort(byName);
+
+    return parents.flatMap((parent) => [
+      parent,
+      ...notebooks.filter((nb) => nb.parentId === parent.id).sort(byName),
+    ]);
+  },
+
+  /**
+   * Validate a notebook name against its siblings
+   * @returns {string} Trimmed name
+   */
+  validateNotebookName(notebooks, name, parentId) {
+    const cleanName = String(name || "").trim();
+    if (!cleanName) throw new Error("Notebook name can't be empty");
+
+    const taken = notebooks.some(
+      (nb) =>
+        (nb.parentId || null) === (parentId || null) &&
+        nb.name.toLowerCase() === cleanName.toLowerCase()
+    );
+    if (taken)
+      throw new Error(`A notebook named "${cleanName}" already exists`);
+
+    return cleanName;
+  },
+  /**
+   * Run a change to notes, trash and notebooks as one undoable operation
+   * The mutation edits the state in place; only the notes it changed are
+   * written, in one commit, and recorded in the operation log. If another
+   * context wrote the same keys in the meantime, the state is read again and
+   * the mutation runs again. Operations run one at a time, so calls made
+   * from inside a mutation have to join it by passing on the transaction it
+   * receives; compound actions then undo as one step
+   * @param {string|null} label - Operation name, shown when offering undo;
+   *   null for housekeeping that isn't recorded
+   * @param {Function} mutate - Receives the state ({ notes, trash, notebooks })
+   *   and the transaction
+   * @param {Object|null} transaction - Running operation to join, as passed
+   *   to its mutation (optional)
+   * @returns {Promise<*>} Whatever mutate returns
+   */
+  async transact(label, mutate, transaction = null) {
+    if (transaction) return mutate(transaction.state, transaction);
+
+    return this.enqueue(() =>
+      this.withRetry(async () => {
+        const { state, history, stored } = await this.readState();
+        const before = structuredClone(state);
+
+        const transaction = { state, revisions: [] };
+        const result = await mutate(state, transaction);
+
+        const operation = label && this.diffState(label, before, state);
+        if (operation) {
+          history.undo = [...history.undo, operation].slice(-this.MAX_HISTORY);
+          history.redo = [];
+        }
+        const revisions = await this.prepareRevisions(
+          stored,
+          transaction.revisions
+        );
+        await this.writeState(
+          stored,
+          state,
+          operation ? history : null,
+          true,
+          revisions
+        );
+        return result;
+      })
+    );
+  },
+
+  /**
+   * Undo the most recent operation
+   * @returns {Promise<Object|null>} Undone operation, or null if none
+   */
+  async undo() {
+    return this.stepHistory("undo", "redo", "before");
+  },
+
+  /**
+   * Redo the most recently undone operation
+   * @returns {Promise<Object|null>} Redone operation, or null if none
+   */
+  async redo() {
+    return this.stepHistory("redo", "undo", "after");
+  },
+
+  /**
+   * Labels of the operations undo and redo would apply next
+   * @returns {Promise<{undo: string|null, redo: string|null}>} Labels
+   */
+  async peekHistory() {
+    const result = await this.read(this.HISTORY_KEY);
+    const history = this.normalizeHistory(result[this.HISTORY_KEY]);
+    const last = (list) => (list.length ? list[list.length - 1].label : null);
+    return { undo: last(history.undo), redo: last(history.redo) };
+  },
+
+  async stepHistory(from, to, side) {
+    try {
+      return await this.enqueue(() =>
+        this.withRetry(async () => {
+          const { state, history, stored } = await this.readState();
+          const operation = history[from].pop();
+          if (!operation) return null;
+
+          this.applyOperation(state, operation, side);
+          history[to].push(operation);
+          await this.writeState(stored, state, history);
+          return operation;
+        })
+      );
+    } catch (error) {
+      console.error(`Error during ${from}:`, error);
+      throw error;
+    }
+  },
+
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  },
+
+  /**
+   * Read notes, trash, notebooks and the operation log
+   * @returns {Promise<Object>} { state, history, stored }, where stored holds
+   *   the raw values commit() checks against
+   */
+  async readState() {
+    let stored = await this.read(await this.getStateKeys());
+
+    // If the upgrade failed, the old data is still readable through it,
+    // starting from the backup when it got that far
+    const backup = stored[this.BACKUP_KEY];
+    const version = backup ? backup.version : stored[this.SCHEMA_KEY] || 0;
+    if (version < this.SCHEMA_VERSION) {
+      stored = this.upgrade(backup ? backup.data : stored, version);
+    }
+
+    const notes = [];
+    const trash = [];
+    Object.keys(stored).forEach((key) => {
+      if (!key.startsWith(this.NOTE_PREFIX)) return;
+      const note = structuredClone(stored[key]);
+      (note.deletedAt ? trash : notes).push(note);
+    });
+
+    notes.sort((a, b) => this.compareRanks(a, b));
+    trash.sort((a, b) => b.deletedAt - a.deletedAt);
+
+    return {
+      state: {
+        notes,
+        trash,
+        notebooks: structuredClone(stored[this.NOTEBOOKS_KEY] || []),
+      },
+      history: this.normalizeHistory(structuredClone(stored[this.HISTORY_KEY])),
+      stored,
+    };
+  },
+
+  /**
+   * Keys readState() needs: the notes, notebooks, operation log, tombstones
+   * and note order, leaving out revisions, settings and any migration backup.
+   * Without getKeys() (before Chrome 130), or after a failed upgrade, whose
+   * old data has to be upgraded as a whole, everything is read
+   * @returns {Promise<Array<string>|null>} Keys, or null for everything
+   */
+  async getStateKeys() {
+    await this.ensureMigrated();
+    if (this.migrationFailed || !chrome.storage.local.getKeys) return null;
+
+    const keys = await chrome.storage.local.getKeys();
+    return [
+      ...keys.filter((key) => key.startsWith(this.NOTE_PREFIX)),
+      this.NOTEBOOKS_KEY,
+      this.HISTORY_KEY,
+      this.TOMBSTONES_KEY,
+      this.ORDER_KEY,
+      this.SCHEMA_KEY,
+    ];
+  },
+
+  /**
+   * Write back the notes and notebooks that differ from what was read
+   * @param {Object} stored - Raw values from readState()
+   * @param {Object} state - State after the operation
+   * @param {Object|null} history - Operation log to save, if it changed
+   * @param {boolean} stamp - Whether changed notes get a new updatedAt
+   * @param {Object} extra - Other values to write in the same commit, by key
+   * @returns {Promise<void>}
+   */
+  async writeState(stored, state, history = null, stamp = true, extra = {}) {
+    this.assignRanks(state.notes);
+
+    const records = {};
+    [...state.notes, ...state.trash].forEach((note) => {
+      records[this.NOTE_PREFIX + note.id] = note;
+    });
+
+    const now = Date.now();
+    const writes = { ...extra };
+    Object.entries(records).forEach(([key, note]) => {
+      const before = stored[key];
+      if (this.isSameValue(before, note)) return;
+      if (stamp && before && !this.isSameNote(before, note)) {
+        note.updatedAt = Math.max(now, before.updatedAt + 1);
+      }
+      writes[key] = note;
+    });
+    if (!this.isSameValue(stored[this.NOTEBOOKS_KEY] || [], state.notebooks)) {
+      writes[this.NOTEBOOKS_KEY] = state.notebooks;
+    }
+    if (history) writes[this.HISTORY_KEY] = history;
+    const order = state.notes.map((note) => note.id);
+    if (!this.isSameValue(stored[this.ORDER_KEY] || [], order)) {
+      writes[this.ORDER_KEY] = order;
+    }
+
+    const removals = Object.keys(stored).filter(
+      (key) => key.startsWith(this.NOTE_PREFIX) && !(key in records)
+    );
+
+    const tombstones = this.updateTombstones(
+      stored[this.TOMBSTONES_KEY] || {},
+      removals.map((key) => key.slice(this.NOTE_PREFIX.length)),
+      Object.values(records).map((note) => note.id),
+      now
+    );
+    if (!this.isSameValue(stored[this.TOMBSTONES_KEY] || {}, tombstones)) {
+      writes[this.TOMBSTONES_KEY] = tombstones;
+    }
+
+    await this.commit(stored, writes, removals);
+  },
+
+  /**
+   * Record notes deleted for good and forget tombstones that are no longer
+   * needed
+   * @param {Object} tombstones - Deletion time by note ID
+   * @param {Array<string>} removedIds - Notes deleted now
+   * @param {Array<string>} presentIds - Notes that exist after the write
+   * @param {number} now - Current time
+   * @returns {Object} Updated tombstones
+   */
+  updateTombstones(tombstones, removedIds, presentIds, now) {
+    const cutoff = now - this.TOMBSTONE_MAX_AGE;
+    const present = new Set(presentIds);
+    const updated = Object.fromEntries(
+      Object.entries(tombstones).filter(
+        ([id, deletedAt]) => !present.has(id) && deletedAt > cutoff
+      )
+    );
+    removedIds.forEach((id) => {
+      updated[id] = now;
+    });
+    return updated;
+  },
+
+  /**
+   * Everything sync compares with other devices
+   * @returns {Promise<Object>} { notes, notebooks, tombstones }, where notes
+   *   include the trash
+   */
+  async getSyncSnapshot() {
+    const { state, stored } = await this.readState();
+    return {
+      notes: [...state.notes, ...state.trash],
+      notebooks: state.notebooks,
+      tombstones: structuredClone(stored[this.TOMBSTONES_KEY] || {}),
+    };
+  },
+
+  /**
+   * Apply notes and notebooks merged by sync
+   * Housekeeping: it isn't recorded in the operation log and keeps the
+   * updatedAt of the merged notes. A note is only replaced while it still
+   * matches the version the merge started from, so edits made during a sync
+   * are kept and sent the next time
+   * @param {Object} changes - notes: Array of { id, expected, note }, where
+   *   note is null to delete and expected is undefined to replace whatever
+   *   is there; notebooks: Array to replace them with (optional)
+   * @returns {Promise<Array<string>>} IDs of notes skipped as changed
+   */
+  async applySyncChanges({ notes, notebooks = null }) {
+    try {
+      return await this.enqueue(() =>
+        this.withRetry(async () => {
+          const { state, stored } = await this.readState();
+          const current = new Map(
+            [...state.notes, ...state.trash].map((note) => [note.id, note])
+          );
+          const skipped = [];
+
+          notes.forEach(({ id, expected, note }) => {
+            const existing = current.get(id) || null;
+            if (
+              expected !== undefined &&
+              !this.isSameNote(existing, expected)
+            ) {
+              skipped.push(id);
+            } else if (note) {
+              // Whether a page still shows the note is only known here
+              const local = {};
+              this.LOCAL_FIELDS.forEach((field) => {
+                local[field] = existing ? existing[field] : undefined;
+              });
+              current.set(id, { ...this.createNote(note), ...local });
+            } else {
+              current.delete(id);
+            }
+          });
+
+          const all = Array.from(current.values());
+          state.notes = all
+            .filter((note) => !note.deletedAt)
+            .sort((a, b) => this.compareRanks(a, b));
+          state.trash = all
+            .filter((note) => note.deletedAt)
+            .sort((a, b) => b.deletedAt - a.deletedAt);
+          if (notebooks) state.notebooks = notebooks;
+
+          await this.writeState(stored, state, null, false);
+          return skipped;
+        })
+      );
+    } catch (error) {
+      console.error("Error applying synced changes:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Read from storage, once stored data is in the current schema
+   * @param {string|Array<string>|null} keys - Keys to read (null for all)
+   * @returns {Promise<Object>} Values by key
+   */
+  async read(keys) {
+    await this.ensureMigrated();
+    return chrome.storage.local.get(keys);
+  },
+
+  // Migrate once per context; a failure leaves storage read-only
+  ensureMigrated() {
+    if (!this.migration) {
+      this.migration = this.migrate().catch((error) => {
+        console.error("Error migrating storage, keeping old data:", error);
+        this.migrationFailed = true;
+      });
+    }
+    return this.migration;
+  },
+
+  /**
+   * Bring stored data up to the current schema
+   * Pending migrations run on a copy of everything in storage, which is then
+   * written in one go. A snapshot of the old data is saved first and kept if
+   * anything fails, for the next run to start from; the schema version is only
+   * bumped once all writes are done
+   * @returns {Promise<number>} Schema version in storage afterwards
+   */
+  async migrate() {
+    return this.withLock(async () => {
+      // Everything is only read when there is something to upgrade
+      const schema = await chrome.storage.local.get(this.SCHEMA_KEY);
+      if ((schema[this.SCHEMA_KEY] || 0) >= this.SCHEMA_VERSION) {
+        return schema[this.SCHEMA_KEY];
+      }
+
+      // A backup left by a run that failed holds the data from before any of
+      // its writes, so the upgrade starts over from there
+      const { [this.BACKUP_KEY]: backup, ...current } =
+        await chrome.storage.local.get(null);
+      const data = backup ? backup.data : current;
+      const version = backup ? backup.version : current[this.SCHEMA_KEY] || 0;
+      if (!backup) {
+        await chrome.storage.local.set({
+          [this.BACKUP_KEY]: { version, createdAt: Date.now(), data },
+        });
+      }
+
+      const { [this.SCHEMA_KEY]: newVersion, ...upgraded } = this.upgrade(
+        data,
+        version
+      );
+      const writes = {};
+      Object.entries(upgraded).forEach(([key, value]) => {
+        if (!this.isSameValue(current[key], value)) writes[key] = value;
+      });
+      const removals = Object.keys(current).filter(
+        (key) => key !== this.SCHEMA_KEY && !(key in upgraded)
+      );
+
+      await chrome.storage.local.set(writes);
+      if (removals.length) await chrome.storage.local.remove(removals);
+      await chrome.storage.local.set({ [this.SCHEMA_KEY]: newVersion });
+      await chrome.storage.local.remove(this.BACKUP_KEY);
+      return newVersion;
+    });
+  },
+
+  /**
+   * Update every stored copy of a note for a migration: the notes themselves
+   * and the versions kept in the undo log
+   * @param {Object} data - Everything in storage, edited in place
+   * @param {Function} update - Receives a note and returns it updated
+   */
+  updateNoteCopies(data, update) {
+    Object.keys(data)
+      .filter((key) => key.startsWith(this.NOTE_PREFIX))
+      .forEach((key) => {
+        data[key] = update(data[key]);
+      });
+
+    const history = data[this.HISTORY_KEY];
+    [...(history?.undo || []), ...(history?.redo || [])].forEach(
+      (operation) => {
+        [this.STORAGE_KEY, this.TRASH_KEY].forEach((list) => {
+          (operation.changes?.[list]?.items || []).forEach((item) => {
+            if (item.before) item.before = update(item.before);
+            if (item.after) item.after = update(item.after);
+          });
+        });
+      }
+    );
+  },
+
+  /**
+   * Run the migrations after a version on a copy of the data
+   * @param {Object} data - Everything in storage
+   * @param {number} version - Schema version of the data
+   * @returns {Object} Upgraded copy
+   */
+  upgrade(data, version) {
+    const copy = structuredClone(data);
+    this.MIGRATIONS.filter((migration) => migration.version > version).forEach(
+      (migration) => migration.up(copy, this)
+    );
+    copy[this.SCHEMA_KEY] = this.SCHEMA_VERSION;
+    return copy;
+  },
+
+  /**
+   * Write and remove keys, unless they changed since they were read
+   * This is the only place notes are written. Commits from the popup and the
+   * service worker take turns through a shared lock; content scripts save
+   * through messages to the service worker
+   * @param {Object} expected - Values as they were read, by key
+   * @param {Object} writes - New values by key
+   * @param {Array<string>} removals - Keys to remove (optional)
+   * @returns {Promise<void>}
+   * @throws {Error} StorageConflictError if a key changed since it was read
+   */
+  async commit(expected, writes, removals = []) {
+    const keys = [...Object.keys(writes), ...removals];
+    if (keys.length === 0) return;
+
+    // Writing over data a failed upgrade couldn't convert would lose it
+    if (this.migrationFailed) {
+      throw new Error("Storage could not be upgraded, so changes are disabled");
+    }
+
+    await this.withLock(async () => {
+      const current = await chrome.storage.local.get(keys);
+      const changed = keys.find(
+        (key) => !this.isSameValue(current[key], expected[key])
+      );
+      if (changed) {
+        const error = new Error(`"${changed}" was changed by another writer`);
+        error.name = "StorageConflictError";
+        throw error;
+      }
+
+      if (Object.keys(writes).length) await chrome.storage.local.set(writes);
+      if (removals.length) await chrome.storage.local.remove(removals);
+    });
+  },
+
+  /**
+   * Read-modify-write a few keys through commit()
+   * @param {Array<string>} keys - Keys to read
+   * @param {Function} update - Receives the stored values by key and returns
+   *   new values by key; undefined removes a key
+   * @returns {Promise<void>}
+   */
+  async updateKeys(keys, update) {
+    await this.withRetry(async () => {
+      const stored = await this.read(keys);
+      const writes = {};
+      const removals = [];
+
+      Object.entries(update(structuredClone(stored))).forEach(
+        ([key, value]) => {
+          if (value === undefined) {
+            removals.push(key);
+          } else {
+            writes[key] = value;
+          }
+        }
+      );
+      await this.commit(stored, writes, removals);
+    });
+  },
+
+  // Run an attempt again while it loses to concurrent writers
+  async withRetry(attempt) {
+    for (let tries = 1; ; tries++) {
+      try {
+        return await attempt();
+      } catch (error) {
+        if (!this.isConflict(error) || tries >= this.MAX_RETRIES) throw error;
+      }
+    }
+  },
+
+  withLock(task) {
+    if (typeof navigator !== "undefined" && navigator.locks) {
+      return navigator.locks.request(this.LOCK_NAME, task);
+    }
+    return task();
+  },
+
+  isConflict(error) {
+    return error?.name === "StorageConflictError";
+  },
+
+  isSameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  },
+
+  /**
+   * Compare two versions of a note as sync sees them
+   * Key order, updatedAt and fields local to this device don't count
+   * @param {Object|null} a - Note
+   * @param {Object|null} b - Note
+   * @returns {boolean} True if they are the same
+   */
+  isSameNote(a, b) {
+    const content = (note) => {
+      if (!note) return null;
+      const copy = { ...note, updatedAt: undefined };
+      this.LOCAL_FIELDS.forEach((field) => delete copy[field]);
+      return copy;
+    };
+    return (
+      this.stableStringify(content(a)) === this.stableStringify(content(b))
+    );
+  },
+
+  // JSON with object keys sorted, so equal values always match
+  stableStringify(value) {
+    return JSON.stringify(value, (key, item) =>
+      item && typeof item === "object" && !Array.isArray(item)
+        ? Object.fromEntries(
+            Object.keys(item)
+              .sort()
+              .map((k) => [k, item[k]])
+          )
+        : item
+    );
+  },
+
+  normalizeHistory(history) {
+    return {
+      undo: Array.isArray(history?.undo) ? history.undo : [],
+      redo: Array.isArray(history?.redo) ? history.redo : [],
+    };
+  },
+
+  /**
+   * Record what an operation changed
+   * @returns {Object|null} Operation, or null if nothing changed
+   */
+  diffState(label, before, after) {
+    const changes = {};
+    Object.keys(after).forEach((key) => {
+      const change = this.diffList(before[key] || [], after[key]);
+      if (change) changes[key] = change;
+    });
+
+    if (Object.keys(changes).length === 0) return null;
+    return { id: crypto.randomUUID(), label, time: Date.now(), changes };
+  },
+
+  /**
+   * Describe how a list of items changed
+   * Only changed items and the shortest reordered run of IDs are kept, so
+   * the log stays small for large libraries. Added and removed items remember
+   * their position on the side where they exist
+   * @param {Array} before - Items before the operation
+   * @param {Array} after - Items after the operation
+   * @returns {Object|null} { items, order }, or null if nothing changed
+   */
+  diffList(before, after) {
+    const beforeById = new Map(before.map((item, i) => [item.id, [item, i]]));
+    const afterById = new Map(after.map((item, i) => [item.id, [item, i]]));
+    const items = [];
+
+    beforeById.forEach(([item, position], id) => {
+      if (!afterById.has(id)) {
+        items.push({ id, before: item, after: null, position });
+      } else if (
+        this.fingerprint(item) !== this.fingerprint(afterById.get(id)[0])
+      ) {
+        items.push({ id, before: item, after: afterById.get(id)[0] });
+      }
+    });
+    afterById.forEach(([item, position], id) => {
+      if (!beforeById.has(id)) {
+        items.push({ id, before: null, after: item, position });
+      }
+    });
+
+    // Relative order of the items on both sides, trimmed to the changed run
+    const beforeIds = before.map((i) => i.id).filter((id) => afterById.has(id));
+    const afterIds = after.map((i) => i.id).filter((id) => beforeById.has(id));
+    let start = 0;
+    let end = beforeIds.length;
+    while (start < end && beforeIds[start] === afterIds[start]) start++;
+    while (end > start && beforeIds[end - 1] === afterIds[end - 1]) end--;
+
+    const order =
+      start < end
+        ? {
+            before: beforeIds.slice(start, end),
+            after: afterIds.slice(start, end),
+          }
+        : null;
+
+    if (items.length === 0 && !order) return null;
+    return { items, order };
+  },
+
+  /**
+   * Bring the state to one side of an operation
+   * Works on the current state rather than a snapshot, so changes made after
+   * the operation to other notes survive an undo
+   * @param {Object} state - State to modify in place
+   * @param {Object} operation - Recorded operation
+   * @param {string} side - "before" to undo, "after" to redo
+   */
+  applyOperation(state, operation, side) {
+    const other = side === "before" ? "after" : "before";
+
+    Object.entries(operation.changes).forEach(([key, { items, order }]) => {
+      const updates = new Map(
+        items.filter((c) => c[side] && c[other]).map((c) => [c.id, c[side]])
+      );
+      const absent = new Set(items.filter((c) => !c[side]).map((c) => c.id));
+
+      let list = (state[key] || [])
+        .filter((item) => !absent.has(item.id))
+        .map((item) => structuredClone(updates.get(item.id) || item));
+
+      if (order) list = this.applyOrder(list, order[side]);
+
+      items
+        .filter((c) => c[side] && !c[other])
+        .sort((a, b) => a.position - b.position)
+        .forEach((c) => {
+          list = list.filter((item) => item.id !== c.id);
+          list.splice(
+            Math.min(c.position, list.length),
+            0,
+            structuredClone(c[side])
+          );
+        });
+
+      state[key] = list;
+    });
+  },
+
+  /**
+   * Put items back in a recorded relative order
+   * The slots the items occupy now are refilled in that order
+   * @param {Array} list - Items
+   * @param {Array<string>} ids - IDs in the wanted order
+   * @returns {Array} Reordered items
+   */
+  applyOrder(list, ids) {
+    const wanted = new Set(ids);
+    const byId = new Map(list.map((item) => [item.id, item]));
+    const queue = ids.filter((id) => byId.has(id)).map((id) => byId.get(id));
+
+    return list.map((item) => (wanted.has(item.id) ? queue.shift() : item));
+  },
+
+  // Positions are tracked through the list order, not ranks
+  fingerprint(item) {
+    return JSON.stringify({ ...item, rank: undefined });
+  },
+
+  /**
+   * Order notes by rank, then ID so ties from concurrent inserts are stable
+   * @returns {number} Sort order
+   */
+  compareRanks(a, b) {
+    const rankA = a.rank || "";
+    const rankB = b.rank || "";
+    if (rankA !== rankB) return rankA < rankB ? -1 : 1;
+    return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+  },
+
+  /**
+   * Give notes ranks that sort them in list order
+   * The longest run of notes whose ranks are already in order keeps them,
+   * so a move or insert only changes the notes that moved
+   * @param {Array} notes - Notes in their wanted order (modified in place)
+   */
+  assignRanks(notes) {
+    const kept = this.longestRankedRun(notes);
+    let start = 0;
+
+    while (start < notes.length) {
+      if (kept.has(start)) {
+        start++;
+        continue;
+      }
+
+      let end = start;
+      while (end < notes.length && !kept.has(end)) end++;
+
+      const low = start > 0 ? notes[start - 1].rank : "";
+      const high = end < notes.length ? notes[end].rank : null;
+      this.ranksBetween(low, high, end - start).forEach((rank, i) => {
+        notes[start + i].rank = rank;
+      });
+      start = end;
+    }
+  },
+
+  /**
+   * Find the longest subsequence of notes with valid, increasing ranks
+   * @param {Array} notes - Notes in list order
+   * @returns {Set<number>} Positions of the notes in that subsequence
+   */
+  longestRankedRun(notes) {
+    const tails = [];
+    const previous = [];
+
+    notes.forEach((note, i) => {
+      if (!this.isRank(note.rank)) return;
+
+      let low = 0;
+      let high = tails.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (notes[tails[mid]].rank < note.rank) {
+          low = mid + 1;
+        } else {
+          high = mid;
+        }
+      }
+      previous[i] = low > 0 ? tails[low - 1] : -1;
+      tails[low] = i;
+    });
+
+    const kept = new Set();
+    let i = tails.length ? tails[tails.length - 1] : -1;
+    while (i !== -1) {
+      kept.add(i);
+      i = previous[i];
+    }
+    return kept;
+  },
+
+  // Ranks never end in the lowest digit, so there is always room between two
+  isRank(rank) {
+    return typeof rank === "string" && /^[0-9A-Za-z]*[1-9A-Za-z]$/.test(rank);
+  },
+
+  /**
+   * Spread ranks evenly between two ranks
+   * Bisecting keeps ranks short even for a large import
+   * @param {string} low - Rank to stay above ("" for none)
+   * @param {string|null} high - Rank to stay below (null for none)
+   * @param {number} count - Number of ranks
+   * @returns {Array<string>} Increasing ranks
+   */
+  ranksBetween(low, high, count) {
+    if (count === 0) return [];
+
+    // A single note at either end steps past its neighbour instead
+    if (count === 1 && !low && high) return [this.rankBefore(high)];
+    if (count === 1 && low && high === null) return [this.rankAfter(low)];
+
+    const half = Math.floor(count / 2);
+    const mid = this.rankBetween(low, high);
+    return [
+      ...this.ranksBetween(low, mid, half),
+      mid,
+      ...this.ranksBetween(mid, high, count - half - 1),
+    ];
+  },
+
+  /**
+   * Rank halfway between two ranks
+   * @param {string} low - Lower rank ("" for none)
+   * @param {string|null} high - Higher rank (null for none)
+   * @returns {string} Rank
+   */
+  rankBetween(low, high) {
+    const digits = this.RANK_DIGITS;
+    let rank = "";
+
+    for (let i = 0; ; i++) {
+      const a = i < low.length ? digits.indexOf(low[i]) : 0;
+      const b =
+        high !== null && i < high.length
+          ? digits.indexOf(high[i])
+          : digits.length;
+
+      if (b - a > 1) return rank + digits[Math.floor((a + b) / 2)];
+
+      rank += digits[a];
+      // Below high's prefix, anything longer fits
+      if (b > a) high = null;
+    }
+  },
+
+  // Short rank just below another, so repeated inserts at the top stay short
+  rankBefore(high) {
+    const digits = this.RANK_DIGITS;
+    for (let i = 0; i < high.length; i++) {
+      const digit = digits.indexOf(high[i]);
+      if (digit > 1) return high.slice(0, i) + digits[digit - 1];
+    }
+    // Only 0s and 1s: go below the first 1 with the highest digit after it
+    const first = high.search(/[^0]/);
+    return high.slice(0, first) + digits[0] + digits[digits.length - 1];
+  },
+
+  rankAfter(low) {
+    const digits = this.RANK_DIGITS;
+    for (let i = 0; i < low.length; i++) {
+      const digit = digits.indexOf(low[i]);
+      if (digit < digits.length - 1) return low.slice(0, i) + digits[digit + 1];
+    }
+    return low + digits[1];
+  },
 };
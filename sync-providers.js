@@ -0,0 +1,238 @@
+/**
+ * Sync Providers - Where synced notes are kept between devices
+ * Every provider stores one JSON document and offers the same interface:
+ *   pull() resolves to { document, version }, with a null document if
+ *     nothing was synced yet
+ *   push(document, version) writes the document, unless it changed since
+ *     the pull that returned version; then it throws a SyncConflictError
+ */
+const SyncProviders = {
+  PROVIDERS: {
+    chrome: { label: "Chrome sync" },
+    webdav: { label: "WebDAV / HTTP server" },
+  },
+
+  // chrome.storage.sync keys: a manifest and the chunks it lists
+  CHROME_PREFIX: "websync:",
+  CHROME_MANIFEST_KEY: "websync:manifest",
+
+  // chrome.storage.sync counts the key and the quoted value against its
+  // 8 KB per-item quota, so chunks stay a little below it
+  CHROME_CHUNK_SIZE: 8000,
+
+  /**
+   * Create the provider a sync configuration names
+   * @param {Object} config - { provider, url, username, password }
+   * @returns {Object} Provider with pull and push
+   */
+  create(config) {
+    switch (config.provider) {
+      case "chrome":
+        return this.createChromeSync();
+      case "webdav":
+        return this.createWebDav(config);
+      default:
+        throw new Error(`Unknown sync provider: ${config.provider}`);
+    }
+  },
+
+  /**
+   * Provider backed by chrome.storage.sync
+   * The document is compressed and split into chunks to fit the per-item
+   * quota. The manifest is written last, so a reader either sees the old
+   * manifest or one whose chunks are all written; a chunk overwritten by a
+   * concurrent push is caught by the checksum and reported as a conflict
+   * @returns {Object} Provider
+   */
+  createChromeSync() {
+    const area = chrome.storage.sync;
+    const chunkKey = (i) => `${this.CHROME_PREFIX}chunk:${i}`;
+
+    const readManifest = async () =>
+      (await area.get(this.CHROME_MANIFEST_KEY))[this.CHROME_MANIFEST_KEY] ||
+      null;
+
+    const pull = async () => {
+      const manifest = await readManifest();
+      if (!manifest) return { document: null, version: null };
+
+      const keys = Array.from({ length: manifest.chunks }, (_, i) =>
+        chunkKey(i)
+      );
+      const chunks = await area.get(keys);
+      const data = keys.map((key) => chunks[key] || "").join("");
+      if ((await this.checksum(data)) !== manifest.checksum) {
+        throw this.conflictError(
+          "Chrome sync is being written by another device"
+        );
+      }
+
+      return {
+        document: JSON.parse(await this.decompress(data)),
+        version: manifest.revision,
+      };
+    };
+
+    const push = async (document, version) => {
+      const current = await readManifest();
+      if ((current?.revision ?? null) !== version) {
+        throw this.conflictError("Chrome sync changed since it was read");
+      }
+
+      const data = await this.compress(JSON.stringify(document));
+
+      // Fail with a clear message rather than a quota error halfway through
+      const limit = area.QUOTA_BYTES * 0.9;
+      if (data.length > limit) {
+        throw new Error(
+          `Notes take ${Math.ceil(data.length / 1024)} KB compressed, more ` +
+            `than the ${Math.floor(limit / 1024)} KB Chrome sync allows`
+        );
+      }
+
+      const chunks = {};
+      for (let i = 0; i * this.CHROME_CHUNK_SIZE < data.length; i++) {
+        chunks[chunkKey(i)] = data.slice(
+          i * this.CHROME_CHUNK_SIZE,
+          (i + 1) * this.CHROME_CHUNK_SIZE
+        );
+      }
+      const count = Object.keys(chunks).length;
+
+      const manifest = {
+        revision: crypto.randomUUID(),
+        chunks: count,
+        checksum: await this.checksum(data),
+        updatedAt: Date.now(),
+      };
+      // One write for the chunks and one for the manifest, as
+      // chrome.storage.sync limits writes per minute rather than keys
+      await area.set(chunks);
+      await area.set({ [this.CHROME_MANIFEST_KEY]: manifest });
+
+      const stale = [];
+      for (let i = count; i < (current?.chunks || 0); i++) {
+        stale.push(chunkKey(i));
+      }
+      if (stale.length) await area.remove(stale);
+
+      return manifest.revision;
+    };
+
+    return { pull, push };
+  },
+
+  /**
+   * Provider backed by a JSON file on a WebDAV or plain HTTP server
+   * The file is read with GET and written with PUT; its ETag guards against
+   * overwriting another device's push. Servers without ETags fall back to
+   * last writer wins
+   * @param {Object} config - { url, username, password }; the credentials
+   *   are sent with Basic authentication when a username is set
+   * @returns {Object} Provider
+   */
+  createWebDav(config) {
+    const { url, username, password } = config;
+    if (!/^https?:\/\//i.test(url || "")) {
+      throw new Error("Enter the http(s) address of the sync file");
+    }
+
+    const headers = {};
+    if (username) {
+      const credentials = new TextEncoder().encode(
+        `${username}:${password || ""}`
+      );
+      headers.Authorization = `Basic ${btoa(
+        String.fromCharCode(...credentials)
+      )}`;
+    }
+
+    const pull = async () => {
+      const response = await fetch(url, { headers, cache: "no-store" });
+      if (response.status === 404) return { document: null, version: null };
+      if (!response.ok) {
+        throw new Error(`Sync server answered ${response.status}`);
+      }
+
+      return {
+        document: await response.json(),
+        version: response.headers.get("ETag") || "",
+      };
+    };
+
+    const push = async (document, version) => {
+      const conditions = {};
+      if (version) {
+        conditions["If-Match"] = version;
+      } else if (version === null) {
+        conditions["If-None-Match"] = "*";
+      }
+
+      const response = await fetch(url, {
+        method: "PUT",
+        headers: {
+          ...headers,
+          ...conditions,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(document),
+      });
+      if (response.status === 412) {
+        throw this.conflictError("The sync file changed since it was read");
+      }
+      if (!response.ok) {
+        throw new Error(`Sync server answered ${response.status}`);
+      }
+      return response.headers.get("ETag") || "";
+    };
+
+    return { pull, push };
+  },
+
+  conflictError(message) {
+    const error = new Error(message);
+    error.name = "SyncConflictError";
+    return error;
+  },
+
+  isConflict(error) {
+    return error?.name === "SyncConflictError";
+  },
+
+  /**
+   * Gzip text and encode it as base64
+   * @param {string} text - Text to compress
+   * @returns {Promise<string>} Base64 data
+   */
+  async compress(text) {
+    const stream = new Blob([text])
+      .stream()
+      .pipeThrough(new CompressionStream("gzip"));
+    const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+
+    let binary = "";
+    // Chunked, as spreading a large array overflows the call stack
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  },
+
+  async decompress(data) {
+    const bytes = Uint8Array.from(atob(data), (c) => c.charCodeAt(0));
+    const stream = new Blob([bytes])
+      .stream()
+      .pipeThrough(new DecompressionStream("gzip"));
+    return new Response(stream).text();
+  },
+
+  async checksum(data) {
+    const digest = await crypto.subtle.digest(
+      "SHA-256",
+      new TextEncoder().encode(data)
+    );
+    return Array.from(new Uint8Array(digest), (b) =>
+      b.toString(16).padStart(2, "0")
+    ).join("");
+  },
+};
@@ -0,0 +1,505 @@
+/**
+ * Note Sync - Keeps notes in step across devices through a sync provider
+ * Each sync pulls the shared document, merges it with this device's notes
+ * three ways against the version both last agreed on (the base), pushes the
+ * result and applies it here. Changes to different fields of a note merge;
+ * the same text changed differently on two devices is kept apart as a
+ * conflict for the user to settle in the popup. Image blobs stay on the
+ * device that captured them; only the notes pointing to them are synced
+ */
+const NoteSync = {
+  FORMAT_ID: "web-note-sync",
+  FORMAT_VERSION: 1,
+
+  CONFIG_KEY: "syncConfig",
+  STATE_KEY: "syncState",
+  BASE_KEY: "syncBase",
+
+  // Shared by the popup and the service worker so only one sync runs
+  LOCK_NAME: "web-notes-sync",
+
+  // Pushes lost to other devices before giving up until the next sync
+  MAX_ATTEMPTS: 3,
+
+  // Fields that become a conflict when two devices change them differently;
+  // for the rest, the more recently updated version wins
+  CONFLICT_FIELDS: ["selection", "comment", "url"],
+
+  DEFAULT_CONFIG: {
+    provider: "",
+    url: "",
+    username: "",
+    password: "",
+  },
+
+  DEFAULT_STATE: {
+    lastSyncedAt: null,
+    lastError: null,
+    conflicts: [],
+  },
+
+  // Sync running in this context, joined by overlapping calls
+  running: null,
+
+  /**
+   * Get the sync configuration
+   * @returns {Promise<Object>} { provider, url, username, password }, with
+   *   an empty provider while sync is off
+   */
+  async getConfig() {
+    const result = await StorageHelper.read(this.CONFIG_KEY);
+    return { ...this.DEFAULT_CONFIG, ...result[this.CONFIG_KEY] };
+  },
+
+  /**
+   * Update the sync configuration
+   * Switching to another provider or address starts over from an empty
+   * base, as the old one describes a different document
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object>} Configuration after the change
+   */
+  async saveConfig(changes) {
+    let config;
+    await StorageHelper.updateKeys(
+      [this.CONFIG_KEY, this.BASE_KEY, this.STATE_KEY],
+      (stored) => {
+        const previous = { ...this.DEFAULT_CONFIG, ...stored[this.CONFIG_KEY] };
+        config = { ...previous, ...changes };
+
+        const moved =
+          config.provider !== previous.provider || config.url !== previous.url;
+        return moved
+          ? {
+              [this.CONFIG_KEY]: config,
+              [this.BASE_KEY]: undefined,
+              [this.STATE_KEY]: undefined,
+            }
+          : { [this.CONFIG_KEY]: config };
+      }
+    );
+    return config;
+  },
+
+  /**
+   * Get the outcome of the last sync
+   * @returns {Promise<Object>} { lastSyncedAt, lastError, conflicts }
+   */
+  async getState() {
+    const result = await StorageHelper.read(this.STATE_KEY);
+    return this.normalizeState(result[this.STATE_KEY]);
+  },
+
+  /**
+   * Call back whenever the outcome of a sync changes
+   * @param {Function} callback - Receives the new state
+   * @returns {Function} Stops watching
+   */
+  watchState(callback) {
+    const listener = (changes, areaName) => {
+      if (areaName === "local" && this.STATE_KEY in changes) {
+        callback(this.normalizeState(changes[this.STATE_KEY].newValue));
+      }
+    };
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+  },
+
+  /**
+   * Sync with the configured provider
+   * @returns {Promise<Object|null>} { received, sent, conflicts }, or null
+   *   while sync is off
+   * @throws {Error} If the provider can't be reached or refuses the push
+   */
+  sync() {
+    if (!this.running) {
+      this.running = this.withLock(() => this.run()).finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  },
+
+  async run() {
+    const config = await this.getConfig();
+    if (!config.provider) return null;
+
+    try {
+      const provider = SyncProviders.create(config);
+      let summary;
+      for (let attempt = 1; !summary; attempt++) {
+        try {
+          summary = await this.syncOnce(provider);
+        } catch (error) {
+          // Another device pushed in between; merge with its version
+          if (
+            !SyncProviders.isConflict(error) ||
+            attempt >= this.MAX_ATTEMPTS
+          ) {
+            throw error;
+          }
+        }
+      }
+
+      await this.saveState({
+        lastSyncedAt: Date.now(),
+        lastError: null,
+        conflicts: summary.conflicts,
+      });
+      return summary;
+    } catch (error) {
+      console.error("Error syncing notes:", error);
+      await this.saveState({ lastError: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Pull, merge, push and apply once
+   * @param {Object} provider - Provider from SyncProviders.create
+   * @returns {Promise<Object>} { received, sent, conflicts }
+   * @throws {Error} SyncConflictError if another device pushed meanwhile
+   */
+  async syncOnce(provider) {
+    const { document, version } = await provider.pull();
+    const remote = this.readDocument(document);
+    const local = await StorageHelper.getSyncSnapshot();
+    const stored = await StorageHelper.read(this.BASE_KEY);
+    const base = this.readDocument(stored[this.BASE_KEY] || null);
+
+    const merged = this.merge(base, local, remote, Date.now());
+
+    const outgoing = this.buildDocument(merged.remote);
+    const sent =
+      !document ||
+      !this.isSame(
+        this.documentContent(document),
+        this.documentContent(outgoing)
+      );
+    if (sent) await provider.push(outgoing, version);
+
+    // Only notes that differ from what this device has are written
+    const localById = new Map(local.notes.map((note) => [note.id, note]));
+    const notes = [];
+    merged.local.notes.forEach((note, id) => {
+      const current = localById.get(id) || null;
+      if (!this.isSame(this.withoutLocalFields(current), note)) {
+        notes.push({ id, expected: current, note });
+      }
+    });
+    const notebooks = this.isSame(local.notebooks, merged.local.notebooks)
+      ? null
+      : merged.local.notebooks;
+    if (notes.length || notebooks) {
+      await StorageHelper.applySyncChanges({ notes, notebooks });
+    }
+
+    await StorageHelper.updateKeys([this.BASE_KEY], () => ({
+      [this.BASE_KEY]: this.buildDocument(merged.base),
+    }));
+
+    return { received: notes.length, sent, conflicts: merged.conflicts };
+  },
+
+  /**
+   * Merge this device's notes with the shared ones
+   * Pure: works on snapshots and returns what each side should hold
+   * @param {Object} base - Last agreed { notes, notebooks, tombstones }
+   * @param {Object} local - This device's { notes, notebooks, tombstones }
+   * @param {Object} remote - Shared { notes, notebooks, tombstones }
+   * @param {number} now - Current time, for notes merged from both sides
+   * @returns {Object} { local, remote, base }, each with notes (Map of ID
+   *   to note, or null where deleted), notebooks and tombstones; and
+   *   conflicts, Array of { id, fields, base, local, remote, merged }
+   */
+  merge(base, local, remote, now) {
+    const index = (notes) =>
+      new Map(notes.map((note) => [note.id, this.withoutLocalFields(note)]));
+    const baseNotes = index(base.notes);
+    const localNotes = index(local.notes);
+    const remoteNotes = index(remote.notes);
+
+    const tombstones = { ...remote.tombstones };
+    Object.entries(local.tombstones).forEach(([id, deletedAt]) => {
+      tombstones[id] = Math.max(tombstones[id] || 0, deletedAt);
+    });
+
+    const result = {
+      local: { notes: new Map() },
+      remote: { notes: new Map() },
+      base: { notes: new Map() },
+      conflicts: [],
+    };
+
+    const ids = new Set([
+      ...baseNotes.keys(),
+      ...localNotes.keys(),
+      ...remoteNotes.keys(),
+    ]);
+    ids.forEach((id) => {
+      const b = baseNotes.get(id) || null;
+      let l = localNotes.get(id) || null;
+      let r = remoteNotes.get(id) || null;
+
+      // Without a base, a tombstone newer than the other side's copy means
+      // the note was deleted after that copy was made
+      if (!b && l && !r && remote.tombstones[id] >= l.updatedAt) l = null;
+      if (!b && r && !l && local.tombstones[id] >= r.updatedAt) r = null;
+
+      const { note, fields } = this.mergeNote(b, l, r, now);
+      if (fields) {
+        // Both sides keep their version until the user picks one
+        result.conflicts.push({
+          id,
+          fields,
+          base: b,
+          local: l,
+          remote: r,
+          merged: note,
+        });
+        result.local.notes.set(id, l);
+        result.remote.notes.set(id, r);
+        result.base.notes.set(id, b);
+      } else {
+        result.local.notes.set(id, note);
+        result.remote.notes.set(id, note);
+        result.base.notes.set(id, note);
+      }
+      if (note || fields) delete tombstones[id];
+    });
+
+    const notebooks = this.mergeNotebooks(
+      base.notebooks,
+      local.notebooks,
+      remote.notebooks
+    );
+    ["local", "remote", "base"].forEach((side) => {
+      result[side].notebooks = notebooks;
+      result[side].tombstones = tombstones;
+    });
+    return result;
+  },
+
+  /**
+   * Merge two versions of a note three ways
+   * @param {Object|null} base - Last agreed version, null if none
+   * @param {Object|null} local - This device's version, null if deleted
+   * @param {Object|null} remote - Shared version, null if deleted
+   * @param {number} now - Current time
+   * @returns {{note: Object|null, fields: Array<string>|undefined}} Merged
+   *   note (null if deleted), and the conflicting fields if any; a
+   *   conflicted note holds this device's values for them
+   */
+  mergeNote(base, local, remote, now) {
+    // The same change on both sides settles on the later timestamp, so
+    // devices don't keep swapping them
+    if (StorageHelper.isSameNote(local, remote)) {
+      return {
+        note:
+          local && remote && remote.updatedAt > local.updatedAt
+            ? remote
+            : local,
+      };
+    }
+    if (StorageHelper.isSameNote(local, base)) return { note: remote };
+    if (StorageHelper.isSameNote(remote, base)) return { note: local };
+
+    // Deleted on one device and edited on the other: the edit wins
+    if (!local || !remote) return { note: local || remote };
+
+    const previous = base || {};
+    const newer = remote.updatedAt > local.updatedAt ? remote : local;
+    const note = {};
+    const fields = [];
+
+    new Set([...Object.keys(local), ...Object.keys(remote)]).forEach(
+      (field) => {
+        const [mine, theirs, old] = [
+          local[field],
+          remote[field],
+          previous[field],
+        ];
+        if (this.isSame(mine, theirs) || this.isSame(theirs, old)) {
+          note[field] = mine;
+        } else if (this.isSame(mine, old)) {
+          note[field] = theirs;
+        } else if (field === "tags") {
+          note.tags = this.mergeTags(old || [], mine || [], theirs || []);
+        } else if (this.CONFLICT_FIELDS.includes(field)) {
+          note[field] = mine;
+          fields.push(field);
+        } else {
+          note[field] = newer[field];
+        }
+      }
+    );
+    note.updatedAt = now;
+
+    return fields.length ? { note, fields } : { note };
+  },
+
+  /**
+   * Merge tag lists: tags added on either side are kept and tags removed on
+   * either side are dropped
+   * @returns {Array<string>} Tags, this device's order first
+   */
+  mergeTags(base, local, remote) {
+    const removed = new Set(
+      base.filter((tag) => !local.includes(tag) || !remote.includes(tag))
+    );
+    return [...new Set([...local, ...remote])].filter(
+      (tag) => !removed.has(tag)
+    );
+  },
+
+  /**
+   * Merge notebook lists three ways by ID
+   * Notebooks only have a name and parent, so when both sides changed one,
+   * this device's version is kept rather than asking
+   * @returns {Array} Notebooks, this device's order first
+   */
+  mergeNotebooks(base, local, remote) {
+    const index = (list) => new Map(list.map((nb) => [nb.id, nb]));
+    const [baseById, localById, remoteById] = [base, local, remote].map(index);
+
+    const merged = [];
+    new Set([
+      ...localById.keys(),
+      ...remoteById.keys(),
+      ...baseById.keys(),
+    ]).forEach((id) => {
+      const b = baseById.get(id) || null;
+      const l = localById.get(id) || null;
+      const r = remoteById.get(id) || null;
+
+      let notebook = l;
+      if (this.isSame(l, b)) notebook = r;
+      else if (!l && !this.isSame(r, b)) notebook = r;
+      if (notebook) merged.push(notebook);
+    });
+    return merged;
+  },
+
+  /**
+   * Settle a conflict with one device's version of the conflicting fields
+   * The result is saved as an edit on this device, so the next sync sends
+   * it to the others
+   * @param {string} noteId - ID of the conflicted note
+   * @param {string} side - "local" or "remote"
+   * @returns {Promise<void>}
+   */
+  async resolveConflict(noteId, side) {
+    const { conflicts } = await this.getState();
+    const conflict = conflicts.find((c) => c.id === noteId);
+    if (!conflict) throw new Error("Conflict not found");
+
+    const chosen = side === "remote" ? conflict.remote : conflict.local;
+    const note = { ...conflict.merged, updatedAt: Date.now() };
+    conflict.fields.forEach((field) => {
+      note[field] = chosen[field];
+    });
+
+    await StorageHelper.applySyncChanges({ notes: [{ id: noteId, note }] });
+
+    // Agreeing on the shared version makes the choice this device's edit
+    await StorageHelper.updateKeys(
+      [this.BASE_KEY, this.STATE_KEY],
+      (stored) => {
+        const base = this.readDocument(stored[this.BASE_KEY] || null);
+        base.notes = base.notes.filter((n) => n.id !== noteId);
+        if (conflict.remote) base.notes.push(conflict.remote);
+
+        const state = this.normalizeState(stored[this.STATE_KEY]);
+        state.conflicts = state.conflicts.filter((c) => c.id !== noteId);
+        return {
+          [this.BASE_KEY]: this.buildDocument(base),
+          [this.STATE_KEY]: state,
+        };
+      }
+    );
+  },
+
+  /**
+   * Build the shared document from merged notes
+   * @param {Object} side - { notes, notebooks, tombstones }, with notes as
+   *   an Array or a Map of ID to note
+   * @returns {Object} Document
+   */
+  buildDocument({ notes, notebooks, tombstones }) {
+    const list = Array.from(notes instanceof Map ? notes.values() : notes)
+      .filter(Boolean)
+      .sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+
+    return {
+      format: this.FORMAT_ID,
+      version: this.FORMAT_VERSION,
+      updatedAt: Date.now(),
+      notes: list,
+      notebooks,
+      tombstones,
+    };
+  },
+
+  /**
+   * Read a shared document or base, checking that it is ours
+   * @param {Object|null} document - Document, null if there is none yet
+   * @returns {Object} { notes, notebooks, tombstones }
+   * @throws {Error} If it isn't a sync document this version understands
+   */
+  readDocument(document) {
+    if (!document) return { notes: [], notebooks: [], tombstones: {} };
+
+    if (document.format !== this.FORMAT_ID) {
+      throw new Error("The sync location holds something other than notes");
+    }
+    if (document.version > this.FORMAT_VERSION) {
+      throw new Error("Notes were synced by a newer version of the extension");
+    }
+    return {
+      notes: Array.isArray(document.notes) ? document.notes : [],
+      notebooks: Array.isArray(document.notebooks) ? document.notebooks : [],
+      tombstones: document.tombstones || {},
+    };
+  },
+
+  // What a document says, without when it was written
+  documentContent(document) {
+    return { ...document, updatedAt: undefined };
+  },
+
+  withoutLocalFields(note) {
+    if (!note) return null;
+    const copy = { ...note };
+    StorageHelper.LOCAL_FIELDS.forEach((field) => delete copy[field]);
+    return copy;
+  },
+
+  withLock(task) {
+    if (typeof navigator !== "undefined" && navigator.locks) {
+      return navigator.locks.request(this.LOCK_NAME, task);
+    }
+    return task();
+  },
+
+  async saveState(changes) {
+    await StorageHelper.updateKeys([this.STATE_KEY], (stored) => ({
+      [this.STATE_KEY]: {
+        ...this.normalizeState(stored[this.STATE_KEY]),
+        ...changes,
+      },
+    }));
+  },
+
+  normalizeState(state) {
+    return {
+      ...this.DEFAULT_STATE,
+      ...state,
+      conflicts: Array.isArray(state?.conflicts) ? state.conflicts : [],
+    };
+  },
+
+  isSame(a, b) {
+    return (
+      StorageHelper.stableStringify(a) === StorageHelper.stableStringify(b)
+    );
+  },
+};
@@ -0,0 +1,174 @@
+/**
+ * Tag Input - Chip-style tag entry with autocomplete
+ * Shared by the popup and the on-page save modal; class names are prefixed
+ * so the content-script copy doesn't collide with page styles
+ */
+const TagInput = {
+  MAX_SUGGESTIONS: 6,
+
+  /**
+   * Create a tag input
+   * @param {Object} options - { classPrefix, placeholder, suggestions }
+   * @returns {Object} Control with element, getTags, setTags, setSuggestions
+   */
+  create(options = {}) {
+    const {
+      classPrefix = "",
+      placeholder = "Add tags",
+      suggestions = [],
+    } = options;
+    const cls = (name) => `${classPrefix}${name}`;
+    let tags = [];
+    let known = suggestions.slice();
+    let activeIndex = -1;
+
+    const element = document.createElement("div");
+    element.className = cls("tag-input");
+    element.innerHTML = `
+      <div class="${cls("tag-chips")}"></div>
+      <input type="text" class="${cls("tag-field")}" autocomplete="off">
+      <ul class="${cls("tag-suggestions")}" hidden></ul>
+    `;
+
+    const chips = element.querySelector(`.${cls("tag-chips")}`);
+    const field = element.querySelector(`.${cls("tag-field")}`);
+    const list = element.querySelector(`.${cls("tag-suggestions")}`);
+    field.placeholder = placeholder;
+
+    const renderChips = () => {
+      chips.innerHTML = "";
+      tags.forEach((tag) => {
+        const chip = document.createElement("span");
+        chip.className = cls("tag-chip");
+        chip.textContent = tag;
+
+        const remove = document.createElement("button");
+        remove.type = "button";
+        remove.className = cls("tag-chip-remove");
+        remove.title = `Remove ${tag}`;
+        remove.textContent = "×";
+        remove.addEventListener("click", (e) => {
+          e.stopPropagation();
+          tags = tags.filter((t) => t !== tag);
+          renderChips();
+        });
+
+        chip.appendChild(remove);
+        chips.appendChild(chip);
+      });
+    };
+
+    const matchingSuggestions = () => {
+      const query = field.value.trim().toLowerCase();
+      if (!query) return [];
+
+      return known
+        .filter((tag) => tag.includes(query) && !tags.includes(tag))
+        .sort((a, b) => a.indexOf(query) - b.indexOf(query))
+        .slice(0, this.MAX_SUGGESTIONS);
+    };
+
+    const renderSuggestions = () => {
+      const matches = matchingSuggestions();
+      list.innerHTML = "";
+      list.hidden = matches.length === 0;
+      activeIndex = Math.min(activeIndex, matches.length - 1);
+
+      matches.forEach((tag, i) => {
+        const item = document.createElement("li");
+        item.className = cls("tag-suggestion");
+        item.classList.toggle(cls("active"), i === activeIndex);
+        item.textContent = tag;
+        // mousedown so the field doesn't blur before the pick registers
+        item.addEventListener("mousedown", (e) => {
+          e.preventDefault();
+          commit(tag);
+        });
+        list.appendChild(item);
+      });
+    };
+
+    const commit = (value) => {
+      this.split(value).forEach((tag) => {
+        if (!tags.includes(tag)) tags.push(tag);
+      });
+      field.value = "";
+      activeIndex = -1;
+      renderChips();
+      renderSuggestions();
+    };
+
+    field.addEventListener("input", () => {
+      if (/[,;]/.test(field.value)) {
+        commit(field.value);
+        return;
+      }
+      activeIndex = -1;
+      renderSuggestions();
+    });
+
+    field.addEventListener("keydown", (e) => {
+      const matches = matchingSuggestions();
+
+      if (e.key === "ArrowDown" && matches.length) {
+        e.preventDefault();
+        activeIndex = (activeIndex + 1) % matches.length;
+        renderSuggestions();
+      } else if (e.key === "ArrowUp" && matches.length) {
+        e.preventDefault();
+        activeIndex = (activeIndex - 1 + matches.length) % matches.length;
+        renderSuggestions();
+      } else if ((e.key === "Enter" || e.key === "Tab") && field.value.trim()) {
+        e.preventDefault();
+        e.stopPropagation();
+        commit(activeIndex >= 0 ? matches[activeIndex] : field.value);
+      } else if (e.key === "Backspace" && !field.value && tags.length) {
+        tags.pop();
+        renderChips();
+      } else if (e.key === "Escape" && !list.hidden) {
+        e.stopPropagation();
+        list.hidden = true;
+      }
+    });
+
+    field.addEventListener("blur", () => {
+      if (field.value.trim()) commit(field.value);
+      list.hidden = true;
+    });
+
+    element.addEventListener("click", () => field.focus());
+
+    return {
+      element,
+      field,
+      getTags() {
+        // Include whatever is still being typed
+        return field.value.trim()
+          ? [...new Set([...tags, ...TagInput.split(field.value)])]
+          : tags.slice();
+      },
+      setTags(newTags) {
+        tags = TagInput.split((newTags || []).join(","));
+        field.value = "";
+        renderChips();
+      },
+      setSuggestions(newSuggestions) {
+        known = (newSuggestions || []).slice();
+      },
+    };
+  },
+
+  /**
+   * Split raw input into normalized, de-duplicated tags
+   * Mirrors StorageHelper.normalizeTag
+   * @param {string} value - Comma separated tags
+   * @returns {Array<string>} Tags
+   */
+  split(value) {
+    const tags = value
+      .split(/[,;]/)
+      .map((tag) => tag.trim().toLowerCase().replace(/\s+/g, "-"))
+      .filter(Boolean);
+    return [...new Set(tags)];
+  },
+};
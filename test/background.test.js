@@ -0,0 +1,139 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { load } = require("./helpers/load");
+const { createWorkerChrome } = require("./helpers/chrome");
+
+const PAGE = { id: 7, url: "https://site.example/article" };
+
+/**
+ * Load the service worker over an empty library
+ * Images are kept in memory and fetches answered with a small PNG
+ * @param {Object} handlers - Chrome API handlers for createWorkerChrome()
+ * @returns {Object} { chrome, data, fetched, worker }, fetched being the
+ *   fetched URLs and worker the service worker's declarations
+ */
+function setup(handlers = {}) {
+  const chrome = createWorkerChrome({}, handlers);
+  const { data } = chrome.storage.local;
+  const fetched = [];
+
+  const worker = load(
+    ["storage-keys.js", "storage.js", "review-scheduler.js", "background.js"],
+    {
+      chrome,
+      importScripts() {},
+      ImageStore: {
+        async save(blob) {
+          return { id: "image-1", type: blob.type, size: blob.size };
+        },
+      },
+      NoteSync: { sync: async () => {} },
+      SyncProviders: { CHROME_MANIFEST_KEY: "manifest" },
+      fetch: async (url) => {
+        fetched.push(url);
+        return new Response(new Blob(["png"], { type: "image/png" }));
+      },
+    }
+  );
+  data[worker.StorageHelper.SCHEMA_KEY] = worker.StorageHelper.SCHEMA_VERSION;
+
+  return { chrome, data, fetched, worker };
+}
+
+/**
+ * Click "Save image to Notes" on an image of PAGE
+ * @param {Object} chrome - Chrome from setup()
+ * @param {string} srcUrl - Image URL
+ */
+function saveImage(chrome, srcUrl) {
+  return chrome.listeners["contextMenus.onClicked"](
+    { menuItemId: "saveImageToNotes", srcUrl, frameId: 0 },
+    PAGE
+  );
+}
+
+const savedImages = (data) =>
+  Object.keys(data)
+    .filter((key) => key.startsWith("note:"))
+    .map((key) => data[key].image?.id);
+
+const callsOf = (chrome, name) =>
+  chrome.calls.filter(([called]) => called === name);
+
+test("asks for the site of an image served from elsewhere", async () => {
+  const { chrome, data, fetched } = setup({
+    "permissions.request": async () => true,
+  });
+
+  await saveImage(chrome, "https://cdn.example/photos/tide.png");
+
+  assert.deepEqual(callsOf(chrome, "permissions.request"), [
+    ["permissions.request", { origins: ["https://cdn.example/*"] }],
+  ]);
+  assert.deepEqual(fetched, ["https://cdn.example/photos/tide.png"]);
+  assert.deepEqual(savedImages(data), ["image-1"]);
+});
+
+test("reports an image whose site wasn't allowed", async () => {
+  const { chrome, data, fetched } = setup({
+    "permissions.request": async () => false,
+  });
+
+  await saveImage(chrome, "https://cdn.example/photos/tide.png");
+
+  assert.deepEqual(fetched, []);
+  assert.deepEqual(savedImages(data), []);
+  const [[, id, notification]] = callsOf(chrome, "notifications.create");
+  assert.equal(id, "saveError");
+  assert.match(notification.message, /cdn\.example/);
+});
+
+test("saves images from the page's own site without asking", async () => {
+  const { chrome, data } = setup();
+
+  await saveImage(chrome, "https://site.example/figure.png");
+  await saveImage(chrome, "data:image/png;base64,iVBORw0KGgo=");
+
+  assert.deepEqual(callsOf(chrome, "permissions.request"), []);
+  assert.equal(savedImages(data).length, 2);
+});
+
+test("shows the notes on the page and the notes due on the badge", async () => {
+  const { chrome, data, worker } = setup();
+  const { StorageHelper, ReviewScheduler } = worker;
+  const note = (id, url, dueAt) =>
+    StorageHelper.createNote({
+      id,
+      url,
+      rank: id,
+      review: dueAt ? ReviewScheduler.create(dueAt) : null,
+    });
+  data["note:a"] = note("a", PAGE.url, Date.now() - 1000);
+  data["note:b"] = note("b", `${PAGE.url}#part-2`, Date.now() + 3600000);
+  data["note:c"] = note("c", "https://other.example/", Date.now() - 1000);
+
+  await worker.updateBadges([
+    PAGE,
+    { id: 8, url: "https://elsewhere.example/" },
+  ]);
+
+  assert.deepEqual(
+    callsOf(chrome, "action.setBadgeText").map(([, details]) => details),
+    [
+      { tabId: 7, text: "2/2" },
+      { tabId: 8, text: "2" },
+    ]
+  );
+  assert.deepEqual(
+    callsOf(chrome, "action.setTitle").map(([, { title }]) => title),
+    ["Web Note (2 notes on this page, 2 to review)", "Web Note (2 to review)"]
+  );
+
+  data["note:a"].review = null;
+  data["note:c"].review = null;
+  chrome.calls.length = 0;
+  await worker.updateBadges([PAGE]);
+  assert.deepEqual(callsOf(chrome, "action.setBadgeText"), [
+    ["action.setBadgeText", { tabId: 7, text: "2" }],
+  ]);
+});
@@ -0,0 +1,86 @@
+// In-memory stand-in for the chrome APIs the storage code uses
+
+/**
+ * Create a chrome object whose storage.local holds the given values
+ * @param {Object} initial - Stored values by key (optional)
+ * @param {Object} options - getKeys: whether storage.local has getKeys(),
+ *   which Chrome added in version 130 (optional, defaults to true)
+ * @returns {Object} chrome, with the stored values as storage.local.data
+ */
+function createChrome(initial = {}, { getKeys = true } = {}) {
+  const data = structuredClone(initial);
+
+  const local = {
+    data,
+    async get(keys) {
+      if (keys === null || keys === undefined) return structuredClone(data);
+      const result = {};
+      [].concat(keys).forEach((key) => {
+        if (key in data) result[key] = structuredClone(data[key]);
+      });
+      return result;
+    },
+    async set(items) {
+      Object.assign(data, structuredClone(items));
+    },
+    async remove(keys) {
+      [].concat(keys).forEach((key) => delete data[key]);
+    },
+  };
+  if (getKeys) local.getKeys = async () => Object.keys(data);
+
+  return {
+    storage: { local, onChanged: { addListener() {} } },
+  };
+}
+
+/**
+ * Create a chrome object with the events and APIs the service worker uses
+ * Listeners are kept by event name, such as "contextMenus.onClicked", and
+ * every API call is recorded as [name, ...args] and answered by the handler
+ * of that name, or with undefined
+ * @param {Object} initial - Stored values by key (optional)
+ * @param {Object} handlers - Functions by API name, such as
+ *   "permissions.request" (optional)
+ * @returns {Object} chrome, with listeners and calls
+ */
+function createWorkerChrome(initial = {}, handlers = {}) {
+  const chrome = createChrome(initial);
+  const listeners = {};
+  const calls = [];
+
+  const namespaces = {
+    runtime: ["onInstalled", "onStartup", "onMessage"],
+    alarms: ["onAlarm", "create", "clear"],
+    notifications: ["onClicked", "create", "clear"],
+    tabs: ["onUpdated", "captureVisibleTab", "create", "query", "sendMessage"],
+    contextMenus: ["onClicked", "create", "removeAll"],
+    commands: ["onCommand"],
+    action: [
+      "openPopup",
+      "setBadgeBackgroundColor",
+      "setBadgeText",
+      "setTitle",
+    ],
+    permissions: ["request", "contains"],
+  };
+  Object.entries(namespaces).forEach(([namespace, members]) => {
+    chrome[namespace] = {};
+    members.forEach((member) => {
+      const name = `${namespace}.${member}`;
+      chrome[namespace][member] = /^on[A-Z]/.test(member)
+        ? { addListener: (listener) => (listeners[name] = listener) }
+        : async (...args) => {
+            calls.push([name, ...args]);
+            return handlers[name]?.(...args);
+          };
+    });
+  });
+  chrome.runtime.getManifest = () => ({ name: "Web Note" });
+  chrome.runtime.getURL = (path) => `chrome-extension://test/${path}`;
+  chrome.storage.session = createChrome().storage.local;
+
+  return Object.assign(chrome, { listeners, calls });
+}
+
+module.exports = { createChrome, createWorkerChrome };
@@ -0,0 +1,41 @@
+// Loads extension scripts for tests. The extension has no modules: each
+// script declares its globals at the top level and later scripts use them,
+// so the scripts are joined into one function that returns those globals
+const fs = require("node:fs");
+const path = require("node:path");
+
+const ROOT = path.join(__dirname, "..", "..");
+
+/**
+ * Run extension scripts in order, as a page's script tags would
+ * @param {Array<string>} files - Script paths relative to the repo root
+ * @param {Object} globals - Browser globals the scripts use, such as chrome
+ *   or Node (optional)
+ * @returns {Object} The scripts' top-level declarations by name
+ */
+function load(files, globals = {}) {
+  const source = files
+    .map((file) => fs.readFileSync(path.join(ROOT, file), "utf8"))
+    .join("\n;\n");
+  const names = Array.from(
+    source.matchAll(/^(?:const|let|class|(?:async )?function)\s+(\w+)/gm),
+    (match) => match[1]
+  );
+
+  const run = new Function(
+    ...Object.keys(globals),
+    `${source}\nreturn { ${names.join(", ")} };`
+  );
+  return run(...Object.values(globals));
+}
+
+/**
+ * Read a file from test/fixtures
+ * @param {string} name - Path relative to the fixtures directory
+ * @returns {string} Contents
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, "..", "fixtures", name), "utf8");
+}
+
+module.exports = { load, readFixture };
@@ -0,0 +1,122 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { load } = require("./helpers/load");
+const { createChrome } = require("./helpers/chrome");
+
+/**
+ * Load storage.js and import.js over a library of one note, with an import
+ * of two notes previewed against it
+ * @returns {Object} { StorageHelper, NoteImporter, data, items }
+ */
+async function setup() {
+  const chrome = createChrome();
+  const { StorageHelper, NoteImporter } = load(
+    ["storage-keys.js", "storage.js", "import.js"],
+    {
+      chrome,
+    }
+  );
+  const { data } = chrome.storage.local;
+
+  data[StorageHelper.SCHEMA_KEY] = StorageHelper.SCHEMA_VERSION;
+  data["note:a"] = StorageHelper.createNote({
+    id: "a",
+    comment: "kept",
+    rank: "1",
+  });
+
+  const incoming = [
+    StorageHelper.createNote({ id: "a", comment: "imported a" }),
+    StorageHelper.createNote({ id: "c", comment: "imported c" }),
+  ];
+  const items = NoteImporter.findDuplicates(
+    incoming,
+    await StorageHelper.getAllNotes()
+  );
+  return { StorageHelper, NoteImporter, data, items };
+}
+
+test("keeps notes saved while the preview was open", async () => {
+  const { StorageHelper, NoteImporter, data, items } = await setup();
+  await StorageHelper.addNote({ id: "saved", comment: "saved meanwhile" });
+
+  let result;
+  await StorageHelper.transact("Notes imported", (state) => {
+    result = NoteImporter.apply(state, items, ["overwrite", "keep-both"]);
+  });
+
+  assert.deepEqual([result.added, result.replaced, result.skipped], [1, 1, 0]);
+  assert.equal(data["note:saved"].comment, "saved meanwhile");
+  assert.equal(data["note:a"].comment, "imported a");
+  assert.equal(data["note:c"].comment, "imported c");
+  assert.equal("saved" in (data.tombstones || {}), false);
+});
+
+test("merges again when the transaction retries", async () => {
+  const { StorageHelper, NoteImporter, data, items } = await setup();
+  let attempts = 0;
+
+  await StorageHelper.transact("Notes imported", (state) => {
+    attempts++;
+    NoteImporter.apply(
+      state,
+      items,
+      ["skip", "keep-both"],
+      [{ id: "nb", name: "Imported", parentId: null }]
+    );
+    // Another context adds a notebook first, so the commit has to retry
+    if (attempts === 1) {
+      data.notebooks = [
+        { id: "other", name: "Added meanwhile", parentId: null },
+      ];
+    }
+  });
+
+  assert.equal(attempts, 2);
+  assert.equal(data["note:a"].comment, "kept");
+  assert.equal(data["note:c"].comment, "imported c");
+  assert.deepEqual(
+    data.notebooks.map((notebook) => notebook.id),
+    ["other", "nb"]
+  );
+});
+
+test("leaves out images that couldn't be stored", async () => {
+  const { ImageStore, NoteImporter, StorageHelper } = load(
+    ["image-store.js", "storage-keys.js", "storage.js", "import.js"],
+    { chrome: createChrome() }
+  );
+  ImageStore.save = async () => {};
+
+  const { stored, failed } = await ImageStore.fromDataUrls({
+    good: "data:image/png;base64,iVBORw0KGgo=",
+    broken: "https://cdn.example/not-a-data-url.png",
+  });
+  assert.deepEqual([stored, failed], [["good"], ["broken"]]);
+
+  const note = (id, comment, image) =>
+    StorageHelper.createNote({ id, comment, image: { id: image } });
+  const items = NoteImporter.findDuplicates(
+    [
+      note("a", "", "good"),
+      note("b", "with text", "broken"),
+      note("c", "", "broken"),
+    ],
+    []
+  );
+  const kept = NoteImporter.dropMissingImages(
+    items,
+    ["keep-both", "keep-both", "keep-both"],
+    new Set(failed)
+  );
+
+  assert.deepEqual(
+    kept.items.map(({ note }) => [note.id, note.image?.id ?? null]),
+    [
+      ["a", "good"],
+      ["b", null],
+    ]
+  );
+  assert.deepEqual(kept.decisions, ["keep-both", "keep-both"]);
+  assert.deepEqual([kept.stripped, kept.dropped], [1, 1]);
+});
@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { JSDOM } = require("jsdom");
+const { load, readFixture } = require("./helpers/load");
+
+/**
+ * Extract metadata from a saved page, with the #clip paragraph selected
+ * @param {string} name - Fixture file in fixtures/pages
+ * @param {string} url - Address the page was saved from
+ * @returns {Object} Extracted metadata
+ */
+function extract(name, url) {
+  const { window } = new JSDOM(readFixture(`pages/${name}`), { url });
+  const { PageMetadata } = load(["page-metadata.js"], { Node: window.Node });
+
+  const range = window.document.createRange();
+  range.selectNodeContents(window.document.getElementById("clip"));
+  return PageMetadata.extract(window.document, range);
+}
+
+test("reads OpenGraph and meta tags", () => {
+  const metadata = extract(
+    "opengraph.html",
+    "https://field-notes.example/tide-pools?ref=feed"
+  );
+
+  assert.deepEqual(metadata, {
+    title: "Tide pools at low water",
+    canonicalUrl: "https://field-notes.example/tide-pools",
+    siteName: "Coastal Field Notes",
+    // article:author is a profile link, so the author meta tag is used
+    author: "Sam Rivera",
+    publishedAt: Date.parse("2023-06-14T08:30:00Z"),
+    favicon: "https://field-notes.example/static/favicon.png",
+    heading: "What to look for",
+  });
+});
+
+test("reads JSON-LD, skipping broken blocks", () => {
+  const metadata = extract(
+    "json-ld.html",
+    "https://crumb.example/2022/why-bread-rises"
+  );
+
+  assert.deepEqual(metadata, {
+    title: "Why bread rises",
+    canonicalUrl: "https://crumb.example/2022/why-bread-rises",
+    siteName: "The Daily Crumb",
+    author: "Ana Lima, Jo Park",
+    publishedAt: Date.parse("2022-03-01T11:00:00Z"),
+    favicon: "https://crumb.example/favicon.ico",
+    heading: "Yeast at work",
+  });
+});
+
+test("falls back to the document on a bare page", () => {
+  const metadata = extract("bare.html", "http://plain.example/page");
+
+  assert.deepEqual(metadata, {
+    title: "Plain page",
+    canonicalUrl: null,
+    siteName: null,
+    author: null,
+    publishedAt: Date.parse("2021-11-05"),
+    favicon: "http://plain.example/favicon.ico",
+    // The only heading comes after the selection
+    heading: null,
+  });
+});
+
+test("ignores headings in the extension's own UI", () => {
+  const { window } = new JSDOM(
+    `<h2>Section</h2><div id="quick-note-root"><h3>Save note</h3></div>
+     <p id="clip">Clipped</p>`,
+    { url: "https://example.com/" }
+  );
+  const { PageMetadata } = load(["page-metadata.js"], { Node: window.Node });
+  const range = window.document.createRange();
+  range.selectNodeContents(window.document.getElementById("clip"));
+
+  assert.equal(PageMetadata.findHeading(window.document, range), "Section");
+});
+
+test("caps long values", () => {
+  const { PageMetadata } = load(["page-metadata.js"]);
+  const text = PageMetadata.clean("word ".repeat(100));
+
+  assert.equal(text.length, PageMetadata.MAX_LENGTH);
+  assert.ok(text.endsWith("…"));
+  assert.equal(PageMetadata.clean("   "), null);
+});
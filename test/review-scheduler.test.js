@@ -0,0 +1,140 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { load } = require("./helpers/load");
+
+const { ReviewScheduler } = load(["review-scheduler.js"]);
+const { DAY_MS } = ReviewScheduler;
+const NOW = Date.UTC(2024, 0, 1, 12);
+
+/**
+ * Grade a new note in turn, each time on the day it comes due
+ * @param {Array<string>} grades - Grades, in order
+ * @returns {Array<Object>} Review state after each grade
+ */
+function review(grades) {
+  let state = null;
+  let now = NOW;
+  return grades.map((grade) => {
+    state = ReviewScheduler.grade(state, grade, now);
+    now = state.dueAt;
+    return state;
+  });
+}
+
+test("good grades grow the interval by the ease", () => {
+  const states = review(["good", "good", "good", "good"]);
+
+  assert.deepEqual(
+    states.map(({ interval, repetitions, ease }) => [
+      interval,
+      repetitions,
+      ease,
+    ]),
+    [
+      [1, 1, 2.5],
+      [6, 2, 2.5],
+      [15, 3, 2.5],
+      [38, 4, 2.5],
+    ]
+  );
+  assert.equal(states[0].dueAt, NOW + DAY_MS);
+  assert.equal(states[3].dueAt, NOW + (1 + 6 + 15 + 38) * DAY_MS);
+  assert.equal(states[3].reviewedAt, NOW + (1 + 6 + 15) * DAY_MS);
+});
+
+test("hard grows the interval slowly and lowers the ease", () => {
+  const [, , hard] = review(["good", "good", "hard"]);
+
+  assert.equal(hard.interval, 7);
+  assert.equal(hard.ease, 2.36);
+});
+
+test("easy starts further out and stretches the interval", () => {
+  assert.equal(review(["easy"])[0].interval, 4);
+
+  const [, , easy] = review(["good", "good", "easy"]);
+  // 6 days × the raised ease of 2.6 × the easy bonus
+  assert.equal(easy.interval, 20);
+  assert.equal(easy.ease, 2.6);
+});
+
+test("again starts over within the session", () => {
+  const states = review(["good", "good", "again", "good"]);
+  const again = states[2];
+  const reviewedAt = NOW + 7 * DAY_MS;
+
+  assert.deepEqual(again, {
+    dueAt: reviewedAt + ReviewScheduler.AGAIN_DELAY_MS,
+    interval: 0,
+    repetitions: 0,
+    ease: 2.3,
+    reviewedAt,
+  });
+  assert.equal(states[3].interval, 1);
+  assert.equal(states[3].ease, 2.3);
+});
+
+test("the ease never drops below its minimum", () => {
+  const states = review(Array(10).fill("again"));
+
+  assert.equal(states[5].ease, ReviewScheduler.MIN_EASE);
+  assert.equal(states[9].ease, ReviewScheduler.MIN_EASE);
+  assert.throws(() => ReviewScheduler.grade(null, "bogus", NOW), /Unknown/);
+});
+
+test("previews the next interval for each grade", () => {
+  const [state] = review(["good"]);
+
+  assert.deepEqual(ReviewScheduler.previewIntervals(state, NOW), {
+    again: ReviewScheduler.AGAIN_DELAY_MS,
+    hard: 2 * DAY_MS,
+    good: 6 * DAY_MS,
+    easy: 8 * DAY_MS,
+  });
+});
+
+test("lists due notes, longest overdue first", () => {
+  const notes = [
+    { id: "later", review: ReviewScheduler.create(NOW + DAY_MS) },
+    { id: "today", review: ReviewScheduler.create(NOW) },
+    { id: "none", review: null },
+    { id: "overdue", review: ReviewScheduler.create(NOW - DAY_MS) },
+    { id: "soon", review: ReviewScheduler.create(NOW + 60000) },
+  ];
+
+  assert.deepEqual(
+    ReviewScheduler.getDueNotes(notes, NOW).map((note) => note.id),
+    ["overdue", "today"]
+  );
+  assert.equal(ReviewScheduler.getNextDueAt(notes, NOW), NOW + 60000);
+  assert.equal(ReviewScheduler.getNextDueAt(notes.slice(1, 4), NOW), null);
+});
+
+test("moving a reminder keeps the progress", () => {
+  const [, state] = review(["good", "good"]);
+  const moved = ReviewScheduler.remindAt(state, NOW);
+
+  assert.deepEqual(moved, { ...state, dueAt: NOW });
+  assert.deepEqual(
+    ReviewScheduler.remindAt(null, NOW),
+    ReviewScheduler.create(NOW)
+  );
+});
+
+test("reads and writes reminder days in local time", () => {
+  const dueAt = ReviewScheduler.parseDay("2024-03-05");
+
+  assert.equal(new Date(dueAt).getHours(), ReviewScheduler.REMINDER_HOUR);
+  assert.equal(ReviewScheduler.formatDay(dueAt), "2024-03-05");
+  assert.equal(ReviewScheduler.parseDay("5 March"), null);
+  assert.equal(ReviewScheduler.parseDay(""), null);
+});
+
+test("labels intervals", () => {
+  assert.deepEqual(
+    [0, 10 * 60000, 5 * 3600000, 6 * DAY_MS, 60 * DAY_MS, 548 * DAY_MS].map(
+      (ms) => ReviewScheduler.formatInterval(ms)
+    ),
+    ["1m", "10m", "5h", "6d", "2mo", "1.5y"]
+  );
+});
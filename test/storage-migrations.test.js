@@ -0,0 +1,175 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { load, readFixture } = require("./helpers/load");
+const { createChrome } = require("./helpers/chrome");
+
+// Storage as the first version of the extension left it
+const V0 = JSON.parse(readFixture("storage/v0.json"));
+
+/**
+ * Load storage.js over the given stored values
+ * @param {Object} initial - Stored values by key
+ * @returns {Object} { StorageHelper, chrome, data }, data being what is stored
+ */
+function setup(initial) {
+  const chrome = createChrome(initial);
+  const { StorageHelper } = load(["storage-keys.js", "storage.js"], { chrome });
+  return { StorageHelper, chrome, data: chrome.storage.local.data };
+}
+
+/**
+ * Make storage.local.set fail for writes that include a key
+ * @param {Object} chrome - Chrome stand-in from createChrome()
+ * @param {string} key - Key whose write fails
+ */
+function failWritesOf(chrome, key) {
+  const { local } = chrome.storage;
+  const set = local.set.bind(local);
+  local.set = async (items) => {
+    if (key in items) throw new Error("QUOTA_BYTES quota exceeded");
+    return set(items);
+  };
+}
+
+test("each migration gives the same result when run twice", () => {
+  const { StorageHelper } = setup();
+  let data = structuredClone(V0);
+
+  StorageHelper.MIGRATIONS.forEach((migration) => {
+    const once = structuredClone(data);
+    migration.up(once, StorageHelper);
+    const twice = structuredClone(once);
+    migration.up(twice, StorageHelper);
+
+    assert.deepEqual(twice, once, `migration ${migration.version}`);
+    data = once;
+  });
+});
+
+test("upgrading reaches the current note shape", () => {
+  const { StorageHelper } = setup();
+  const data = StorageHelper.upgrade(V0, 0);
+
+  assert.equal(data.schemaVersion, StorageHelper.SCHEMA_VERSION);
+  assert.equal(data.notes, undefined);
+  assert.equal(data.trash, undefined);
+  assert.equal(data.revisions, undefined);
+  assert.deepEqual(data.settings, V0.settings);
+  assert.deepEqual(data.notebooks, V0.notebooks);
+
+  // Trashed notes rank where they were deleted from
+  const ranked = ["clipped", "deleted", "written", "reviewless"];
+  ranked.slice(1).forEach((id, i) => {
+    const previous = data[`note:${ranked[i]}`].rank;
+    assert.ok(previous < data[`note:${id}`].rank, `${ranked[i]} before ${id}`);
+  });
+  assert.deepEqual(data[StorageHelper.ORDER_KEY], [
+    "clipped",
+    "written",
+    "reviewless",
+  ]);
+
+  const clipped = data["note:clipped"];
+  assert.equal(clipped.selection, "Tide pools fill twice a day.");
+  assert.equal(clipped.comment, "");
+  assert.equal("text" in clipped, false);
+  assert.equal("index" in clipped, false);
+  assert.deepEqual(data["revisions:clipped"][0].selection, "Tide pools fill");
+
+  const written = data["note:written"];
+  assert.equal(written.selection, "");
+  assert.equal(written.comment, "Buy more flour");
+  assert.deepEqual(written.review, V0.notes[1].review);
+  assert.equal(data["note:reviewless"].review, null);
+
+  assert.deepEqual(
+    ["clipped", "written", "reviewless", "deleted"].map((id) => {
+      const { pinned, favorite, archived } = data[`note:${id}`];
+      return [pinned, favorite, archived];
+    }),
+    [
+      [true, false, false],
+      [false, true, false],
+      [false, false, false],
+      [false, false, true],
+    ]
+  );
+});
+
+test("upgrading converts the copies kept for undo", () => {
+  const { StorageHelper } = setup();
+  const data = StorageHelper.upgrade(V0, 0);
+  const [operation] = data.history.undo;
+
+  assert.deepEqual(operation.changes.notes.items[0].before, {
+    id: "written",
+    selection: "",
+    comment: "Buy flour",
+    review: null,
+    pinned: false,
+    favorite: false,
+    archived: false,
+  });
+  // Notebooks in the log are left alone
+  assert.deepEqual(
+    operation.changes.notebooks,
+    V0.history.undo[0].changes.notebooks
+  );
+});
+
+test("migrating writes the upgrade and then drops the backup", async () => {
+  const { StorageHelper, data } = setup(V0);
+
+  const version = await StorageHelper.migrate();
+
+  assert.equal(version, StorageHelper.SCHEMA_VERSION);
+  assert.deepEqual(data, StorageHelper.upgrade(V0, 0));
+  assert.equal(StorageHelper.BACKUP_KEY in data, false);
+  assert.deepEqual(
+    (await StorageHelper.getAllNotes()).map((note) => note.id),
+    ["clipped", "written", "reviewless"]
+  );
+});
+
+test("a failed migration keeps the backup and the old data readable", async () => {
+  const { StorageHelper, chrome, data } = setup(V0);
+  failWritesOf(chrome, "note:written");
+
+  await StorageHelper.ensureMigrated();
+
+  assert.equal(StorageHelper.migrationFailed, true);
+  assert.equal(data.schemaVersion, undefined);
+  assert.deepEqual(data[StorageHelper.BACKUP_KEY].data, V0);
+  assert.equal(data[StorageHelper.BACKUP_KEY].version, 0);
+
+  // Reads are upgraded in memory, while writes are refused
+  const notes = await StorageHelper.getAllNotes();
+  assert.equal(
+    notes.find((note) => note.id === "written").comment,
+    "Buy more flour"
+  );
+  await assert.rejects(
+    StorageHelper.commit({}, { "note:new": { id: "new" } }),
+    /could not be upgraded/
+  );
+  assert.equal("note:new" in data, false);
+});
+
+test("the next run starts over from the backup", async () => {
+  const first = setup(V0);
+  // Everything is written except the schema version
+  failWritesOf(first.chrome, first.StorageHelper.SCHEMA_KEY);
+  await first.StorageHelper.ensureMigrated();
+  assert.equal(first.StorageHelper.migrationFailed, true);
+  assert.ok(first.data["note:written"]);
+  assert.equal(first.data.notes, undefined);
+
+  // Half-migrated data would read differently than the old data did
+  first.data["note:written"] = { ...first.data["note:written"], comment: "" };
+
+  const second = setup(first.data);
+  await second.StorageHelper.ensureMigrated();
+
+  assert.equal(second.StorageHelper.migrationFailed, false);
+  assert.deepEqual(second.data, second.StorageHelper.upgrade(V0, 0));
+});
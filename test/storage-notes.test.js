@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { load } = require("./helpers/load");
+const { createChrome } = require("./helpers/chrome");
+
+/**
+ * Load storage.js over five notes, stored out of rank order, one of them in
+ * the trash and another missing from the stored order
+ * @param {Object} options - Options for createChrome() (optional)
+ * @returns {Object} { StorageHelper, data, reads }, reads being the keys of
+ *   each storage read
+ */
+function setup(options) {
+  const chrome = createChrome({}, options);
+  const { StorageHelper } = load(["storage-keys.js", "storage.js"], { chrome });
+  const { local } = chrome.storage;
+
+  local.data[StorageHelper.SCHEMA_KEY] = StorageHelper.SCHEMA_VERSION;
+  ["e", "b", "d", "a", "c"].forEach((id) => {
+    local.data[StorageHelper.NOTE_PREFIX + id] = StorageHelper.createNote({
+      id,
+      rank: id,
+      deletedAt: id === "d" ? 1000 : undefined,
+    });
+  });
+  local.data[StorageHelper.ORDER_KEY] = ["a", "b", "e"];
+
+  const reads = [];
+  const get = local.get.bind(local);
+  local.get = (keys) => {
+    reads.push(keys);
+    return get(keys);
+  };
+  StorageHelper.NOTE_BATCH_SIZE = 2;
+  return { StorageHelper, data: local.data, reads };
+}
+
+test("reads notes a batch of keys at a time, in the stored order", async () => {
+  const { StorageHelper, reads } = setup();
+  const batches = [];
+
+  const notes = await StorageHelper.getAllNotes((batch) =>
+    batches.push(batch.map((note) => note.id))
+  );
+
+  assert.deepEqual(
+    notes.map((note) => note.id),
+    ["a", "b", "c", "e"]
+  );
+  assert.deepEqual(batches, [["a", "b"], ["e"], ["c"]]);
+  const noteReads = reads.filter(Array.isArray);
+  assert.equal(noteReads.length, 3);
+  assert.ok(noteReads.every((keys) => keys.length <= 2));
+});
+
+test("reads everything at once without getKeys()", async () => {
+  const { StorageHelper } = setup({ getKeys: false });
+  const batches = [];
+
+  const notes = await StorageHelper.getAllNotes((batch) =>
+    batches.push(batch.map((note) => note.id))
+  );
+
+  assert.deepEqual(
+    notes.map((note) => note.id),
+    ["a", "b", "c", "e"]
+  );
+  assert.deepEqual(batches, [["a", "b", "c", "e"]]);
+});
+
+test("writes keep the stored order", async () => {
+  const { StorageHelper, data } = setup();
+
+  await StorageHelper.addNote({ id: "f" });
+  await StorageHelper.deleteNote("b");
+  await StorageHelper.moveNote("e", 0);
+
+  assert.deepEqual(data[StorageHelper.ORDER_KEY], ["e", "f", "a", "c"]);
+});
@@ -0,0 +1,103 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { load } = require("./helpers/load");
+const { createChrome } = require("./helpers/chrome");
+
+/**
+ * Load storage.js over a library of two notes in the current schema
+ * @returns {Object} { StorageHelper, data }, data being what is stored
+ */
+function setup() {
+  const chrome = createChrome();
+  const { StorageHelper } = load(["storage-keys.js", "storage.js"], { chrome });
+  const { data } = chrome.storage.local;
+
+  data[StorageHelper.SCHEMA_KEY] = StorageHelper.SCHEMA_VERSION;
+  ["a", "b"].forEach((id, i) => {
+    data[StorageHelper.NOTE_PREFIX + id] = StorageHelper.createNote({
+      id,
+      comment: `note ${id}`,
+      url: `https://example.com/${id}`,
+      rank: String(i + 1),
+      createdAt: 1000,
+    });
+  });
+  return { StorageHelper, data };
+}
+
+test("an edit stores the replaced version", async () => {
+  const { StorageHelper, data } = setup();
+
+  await StorageHelper.updateNote("a", { comment: "edited" });
+
+  assert.equal(data["note:a"].comment, "edited");
+  const revisions = data["revisions:a"];
+  assert.equal(revisions.length, 1);
+  assert.equal(revisions[0].comment, "note a");
+  assert.equal(revisions[0].savedAt, 1000);
+});
+
+test("a retried operation records the revision once", async () => {
+  const { StorageHelper, data } = setup();
+  let attempts = 0;
+
+  await StorageHelper.transact("Note edited", async (state, transaction) => {
+    attempts++;
+    await StorageHelper.updateNote(
+      "a",
+      { comment: `edit ${attempts}` },
+      transaction
+    );
+    // Another context writes the note first, so the commit has to retry
+    if (attempts === 1) data["note:a"] = { ...data["note:a"], tags: ["x"] };
+  });
+
+  assert.equal(attempts, 2);
+  assert.equal(data["note:a"].comment, "edit 2");
+  assert.deepEqual(
+    data["revisions:a"].map((revision) => revision.comment),
+    ["note a"]
+  );
+});
+
+test("a failed operation leaves no revision behind", async () => {
+  const { StorageHelper, data } = setup();
+
+  await assert.rejects(
+    StorageHelper.transact("Note edited", async (state, transaction) => {
+      await StorageHelper.updateNote("a", { comment: "edited" }, transaction);
+      throw new Error("Moving the note failed");
+    }),
+    /Moving the note failed/
+  );
+
+  assert.equal(data["note:a"].comment, "note a");
+  assert.equal(data["revisions:a"], undefined);
+});
+
+test("restoring a revision keeps the current version", async () => {
+  const { StorageHelper, data } = setup();
+  await StorageHelper.updateNote("a", { comment: "second" });
+  await StorageHelper.updateNote("a", { comment: "third" });
+
+  const [first] = data["revisions:a"];
+  await StorageHelper.restoreRevision("a", first.id);
+
+  assert.equal(data["note:a"].comment, "note a");
+  assert.deepEqual(
+    data["revisions:a"].map((revision) => revision.comment),
+    ["note a", "second", "third"]
+  );
+});
+
+test("merging keeps the target's text as a revision", async () => {
+  const { StorageHelper, data } = setup();
+
+  const mergedId = await StorageHelper.mergeNotes(["a", "b"]);
+
+  assert.equal(mergedId, "a");
+  assert.match(data["note:a"].comment, /^note a\n\n---\n\nnote b/);
+  assert.equal(data["revisions:a"].length, 1);
+  assert.equal(data["revisions:a"][0].comment, "note a");
+  assert.ok(data["note:b"].deletedAt);
+});
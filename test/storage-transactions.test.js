@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { load } = require("./helpers/load");
+const { createChrome } = require("./helpers/chrome");
+
+/**
+ * Load storage.js over a library of two notes in the current schema
+ * @param {Object} options - Passed to createChrome (optional)
+ * @returns {Object} { StorageHelper, local }, local being storage.local
+ */
+function setup(options) {
+  const chrome = createChrome({}, options);
+  const { StorageHelper } = load(["storage-keys.js", "storage.js"], { chrome });
+  const { local } = chrome.storage;
+
+  local.data[StorageHelper.SCHEMA_KEY] = StorageHelper.SCHEMA_VERSION;
+  ["a", "b"].forEach((id, i) => {
+    local.data[StorageHelper.NOTE_PREFIX + id] = StorageHelper.createNote({
+      id,
+      comment: `note ${id}`,
+      rank: String(i + 1),
+    });
+  });
+  return { StorageHelper, local };
+}
+
+const undoLabels = (local) => local.data.history.undo.map((op) => op.label);
+
+test("calls passed the transaction join it as one step", async () => {
+  const { StorageHelper, local } = setup();
+  local.data.notebooks = [{ id: "nb", name: "Work", parentId: null }];
+
+  await StorageHelper.transact("Note edited", async (state, transaction) => {
+    await StorageHelper.updateNote("a", { comment: "edited" }, transaction);
+    await StorageHelper.moveNotesToNotebook(["a"], "nb", transaction);
+  });
+
+  assert.deepEqual(undoLabels(local), ["Note edited"]);
+  assert.equal(local.data["note:a"].comment, "edited");
+  assert.equal(local.data["note:a"].notebookId, "nb");
+
+  await StorageHelper.undo();
+  assert.equal(local.data["note:a"].comment, "note a");
+  assert.equal(local.data["note:a"].notebookId, null);
+});
+
+test("other calls wait for a running operation instead of joining it", async () => {
+  const { StorageHelper, local } = setup();
+  let release;
+  const paused = new Promise((resolve) => {
+    release = resolve;
+  });
+
+  const first = StorageHelper.transact("Note edited", async ({ notes }) => {
+    notes[0].comment = "edited";
+    await paused;
+  });
+  // Say a storage change handler, while the edit waits on something
+  const second = StorageHelper.deleteNote("b");
+  release();
+  await Promise.all([first, second]);
+
+  assert.deepEqual(undoLabels(local), ["Note edited", "Note deleted"]);
+  assert.ok(local.data["note:b"].deletedAt);
+});
+
+test("operations read only the keys they need", async () => {
+  const { StorageHelper, local } = setup();
+  local.data["revisions:a"] = [{ id: "r1", comment: "old", savedAt: 1 }];
+  local.data[StorageHelper.BACKUP_KEY] = { version: 4, data: {} };
+
+  const read = [];
+  const get = local.get;
+  local.get = (keys) => {
+    read.push(keys);
+    return get(keys);
+  };
+
+  await StorageHelper.setNoteFlag(["a"], "favorite", true);
+
+  assert.ok(read.every((keys) => keys !== null));
+  const keys = read.flat();
+  assert.ok(keys.includes("note:a") && keys.includes("note:b"));
+  assert.ok(!keys.includes("revisions:a"));
+  assert.ok(!keys.includes(StorageHelper.BACKUP_KEY));
+});
+
+test("operations read everything without getKeys()", async () => {
+  const { StorageHelper, local } = setup({ getKeys: false });
+
+  await StorageHelper.setNoteFlag(["b"], "archived", true);
+
+  assert.equal(local.data["note:b"].archived, true);
+  assert.deepEqual(undoLabels(local), ["Archived"]);
+});
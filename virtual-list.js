@@ -0,0 +1,263 @@
+/**
+ * Virtual List - Renders only the rows of a long list near the viewport
+ * The rows above and below the window are stood in for by space, sized from
+ * the heights they had when last rendered, or an estimate for rows never
+ * rendered. Rows are keyed: updating the items keeps the elements of rows
+ * still in the window, and the caller decides which of those to rebuild
+ */
+const VirtualList = {
+  // Rows rendered beyond each edge of the viewport, in pixels
+  OVERSCAN: 800,
+
+  // Height assumed for rows never rendered, until some have been measured
+  ESTIMATED_HEIGHT: 140,
+
+  // Rendering again after measuring settles the window; this caps the passes
+  MAX_PASSES: 3,
+
+  /**
+   * Create a virtual list in a container
+   * The container holds one child per rendered row. The space for the other
+   * rows is set as its --space-before and --space-after custom properties,
+   * which its padding has to add
+   * @param {Object} options - Options
+   * @param {HTMLElement} options.container - Element holding the rows
+   * @param {Function} options.getKey - Returns an item's unique key
+   * @param {Function} options.renderRow - Called as (item, index, element,
+   *   isNew) for each row in the window; returns the row's element, either
+   *   the current one (null if not rendered) or a replacement. isNew tells
+   *   whether the item just joined the list
+   * @param {Function} options.retain - Whether a row's element is kept while
+   *   the row is out of the window, such as one with a form open (optional)
+   * @param {Function} options.onRender - Called after the rows changed
+   *   (optional)
+   * @returns {Object} List with setItems, scrollToIndex and render
+   */
+  create({
+    container,
+    getKey,
+    renderRow,
+    retain = () => false,
+    onRender = () => {},
+  }) {
+    const self = this;
+    let items = [];
+    let keys = [];
+    let added = new Set();
+    let rendered = new Map();
+    const retained = new Map();
+    let spaceBefore = 0;
+    let frame = null;
+
+    // Measured heights by key, with their total for the estimate
+    const heights = new Map();
+    let measuredTotal = 0;
+
+    const heightOf = (key) =>
+      heights.get(key) ??
+      (heights.size ? measuredTotal / heights.size : self.ESTIMATED_HEIGHT);
+
+    const resizeObserver = new ResizeObserver(() => schedule());
+
+    /**
+     * Part of the list that is on screen, relative to the top of its first
+     * row
+     * @returns {{top: number, bottom: number}} Pixel range
+     */
+    const getViewport = () => {
+      const rect = container.getBoundingClientRect();
+      const padding = parseFloat(getComputedStyle(container).paddingTop) || 0;
+      const inner = rect.top + container.clientTop;
+      const origin = inner + padding - spaceBefore - container.scrollTop;
+
+      return {
+        top: Math.max(inner, 0) - origin,
+        bottom:
+          Math.min(inner + container.clientHeight, window.innerHeight) - origin,
+      };
+    };
+
+    /**
+     * Range of rows to render
+     * @param {Array<number>} tops - Offset of each row, and the total height
+     * @param {number} target - Row that has to be included, or -1
+     * @returns {{start: number, end: number}} Rows from start to before end
+     */
+    const getWindow = (tops, target) => {
+      let { top, bottom } = getViewport();
+
+      // Around the target as it will be once scrolled to
+      if (
+        target !== -1 &&
+        (tops[target + 1] <= top || tops[target] >= bottom)
+      ) {
+        const height = Math.max(bottom - top, 0);
+        top = tops[target] - height / 2;
+        bottom = top + height;
+      }
+
+      let start = 0;
+      while (start < items.length && tops[start + 1] <= top - self.OVERSCAN) {
+        start++;
+      }
+      let end = start;
+      while (end < items.length && tops[end] < bottom + self.OVERSCAN) end++;
+
+      if (target !== -1) {
+        start = Math.min(start, target);
+        end = Math.max(end, target + 1);
+      }
+      return { start, end };
+    };
+
+    /**
+     * Put the rows in order without moving the one holding focus, as moving
+     * it would take focus away
+     * @param {Array<HTMLElement>} elements - Rows in list order
+     */
+    const place = (elements) => {
+      const focused = elements.findIndex((element) =>
+        element.contains(document.activeElement)
+      );
+      const anchor = Math.max(focused, 0);
+
+      if (
+        focused === -1 &&
+        elements.length &&
+        container.firstElementChild !== elements[0]
+      ) {
+        container.insertBefore(elements[0], container.firstElementChild);
+      }
+      for (let i = anchor - 1; i >= 0; i--) {
+        if (elements[i].nextElementSibling !== elements[i + 1]) {
+          container.insertBefore(elements[i], elements[i + 1]);
+        }
+      }
+      for (let i = anchor + 1; i < elements.length; i++) {
+        if (elements[i - 1].nextElementSibling !== elements[i]) {
+          container.insertBefore(elements[i], elements[i - 1].nextSibling);
+        }
+      }
+    };
+
+    /**
+     * Record the heights of the rendered rows
+     * @returns {boolean} True if any changed
+     */
+    const measure = () => {
+      let changed = false;
+      rendered.forEach((element, key) => {
+        // Rows not laid out, such as in a hidden list, keep their estimate
+        if (!element.offsetHeight) return;
+
+        const margin = parseFloat(getComputedStyle(element).marginBottom) || 0;
+        const height = element.offsetHeight + margin;
+        if (heights.get(key) === height) return;
+
+        measuredTotal += height - (heights.get(key) || 0);
+        heights.set(key, height);
+        changed = true;
+      });
+      return changed;
+    };
+
+    const renderPass = (target) => {
+      const tops = [0];
+      keys.forEach((key, i) => tops.push(tops[i] + heightOf(key)));
+      const { start, end } = getWindow(tops, target);
+
+      const next = new Map();
+      const elements = [];
+      for (let i = start; i < end; i++) {
+        const key = keys[i];
+        const current = rendered.get(key) || retained.get(key) || null;
+        retained.delete(key);
+
+        const element = renderRow(items[i], i, current, added.has(key));
+        next.set(key, element);
+        elements.push(element);
+      }
+      added = new Set();
+
+      const present = new Set(keys);
+      rendered.forEach((element, key) => {
+        if (next.get(key) === element) return;
+
+        resizeObserver.unobserve(element);
+        element.remove();
+        if (!next.has(key) && present.has(key) && retain(element)) {
+          retained.set(key, element);
+        }
+      });
+      retained.forEach((element, key) => {
+        if (!present.has(key)) retained.delete(key);
+      });
+
+      place(elements);
+      next.forEach((element, key) => {
+        if (rendered.get(key) !== element) resizeObserver.observe(element);
+      });
+      rendered = next;
+
+      spaceBefore = tops[start];
+      container.style.setProperty("--space-before", `${spaceBefore}px`);
+      container.style.setProperty(
+        "--space-after",
+        `${tops[items.length] - tops[end]}px`
+      );
+    };
+
+    /**
+     * Render the rows in the window
+     * @param {number} target - Row to include even if off screen (optional)
+     */
+    const render = (target = -1) => {
+      cancelAnimationFrame(frame);
+      frame = null;
+
+      for (let pass = 0; pass < self.MAX_PASSES; pass++) {
+        renderPass(target);
+        if (!measure()) break;
+      }
+      onRender();
+    };
+
+    const schedule = () => {
+      if (frame === null) frame = requestAnimationFrame(() => render());
+    };
+
+    window.addEventListener("scroll", schedule, true);
+    window.addEventListener("resize", schedule);
+
+    return {
+      /**
+       * Show a new list of items, keeping the rows that are still there
+       * @param {Array} list - Items in order
+       */
+      setItems(list) {
+        const previous = new Set(keys);
+        items = list;
+        keys = list.map(getKey);
+        added = new Set(keys.filter((key) => !previous.has(key)));
+        render();
+      },
+
+      /**
+       * Render a row and scroll it into view
+       * @param {number} index - Row index
+       * @param {string} block - scrollIntoView position (optional)
+       * @returns {HTMLElement|null} The row's element
+       */
+      scrollToIndex(index, block = "nearest") {
+        if (index < 0 || index >= items.length) return null;
+
+        render(index);
+        const element = rendered.get(keys[index]);
+        element.scrollIntoView({ block });
+        return element;
+      },
+
+      render,
+    };
+  },
+};